@@ -0,0 +1,620 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+/**
+ * Universal transition morphs the elements rendered by the previous update
+ * to the elements of the current update, even if they belong to different
+ * series types (e.g., bar -> pie, scatter -> bar, treemap -> sunburst).
+ *
+ * Data items are matched by:
+ * + `id` (or `name`) of data item in the series with the same id.
+ * + `dataIndex` if there is no id matched in the series with the same id.
+ * + `groupId` of data item (or `series.dataGroupId`) and `id` of data item
+ *   across series, which makes one-to-many and many-to-one transition.
+ */
+
+import SeriesModel from '../model/Series';
+import GlobalModel from '../model/Global';
+import ExtensionAPI from '../core/ExtensionAPI';
+import { EChartsExtensionInstallRegisters } from '../extension';
+import List from '../data/List';
+import DataDiffer from '../data/DataDiffer';
+import Element from 'zrender/src/Element';
+import Group from 'zrender/src/graphic/Group';
+import Path, { PathProps } from 'zrender/src/graphic/Path';
+import Rect from 'zrender/src/graphic/shape/Rect';
+import Sector from 'zrender/src/graphic/shape/Sector';
+import PathProxy from 'zrender/src/core/PathProxy';
+import transformPath from 'zrender/src/tool/transformPath';
+import * as matrix from 'zrender/src/core/matrix';
+import { combine, separate, morphPath, CombineSeparateConfig } from 'zrender/src/tool/morphPath';
+import { createHashMap, each, isObject, isString, clone, HashMap } from 'zrender/src/core/util';
+import { ArrayLike } from 'zrender/src/core/types';
+import { makeInner, convertOptionIdName } from '../util/model';
+import {
+    OptionDataItemObject, UniversalTransitionOption, AnimationDurationCallback, AnimationDelayCallback
+} from '../util/types';
+import { AnimationEasing } from 'zrender/src/animation/easing';
+
+type DivideShape = UniversalTransitionOption['divideShape'];
+
+interface TransitionSeriesRecord {
+    seriesId: string;
+    data: List;
+    dataGroupId: string;
+    divideShape: DivideShape;
+}
+
+interface TransitionItemBase {
+    seriesId: string;
+    id: string;
+    groupId: string;
+    dataIndex: number;
+    el: Element;
+}
+
+interface PathSnapshot {
+    data: number[];
+    transform: matrix.MatrixArray;
+    // Keep the raw shape of rect and sector so that they can be split.
+    RawCtor: typeof Rect | typeof Sector;
+    rawShape: Rect['shape'] | Sector['shape'];
+    fill: string;
+}
+
+interface OldTransitionItem extends TransitionItemBase {
+    paths: PathSnapshot[];
+}
+
+interface NewTransitionItem extends TransitionItemBase {
+    paths: Path[];
+    seriesModel: SeriesModel;
+    divideShape: DivideShape;
+}
+
+type TransitionItem = OldTransitionItem | NewTransitionItem;
+
+type KeyGetter = (item: TransitionItem) => string;
+
+const inner = makeInner<{
+    // Series rendered in the last update.
+    records: TransitionSeriesRecord[];
+    // Snapshots of the elements before current update.
+    oldItems: OldTransitionItem[];
+}, ExtensionAPI>();
+
+
+interface TransitionFromPathShape {
+    data: number[];
+    m: matrix.MatrixArray;
+}
+
+/**
+ * Only used as the "from" path of morphing, which replays the snapshot of the old path
+ * in the local coordinate system of the "to" path. Never be added to zrender.
+ */
+class TransitionFromPath extends Path<PathProps & { shape?: Partial<TransitionFromPathShape> }> {
+
+    shape: TransitionFromPathShape;
+
+    getDefaultShape() {
+        return {
+            data: [] as number[],
+            m: null as matrix.MatrixArray
+        };
+    }
+
+    buildPath(ctx: PathProxy | CanvasRenderingContext2D, shape: TransitionFromPathShape) {
+        const proxy = new PathProxy();
+        proxy.setData(shape.data);
+        shape.m && transformPath(proxy, shape.m);
+        (ctx as PathProxy).appendPath(proxy);
+    }
+}
+
+function getTransitionOption(seriesModel: SeriesModel): UniversalTransitionOption {
+    const opt = seriesModel.get('universalTransition');
+    if (!opt) {
+        return;
+    }
+    const transitionOpt = isObject(opt) ? opt : {} as UniversalTransitionOption;
+    return transitionOpt.enabled === false ? null : transitionOpt;
+}
+
+function getPathList(el: Element): Path[] {
+    const paths: Path[] = [];
+    const addPath = (child: Element) => {
+        if (child instanceof Path && !child.ignore && !child.invisible) {
+            paths.push(child);
+        }
+    };
+    if (el && !el.ignore) {
+        el.isGroup ? (el as Group).traverse(addPath) : addPath(el);
+    }
+    return paths;
+}
+
+function getGroupId(data: List, dataIndex: number, dataGroupId: string): string {
+    const rawItem = data.getRawDataItem(dataIndex) as OptionDataItemObject<unknown>;
+    const groupId = isObject(rawItem) ? rawItem.groupId : null;
+    return convertOptionIdName(groupId, dataGroupId);
+}
+
+const CMD = PathProxy.CMD;
+const CMD_PARAM_COUNT: {[cmd: number]: number} = {
+    [CMD.M]: 2,
+    [CMD.L]: 2,
+    [CMD.C]: 6,
+    [CMD.Q]: 4,
+    [CMD.A]: 8,
+    [CMD.Z]: 0
+};
+
+/**
+ * Copy the path data and convert the rect command to lines,
+ * which is not able to be transformed by `transformPath`.
+ */
+function normalizePathData(data: ArrayLike<number>, len: number): number[] {
+    const out: number[] = [];
+    for (let i = 0; i < len;) {
+        const cmd = data[i++];
+        if (cmd === CMD.R) {
+            const x = data[i++];
+            const y = data[i++];
+            const x2 = x + data[i++];
+            const y2 = y + data[i++];
+            out.push(CMD.M, x, y, CMD.L, x2, y, CMD.L, x2, y2, CMD.L, x, y2, CMD.Z);
+            continue;
+        }
+        out.push(cmd);
+        for (let k = 0; k < CMD_PARAM_COUNT[cmd]; k++) {
+            out.push(data[i++]);
+        }
+    }
+    return out;
+}
+
+function snapshotPath(path: Path): PathSnapshot {
+    const proxy = new PathProxy();
+    proxy.beginPath();
+    // Also works if the path is in morphing.
+    path.buildPath(proxy, path.shape, false);
+
+    const transform = path.getComputedTransform();
+    const isRawSplittable = path instanceof Rect || path instanceof Sector;
+    const fill = path.style.fill;
+
+    return {
+        data: normalizePathData(proxy.data, proxy.len()),
+        transform: transform && matrix.clone(transform),
+        RawCtor: isRawSplittable ? (path.constructor as PathSnapshot['RawCtor']) : null,
+        rawShape: isRawSplittable ? clone(path.shape as PathSnapshot['rawShape']) : null,
+        fill: isString(fill) ? fill : null
+    };
+}
+
+/**
+ * Get the matrix transforming the old path to the local coordinate system of the new path.
+ */
+function getFromTransform(snapshot: PathSnapshot, toPath: Path): matrix.MatrixArray {
+    const toTransform = toPath.getComputedTransform();
+    if (!toTransform) {
+        return snapshot.transform;
+    }
+    const m = matrix.invert(matrix.create(), toTransform);
+    if (!m) {
+        return snapshot.transform;
+    }
+    return snapshot.transform ? matrix.mul(m, m, snapshot.transform) : m;
+}
+
+function createFromPath(snapshot: PathSnapshot, toPath: Path): TransitionFromPath {
+    return new TransitionFromPath({
+        shape: {
+            data: snapshot.data,
+            m: getFromTransform(snapshot, toPath)
+        }
+    });
+}
+
+/**
+ * Apply transform on the divided sub path, which is not able to be done by `Element['transform']`,
+ * because morphing only cares about the path data.
+ */
+function transformSubPath(subPath: Path, m: matrix.MatrixArray): void {
+    if (subPath instanceof TransitionFromPath) {
+        subPath.shape.m = m;
+        return;
+    }
+    const buildPath = subPath.buildPath;
+    subPath.buildPath = function (ctx, shape, inBundle) {
+        const proxy = new PathProxy();
+        proxy.beginPath();
+        buildPath.call(this, proxy, shape, inBundle);
+        if (m) {
+            proxy.setData(normalizePathData(proxy.data, proxy.len()));
+            transformPath(proxy, m);
+        }
+        (ctx as PathProxy).appendPath(proxy);
+    };
+}
+
+function getAnimationConfig(seriesModel: SeriesModel, dataIndex: number): CombineSeparateConfig {
+    let duration = seriesModel.get('animationDurationUpdate') as number | AnimationDurationCallback;
+    let delay = seriesModel.get('animationDelayUpdate') as number | AnimationDelayCallback;
+    if (typeof duration === 'function') {
+        duration = duration(dataIndex);
+    }
+    if (typeof delay === 'function') {
+        delay = delay(dataIndex);
+    }
+    return {
+        duration: duration || 0,
+        delay: delay || 0,
+        easing: seriesModel.get('animationEasingUpdate') as AnimationEasing
+    };
+}
+
+function copyPropsWhenDivided(srcPath: Path, tarPath: Path, willClone: boolean): void {
+    tarPath.style = willClone ? clone(srcPath.style) : srcPath.style;
+    tarPath.zlevel = srcPath.zlevel;
+    tarPath.z = srcPath.z;
+    tarPath.z2 = srcPath.z2;
+}
+
+function animateFillFrom(toPath: Path, fromFill: string, animationCfg: CombineSeparateConfig): void {
+    if (fromFill && isString(toPath.style.fill) && fromFill !== toPath.style.fill) {
+        toPath.animateFrom({
+            style: { fill: fromFill }
+        }, animationCfg);
+    }
+}
+
+function collectOldItems(records: TransitionSeriesRecord[]): OldTransitionItem[] {
+    const oldItems: OldTransitionItem[] = [];
+    each(records, function (record) {
+        const data = record.data;
+        for (let dataIndex = 0; dataIndex < data.count(); dataIndex++) {
+            const el = data.getItemGraphicEl(dataIndex);
+            const paths = getPathList(el);
+            if (!paths.length) {
+                continue;
+            }
+            const snapshots: PathSnapshot[] = [];
+            for (let i = 0; i < paths.length; i++) {
+                snapshots.push(snapshotPath(paths[i]));
+            }
+            oldItems.push({
+                seriesId: record.seriesId,
+                id: data.getId(dataIndex),
+                groupId: getGroupId(data, dataIndex, record.dataGroupId),
+                dataIndex: dataIndex,
+                el: el,
+                paths: snapshots
+            });
+        }
+    });
+    return oldItems;
+}
+
+function collectNewItems(seriesModel: SeriesModel, divideShape: DivideShape, out: NewTransitionItem[]): void {
+    const data = seriesModel.getData();
+    const dataGroupId = convertOptionIdName(seriesModel.get('dataGroupId'), null);
+    for (let dataIndex = 0; dataIndex < data.count(); dataIndex++) {
+        const el = data.getItemGraphicEl(dataIndex);
+        if (!el || el.ignore) {
+            continue;
+        }
+        out.push({
+            seriesId: seriesModel.id,
+            id: data.getId(dataIndex),
+            groupId: getGroupId(data, dataIndex, dataGroupId),
+            dataIndex: dataIndex,
+            el: el,
+            // Paths are fetched after the init animation stopped.
+            paths: null,
+            seriesModel: seriesModel,
+            divideShape: divideShape
+        });
+    }
+}
+
+/**
+ * Count of both old items and new items that can be matched.
+ */
+function countMatched(oldItems: TransitionItem[], newItems: TransitionItem[], oldKey: KeyGetter, newKey: KeyGetter) {
+    const oldKeyCount = countKeys(oldItems, oldKey);
+    const newKeyCount = countKeys(newItems, newKey);
+    let count = 0;
+    oldKeyCount.each(function (oldCount, key) {
+        const newCount = newKeyCount.get(key);
+        newCount && (count += oldCount + newCount);
+    });
+    return count;
+}
+
+function countKeys(items: TransitionItem[], getKey: KeyGetter): HashMap<number, string> {
+    const keyCount = createHashMap<number, string>();
+    each(items, function (item) {
+        const key = getKey(item);
+        key != null && keyCount.set(key, (keyCount.get(key) || 0) + 1);
+    });
+    return keyCount;
+}
+
+function getItemId(item: TransitionItem) {
+    return item.id;
+}
+function getItemIdInSeries(item: TransitionItem) {
+    return item.seriesId + '\0' + item.id;
+}
+function getItemGroupId(item: TransitionItem) {
+    return item.groupId;
+}
+function getItemDataIndex(item: TransitionItem) {
+    return item.dataIndex + '';
+}
+
+/**
+ * Choose the key getters which match the most items.
+ */
+function chooseKeyGetters(
+    oldItems: OldTransitionItem[],
+    newItems: NewTransitionItem[],
+    candidates: KeyGetter[][]
+): KeyGetter[] {
+    let result: KeyGetter[];
+    let maxCount = 0;
+    each(candidates, function (candidate) {
+        const count = countMatched(oldItems, newItems, candidate[0], candidate[1]);
+        if (count > maxCount) {
+            maxCount = count;
+            result = candidate;
+        }
+    });
+    return result;
+}
+
+function stopInitAnimation(el: Element) {
+    el.isGroup
+        ? (el as Group).traverse(child => {
+            child.stopAnimation(null, true);
+        })
+        : el.stopAnimation(null, true);
+}
+
+function getNewPaths(item: NewTransitionItem): Path[] {
+    if (!item.paths) {
+        // Init animation should be finished immediately and make transition from the old shape.
+        stopInitAnimation(item.el);
+        item.paths = getPathList(item.el);
+    }
+    return item.paths;
+}
+
+function getDividingMethod(divideShape: DivideShape): CombineSeparateConfig['dividingMethod'] {
+    return divideShape === 'clone' ? 'duplicate' : 'split';
+}
+
+function transitionOneToOne(oldItem: OldTransitionItem, newItem: NewTransitionItem, morphedOld: Element[]) {
+    if (oldItem.el === newItem.el) {
+        // Transition of the same element is performed by the series view.
+        return;
+    }
+    const newPaths = getNewPaths(newItem);
+    const oldPaths = oldItem.paths;
+    const animationCfg = getAnimationConfig(newItem.seriesModel, newItem.dataIndex);
+    if (!animationCfg.duration) {
+        return;
+    }
+    for (let i = 0; i < newPaths.length; i++) {
+        const snapshot = oldPaths[Math.min(i, oldPaths.length - 1)];
+        morphPath(createFromPath(snapshot, newPaths[i]), newPaths[i], animationCfg);
+        animateFillFrom(newPaths[i], snapshot.fill, animationCfg);
+    }
+    morphedOld.push(oldItem.el);
+}
+
+function transitionManyToOne(oldItems: OldTransitionItem[], newItem: NewTransitionItem, morphedOld: Element[]) {
+    const toPath = getNewPaths(newItem)[0];
+    const animationCfg = getAnimationConfig(newItem.seriesModel, newItem.dataIndex);
+    if (!toPath || !animationCfg.duration) {
+        return;
+    }
+    animationCfg.dividingMethod = getDividingMethod(newItem.divideShape);
+
+    const fromPaths: Path[] = [];
+    each(oldItems, function (oldItem) {
+        fromPaths.push(createFromPath(oldItem.paths[0], toPath));
+        morphedOld.push(oldItem.el);
+    });
+    combine(fromPaths, toPath, animationCfg, copyPropsWhenDivided);
+}
+
+function transitionOneToMany(oldItem: OldTransitionItem, newItems: NewTransitionItem[], morphedOld: Element[]) {
+    const snapshot = oldItem.paths[0];
+    const toPaths: Path[] = [];
+    each(newItems, function (newItem) {
+        const toPath = getNewPaths(newItem)[0];
+        toPath && toPaths.push(toPath);
+    });
+    const animationCfg = getAnimationConfig(newItems[0].seriesModel, newItems[0].dataIndex);
+    if (!toPaths.length || !animationCfg.duration) {
+        return;
+    }
+    animationCfg.dividingMethod = getDividingMethod(newItems[0].divideShape);
+
+    const fromPath = (animationCfg.dividingMethod === 'split' && snapshot.RawCtor)
+        ? new snapshot.RawCtor({ shape: snapshot.rawShape as any })
+        : new TransitionFromPath({ shape: { data: snapshot.data } });
+
+    let subIndex = 0;
+    separate(fromPath, toPaths, animationCfg, function (srcPath, subPath) {
+        transformSubPath(subPath, getFromTransform(snapshot, toPaths[subIndex++]));
+    });
+    each(toPaths, function (toPath) {
+        animateFillFrom(toPath, snapshot.fill, animationCfg);
+    });
+    morphedOld.push(oldItem.el);
+}
+
+function transitionBetween(
+    oldItems: OldTransitionItem[],
+    newItems: NewTransitionItem[],
+    candidates: KeyGetter[][],
+    morphedOld: Element[]
+): void {
+    const keyGetters = chooseKeyGetters(oldItems, newItems, candidates);
+    if (!keyGetters) {
+        return;
+    }
+    const oldKey = keyGetters[0];
+    const newKey = keyGetters[1];
+
+    new DataDiffer(
+        oldItems,
+        newItems,
+        // Items without key will never be matched.
+        (item: TransitionItem, idx) => retrieveKey(oldKey(item), '\0old\0' + idx),
+        (item: TransitionItem, idx) => retrieveKey(newKey(item), '\0new\0' + idx),
+        null,
+        'multiple'
+    )
+    .update(function (newIndex, oldIndex) {
+        transitionOneToOne(oldItems[oldIndex], newItems[newIndex], morphedOld);
+    })
+    .updateManyToOne(function (newIndex, oldIndices) {
+        const oldList: OldTransitionItem[] = [];
+        each(oldIndices, idx => oldList.push(oldItems[idx]));
+        transitionManyToOne(oldList, newItems[newIndex], morphedOld);
+    })
+    .updateOneToMany(function (newIndices, oldIndex) {
+        const newList: NewTransitionItem[] = [];
+        each(newIndices, idx => newList.push(newItems[idx]));
+        transitionOneToMany(oldItems[oldIndex], newList, morphedOld);
+    })
+    .execute();
+}
+
+function retrieveKey(key: string, defaultKey: string): string {
+    return key != null ? key : defaultKey;
+}
+
+function groupBySeriesId<T extends TransitionItem>(items: T[]): HashMap<T[], string> {
+    const map = createHashMap<T[], string>();
+    each(items, function (item) {
+        (map.get(item.seriesId) || map.set(item.seriesId, [])).push(item);
+    });
+    return map;
+}
+
+function transition(oldItems: OldTransitionItem[], newItems: NewTransitionItem[]): void {
+    const morphedOld: Element[] = [];
+    let hasGroupId = false;
+    each(oldItems, item => {
+        item.groupId != null && (hasGroupId = true);
+    });
+    each(newItems, item => {
+        item.groupId != null && (hasGroupId = true);
+    });
+
+    if (hasGroupId) {
+        // Items are matched across series.
+        transitionBetween(oldItems, newItems, [
+            [getItemIdInSeries, getItemIdInSeries],
+            [getItemGroupId, getItemId],
+            [getItemId, getItemGroupId]
+        ], morphedOld);
+    }
+    else {
+        const oldMap = groupBySeriesId(oldItems);
+        const newMap = groupBySeriesId(newItems);
+        const oldSeriesIds = oldMap.keys();
+        const newSeriesIds = newMap.keys();
+        const candidates = [
+            [getItemId, getItemId],
+            [getItemDataIndex, getItemDataIndex]
+        ];
+        if (oldSeriesIds.length === 1 && newSeriesIds.length === 1) {
+            // Like `setOption` from a bar series to a pie series without id specified.
+            transitionBetween(oldItems, newItems, candidates, morphedOld);
+        }
+        else {
+            newMap.each(function (newList, seriesId) {
+                const oldList = oldMap.get(seriesId);
+                oldList && transitionBetween(oldList, newList, candidates, morphedOld);
+            });
+        }
+    }
+
+    // The old elements that are still fading out should not be displayed
+    // along with the morphing elements.
+    const newElMap = createHashMap<boolean, number>();
+    each(newItems, item => {
+        newElMap.set(item.el.id, true);
+    });
+    each(morphedOld, el => {
+        if (!newElMap.get(el.id)) {
+            el.stopAnimation();
+            el.parent && el.parent.remove(el);
+        }
+    });
+}
+
+function beforeUpdate(ecModel: GlobalModel, api: ExtensionAPI): void {
+    const store = inner(api);
+    store.oldItems = store.records ? collectOldItems(store.records) : null;
+    store.records = null;
+}
+
+function afterUpdate(ecModel: GlobalModel, api: ExtensionAPI): void {
+    const store = inner(api);
+    const oldItems = store.oldItems;
+    const records: TransitionSeriesRecord[] = [];
+    const newItems: NewTransitionItem[] = [];
+
+    store.oldItems = null;
+
+    ecModel.eachSeries(function (seriesModel) {
+        const transitionOpt = getTransitionOption(seriesModel);
+        if (!transitionOpt) {
+            return;
+        }
+        records.push({
+            seriesId: seriesModel.id,
+            data: seriesModel.getData(),
+            dataGroupId: convertOptionIdName(seriesModel.get('dataGroupId'), null),
+            divideShape: transitionOpt.divideShape
+        });
+        if (oldItems && oldItems.length && seriesModel.isAnimationEnabled()) {
+            collectNewItems(seriesModel, transitionOpt.divideShape, newItems);
+        }
+    });
+
+    store.records = records;
+
+    if (newItems.length) {
+        transition(oldItems, newItems);
+    }
+}
+
+export function install(registers: EChartsExtensionInstallRegisters) {
+    registers.registerUpdateLifecycle('series:beforeupdate', beforeUpdate);
+    registers.registerUpdateLifecycle('series:transition', afterUpdate);
+}
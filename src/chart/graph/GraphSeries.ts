@@ -50,6 +50,7 @@ import Graph from '../../data/Graph';
 import GlobalModel from '../../model/Global';
 import { VectorArray } from 'zrender/src/core/vector';
 import { ForceLayoutInstance } from './forceLayout';
+import { ForceLayoutExecutor } from './forceExecutor';
 import { LineDataVisual } from '../../visual/commonVisualTypes';
 import { createTooltipMarkup } from '../../component/tooltip/tooltipMarkup';
 import { defaultSeriesFormatTooltip } from '../../component/tooltip/seriesFormatTooltip';
@@ -149,7 +150,10 @@ export interface GraphSeriesOption extends SeriesOption,
 
     legendHoverLink?: boolean
 
-    layout?: 'none' | 'force' | 'circular'
+    /**
+     * 'dagre' is an alias of 'layered'.
+     */
+    layout?: 'none' | 'force' | 'circular' | 'layered' | 'dagre'
 
     data?: (GraphNodeItemOption | GraphDataValue)[]
     nodes?: (GraphNodeItemOption | GraphDataValue)[]
@@ -218,6 +222,45 @@ export interface GraphSeriesOption extends SeriesOption,
         edgeLength?: number | number[]
 
         layoutAnimation?: boolean
+
+        /**
+         * Run the simulation out of the rendering loop, for example in a web worker.
+         * See `createWorkerForceExecutor`.
+         */
+        executor?: ForceLayoutExecutor
+    }
+
+    // Configuration of layered layout for directed graphs
+    layered?: {
+        /**
+         * Direction of ranks, from top to bottom by default.
+         */
+        rankdir?: 'TB' | 'BT' | 'LR' | 'RL'
+        /**
+         * Gap between nodes of the same rank.
+         */
+        nodeSep?: number
+        /**
+         * Gap between ranks.
+         */
+        rankSep?: number
+        edgeRouting?: 'orthogonal' | 'spline'
+    }
+
+    /**
+     * Force-directed edge bundling. Only works in the circular layout
+     * and the layout with fixed positions.
+     */
+    edgeBundling?: {
+        enabled?: boolean
+        /**
+         * Iterations of the first bundling cycle.
+         */
+        iterations?: number
+        /**
+         * Spring constant that keeps the edges straight.
+         */
+        stiffness?: number
     }
 }
 
@@ -438,6 +481,20 @@ class GraphSeriesModel extends SeriesModel<GraphSeriesOption> {
             layoutAnimation: true
         },
 
+        // Configuration of layered layout
+        layered: {
+            rankdir: 'TB',
+            nodeSep: 20,
+            rankSep: 50,
+            edgeRouting: 'spline'
+        },
+
+        edgeBundling: {
+            enabled: false,
+            iterations: 90,
+            stiffness: 0.1
+        },
+
         left: 'center',
         top: 'center',
         // right: null,
@@ -20,12 +20,14 @@
 import * as zrUtil from 'zrender/src/core/util';
 import SymbolDraw from '../helper/SymbolDraw';
 import LineDraw from '../helper/LineDraw';
+import RoutedLine from '../helper/RoutedLine';
 import RoamController, { RoamControllerHost } from '../../component/helper/RoamController';
 import * as roamHelper from '../../component/helper/roamHelper';
 import {onIrrelevantElement} from '../../component/helper/cursorHelper';
 import * as graphic from '../../util/graphic';
 import adjustEdge from './adjustEdge';
-import {getNodeGlobalScale} from './graphHelper';
+import {disposeForceLayout} from './forceLayout';
+import {getNodeGlobalScale, isPolylineEdge} from './graphHelper';
 import ChartView from '../../view/Chart';
 import GlobalModel from '../../model/Global';
 import ExtensionAPI from '../../core/ExtensionAPI';
@@ -49,6 +51,8 @@ class GraphView extends ChartView {
     private _symbolDraw: SymbolDraw;
     private _lineDraw: LineDraw;
 
+    private _polylineEdge: boolean;
+
     private _controller: RoamController;
     private _controllerHost: RoamControllerHost;
 
@@ -62,7 +66,6 @@ class GraphView extends ChartView {
 
     init(ecModel: GlobalModel, api: ExtensionAPI) {
         const symbolDraw = new SymbolDraw();
-        const lineDraw = new LineDraw();
         const group = this.group;
 
         this._controller = new RoamController(api.getZr());
@@ -71,10 +74,8 @@ class GraphView extends ChartView {
         } as RoamControllerHost;
 
         group.add(symbolDraw.group);
-        group.add(lineDraw.group);
 
         this._symbolDraw = symbolDraw;
-        this._lineDraw = lineDraw;
 
         this._firstRender = true;
     }
@@ -82,10 +83,14 @@ class GraphView extends ChartView {
     render(seriesModel: GraphSeriesModel, ecModel: GlobalModel, api: ExtensionAPI) {
         const coordSys = seriesModel.coordinateSystem;
 
+        // The view is reused when the series model is replaced, e.g. by `notMerge`.
+        if (this._model && this._model !== seriesModel) {
+            disposeForceLayout(this._model);
+        }
         this._model = seriesModel;
 
         const symbolDraw = this._symbolDraw;
-        const lineDraw = this._lineDraw;
+        const lineDraw = this._updateLineDraw(seriesModel);
 
         const group = this.group;
 
@@ -101,8 +106,7 @@ class GraphView extends ChartView {
                 graphic.updateProps(group, groupNewProp, seriesModel);
             }
         }
-        // Fix edge contact point with node
-        adjustEdge(seriesModel.getGraph(), getNodeGlobalScale(seriesModel));
+        this._adjustEdge(seriesModel);
 
         const data = seriesModel.getData();
         symbolDraw.updateData(data);
@@ -207,6 +211,8 @@ class GraphView extends ChartView {
     }
 
     dispose() {
+        // Stop the simulation running in the executor.
+        this._model && disposeForceLayout(this._model);
         this._controller && this._controller.dispose();
         this._controllerHost = null;
     }
@@ -274,7 +280,7 @@ class GraphView extends ChartView {
                     originY: e.originY
                 });
                 this._updateNodeAndLinkScale();
-                adjustEdge(seriesModel.getGraph(), getNodeGlobalScale(seriesModel));
+                this._adjustEdge(seriesModel);
                 this._lineDraw.updateLayout();
                 // Only update label layout on zoom
                 api.updateLabelLayout();
@@ -292,14 +298,41 @@ class GraphView extends ChartView {
         });
     }
 
+    /**
+     * Bundled or routed edges are drawn as polylines, which need a different kind of line element.
+     */
+    _updateLineDraw(seriesModel: GraphSeriesModel) {
+        let lineDraw = this._lineDraw;
+        const polylineEdge = isPolylineEdge(seriesModel);
+        if (!lineDraw || polylineEdge !== this._polylineEdge) {
+            if (lineDraw) {
+                lineDraw.remove();
+                this.group.remove(lineDraw.group);
+            }
+            lineDraw = this._lineDraw = new LineDraw(polylineEdge ? RoutedLine : null);
+            this._polylineEdge = polylineEdge;
+            this.group.add(lineDraw.group);
+        }
+        return lineDraw;
+    }
+
+    _adjustEdge(seriesModel: GraphSeriesModel) {
+        // Fix edge contact point with node.
+        // Polyline edges are either bundled or already routed to the node borders.
+        if (!this._polylineEdge) {
+            adjustEdge(seriesModel.getGraph(), getNodeGlobalScale(seriesModel));
+        }
+    }
+
     updateLayout(seriesModel: GraphSeriesModel) {
-        adjustEdge(seriesModel.getGraph(), getNodeGlobalScale(seriesModel));
+        this._adjustEdge(seriesModel);
 
         this._symbolDraw.updateLayout();
         this._lineDraw.updateLayout();
     }
 
     remove(ecModel: GlobalModel, api: ExtensionAPI) {
+        this._model && disposeForceLayout(this._model);
         this._symbolDraw && this._symbolDraw.remove();
         this._lineDraw && this._lineDraw.remove();
     }
@@ -0,0 +1,53 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import {forceDirectedEdgeBundling, BundlingInputEdge} from './edgeBundlingHelper';
+import {isEdgeBundled} from './graphHelper';
+import GlobalModel from '../../model/Global';
+import GraphSeriesModel from './GraphSeries';
+
+/**
+ * Bundle edges after the nodes are laid out by the circular or simple layout.
+ * Edge layout is replaced by the points of polyline.
+ */
+export default function graphEdgeBundling(ecModel: GlobalModel) {
+    ecModel.eachSeriesByType('graph', function (seriesModel: GraphSeriesModel) {
+        if (!isEdgeBundled(seriesModel)) {
+            return;
+        }
+        const graph = seriesModel.getGraph();
+        const inputEdges: BundlingInputEdge[] = [];
+        graph.eachEdge(function (edge) {
+            inputEdges.push({
+                p1: edge.node1.getLayout(),
+                p2: edge.node2.getLayout()
+            });
+        });
+
+        const polylines = forceDirectedEdgeBundling(inputEdges, {
+            iterations: seriesModel.get(['edgeBundling', 'iterations']),
+            stiffness: seriesModel.get(['edgeBundling', 'stiffness'])
+        });
+
+        let i = 0;
+        graph.eachEdge(function (edge) {
+            edge.setLayout(polylines[i++]);
+        });
+    });
+}
@@ -0,0 +1,263 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+/**
+ * Force-directed edge bundling.
+ * See "Force-Directed Edge Bundling for Graph Visualization",
+ * Danny Holten and Jarke J. van Wijk, 2009.
+ */
+
+import * as vec2 from 'zrender/src/core/vector';
+
+type Point = vec2.VectorArray;
+
+export interface BundlingInputEdge {
+    p1: Point
+    p2: Point
+}
+
+interface BundlingEdge extends BundlingInputEdge {
+    len: number
+    /**
+     * Subdivision points, not including the end points.
+     */
+    points: Point[]
+    compatibles: {
+        edge: BundlingEdge
+        /**
+         * If the compatible edge goes the opposite direction,
+         * its subdivision points are matched in reverse order.
+         */
+        reversed: boolean
+    }[]
+}
+
+export interface BundlingOption {
+    /**
+     * Iterations of the first cycle. Each later cycle doubles the
+     * subdivision points and runs 2/3 of the iterations of the previous one.
+     */
+    iterations: number
+    /**
+     * Spring constant that keeps the edges straight.
+     */
+    stiffness: number
+}
+
+const CYCLES = 6;
+const ITERATIONS_RATE = 2 / 3;
+const COMPATIBILITY_THRESHOLD = 0.6;
+const EPSILON = 1e-6;
+
+const v1: number[] = [];
+const v2: number[] = [];
+
+/**
+ * Returns the polyline of each edge, including the end points.
+ * Degenerated edges are kept straight.
+ */
+export function forceDirectedEdgeBundling(
+    inputEdges: BundlingInputEdge[],
+    opt: BundlingOption
+): Point[][] {
+    const allEdges: BundlingEdge[] = [];
+    const edges: BundlingEdge[] = [];
+    let totalLen = 0;
+    for (let i = 0; i < inputEdges.length; i++) {
+        const input = inputEdges[i];
+        const len = vec2.dist(input.p1, input.p2);
+        const edge: BundlingEdge = {
+            p1: input.p1,
+            p2: input.p2,
+            len: len,
+            points: [],
+            compatibles: []
+        };
+        // Self loop or edges with invalid end points are not bundled.
+        if (len > EPSILON) {
+            edges.push(edge);
+            totalLen += len;
+        }
+        allEdges.push(edge);
+    }
+
+    if (edges.length > 1) {
+        computeCompatibles(edges);
+
+        // Step size is 0.1 for the edge of 100 in average,
+        // which is the default of the reference implementation.
+        let step = totalLen / edges.length * 1e-3;
+        let iterations = opt.iterations;
+        let subdivisions = 1;
+        for (let cycle = 0; cycle < CYCLES; cycle++) {
+            for (let i = 0; i < edges.length; i++) {
+                subdivide(edges[i], subdivisions);
+            }
+            for (let k = 0; k < iterations; k++) {
+                iterate(edges, opt.stiffness, step);
+            }
+            step /= 2;
+            subdivisions *= 2;
+            iterations = Math.max(Math.round(iterations * ITERATIONS_RATE), 1);
+        }
+    }
+
+    const result: Point[][] = [];
+    for (let i = 0; i < allEdges.length; i++) {
+        const edge = allEdges[i];
+        result.push([vec2.clone(edge.p1)].concat(edge.points, [vec2.clone(edge.p2)]));
+    }
+    return result;
+}
+
+function computeCompatibles(edges: BundlingEdge[]) {
+    for (let i = 0; i < edges.length; i++) {
+        const edgeP = edges[i];
+        for (let j = i + 1; j < edges.length; j++) {
+            const edgeQ = edges[j];
+            if (getCompatibility(edgeP, edgeQ) >= COMPATIBILITY_THRESHOLD) {
+                vec2.sub(v1, edgeP.p2, edgeP.p1);
+                vec2.sub(v2, edgeQ.p2, edgeQ.p1);
+                const reversed = vec2.dot(v1, v2) < 0;
+                edgeP.compatibles.push({edge: edgeQ, reversed: reversed});
+                edgeQ.compatibles.push({edge: edgeP, reversed: reversed});
+            }
+        }
+    }
+}
+
+function getCompatibility(edgeP: BundlingEdge, edgeQ: BundlingEdge) {
+    const lenP = edgeP.len;
+    const lenQ = edgeQ.len;
+    const lenAvg = (lenP + lenQ) / 2;
+
+    vec2.sub(v1, edgeP.p2, edgeP.p1);
+    vec2.sub(v2, edgeQ.p2, edgeQ.p1);
+    const angle = Math.abs(vec2.dot(v1, v2) / (lenP * lenQ));
+    const scale = 2 / (lenAvg / Math.min(lenP, lenQ) + Math.max(lenP, lenQ) / lenAvg);
+
+    vec2.lerp(v1, edgeP.p1, edgeP.p2, 0.5);
+    vec2.lerp(v2, edgeQ.p1, edgeQ.p2, 0.5);
+    const position = lenAvg / (lenAvg + vec2.dist(v1, v2));
+
+    const visibility = Math.min(getVisibility(edgeP, edgeQ), getVisibility(edgeQ, edgeP));
+
+    return angle * scale * position * visibility;
+}
+
+/**
+ * How much of `edgeP` is visible from `edgeQ`, by projecting
+ * `edgeQ` on the line of `edgeP`.
+ */
+function getVisibility(edgeP: BundlingEdge, edgeQ: BundlingEdge) {
+    const i1 = projectPointOnLine(edgeQ.p1, edgeP.p1, edgeP.p2);
+    const i2 = projectPointOnLine(edgeQ.p2, edgeP.p1, edgeP.p2);
+    const len = vec2.dist(i1, i2);
+    if (len < EPSILON) {
+        return 0;
+    }
+    const midI = vec2.lerp([], i1, i2, 0.5);
+    const midP = vec2.lerp([], edgeP.p1, edgeP.p2, 0.5);
+    return Math.max(0, 1 - 2 * vec2.dist(midP, midI) / len);
+}
+
+function projectPointOnLine(p: Point, q1: Point, q2: Point) {
+    const dx = q2[0] - q1[0];
+    const dy = q2[1] - q1[1];
+    const t = ((p[0] - q1[0]) * dx + (p[1] - q1[1]) * dy) / (dx * dx + dy * dy);
+    return [q1[0] + dx * t, q1[1] + dy * t];
+}
+
+/**
+ * Place `count` points evenly along the current polyline of the edge.
+ */
+function subdivide(edge: BundlingEdge, count: number) {
+    const polyline = [edge.p1].concat(edge.points, [edge.p2]);
+    let polylineLen = 0;
+    for (let i = 1; i < polyline.length; i++) {
+        polylineLen += vec2.dist(polyline[i - 1], polyline[i]);
+    }
+
+    const segmentLen = polylineLen / (count + 1);
+    const points: Point[] = [];
+    let remaining = segmentLen;
+    for (let i = 1; i < polyline.length && points.length < count; i++) {
+        const start = polyline[i - 1];
+        const end = polyline[i];
+        const len = vec2.dist(start, end);
+        let offset = 0;
+        while (len - offset >= remaining && points.length < count) {
+            offset += remaining;
+            points.push(vec2.lerp([], start, end, len > 0 ? offset / len : 0));
+            remaining = segmentLen;
+        }
+        remaining -= len - offset;
+    }
+    // Floating errors may leave the last point unplaced.
+    while (points.length < count) {
+        points.push(vec2.clone(edge.p2));
+    }
+    edge.points = points;
+}
+
+function iterate(edges: BundlingEdge[], stiffness: number, step: number) {
+    const forces: Point[][] = [];
+
+    for (let i = 0; i < edges.length; i++) {
+        const edge = edges[i];
+        const points = edge.points;
+        const count = points.length;
+        const kP = stiffness / (edge.len * (count + 1));
+        const edgeForces: Point[] = [];
+
+        for (let j = 0; j < count; j++) {
+            const p = points[j];
+            const prev = j === 0 ? edge.p1 : points[j - 1];
+            const next = j === count - 1 ? edge.p2 : points[j + 1];
+
+            // Spring force between the neighbour subdivision points.
+            let fx = kP * (prev[0] - p[0] + next[0] - p[0]);
+            let fy = kP * (prev[1] - p[1] + next[1] - p[1]);
+
+            // Electrostatic force from the compatible edges.
+            const compatibles = edge.compatibles;
+            for (let k = 0; k < compatibles.length; k++) {
+                const compatible = compatibles[k];
+                const q = compatible.edge.points[compatible.reversed ? count - 1 - j : j];
+                const dx = q[0] - p[0];
+                const dy = q[1] - p[1];
+                const dist = Math.sqrt(dx * dx + dy * dy);
+                if (dist > EPSILON) {
+                    fx += dx / dist;
+                    fy += dy / dist;
+                }
+            }
+
+            edgeForces.push([fx * step, fy * step]);
+        }
+        forces.push(edgeForces);
+    }
+
+    for (let i = 0; i < edges.length; i++) {
+        const points = edges[i].points;
+        for (let j = 0; j < points.length; j++) {
+            vec2.add(points[j], points[j], forces[i][j]);
+        }
+    }
+}
@@ -0,0 +1,321 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+/**
+ * Executors run the force simulation of graph series out of the rendering loop
+ * and stream the node positions back on each tick.
+ *
+ * To run in a web worker:
+ * ```js
+ * // forceWorker.js
+ * import { installForceWorker } from 'echarts/lib/chart/graph/forceExecutor';
+ * installForceWorker(self);
+ *
+ * // main thread
+ * import { createWorkerForceExecutor } from 'echarts/lib/chart/graph/forceExecutor';
+ * chart.setOption({
+ *     series: {
+ *         type: 'graph',
+ *         layout: 'force',
+ *         force: {
+ *             executor: createWorkerForceExecutor(() => new Worker('forceWorker.js'))
+ *         }
+ *     }
+ * });
+ * ```
+ */
+
+import {forceLayout} from './forceHelper';
+import {map} from 'zrender/src/core/util';
+import {RectLike} from 'zrender/src/core/BoundingRect';
+
+/**
+ * Input of simulation, which can be posted to a worker.
+ */
+export interface ForceSimulationInput {
+    nodes: {
+        p: number[]
+        /**
+         * Weight
+         */
+        w: number
+        /**
+         * Repulsion
+         */
+        rep: number
+        fixed: boolean
+    }[]
+    edges: {
+        /**
+         * Index of nodes
+         */
+        n1: number
+        n2: number
+        /**
+         * Distance
+         */
+        d: number
+        ignoreForceLayout: boolean
+    }[]
+    rect: RectLike
+    gravity: number
+    friction: number
+}
+
+/**
+ * `positions` are the flattened x and y of all nodes.
+ */
+export type ForceTickCallback = (positions: Float64Array, finished: boolean) => void;
+
+export interface ForceLayoutExecution {
+    /**
+     * Fix the node at the given position. Called repeatedly while dragging.
+     */
+    setFixed(idx: number, p: number[]): void
+    setUnfixed(idx: number): void
+    /**
+     * Heat up the simulation. Ticks are resumed if finished.
+     */
+    warmUp(): void
+    stop(): void
+}
+
+export interface ForceLayoutExecutor {
+    start(input: ForceSimulationInput, onTick: ForceTickCallback): ForceLayoutExecution
+}
+
+type ForceWorkerMessage = {
+    type: 'forceStart'
+    input: ForceSimulationInput
+} | {
+    type: 'forceFix'
+    index: number
+    p: number[]
+} | {
+    type: 'forceUnfix'
+    index: number
+} | {
+    type: 'forceWarmUp'
+} | {
+    type: 'forceStop'
+} | {
+    type: 'forceTick'
+    positions: Float64Array
+    finished: boolean
+};
+
+/**
+ * Both `Worker` and the global scope of worker.
+ */
+export interface ForceWorkerLike {
+    postMessage(message: ForceWorkerMessage, transfer?: Transferable[]): void
+    addEventListener(type: 'message', listener: (e: {data: ForceWorkerMessage}) => void): void
+    /**
+     * Only in the main thread, where the script of worker fails to load or throws.
+     */
+    addEventListener(type: 'error', listener: (e: unknown) => void): void
+    terminate?(): void
+}
+
+/**
+ * Run the simulation in the current thread, one step per task.
+ * It's the fallback where workers are not available, and the simulation inside workers.
+ */
+export function createSyncForceExecutor(): ForceLayoutExecutor {
+    return {
+        start: function (input, onTick) {
+            const nodes = map(input.nodes, function (node) {
+                return {
+                    p: node.p.slice(),
+                    w: node.w,
+                    rep: node.rep,
+                    fixed: node.fixed
+                };
+            });
+            const edges = map(input.edges, function (edge) {
+                return {
+                    n1: nodes[edge.n1],
+                    n2: nodes[edge.n2],
+                    d: edge.d,
+                    ignoreForceLayout: edge.ignoreForceLayout
+                };
+            });
+            const simulation = forceLayout(nodes, edges, {
+                rect: input.rect,
+                gravity: input.gravity,
+                friction: input.friction
+            });
+
+            let timer: ReturnType<typeof setTimeout>;
+            let stopped = false;
+
+            function tick() {
+                timer = null;
+                simulation.step(function (finished) {
+                    const positions = new Float64Array(nodes.length * 2);
+                    for (let i = 0; i < nodes.length; i++) {
+                        positions[i * 2] = nodes[i].p[0];
+                        positions[i * 2 + 1] = nodes[i].p[1];
+                    }
+                    onTick(positions, finished);
+                    // Stopped in the callback.
+                    if (!finished && !stopped) {
+                        timer = setTimeout(tick, 0);
+                    }
+                });
+            }
+            timer = setTimeout(tick, 0);
+
+            return {
+                setFixed: function (idx, p) {
+                    nodes[idx].fixed = true;
+                    nodes[idx].p[0] = p[0];
+                    nodes[idx].p[1] = p[1];
+                },
+                setUnfixed: function (idx) {
+                    nodes[idx].fixed = false;
+                },
+                warmUp: function () {
+                    simulation.warmUp();
+                    if (!timer && !stopped) {
+                        timer = setTimeout(tick, 0);
+                    }
+                },
+                stop: function () {
+                    stopped = true;
+                    clearTimeout(timer);
+                    timer = null;
+                }
+            };
+        }
+    };
+}
+
+/**
+ * Run the simulation in the worker created by `createWorker` on each start.
+ * The worker should call `installForceWorker`.
+ * Falls back to `createSyncForceExecutor` if the worker can't be created or reports an error.
+ */
+export function createWorkerForceExecutor(createWorker: () => ForceWorkerLike): ForceLayoutExecutor {
+    return {
+        start: function (input, onTick) {
+            let worker: ForceWorkerLike;
+            try {
+                worker = createWorker();
+            }
+            catch (e) {
+                if (__DEV__) {
+                    console.warn('Force layout runs in the main thread because worker is not available.', e);
+                }
+            }
+            if (!worker) {
+                return createSyncForceExecutor().start(input, onTick);
+            }
+
+            let stopped = false;
+            // Restarted in the main thread if the worker fails.
+            let syncExecution: ForceLayoutExecution;
+            worker.addEventListener('message', function (e) {
+                const message = e.data;
+                if (!stopped && !syncExecution && message && message.type === 'forceTick') {
+                    onTick(message.positions, message.finished);
+                }
+            });
+            worker.addEventListener('error', function (e) {
+                if (stopped || syncExecution) {
+                    return;
+                }
+                if (__DEV__) {
+                    console.warn('Force layout runs in the main thread because worker fails.', e);
+                }
+                worker.terminate && worker.terminate();
+                syncExecution = createSyncForceExecutor().start(input, onTick);
+            });
+            worker.postMessage({type: 'forceStart', input: input});
+
+            return {
+                setFixed: function (idx, p) {
+                    syncExecution
+                        ? syncExecution.setFixed(idx, p)
+                        : worker.postMessage({type: 'forceFix', index: idx, p: [p[0], p[1]]});
+                },
+                setUnfixed: function (idx) {
+                    syncExecution
+                        ? syncExecution.setUnfixed(idx)
+                        : worker.postMessage({type: 'forceUnfix', index: idx});
+                },
+                warmUp: function () {
+                    syncExecution
+                        ? syncExecution.warmUp()
+                        : worker.postMessage({type: 'forceWarmUp'});
+                },
+                stop: function () {
+                    stopped = true;
+                    if (syncExecution) {
+                        syncExecution.stop();
+                    }
+                    else {
+                        worker.postMessage({type: 'forceStop'});
+                        worker.terminate && worker.terminate();
+                    }
+                }
+            };
+        }
+    };
+}
+
+/**
+ * Handle the messages of `createWorkerForceExecutor` in the worker.
+ */
+export function installForceWorker(scope: ForceWorkerLike) {
+    let execution: ForceLayoutExecution;
+    scope.addEventListener('message', function (e) {
+        const message = e.data;
+        if (!message) {
+            return;
+        }
+        if (message.type === 'forceStart') {
+            execution && execution.stop();
+            execution = createSyncForceExecutor().start(message.input, function (positions, finished) {
+                scope.postMessage({
+                    type: 'forceTick',
+                    positions: positions,
+                    finished: finished
+                }, [positions.buffer]);
+            });
+        }
+        else if (execution) {
+            switch (message.type) {
+                case 'forceFix':
+                    execution.setFixed(message.index, message.p);
+                    break;
+                case 'forceUnfix':
+                    execution.setUnfixed(message.index);
+                    break;
+                case 'forceWarmUp':
+                    execution.warmUp();
+                    break;
+                case 'forceStop':
+                    execution.stop();
+                    execution = null;
+                    break;
+            }
+        }
+    });
+}
@@ -26,12 +26,87 @@ import * as zrUtil from 'zrender/src/core/util';
 import GlobalModel from '../../model/Global';
 import GraphSeriesModel, { GraphNodeItemOption, GraphEdgeItemOption } from './GraphSeries';
 import {getCurvenessForEdge} from '../helper/multipleGraphEdgeHelper';
+import {ForceLayoutExecutor, ForceSimulationInput} from './forceExecutor';
 
 export interface ForceLayoutInstance {
     step(cb: (stopped: boolean) => void): void
     warmUp(): void
     setFixed(idx: number): void
     setUnfixed(idx: number): void
+    dispose?(): void
+}
+
+export function disposeForceLayout(graphSeries: GraphSeriesModel) {
+    const forceInstance = graphSeries.forceLayout;
+    forceInstance && forceInstance.dispose && forceInstance.dispose();
+}
+
+/**
+ * Simulation runs in the executor, and `step` waits for the next tick.
+ */
+function createExecutorForceLayout(
+    executor: ForceLayoutExecutor,
+    nodes: {p: number[], fixed?: boolean}[],
+    input: ForceSimulationInput,
+    getFixedPoint: (idx: number) => number[],
+    onTick: () => void
+): ForceLayoutInstance {
+    const fixedIndices: number[] = [];
+    let stepCallback: (stopped: boolean) => void;
+    let hasPendingTick = false;
+    let finished = false;
+    let disposed = false;
+
+    const execution = executor.start(input, function (positions, tickFinished) {
+        if (disposed) {
+            return;
+        }
+        for (let i = 0; i < nodes.length; i++) {
+            if (!nodes[i].fixed) {
+                // New array, which may be kept in preservedPoints.
+                nodes[i].p = [positions[i * 2], positions[i * 2 + 1]];
+            }
+        }
+        onTick();
+        finished = tickFinished;
+        const cb = stepCallback;
+        stepCallback = null;
+        hasPendingTick = !cb;
+        cb && cb(finished);
+    });
+
+    return {
+        step: function (cb) {
+            // Write back the dragged position.
+            for (let i = 0; i < fixedIndices.length; i++) {
+                execution.setFixed(fixedIndices[i], getFixedPoint(fixedIndices[i]));
+            }
+            if (hasPendingTick) {
+                hasPendingTick = false;
+                cb && cb(finished);
+            }
+            else {
+                stepCallback = cb;
+            }
+        },
+        warmUp: function () {
+            execution.warmUp();
+        },
+        setFixed: function (idx) {
+            nodes[idx].fixed = true;
+            zrUtil.indexOf(fixedIndices, idx) < 0 && fixedIndices.push(idx);
+        },
+        setUnfixed: function (idx) {
+            nodes[idx].fixed = false;
+            const index = zrUtil.indexOf(fixedIndices, idx);
+            index >= 0 && fixedIndices.splice(index, 1);
+            execution.setUnfixed(idx);
+        },
+        dispose: function () {
+            disposed = true;
+            execution.stop();
+        }
+    };
 }
 
 
@@ -110,23 +185,8 @@ export default function graphForceLayout(ecModel: GlobalModel) {
 
             // let coordSys = graphSeries.coordinateSystem;
             const rect = coordSys.getBoundingRect();
-            const forceInstance = forceLayout(nodes, edges, {
-                rect: rect,
-                gravity: forceModel.get('gravity'),
-                friction: forceModel.get('friction')
-            });
-            forceInstance.beforeStep(function (nodes, edges) {
-                for (let i = 0, l = nodes.length; i < l; i++) {
-                    if (nodes[i].fixed) {
-                        // Write back to layout instance
-                        vec2.copy(
-                            nodes[i].p,
-                            graph.getNodeByIndex(i).getLayout() as number[]
-                        );
-                    }
-                }
-            });
-            forceInstance.afterStep(function (nodes, edges, stopped) {
+
+            const updateLayout = function () {
                 for (let i = 0, l = nodes.length; i < l; i++) {
                     if (!nodes[i].fixed) {
                         graph.getNodeByIndex(i).setLayout(nodes[i].p);
@@ -152,15 +212,69 @@ export default function graphForceLayout(ecModel: GlobalModel) {
                     }
                     edge.setLayout(points);
                 }
-            });
+            };
+
+            const executor = forceModel.get('executor');
+            let forceInstance: ForceLayoutInstance;
+            if (executor) {
+                for (let i = 0; i < nodes.length; i++) {
+                    // Same as the initial position in forceHelper.
+                    nodes[i].p = nodes[i].p || [
+                        rect.width * (Math.random() - 0.5) + rect.x + rect.width / 2,
+                        rect.height * (Math.random() - 0.5) + rect.y + rect.height / 2
+                    ];
+                }
+                forceInstance = createExecutorForceLayout(executor, nodes, {
+                    nodes: zrUtil.map(nodes, function (node) {
+                        return {p: node.p, w: node.w, rep: node.rep, fixed: !!node.fixed};
+                    }),
+                    edges: zrUtil.map(edges, function (edge, idx) {
+                        const graphEdge = graph.getEdgeByIndex(idx);
+                        return {
+                            n1: graphEdge.node1.dataIndex,
+                            n2: graphEdge.node2.dataIndex,
+                            d: edge.d,
+                            ignoreForceLayout: !!edge.ignoreForceLayout
+                        };
+                    }),
+                    rect: {x: rect.x, y: rect.y, width: rect.width, height: rect.height},
+                    gravity: forceModel.get('gravity'),
+                    friction: forceModel.get('friction')
+                }, function (idx) {
+                    return graph.getNodeByIndex(idx).getLayout();
+                }, updateLayout);
+                // Layout with the initial positions until the first tick.
+                updateLayout();
+            }
+            else {
+                const simulation = forceLayout(nodes, edges, {
+                    rect: rect,
+                    gravity: forceModel.get('gravity'),
+                    friction: forceModel.get('friction')
+                });
+                simulation.beforeStep(function (nodes, edges) {
+                    for (let i = 0, l = nodes.length; i < l; i++) {
+                        if (nodes[i].fixed) {
+                            // Write back to layout instance
+                            vec2.copy(
+                                nodes[i].p,
+                                graph.getNodeByIndex(i).getLayout() as number[]
+                            );
+                        }
+                    }
+                });
+                simulation.afterStep(updateLayout);
+                forceInstance = simulation;
+                // Step to get the layout
+                simulation.step();
+            }
+            disposeForceLayout(graphSeries);
             graphSeries.forceLayout = forceInstance;
             graphSeries.preservedPoints = preservedPoints;
-
-            // Step to get the layout
-            forceInstance.step();
         }
         else {
             // Remove prev injected forceLayout instance
+            disposeForceLayout(graphSeries);
             graphSeries.forceLayout = null;
         }
     });
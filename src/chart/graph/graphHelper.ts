@@ -45,3 +45,24 @@ export function getSymbolSize(node: GraphNode) {
     return +symbolSize;
 }
 
+
+export function isLayeredLayout(seriesModel: GraphSeriesModel) {
+    const layout = seriesModel.get('layout');
+    return layout === 'layered' || layout === 'dagre';
+}
+
+/**
+ * Edges are bundled only in the circular layout and the layout with fixed positions.
+ */
+export function isEdgeBundled(seriesModel: GraphSeriesModel) {
+    const layout = seriesModel.get('layout');
+    return !!seriesModel.get(['edgeBundling', 'enabled'])
+        && (!layout || layout === 'none' || layout === 'circular');
+}
+
+/**
+ * Whether edge layout is the points of polyline rather than a line or a curve.
+ */
+export function isPolylineEdge(seriesModel: GraphSeriesModel) {
+    return isEdgeBundled(seriesModel) || isLayeredLayout(seriesModel);
+}
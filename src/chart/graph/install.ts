@@ -25,11 +25,14 @@ import edgeVisual from './edgeVisual';
 import simpleLayout from './simpleLayout';
 import circularLayout from './circularLayout';
 import forceLayout from './forceLayout';
+import layeredLayout from './layeredLayout';
+import edgeBundling from './edgeBundling';
 import createView from './createView';
 import View from '../../coord/View';
 import GraphView from './GraphView';
 import GraphSeriesModel from './GraphSeries';
 import { RoamPaylod, updateCenterAndZoom } from '../../action/roamHelper';
+import { recordInteraction } from '../../core/interactionHistory';
 import GlobalModel from '../../model/Global';
 
 const actionInfo = {
@@ -50,7 +53,10 @@ export function install(registers: EChartsExtensionInstallRegisters) {
 
     registers.registerLayout(simpleLayout);
     registers.registerLayout(registers.PRIORITY.VISUAL.POST_CHART_LAYOUT, circularLayout);
+    registers.registerLayout(registers.PRIORITY.VISUAL.POST_CHART_LAYOUT, layeredLayout);
     registers.registerLayout(forceLayout);
+    // After the circular layout which is in the visual stage.
+    registers.registerLayout(registers.PRIORITY.VISUAL.POST_CHART_LAYOUT, edgeBundling);
 
     registers.registerCoordinateSystem('graphView', {
         dimensions: View.dimensions,
@@ -72,6 +78,7 @@ export function install(registers: EChartsExtensionInstallRegisters) {
 
     // Register roam action.
     registers.registerAction(actionInfo, function (payload: RoamPaylod, ecModel: GlobalModel) {
+        recordInteraction(ecModel, 'roam');
         ecModel.eachComponent({
             mainType: 'series', query: payload
         }, function (seriesModel: GraphSeriesModel) {
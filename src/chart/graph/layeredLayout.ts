@@ -0,0 +1,114 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import {layeredLayout, LayeredInputNode, LayeredInputEdge} from './layeredLayoutHelper';
+import {getNodeGlobalScale, isLayeredLayout} from './graphHelper';
+import GlobalModel from '../../model/Global';
+import GraphSeriesModel from './GraphSeries';
+import { GraphNode } from '../../data/Graph';
+import { isArray } from 'zrender/src/core/util';
+import * as vec2 from 'zrender/src/core/vector';
+
+function getNodeSize(node: GraphNode, nodeScale: number) {
+    const symbolSize = node.getVisual('symbolSize');
+    const size = isArray(symbolSize) ? symbolSize : [symbolSize, symbolSize];
+    return [(+size[0] || 0) * nodeScale, (+size[1] || 0) * nodeScale];
+}
+
+/**
+ * Layered layout needs the symbol size, so it is in the visual stage like the circular layout.
+ */
+export default function graphLayeredLayout(ecModel: GlobalModel) {
+    ecModel.eachSeriesByType('graph', function (seriesModel: GraphSeriesModel) {
+        const coordSys = seriesModel.coordinateSystem;
+        if (!isLayeredLayout(seriesModel) || (coordSys && coordSys.type !== 'view')) {
+            return;
+        }
+
+        const layeredModel = seriesModel.getModel('layered');
+        const rankdir = layeredModel.get('rankdir');
+        // Compute in top-to-bottom direction then transform.
+        const isHorizontal = rankdir === 'LR' || rankdir === 'RL';
+        const isInverse = rankdir === 'BT' || rankdir === 'RL';
+        const nodeScale = getNodeGlobalScale(seriesModel);
+
+        const graph = seriesModel.getGraph();
+        const nodes: GraphNode[] = [];
+        const inputNodes: LayeredInputNode[] = [];
+        const inputEdges: LayeredInputEdge[] = [];
+        const inputIndices: number[] = [];
+        graph.eachNode(function (node) {
+            const size = getNodeSize(node, nodeScale);
+            inputIndices[node.dataIndex] = nodes.length;
+            nodes.push(node);
+            inputNodes.push({
+                width: size[isHorizontal ? 1 : 0],
+                height: size[isHorizontal ? 0 : 1]
+            });
+        });
+        graph.eachEdge(function (edge) {
+            inputEdges.push({
+                source: inputIndices[edge.node1.dataIndex],
+                target: inputIndices[edge.node2.dataIndex]
+            });
+        });
+
+        const result = layeredLayout(inputNodes, inputEdges, {
+            nodeSep: layeredModel.get('nodeSep'),
+            rankSep: layeredModel.get('rankSep'),
+            edgeRouting: layeredModel.get('edgeRouting')
+        });
+
+        // Shrink to fit the view like the tree layout, and center in the view.
+        const rect = coordSys.getBoundingRect();
+        const width = isHorizontal ? result.height : result.width;
+        const height = isHorizontal ? result.width : result.height;
+        const fitScale = Math.min(rect.width / width, rect.height / height, 1);
+        const x0 = rect.x + (rect.width - width * fitScale) / 2;
+        const y0 = rect.y + (rect.height - height * fitScale) / 2;
+        function transform(point: number[], scale: number) {
+            const along = isInverse ? result.height - point[1] : point[1];
+            return isHorizontal
+                ? [x0 + along * scale, y0 + point[0] * scale]
+                : [x0 + point[0] * scale, y0 + along * scale];
+        }
+        // Symbols are not scaled, so the ends of edges keep their offsets to the nodes.
+        function transformEnd(point: number[], nodePoint: number[]) {
+            const offset = vec2.sub([], transform(point, 1), transform(nodePoint, 1));
+            return vec2.add(offset, offset, transform(nodePoint, fitScale));
+        }
+
+        for (let i = 0; i < nodes.length; i++) {
+            nodes[i].setLayout(transform(result.nodes[i], fitScale));
+        }
+        let edgeIndex = 0;
+        graph.eachEdge(function (edge) {
+            const points = result.edges[edgeIndex++];
+            const last = points.length - 1;
+            for (let k = 0; k <= last; k++) {
+                points[k] = k === 0
+                    ? transformEnd(points[k], result.nodes[inputIndices[edge.node1.dataIndex]])
+                    : k === last
+                    ? transformEnd(points[k], result.nodes[inputIndices[edge.node2.dataIndex]])
+                    : transform(points[k], fitScale);
+            }
+            edge.setLayout(points);
+        });
+    });
+}
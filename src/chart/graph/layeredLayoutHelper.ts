@@ -0,0 +1,528 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+/**
+ * Layered layout of directed graphs, as described in
+ * "Methods for Visual Understanding of Hierarchical System Structures",
+ * Kozo Sugiyama, Shojiro Tagawa and Mitsuhiko Toda, 1981.
+ *
+ * Layout is computed top to bottom. Ranks grow along y, nodes of
+ * the same rank are placed along x.
+ */
+
+import * as curveTool from 'zrender/src/core/curve';
+
+export interface LayeredInputNode {
+    /**
+     * Size across the ranks.
+     */
+    width: number
+    /**
+     * Size along the ranks.
+     */
+    height: number
+}
+
+export interface LayeredInputEdge {
+    source: number
+    target: number
+}
+
+export interface LayeredOption {
+    nodeSep: number
+    rankSep: number
+    edgeRouting: 'orthogonal' | 'spline'
+}
+
+export interface LayeredResult {
+    /**
+     * Centers of nodes.
+     */
+    nodes: number[][]
+    /**
+     * Polyline of edges, from the source to the target.
+     */
+    edges: number[][][]
+    width: number
+    height: number
+}
+
+interface LayerNode {
+    /**
+     * Index of the input node. -1 for dummy node of the long edge.
+     */
+    index: number
+    width: number
+    height: number
+    rank: number
+    order: number
+    x: number
+    ups: LayerNode[]
+    downs: LayerNode[]
+}
+
+const ORDER_ITERATIONS = 24;
+const POSITION_ITERATIONS = 8;
+const SPLINE_SEGMENTS = 8;
+
+export function layeredLayout(
+    inputNodes: LayeredInputNode[],
+    inputEdges: LayeredInputEdge[],
+    opt: LayeredOption
+): LayeredResult {
+    const count = inputNodes.length;
+    const reversed = removeCycles(count, inputEdges);
+    const ranks = assignRanks(count, inputEdges, reversed);
+
+    const nodes: LayerNode[] = [];
+    for (let i = 0; i < count; i++) {
+        nodes.push(createLayerNode(i, inputNodes[i].width, inputNodes[i].height, ranks[i]));
+    }
+
+    // Break long edges into chains of dummy nodes.
+    const chains: LayerNode[][] = [];
+    for (let i = 0; i < inputEdges.length; i++) {
+        const edge = inputEdges[i];
+        let upper = nodes[reversed[i] ? edge.target : edge.source];
+        const lower = nodes[reversed[i] ? edge.source : edge.target];
+        const chain = [upper];
+        if (upper !== lower) {
+            for (let rank = upper.rank + 1; rank < lower.rank; rank++) {
+                const dummy = createLayerNode(-1, 0, 0, rank);
+                nodes.push(dummy);
+                link(upper, dummy);
+                chain.push(dummy);
+                upper = dummy;
+            }
+            link(upper, lower);
+        }
+        chain.push(lower);
+        chains.push(chain);
+    }
+
+    const layers = buildLayers(nodes);
+    orderLayers(layers);
+    positionLayers(layers, opt.nodeSep);
+
+    // Ranks are as thick as their largest node.
+    const rankCenters: number[] = [];
+    const rankHeights: number[] = [];
+    let height = 0;
+    for (let r = 0; r < layers.length; r++) {
+        let rankHeight = 0;
+        for (let i = 0; i < layers[r].length; i++) {
+            rankHeight = Math.max(rankHeight, layers[r][i].height);
+        }
+        height += r ? opt.rankSep : 0;
+        rankCenters.push(height + rankHeight / 2);
+        rankHeights.push(rankHeight);
+        height += rankHeight;
+    }
+
+    let minX = Infinity;
+    let maxX = -Infinity;
+    for (let i = 0; i < nodes.length; i++) {
+        minX = Math.min(minX, nodes[i].x - nodes[i].width / 2);
+        maxX = Math.max(maxX, nodes[i].x + nodes[i].width / 2);
+    }
+    if (!nodes.length) {
+        minX = maxX = 0;
+    }
+
+    const result: LayeredResult = {
+        nodes: [],
+        edges: [],
+        width: maxX - minX,
+        height: height
+    };
+    for (let i = 0; i < count; i++) {
+        result.nodes.push([nodes[i].x - minX, rankCenters[nodes[i].rank]]);
+    }
+    for (let i = 0; i < chains.length; i++) {
+        const chain = chains[i];
+        const first = chain[0];
+        const last = chain[chain.length - 1];
+        let points: number[][];
+        if (first === last) {
+            // Self loop.
+            points = [result.nodes[first.index].slice(), result.nodes[first.index].slice()];
+        }
+        else {
+            const route = [[first.x - minX, rankCenters[first.rank] + first.height / 2]];
+            const bends = [];
+            for (let k = 1; k < chain.length; k++) {
+                // Bend in the middle of the gap between ranks.
+                const upperRank = chain[k - 1].rank;
+                bends.push(rankCenters[upperRank] + (rankHeights[upperRank] + opt.rankSep) / 2);
+                route.push(
+                    k < chain.length - 1
+                        ? [chain[k].x - minX, rankCenters[chain[k].rank]]
+                        : [last.x - minX, rankCenters[last.rank] - last.height / 2]
+                );
+            }
+            points = routeEdge(route, bends, opt.edgeRouting);
+        }
+        if (reversed[i]) {
+            points.reverse();
+        }
+        result.edges.push(points);
+    }
+
+    return result;
+}
+
+/**
+ * `bends[i]` is the y where the edge turns between `route[i]` and `route[i + 1]`.
+ */
+function routeEdge(route: number[][], bends: number[], edgeRouting: LayeredOption['edgeRouting']) {
+    const points = [route[0]];
+    for (let i = 0; i < route.length - 1; i++) {
+        const p0 = route[i];
+        const p1 = route[i + 1];
+        const y = bends[i];
+        if (p0[0] !== p1[0]) {
+            if (edgeRouting === 'orthogonal') {
+                points.push([p0[0], y], [p1[0], y]);
+            }
+            else {
+                // Cubic bezier curve which is vertical at both ends.
+                for (let k = 1; k < SPLINE_SEGMENTS; k++) {
+                    const t = k / SPLINE_SEGMENTS;
+                    points.push([
+                        curveTool.cubicAt(p0[0], p0[0], p1[0], p1[0], t),
+                        curveTool.cubicAt(p0[1], y, y, p1[1], t)
+                    ]);
+                }
+            }
+        }
+        points.push(p1);
+    }
+    return points;
+}
+
+function createLayerNode(index: number, width: number, height: number, rank: number): LayerNode {
+    return {
+        index: index,
+        width: width,
+        height: height,
+        rank: rank,
+        order: 0,
+        x: 0,
+        ups: [],
+        downs: []
+    };
+}
+
+function link(upper: LayerNode, lower: LayerNode) {
+    upper.downs.push(lower);
+    lower.ups.push(upper);
+}
+
+/**
+ * Reverse the back edges found by depth first search to make the graph acyclic.
+ * Self loops are left as is and are ignored in ranking.
+ */
+function removeCycles(count: number, edges: LayeredInputEdge[]): boolean[] {
+    const outEdges: number[][] = [];
+    for (let i = 0; i < count; i++) {
+        outEdges.push([]);
+    }
+    for (let i = 0; i < edges.length; i++) {
+        outEdges[edges[i].source].push(i);
+    }
+
+    const reversed: boolean[] = [];
+    // 0: not visited, 1: on stack, 2: done.
+    const visitState: number[] = [];
+    for (let root = 0; root < count; root++) {
+        if (visitState[root]) {
+            continue;
+        }
+        const stack = [{node: root, next: 0}];
+        visitState[root] = 1;
+        while (stack.length) {
+            const top = stack[stack.length - 1];
+            const edgeIndices = outEdges[top.node];
+            if (top.next < edgeIndices.length) {
+                const edgeIndex = edgeIndices[top.next++];
+                const target = edges[edgeIndex].target;
+                if (visitState[target] === 1) {
+                    reversed[edgeIndex] = target !== top.node;
+                }
+                else if (!visitState[target]) {
+                    visitState[target] = 1;
+                    stack.push({node: target, next: 0});
+                }
+            }
+            else {
+                visitState[top.node] = 2;
+                stack.pop();
+            }
+        }
+    }
+    for (let i = 0; i < edges.length; i++) {
+        reversed[i] = !!reversed[i];
+    }
+    return reversed;
+}
+
+/**
+ * Longest path ranking. Then sources are moved down to their nearest successor.
+ */
+function assignRanks(count: number, edges: LayeredInputEdge[], reversed: boolean[]): number[] {
+    const ups: number[][] = [];
+    const downs: number[][] = [];
+    const inDegrees: number[] = [];
+    for (let i = 0; i < count; i++) {
+        ups.push([]);
+        downs.push([]);
+        inDegrees.push(0);
+    }
+    for (let i = 0; i < edges.length; i++) {
+        const upper = reversed[i] ? edges[i].target : edges[i].source;
+        const lower = reversed[i] ? edges[i].source : edges[i].target;
+        if (upper !== lower) {
+            ups[lower].push(upper);
+            downs[upper].push(lower);
+            inDegrees[lower]++;
+        }
+    }
+
+    // Topological order.
+    const sorted: number[] = [];
+    for (let i = 0; i < count; i++) {
+        if (!inDegrees[i]) {
+            sorted.push(i);
+        }
+    }
+    for (let k = 0; k < sorted.length; k++) {
+        const downList = downs[sorted[k]];
+        for (let i = 0; i < downList.length; i++) {
+            if (!--inDegrees[downList[i]]) {
+                sorted.push(downList[i]);
+            }
+        }
+    }
+
+    const ranks: number[] = [];
+    for (let k = 0; k < sorted.length; k++) {
+        const node = sorted[k];
+        let rank = 0;
+        for (let i = 0; i < ups[node].length; i++) {
+            rank = Math.max(rank, ranks[ups[node][i]] + 1);
+        }
+        ranks[node] = rank;
+    }
+    for (let k = sorted.length - 1; k >= 0; k--) {
+        const node = sorted[k];
+        if (!ups[node].length && downs[node].length) {
+            let rank = Infinity;
+            for (let i = 0; i < downs[node].length; i++) {
+                rank = Math.min(rank, ranks[downs[node][i]] - 1);
+            }
+            ranks[node] = rank;
+        }
+    }
+    return ranks;
+}
+
+function buildLayers(nodes: LayerNode[]): LayerNode[][] {
+    const layers: LayerNode[][] = [];
+    for (let i = 0; i < nodes.length; i++) {
+        const node = nodes[i];
+        const layer = layers[node.rank] || (layers[node.rank] = []);
+        node.order = layer.length;
+        layer.push(node);
+    }
+    for (let r = 0; r < layers.length; r++) {
+        layers[r] = layers[r] || [];
+    }
+    return layers;
+}
+
+/**
+ * Minimize crossings by barycenter heuristic, sweeping down and up alternately.
+ */
+function orderLayers(layers: LayerNode[][]) {
+    let bestOrders = saveOrders(layers);
+    let bestCrossings = countCrossings(layers);
+
+    for (let iter = 0; iter < ORDER_ITERATIONS && bestCrossings > 0; iter++) {
+        const down = iter % 2 === 0;
+        if (down) {
+            for (let r = 1; r < layers.length; r++) {
+                sortByBarycenter(layers[r], 'ups');
+            }
+        }
+        else {
+            for (let r = layers.length - 2; r >= 0; r--) {
+                sortByBarycenter(layers[r], 'downs');
+            }
+        }
+        const crossings = countCrossings(layers);
+        if (crossings < bestCrossings) {
+            bestCrossings = crossings;
+            bestOrders = saveOrders(layers);
+        }
+    }
+
+    restoreOrders(layers, bestOrders);
+}
+
+function sortByBarycenter(layer: LayerNode[], neighborsKey: 'ups' | 'downs') {
+    const barycenters: number[] = [];
+    for (let i = 0; i < layer.length; i++) {
+        const neighbors = layer[i][neighborsKey];
+        let sum = 0;
+        for (let k = 0; k < neighbors.length; k++) {
+            sum += neighbors[k].order;
+        }
+        // Node without neighbors keeps its place.
+        barycenters.push(neighbors.length ? sum / neighbors.length : layer[i].order);
+    }
+    const indices = [];
+    for (let i = 0; i < layer.length; i++) {
+        indices.push(i);
+    }
+    indices.sort(function (a, b) {
+        return barycenters[a] - barycenters[b] || a - b;
+    });
+    const sorted = [];
+    for (let i = 0; i < indices.length; i++) {
+        sorted.push(layer[indices[i]]);
+    }
+    for (let i = 0; i < sorted.length; i++) {
+        layer[i] = sorted[i];
+        layer[i].order = i;
+    }
+}
+
+/**
+ * Count crossings between each two adjacent layers in O(E log V): visiting the segments
+ * in the order of their upper ends, each inversion of the lower ends is a crossing,
+ * which is counted by a binary indexed tree.
+ */
+function countCrossings(layers: LayerNode[][]) {
+    let crossings = 0;
+    for (let r = 0; r < layers.length - 1; r++) {
+        const layer = layers[r];
+        const lowerCount = layers[r + 1].length;
+        // Counts of the lower ends, 1-based.
+        const tree: number[] = [];
+        for (let i = 0; i <= lowerCount; i++) {
+            tree.push(0);
+        }
+        let inserted = 0;
+        for (let i = 0; i < layer.length; i++) {
+            const downs = layer[i].downs;
+            for (let k = 0; k < downs.length; k++) {
+                // Count of the inserted lower ends not greater than this one.
+                let notGreater = 0;
+                for (let j = downs[k].order + 1; j > 0; j -= j & -j) {
+                    notGreater += tree[j];
+                }
+                crossings += inserted - notGreater;
+            }
+            // Segments from the same node never cross, so insert them after counted.
+            for (let k = 0; k < downs.length; k++) {
+                for (let j = downs[k].order + 1; j <= lowerCount; j += j & -j) {
+                    tree[j]++;
+                }
+                inserted++;
+            }
+        }
+    }
+    return crossings;
+}
+
+function saveOrders(layers: LayerNode[][]) {
+    const orders: LayerNode[][] = [];
+    for (let r = 0; r < layers.length; r++) {
+        orders.push(layers[r].slice());
+    }
+    return orders;
+}
+
+function restoreOrders(layers: LayerNode[][], orders: LayerNode[][]) {
+    for (let r = 0; r < layers.length; r++) {
+        layers[r] = orders[r];
+        for (let i = 0; i < orders[r].length; i++) {
+            orders[r][i].order = i;
+        }
+    }
+}
+
+/**
+ * Pack the nodes of each layer, then move them towards the average
+ * of their neighbors, keeping the order and the separation.
+ */
+function positionLayers(layers: LayerNode[][], nodeSep: number) {
+    for (let r = 0; r < layers.length; r++) {
+        const layer = layers[r];
+        for (let i = 0; i < layer.length; i++) {
+            layer[i].x = i ? layer[i - 1].x + getGap(layer[i - 1], layer[i], nodeSep) : layer[i].width / 2;
+        }
+    }
+
+    for (let iter = 0; iter < POSITION_ITERATIONS; iter++) {
+        const down = iter % 2 === 0;
+        for (let k = 0; k < layers.length; k++) {
+            const layer = layers[down ? k : layers.length - 1 - k];
+            const desired: number[] = [];
+            for (let i = 0; i < layer.length; i++) {
+                const neighbors = layer[i][down ? 'ups' : 'downs'];
+                let sum = 0;
+                for (let n = 0; n < neighbors.length; n++) {
+                    sum += neighbors[n].x;
+                }
+                desired.push(neighbors.length ? sum / neighbors.length : layer[i].x);
+            }
+            placeLayer(layer, desired, nodeSep);
+        }
+    }
+}
+
+/**
+ * Both placements pushing to the right and to the left keep the separation,
+ * so does their average.
+ */
+function placeLayer(layer: LayerNode[], desired: number[], nodeSep: number) {
+    const len = layer.length;
+    const rightward: number[] = [];
+    const leftward: number[] = [];
+    for (let i = 0; i < len; i++) {
+        rightward[i] = i
+            ? Math.max(desired[i], rightward[i - 1] + getGap(layer[i - 1], layer[i], nodeSep))
+            : desired[i];
+    }
+    for (let i = len - 1; i >= 0; i--) {
+        leftward[i] = i < len - 1
+            ? Math.min(desired[i], leftward[i + 1] - getGap(layer[i], layer[i + 1], nodeSep))
+            : desired[i];
+    }
+    for (let i = 0; i < len; i++) {
+        layer[i].x = (rightward[i] + leftward[i]) / 2;
+    }
+}
+
+function getGap(left: LayerNode, right: LayerNode, nodeSep: number) {
+    // Long edges are packed tighter.
+    const sep = left.index < 0 && right.index < 0 ? nodeSep / 2 : nodeSep;
+    return (left.width + right.width) / 2 + sep;
+}
@@ -87,28 +87,39 @@ function createSymbol(name: 'fromSymbol' | 'toSymbol', lineData: LineList, idx:
     return symbolPath;
 }
 
-function createLine(points: number[][]) {
+function createLine(points: number[][], isPolyline: boolean) {
     const line = new ECLinePath({
         name: 'line',
         subPixelOptimize: true
     });
-    setLinePoints(line.shape, points);
+    setLinePoints(line.shape, points, isPolyline);
     return line;
 }
 
-function setLinePoints(targetShape: ECLinePath['shape'], points: number[][]) {
+/**
+ * @param isPolyline If points are all the points of polyline rather than `[from, to, controlPoint]`.
+ */
+function setLinePoints(targetShape: ECLinePath['shape'], points: number[][], isPolyline: boolean) {
     type CurveShape = ECLinePath['shape'] & {
         cpx1: number
         cpy1: number
     };
+    type PolylineShape = ECLinePath['shape'] & {
+        points: number[][]
+    };
 
+    const lastPoint = isPolyline ? points[points.length - 1] : points[1];
     targetShape.x1 = points[0][0];
     targetShape.y1 = points[0][1];
-    targetShape.x2 = points[1][0];
-    targetShape.y2 = points[1][1];
+    targetShape.x2 = lastPoint[0];
+    targetShape.y2 = lastPoint[1];
     targetShape.percent = 1;
 
-    const cp1 = points[2];
+    if (isPolyline) {
+        (targetShape as PolylineShape).points = points;
+    }
+
+    const cp1 = !isPolyline && points[2];
     if (cp1) {
         (targetShape as CurveShape).cpx1 = cp1[0];
         (targetShape as CurveShape).cpy1 = cp1[1];
@@ -132,7 +143,7 @@ class Line extends graphic.Group {
     _createLine(lineData: LineList, idx: number, seriesScope?: LineDrawSeriesScope) {
         const seriesModel = lineData.hostModel;
         const linePoints = lineData.getItemLayout(idx);
-        const line = createLine(linePoints);
+        const line = createLine(linePoints, this._isPolyline());
         line.shape.percent = 0;
         graphic.initProps(line, {
             shape: {
@@ -164,7 +175,7 @@ class Line extends graphic.Group {
             shape: {} as ECLinePath['shape']
         };
 
-        setLinePoints(target.shape, linePoints);
+        setLinePoints(target.shape, linePoints, this._isPolyline());
         graphic.updateProps(line, target, seriesModel, idx);
 
         zrUtil.each(SYMBOL_CATEGORIES, function (symbolCategory) {
@@ -186,6 +197,13 @@ class Line extends graphic.Group {
         return this.childAt(0) as graphic.Line;
     }
 
+    /**
+     * If layout is the points of polyline, like the routed edges of graph.
+     */
+    _isPolyline() {
+        return false;
+    }
+
     _updateCommonStl(lineData: List, idx: number, seriesScope?: LineDrawSeriesScope) {
         const seriesModel = lineData.hostModel as SeriesModel;
 
@@ -304,7 +322,7 @@ class Line extends graphic.Group {
 
     setLinePoints(points: number[][]) {
         const linePath = this.childOfName('line') as ECLinePath;
-        setLinePoints(linePath.shape, points);
+        setLinePoints(linePath.shape, points, this._isPolyline());
         linePath.dirty();
     }
 
@@ -18,7 +18,7 @@
 */
 
 /**
- * Line path for bezier and straight line draw
+ * Line path for bezier, straight line and polyline draw
  */
 
 import * as graphic from '../../util/graphic';
@@ -45,18 +45,51 @@ class CurveShape extends StraightLineShape {
     cpy1: number;
 }
 
+class PolylineShape extends StraightLineShape {
+    // Points from (x1, y1) to (x2, y2)
+    points: number[][];
+}
+
+type LineShape = StraightLineShape | CurveShape | PolylineShape;
+
 interface ECLineProps extends PathProps {
-    shape?: Partial<StraightLineShape | CurveShape>
+    shape?: Partial<LineShape>
 }
-function isStraightLine(shape: StraightLineShape | CurveShape): shape is StraightLineShape {
+function isStraightLine(shape: LineShape): shape is StraightLineShape {
     return isNaN(+(shape as CurveShape).cpx1) || isNaN(+(shape as CurveShape).cpy1);
 }
+function isPolyline(shape: LineShape): shape is PolylineShape {
+    const points = (shape as PolylineShape).points;
+    return !!points && points.length > 1;
+}
+
+/**
+ * Find the segment where the given percent of the whole length is.
+ * Returns the index of the segment end and the percent in the segment.
+ */
+function findPolylineSegment(points: number[][], t: number): number[] {
+    let len = 0;
+    for (let i = 1; i < points.length; i++) {
+        len += vec2.dist(points[i - 1], points[i]);
+    }
+    let remain = len * t;
+    for (let i = 1; i < points.length - 1; i++) {
+        const segLen = vec2.dist(points[i - 1], points[i]);
+        if (segLen > 0 && remain <= segLen) {
+            return [i, remain / segLen];
+        }
+        remain -= segLen;
+    }
+    const lastIdx = points.length - 1;
+    const lastLen = vec2.dist(points[lastIdx - 1], points[lastIdx]);
+    return [lastIdx, lastLen > 0 ? Math.min(remain / lastLen, 1) : 1];
+}
 
 class ECLinePath extends graphic.Path<ECLineProps> {
 
     type = 'ec-line';
 
-    shape: StraightLineShape | CurveShape;
+    shape: LineShape;
 
     constructor(opts?: ECLineProps) {
         super(opts);
@@ -73,8 +106,26 @@ class ECLinePath extends graphic.Path<ECLineProps> {
         return new StraightLineShape();
     }
 
-    buildPath(ctx: CanvasRenderingContext2D, shape: StraightLineShape | CurveShape) {
-        if (isStraightLine(shape)) {
+    buildPath(ctx: CanvasRenderingContext2D, shape: LineShape) {
+        if (isPolyline(shape)) {
+            const points = shape.points;
+            const percent = shape.percent;
+            ctx.moveTo(points[0][0], points[0][1]);
+            if (percent >= 1) {
+                for (let i = 1; i < points.length; i++) {
+                    ctx.lineTo(points[i][0], points[i][1]);
+                }
+            }
+            else {
+                const seg = findPolylineSegment(points, percent);
+                for (let i = 1; i < seg[0]; i++) {
+                    ctx.lineTo(points[i][0], points[i][1]);
+                }
+                const end = vec2.lerp([], points[seg[0] - 1], points[seg[0]], seg[1]);
+                ctx.lineTo(end[0], end[1]);
+            }
+        }
+        else if (isStraightLine(shape)) {
             straightLineProto.buildPath.call(this, ctx, shape);
         }
         else {
@@ -83,7 +134,12 @@ class ECLinePath extends graphic.Path<ECLineProps> {
     }
 
     pointAt(t: number) {
-        if (isStraightLine(this.shape)) {
+        const shape = this.shape;
+        if (isPolyline(shape)) {
+            const seg = findPolylineSegment(shape.points, t);
+            return vec2.lerp([], shape.points[seg[0] - 1], shape.points[seg[0]], seg[1]);
+        }
+        else if (isStraightLine(shape)) {
             return straightLineProto.pointAt.call(this, t);
         }
         else {
@@ -93,9 +149,16 @@ class ECLinePath extends graphic.Path<ECLineProps> {
 
     tangentAt(t: number) {
         const shape = this.shape;
-        const p = isStraightLine(shape)
-            ? [shape.x2 - shape.x1, shape.y2 - shape.y1]
-            : bezierCurveProto.tangentAt.call(this, t);
+        let p: number[];
+        if (isPolyline(shape)) {
+            const segEnd = findPolylineSegment(shape.points, t)[0];
+            p = vec2.sub([], shape.points[segEnd], shape.points[segEnd - 1]);
+        }
+        else {
+            p = isStraightLine(shape)
+                ? [shape.x2 - shape.x1, shape.y2 - shape.y1]
+                : bezierCurveProto.tangentAt.call(this, t);
+        }
         return vec2.normalize(p, p);
     }
 
@@ -19,7 +19,39 @@
 
 import * as zrUtil from 'zrender/src/core/util';
 import SeriesModel from '../../model/Series';
-import {TreeNode} from '../../data/Tree';
+import {TreeNode, TreeNodeOption} from '../../data/Tree';
+import ExtensionAPI from '../../core/ExtensionAPI';
+import {makeInner} from '../../util/model';
+import {CallbackDataParams, Payload, SeriesOption} from '../../util/types';
+import {EChartsExtensionInstallRegisters} from '../../extension';
+import {warn} from '../../util/log';
+
+export interface TreeLoadChildrenOptionMixin {
+    /**
+     * Load the children lazily when a node without children is expanded or drilled down.
+     */
+    loadChildren?: (params: CallbackDataParams) => PromiseLike<TreeNodeOption[]>
+}
+
+const inner = makeInner<{loading: boolean, loaded: boolean}, TreeNode>();
+
+const CHILDREN_LOADED_ACTION = 'treeChildrenLoaded';
+
+export interface TreeChildrenLoadedPayload extends Payload {
+    dataIndex: number
+}
+
+/**
+ * The action dispatched when the children are loaded, which updates the data
+ * to contain the children and triggers the event.
+ */
+export function installLoadChildrenAction(registers: EChartsExtensionInstallRegisters) {
+    registers.registerAction({
+        type: CHILDREN_LOADED_ACTION,
+        event: CHILDREN_LOADED_ACTION,
+        update: 'update'
+    }, function () {});
+}
 
 export function retrieveTargetInfo(
     payload: {
@@ -87,3 +119,72 @@ export function wrapTreePathInfo<T = unknown>(node: TreeNode, seriesModel: Serie
 
     return treePathInfo;
 }
+
+function checkValueDimensions(items: TreeNodeOption[], dimCount: number): boolean {
+    for (let i = 0; i < items.length; i++) {
+        const value = items[i].value;
+        if (zrUtil.isArray(value) && value.length > dimCount) {
+            warn('Only the first ' + dimCount + ' dimensions of the loaded `value` are used, '
+                + 'which are determined by the initial data.');
+            return false;
+        }
+        if (items[i].children && !checkValueDimensions(items[i].children, dimCount)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Load the children of the node by `loadChildren` of the series if it has no children.
+ * Once loaded, the children are appended to the tree and the payload is dispatched again.
+ * `installLoadChildrenAction` is required.
+ *
+ * @param beforeAppend Complete the loaded items, like the values.
+ * @return Whether the children are loading, in which case the payload should not be handled yet.
+ */
+export function loadChildren(
+    seriesModel: SeriesModel<SeriesOption & TreeLoadChildrenOptionMixin>,
+    node: TreeNode,
+    payload: Payload,
+    api: ExtensionAPI,
+    beforeAppend?: (items: TreeNodeOption[]) => void
+): boolean {
+    const load = seriesModel.get('loadChildren');
+    const store = inner(node);
+    if (!load || node.children.length || store.loaded) {
+        return false;
+    }
+    if (store.loading) {
+        return true;
+    }
+
+    store.loading = true;
+    load(seriesModel.getDataParams(node.dataIndex)).then(function (items) {
+        store.loading = false;
+        store.loaded = true;
+        // The tree may be created again by `setOption` during loading.
+        if (api.isDisposed() || seriesModel.getData().tree !== node.hostTree) {
+            return;
+        }
+        if (items && items.length) {
+            beforeAppend && beforeAppend(items);
+            if (__DEV__) {
+                checkValueDimensions(items, node.hostTree.data.dimensions.length);
+            }
+            // Keep the option in sync with the tree.
+            (node.hostTree.data.getRawDataItem(node.dataIndex) as TreeNodeOption).children = items;
+            node.hostTree.appendChildren(node, items);
+        }
+        api.dispatchAction({
+            type: CHILDREN_LOADED_ACTION,
+            seriesId: seriesModel.id,
+            dataIndex: node.dataIndex
+        } as TreeChildrenLoadedPayload);
+        api.dispatchAction(zrUtil.extend({}, payload));
+    }, function () {
+        // Can be retried.
+        store.loading = false;
+    });
+    return true;
+}
@@ -20,7 +20,7 @@
 import * as zrUtil from 'zrender/src/core/util';
 import SeriesModel from '../../model/Series';
 import Tree, { TreeNode } from '../../data/Tree';
-import {wrapTreePathInfo} from '../helper/treeHelper';
+import {wrapTreePathInfo, TreeLoadChildrenOptionMixin} from '../helper/treeHelper';
 import {
     SeriesOption,
     CircleLayoutOptionMixin,
@@ -105,7 +105,7 @@ interface SortParam {
 }
 export interface SunburstSeriesOption extends
     SeriesOption<SunburstStateOption, ExtraStateOption>, SunburstStateOption,
-    CircleLayoutOptionMixin {
+    CircleLayoutOptionMixin, TreeLoadChildrenOptionMixin {
 
     type?: 'sunburst'
 
@@ -296,7 +296,7 @@ class SunburstSeriesModel extends SeriesModel<SunburstSeriesOption> {
 
 
 
-function completeTreeValue(dataNode: SunburstSeriesNodeItemOption) {
+export function completeTreeValue(dataNode: SunburstSeriesNodeItemOption) {
     // Postorder travel tree.
     // If value of none-leaf node is not set,
     // calculate it by suming up the value of all children.
@@ -21,14 +21,16 @@
  * @file Sunburst action
  */
 
-import SunburstSeriesModel from './SunburstSeries';
+import SunburstSeriesModel, { completeTreeValue, SunburstSeriesNodeItemOption } from './SunburstSeries';
 import { Payload } from '../../util/types';
 import GlobalModel from '../../model/Global';
 import ExtensionAPI from '../../core/ExtensionAPI';
 import { extend } from 'zrender/src/core/util';
 import { deprecateReplaceLog } from '../../util/log';
 import { EChartsExtensionInstallRegisters } from '../../extension';
-import { retrieveTargetInfo, aboveViewRoot } from '../helper/treeHelper';
+import {
+    retrieveTargetInfo, aboveViewRoot, loadChildren, installLoadChildrenAction
+} from '../helper/treeHelper';
 
 export const ROOT_TO_NODE_ACTION = 'sunburstRootToNode';
 
@@ -45,9 +47,11 @@ const UNHIGHLIGHT_ACTION = 'sunburstUnhighlight';
 interface SunburstUnhighlightPayload extends Payload {}
 
 export function installSunburstAction(registers: EChartsExtensionInstallRegisters) {
+    installLoadChildrenAction(registers);
+
     registers.registerAction(
         {type: ROOT_TO_NODE_ACTION, update: 'updateView'},
-        function (payload: SunburstRootToNodePayload, ecModel: GlobalModel) {
+        function (payload: SunburstRootToNodePayload, ecModel: GlobalModel, api: ExtensionAPI) {
 
             ecModel.eachComponent(
                 {mainType: 'series', subType: 'sunburst', query: payload},
@@ -57,7 +61,12 @@ export function installSunburstAction(registers: EChartsExtensionInstallRegister
             function handleRootToNode(model: SunburstSeriesModel, index: number) {
                 const targetInfo = retrieveTargetInfo(payload, [ROOT_TO_NODE_ACTION], model);
 
-                if (targetInfo) {
+                if (targetInfo && !loadChildren(
+                    model, targetInfo.node, payload, api,
+                    function (items: SunburstSeriesNodeItemOption[]) {
+                        completeTreeValue({children: items});
+                    }
+                )) {
                     const originViewRoot = model.getViewRoot();
                     if (originViewRoot) {
                         payload.direction = aboveViewRoot(originViewRoot, targetInfo.node)
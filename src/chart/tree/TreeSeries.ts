@@ -38,6 +38,7 @@ import View from '../../coord/View';
 import { LayoutRect } from '../../util/layout';
 import Model from '../../model/Model';
 import { createTooltipMarkup } from '../../component/tooltip/tooltipMarkup';
+import { TreeLoadChildrenOptionMixin } from '../helper/treeHelper';
 
 interface CurveLineStyleOption extends LineStyleOption{
     curveness?: number
@@ -80,10 +81,23 @@ export interface TreeSeriesLeavesOption extends TreeSeriesStateOption, StatesOpt
 
 export interface TreeSeriesOption extends
     SeriesOption<TreeSeriesStateOption, ExtraStateOption>, TreeSeriesStateOption,
-    SymbolOptionMixin, BoxLayoutOptionMixin, RoamOptionMixin {
+    SymbolOptionMixin, BoxLayoutOptionMixin, RoamOptionMixin, TreeLoadChildrenOptionMixin {
     type?: 'tree'
 
-    layout?: 'orthogonal' | 'radial'
+    /**
+     * 'dendrogram': Leaves are aligned at the same depth.
+     * 'indented': Each node is in its own row, like a file explorer.
+     * 'compact': Nodes are packed by their symbol sizes without overlap.
+     */
+    layout?: 'orthogonal' | 'radial' | 'dendrogram' | 'indented' | 'compact'
+
+    /**
+     * Gap between adjacent nodes, and gap between levels.
+     * Available in 'indented' and 'compact' layout, in which nodes are placed by
+     * their symbol sizes rather than stretched to fill the view.
+     */
+    nodeGap?: number
+    levelGap?: number
 
     edgeShape?: 'polyline' | 'curve'
 
@@ -235,9 +249,13 @@ class TreeSeriesModel extends SeriesModel<TreeSeriesOption> {
         right: '12%',
         bottom: '12%',
 
-        // the layout of the tree, two value can be selected, 'orthogonal' or 'radial'
+        // the layout of the tree, can be 'orthogonal', 'radial', 'dendrogram', 'indented' or 'compact'
         layout: 'orthogonal',
 
+        nodeGap: 10,
+
+        levelGap: 40,
+
         // value can be 'polyline'
         edgeShape: 'curve',
 
@@ -92,15 +92,16 @@ class TreePath extends Path<TreeEdgePathProps> {
         const firstChildPos = childPoints[0];
         const lastChildPos = childPoints[childLen - 1];
 
-        if (childLen === 1) {
+        const orient = shape.orient;
+        const forkDim = (orient === 'TB' || orient === 'BT') ? 0 : 1;
+        const otherDim = 1 - forkDim;
+
+        if (childLen === 1 && firstChildPos[forkDim] === parentPoint[forkDim]) {
             ctx.moveTo(parentPoint[0], parentPoint[1]);
             ctx.lineTo(firstChildPos[0], firstChildPos[1]);
             return;
         }
 
-        const orient = shape.orient;
-        const forkDim = (orient === 'TB' || orient === 'BT') ? 0 : 1;
-        const otherDim = 1 - forkDim;
         const forkPosition = parsePercent(shape.forkPosition, 1);
         const tmpPoint = [];
         tmpPoint[forkDim] = parentPoint[forkDim];
@@ -108,6 +109,11 @@ class TreePath extends Path<TreeEdgePathProps> {
 
         ctx.moveTo(parentPoint[0], parentPoint[1]);
         ctx.lineTo(tmpPoint[0], tmpPoint[1]);
+        // Parent is not between the children in indented layout.
+        if (parentPoint[forkDim] < firstChildPos[forkDim] || parentPoint[forkDim] > lastChildPos[forkDim]) {
+            tmpPoint[forkDim] = firstChildPos[forkDim];
+            ctx.lineTo(tmpPoint[0], tmpPoint[1]);
+        }
         ctx.moveTo(firstChildPos[0], firstChildPos[1]);
         tmpPoint[forkDim] = firstChildPos[forkDim];
         ctx.lineTo(tmpPoint[0], tmpPoint[1]);
@@ -549,7 +555,7 @@ function drawEdge(
         }
     }
     else if (edgeShape === 'polyline') {
-        if (layout === 'orthogonal') {
+        if (layout !== 'radial') {
             if (node !== virtualRoot && node.children && (node.children.length !== 0) && (node.isExpand === true)) {
                 const children = node.children;
                 const childPoints = [];
@@ -578,7 +584,7 @@ function drawEdge(
         }
         else {
             if (__DEV__) {
-                throw new Error('The polyline edgeShape can only be used in orthogonal layout');
+                throw new Error('The polyline edgeShape can not be used in radial layout');
             }
         }
     }
@@ -669,7 +675,7 @@ function removeNode(
                 removeOpt: removeAnimationOpt
             });
         }
-        else if (edgeShape === 'polyline' && seriesModel.get('layout') === 'orthogonal') {
+        else if (edgeShape === 'polyline' && seriesModel.get('layout') !== 'radial') {
             graphic.removeElement(edge as Path, {
                 shape: {
                     parentPoint: [sourceLayout.x, sourceLayout.y],
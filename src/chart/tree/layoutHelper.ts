@@ -33,10 +33,12 @@
  *       the tree.
  */
 
+import { isArray, isFunction } from 'zrender/src/core/util';
 import * as layout from '../../util/layout';
 import { TreeNode } from '../../data/Tree';
-import TreeSeriesModel from './TreeSeries';
+import TreeSeriesModel, { TreeSeriesNodeItemOption } from './TreeSeries';
 import ExtensionAPI from '../../core/ExtensionAPI';
+import { eachAfter } from './traversalHelper';
 
 interface HierNode {
     defaultAncestor: TreeLayoutNode,
@@ -149,6 +151,53 @@ export function secondWalk(node: TreeLayoutNode) {
 }
 
 
+/**
+ * Computes x coordinates of the dendrogram, in which the leaves are placed one by one
+ * and each parent is placed at the middle of its children.
+ *
+ * @return The height of each node, i.e. the distance to its deepest leaf, indexed by dataIndex.
+ */
+export function clusterWalk(root: TreeLayoutNode, separation: SeparationFunc): number[] {
+    const heights: number[] = [];
+    let previousLeaf: TreeLayoutNode;
+    eachAfter(root, function (node: TreeLayoutNode) {
+        const children = node.isExpand ? node.children : [];
+        let x = 0;
+        let height = 0;
+        if (children.length) {
+            for (let i = 0; i < children.length; i++) {
+                x += children[i].getLayout().x;
+                height = Math.max(height, heights[children[i].dataIndex] + 1);
+            }
+            x /= children.length;
+        }
+        else {
+            x = previousLeaf ? previousLeaf.getLayout().x + separation(previousLeaf, node) : 0;
+            previousLeaf = node;
+        }
+        node.setLayout({x: x}, true);
+        heights[node.dataIndex] = height;
+    }, null);
+    return heights;
+}
+
+/**
+ * Get the symbol size of the node as [width, height].
+ * Layout is performed before the visual encoding, so it is retrieved from the option.
+ */
+export function getNodeSize(node: TreeNode, seriesModel: TreeSeriesModel): number[] {
+    let symbolSize = node.getModel<TreeSeriesNodeItemOption>().get('symbolSize');
+    if (isFunction(symbolSize)) {
+        symbolSize = symbolSize(
+            seriesModel.getRawValue(node.dataIndex),
+            seriesModel.getDataParams(node.dataIndex)
+        );
+    }
+    return isArray(symbolSize)
+        ? [+symbolSize[0] || 0, +symbolSize[1] || 0]
+        : [+symbolSize || 0, +symbolSize || 0];
+}
+
 export function separation(cb?: SeparationFunc) {
     return arguments.length ? cb : defaultSeparation;
 }
@@ -326,6 +375,6 @@ function defaultSeparation(node1: TreeLayoutNode, node2: TreeLayoutNode): number
     return node1.parentNode === node2.parentNode ? 1 : 2;
 }
 
-interface SeparationFunc {
+export interface SeparationFunc {
     (node1: TreeLayoutNode, node2: TreeLayoutNode): number
 }
\ No newline at end of file
@@ -22,23 +22,31 @@ import { Payload } from '../../util/types';
 import TreeSeriesModel from './TreeSeries';
 import GlobalModel from '../../model/Global';
 import { EChartsExtensionInstallRegisters } from '../../extension';
+import { loadChildren, installLoadChildrenAction } from '../helper/treeHelper';
 
 export interface TreeExpandAndCollapsePayload extends Payload {
     dataIndex: number
 }
 
 export function installTreeAction(registers: EChartsExtensionInstallRegisters) {
+    installLoadChildrenAction(registers);
+
     registers.registerAction({
         type: 'treeExpandAndCollapse',
         event: 'treeExpandAndCollapse',
         update: 'update'
-    }, function (payload: TreeExpandAndCollapsePayload, ecModel) {
+    }, function (payload: TreeExpandAndCollapsePayload, ecModel, api) {
         ecModel.eachComponent({
             mainType: 'series', subType: 'tree', query: payload
         }, function (seriesModel: TreeSeriesModel) {
             const dataIndex = payload.dataIndex;
             const tree = seriesModel.getData().tree;
             const node = tree.getNodeByDataIndex(dataIndex);
+            if (loadChildren(seriesModel, node, payload, api)) {
+                // Expanded when the payload is dispatched again after loaded.
+                node.isExpand = false;
+                return;
+            }
             node.isExpand = !node.isExpand;
         });
     });
@@ -25,14 +25,17 @@ import {
     init,
     firstWalk,
     secondWalk,
+    clusterWalk,
     separation as sep,
     radialCoordinate,
     getViewRect,
+    getNodeSize,
     TreeLayoutNode
 } from './layoutHelper';
 import GlobalModel from '../../model/Global';
 import ExtensionAPI from '../../core/ExtensionAPI';
 import TreeSeriesModel from './TreeSeries';
+import { LayoutRect } from '../../util/layout';
 
 export default function treeLayout(ecModel: GlobalModel, api: ExtensionAPI) {
     ecModel.eachSeriesByType('tree', function (seriesModel: TreeSeriesModel) {
@@ -64,11 +67,26 @@ function commonLayout(seriesModel: TreeSeriesModel, api: ExtensionAPI) {
     const virtualRoot = seriesModel.getData().tree.root as TreeLayoutNode;
     const realRoot = virtualRoot.children[0];
 
-    if (realRoot) {
-        init(virtualRoot);
-        eachAfter(realRoot, firstWalk, separation);
-        virtualRoot.hierNode.modifier = -realRoot.hierNode.prelim;
-        eachBefore(realRoot, secondWalk);
+    if (realRoot && (layout === 'compact' || layout === 'indented')) {
+        sizedLayout(seriesModel, virtualRoot, layoutInfo);
+    }
+    else if (realRoot) {
+        // Level of the node in depth, 0 for the real root.
+        let getLevel = function (node: TreeLayoutNode) {
+            return node.depth - 1;
+        };
+        if (layout === 'dendrogram') {
+            const heights = clusterWalk(realRoot, separation);
+            getLevel = function (node) {
+                return heights[realRoot.dataIndex] - heights[node.dataIndex];
+            };
+        }
+        else {
+            init(virtualRoot);
+            eachAfter(realRoot, firstWalk, separation);
+            virtualRoot.hierNode.modifier = -realRoot.hierNode.prelim;
+            eachBefore(realRoot, secondWalk);
+        }
 
         let left = realRoot;
         let right = realRoot;
@@ -108,25 +126,100 @@ function commonLayout(seriesModel: TreeSeriesModel, api: ExtensionAPI) {
             if (orient === 'RL' || orient === 'LR') {
                 ky = height / (right.getLayout().x + delta + tx);
                 kx = width / ((bottom.depth - 1) || 1);
-                eachBefore(realRoot, function (node) {
+                eachBefore(realRoot, function (node: TreeLayoutNode) {
                     coorY = (node.getLayout().x + tx) * ky;
                     coorX = orient === 'LR'
-                        ? (node.depth - 1) * kx
-                        : width - (node.depth - 1) * kx;
+                        ? getLevel(node) * kx
+                        : width - getLevel(node) * kx;
                     node.setLayout({x: coorX, y: coorY}, true);
                 });
             }
             else if (orient === 'TB' || orient === 'BT') {
                 kx = width / (right.getLayout().x + delta + tx);
                 ky = height / ((bottom.depth - 1) || 1);
-                eachBefore(realRoot, function (node) {
+                eachBefore(realRoot, function (node: TreeLayoutNode) {
                     coorX = (node.getLayout().x + tx) * kx;
                     coorY = orient === 'TB'
-                        ? (node.depth - 1) * ky
-                        : height - (node.depth - 1) * ky;
+                        ? getLevel(node) * ky
+                        : height - getLevel(node) * ky;
                     node.setLayout({x: coorX, y: coorY}, true);
                 });
             }
         }
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Layout of 'compact' and 'indented', in which nodes are placed by their symbol sizes
+ * with `nodeGap` and `levelGap` rather than stretched to fill the view.
+ */
+function sizedLayout(seriesModel: TreeSeriesModel, virtualRoot: TreeLayoutNode, layoutInfo: LayoutRect) {
+    const realRoot = virtualRoot.children[0];
+    const orient = seriesModel.getOrient();
+    const isHorizontal = orient === 'LR' || orient === 'RL';
+    const nodeGap = seriesModel.get('nodeGap');
+    const levelGap = seriesModel.get('levelGap');
+
+    // Sizes in breadth and depth of each node.
+    const breadthSizes: number[] = [];
+    const depthSizes: number[] = [];
+    eachBefore(realRoot, function (node) {
+        const size = getNodeSize(node, seriesModel);
+        breadthSizes[node.dataIndex] = size[isHorizontal ? 1 : 0];
+        depthSizes[node.dataIndex] = size[isHorizontal ? 0 : 1];
+    });
+    function getGap(node1: TreeLayoutNode, node2: TreeLayoutNode) {
+        return (breadthSizes[node1.dataIndex] + breadthSizes[node2.dataIndex]) / 2 + nodeGap;
+    }
+
+    const levelPositions: number[] = [];
+    if (seriesModel.get('layout') === 'compact') {
+        // Each level is as thick as its largest node.
+        const levelSizes: number[] = [];
+        eachBefore(realRoot, function (node) {
+            const level = node.depth - 1;
+            levelSizes[level] = Math.max(levelSizes[level] || 0, depthSizes[node.dataIndex]);
+        });
+        levelPositions[0] = 0;
+        for (let i = 1; i < levelSizes.length; i++) {
+            levelPositions[i] = levelPositions[i - 1] + (levelSizes[i - 1] + levelSizes[i]) / 2 + levelGap;
+        }
+
+        init(virtualRoot);
+        eachAfter(realRoot, firstWalk, sep(getGap));
+        virtualRoot.hierNode.modifier = -realRoot.hierNode.prelim;
+        eachBefore(realRoot, secondWalk);
+    }
+    else {
+        // Each node in its own row, in preorder.
+        let previous: TreeLayoutNode;
+        eachBefore(realRoot, function (node: TreeLayoutNode) {
+            node.setLayout({x: previous ? previous.getLayout().x + getGap(previous, node) : 0}, true);
+            levelPositions[node.depth - 1] = (node.depth - 1) * levelGap;
+            previous = node;
+        });
+    }
+
+    let min = Infinity;
+    let max = -Infinity;
+    eachBefore(realRoot, function (node) {
+        const x = node.getLayout().x;
+        min = Math.min(min, x - breadthSizes[node.dataIndex] / 2);
+        max = Math.max(max, x + breadthSizes[node.dataIndex] / 2);
+    });
+    const breadthLength = isHorizontal ? layoutInfo.height : layoutInfo.width;
+    const depthLength = isHorizontal ? layoutInfo.width : layoutInfo.height;
+    // Compact tree is centered, while indented rows start from the beginning.
+    const offset = seriesModel.get('layout') === 'compact'
+        ? (breadthLength - (max - min)) / 2 - min
+        : -min;
+
+    eachBefore(realRoot, function (node) {
+        const breadth = node.getLayout().x + offset;
+        let depth = levelPositions[node.depth - 1];
+        if (orient === 'RL' || orient === 'BT') {
+            depth = depthLength - depth;
+        }
+        node.setLayout(isHorizontal ? {x: depth, y: breadth} : {x: breadth, y: depth}, true);
+    });
+}
@@ -21,7 +21,7 @@ import * as zrUtil from 'zrender/src/core/util';
 import SeriesModel from '../../model/Series';
 import Tree, { TreeNode } from '../../data/Tree';
 import Model from '../../model/Model';
-import {wrapTreePathInfo} from '../helper/treeHelper';
+import {wrapTreePathInfo, TreeLoadChildrenOptionMixin} from '../helper/treeHelper';
 import {
     SeriesOption,
     BoxLayoutOptionMixin,
@@ -143,7 +143,8 @@ export interface TreemapSeriesOption
     extends SeriesOption<TreemapStateOption, ExtraStateOption>, TreemapStateOption,
     BoxLayoutOptionMixin,
     RoamOptionMixin,
-    TreemapSeriesVisualOption {
+    TreemapSeriesVisualOption,
+    TreeLoadChildrenOptionMixin {
 
     type?: 'treemap'
 
@@ -497,7 +498,7 @@ class TreemapSeriesModel extends SeriesModel<TreemapSeriesOption> {
 /**
  * @param {Object} dataNode
  */
-function completeTreeValue(dataNode: TreemapSeriesNodeItemOption) {
+export function completeTreeValue(dataNode: TreemapSeriesNodeItemOption) {
     // Postorder travel tree.
     // If value of none-leaf node is not set,
     // calculate it by suming up the value of all children.
@@ -19,15 +19,15 @@
 
 import * as helper from '../helper/treeHelper';
 import { Payload } from '../../util/types';
-import TreemapSeriesModel from './TreemapSeries';
+import TreemapSeriesModel, { completeTreeValue, TreemapSeriesNodeItemOption } from './TreemapSeries';
 import { TreeNode } from '../../data/Tree';
+import ExtensionAPI from '../../core/ExtensionAPI';
 import { RectLike } from 'zrender/src/core/BoundingRect';
 import { EChartsExtensionInstallRegisters } from '../../extension';
 
 const noop = function () {};
 
 const actionTypes = [
-    'treemapZoomToNode',
     'treemapRender',
     'treemapMove'
 ];
@@ -51,7 +51,15 @@ export interface TreemapRootToNodePayload extends Payload {
     direction?: 'rollUp' | 'drillDown'
 }
 
+function loadChildren(model: TreemapSeriesModel, node: TreeNode, payload: Payload, api: ExtensionAPI) {
+    return helper.loadChildren(model, node, payload, api, function (items: TreemapSeriesNodeItemOption[]) {
+        completeTreeValue({children: items});
+    });
+}
+
 export function installTreemapAction(registers: EChartsExtensionInstallRegisters) {
+    helper.installLoadChildrenAction(registers);
+
     for (let i = 0; i < actionTypes.length; i++) {
         registers.registerAction({
             type: actionTypes[i],
@@ -59,9 +67,22 @@ export function installTreemapAction(registers: EChartsExtensionInstallRegisters
         }, noop);
     }
 
+    registers.registerAction(
+        {type: 'treemapZoomToNode', update: 'updateView'},
+        function (payload, ecModel, api) {
+            ecModel.eachComponent(
+                {mainType: 'series', subType: 'treemap', query: payload},
+                function (model: TreemapSeriesModel) {
+                    const targetInfo = helper.retrieveTargetInfo(payload, ['treemapZoomToNode'], model);
+                    targetInfo && loadChildren(model, targetInfo.node, payload, api);
+                }
+            );
+        }
+    );
+
     registers.registerAction(
         {type: 'treemapRootToNode', update: 'updateView'},
-        function (payload, ecModel) {
+        function (payload, ecModel, api) {
 
             ecModel.eachComponent(
                 {mainType: 'series', subType: 'treemap', query: payload},
@@ -72,7 +93,7 @@ export function installTreemapAction(registers: EChartsExtensionInstallRegisters
                 const types = ['treemapZoomToNode', 'treemapRootToNode'];
                 const targetInfo = helper.retrieveTargetInfo(payload, types, model);
 
-                if (targetInfo) {
+                if (targetInfo && !loadChildren(model, targetInfo.node, payload, api)) {
                     const originViewRoot = model.getViewRoot();
                     if (originViewRoot) {
                         payload.direction = helper.aboveViewRoot(originViewRoot, targetInfo.node)
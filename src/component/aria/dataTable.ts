@@ -0,0 +1,100 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+/**
+ * Visually hidden tables of the series data, enabled by `aria.dataTable.show`,
+ * so that screen reader users can read the exact values.
+ */
+
+import env from 'zrender/src/core/env';
+import { ZRenderType } from 'zrender/src/zrender';
+import { map, each } from 'zrender/src/core/util';
+import ExtensionAPI from '../../core/ExtensionAPI';
+import GlobalModel from '../../model/Global';
+import Model from '../../model/Model';
+import { makeInner } from '../../util/model';
+import { encodeHTML } from '../../util/format';
+import { AriaOption } from '../../util/types';
+import {
+    groupSeries, getCategoryAxisTables, getOtherSeriesTables, SeriesDataTable
+} from '../helper/seriesDataTable';
+import { createHiddenElement, removeElement } from './helper';
+
+const inner = makeInner<{container: HTMLElement, html: string}, ZRenderType>();
+
+function cell(tag: 'th' | 'td', content: unknown, scope?: 'row' | 'col'): string {
+    return '<' + tag + (scope ? ' scope="' + scope + '"' : '') + '>'
+        + encodeHTML(content == null ? '' : content + '')
+        + '</' + tag + '>';
+}
+
+function tableToHTML(table: SeriesDataTable): string {
+    let hasRowHeader = false;
+    each(table.rowHeaders, function (rowHeader) {
+        hasRowHeader = hasRowHeader || !!rowHeader;
+    });
+
+    let html = '<table>';
+    table.caption && (html += '<caption>' + encodeHTML(table.caption) + '</caption>');
+    html += '<thead><tr>' + (hasRowHeader ? '<td></td>' : '')
+        + map(table.headers, function (header) {
+            return cell('th', header, 'col');
+        }).join('')
+        + '</tr></thead><tbody>';
+    each(table.rows, function (row, i) {
+        html += '<tr>' + (hasRowHeader ? cell('th', table.rowHeaders[i], 'row') : '')
+            + map(row, function (value) {
+                return cell('td', value);
+            }).join('')
+            + '</tr>';
+    });
+    return html + '</tbody></table>';
+}
+
+export default function ariaDataTable(ecModel: GlobalModel, api: ExtensionAPI) {
+    const dom = api.getDom();
+    if (!dom || !env.domSupported) {
+        return;
+    }
+
+    const store = inner(api.getZr());
+    const ariaModel: Model<AriaOption> = ecModel.getModel('aria');
+    if (!ariaModel.get('enabled') || !ariaModel.get(['dataTable', 'show'])) {
+        removeElement(store.container);
+        store.container = store.html = null;
+        return;
+    }
+
+    const result = groupSeries(ecModel);
+    const html = map(
+        getCategoryAxisTables(result.seriesGroupByCategoryAxis).concat(getOtherSeriesTables(result.other)),
+        tableToHTML
+    ).join('');
+
+    let container = store.container;
+    // The container is removed if the chart is cleared.
+    if (!container || container.parentNode !== dom) {
+        container = store.container = createHiddenElement(dom, 'div');
+        store.html = null;
+    }
+    // Only update the dom if changed, since it is called on every update.
+    if (html !== store.html) {
+        container.innerHTML = store.html = html;
+    }
+}
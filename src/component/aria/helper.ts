@@ -0,0 +1,36 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+// Visually hidden but still read by screen readers.
+const VISUALLY_HIDDEN_STYLE = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;border:0;'
+    + 'overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;';
+
+/**
+ * Create an element only for screen readers in the chart container.
+ */
+export function createHiddenElement(dom: HTMLElement, tagName: string): HTMLElement {
+    const el = dom.ownerDocument.createElement(tagName);
+    el.style.cssText = VISUALLY_HIDDEN_STYLE;
+    dom.appendChild(el);
+    return el;
+}
+
+export function removeElement(el: HTMLElement): void {
+    el && el.parentNode && el.parentNode.removeChild(el);
+}
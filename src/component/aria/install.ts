@@ -20,8 +20,22 @@
 import { EChartsExtensionInstallRegisters } from '../../extension';
 import ariaVisual from '../../visual/aria';
 import ariaPreprocessor from './preprocessor';
+import ariaKeyboard, { disposeAriaKeyboard } from './keyboard';
+import ariaDataTable from './dataTable';
+import { sonify, stopSonify } from './sonify';
 
 export function install(registers: EChartsExtensionInstallRegisters) {
     registers.registerPreprocessor(ariaPreprocessor);
     registers.registerVisual(registers.PRIORITY.VISUAL.ARIA, ariaVisual);
+    registers.registerPostUpdate(ariaKeyboard);
+    registers.registerPostUpdate(ariaDataTable);
+    registers.registerPostDispose(disposeAriaKeyboard);
+    registers.registerPostDispose(function (ecModel, api) {
+        stopSonify(api);
+    });
+
+    registers.registerAction({type: 'sonify', update: 'none'}, sonify);
+    registers.registerAction({type: 'stopSonify', update: 'none'}, function (payload, ecModel, api) {
+        stopSonify(api);
+    });
 }
\ No newline at end of file
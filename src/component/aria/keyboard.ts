@@ -0,0 +1,260 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+/**
+ * Keyboard navigation of data items, enabled by `aria.keyboard.enabled`.
+ *
+ * Tab focuses the chart container. ArrowLeft and ArrowRight move between the data
+ * items of a series, ArrowUp and ArrowDown move between series, Enter toggles the
+ * selection of the focused item if `selectedMode` is enabled, and Escape leaves the item.
+ * The focused item is highlighted with the tooltip shown, and announced by a live region.
+ */
+
+import env from 'zrender/src/core/env';
+import { ZRenderType } from 'zrender/src/zrender';
+import { addEventListener, removeEventListener } from 'zrender/src/core/event';
+import ExtensionAPI from '../../core/ExtensionAPI';
+import GlobalModel from '../../model/Global';
+import Model from '../../model/Model';
+import SeriesModel from '../../model/Series';
+import { makeInner } from '../../util/model';
+import { formatTplSimple } from '../../util/format';
+import { retrieveRawValue } from '../../data/helper/dataProvider';
+import { AriaOption } from '../../util/types';
+import { createHiddenElement, removeElement } from './helper';
+
+const inner = makeInner<{controller: KeyboardController}, ZRenderType>();
+
+class KeyboardController {
+
+    private _api: ExtensionAPI;
+
+    private _dom: HTMLElement;
+
+    private _liveRegion: HTMLElement;
+
+    private _enabled: boolean;
+
+    // `dataIndex` is the raw index, which is the same as the one in the payload of actions.
+    private _focused: {seriesIndex: number, dataIndex: number};
+
+    private _onKeyDown = (e: KeyboardEvent) => {
+        this._handleKeyDown(e);
+    };
+
+    private _onBlur = () => {
+        this._leave();
+    };
+
+    constructor(api: ExtensionAPI, dom: HTMLElement) {
+        this._api = api;
+        this._dom = dom;
+        addEventListener(dom, 'keydown', this._onKeyDown);
+        addEventListener(dom, 'blur', this._onBlur);
+    }
+
+    setEnabled(enabled: boolean): void {
+        const dom = this._dom;
+        if (enabled === this._enabled) {
+            return;
+        }
+        this._enabled = enabled;
+
+        if (enabled) {
+            dom.setAttribute('tabindex', '0');
+            this._liveRegion = createHiddenElement(dom, 'div');
+            this._liveRegion.setAttribute('aria-live', 'polite');
+        }
+        else {
+            this._leave();
+            dom.removeAttribute('tabindex');
+            removeElement(this._liveRegion);
+            this._liveRegion = null;
+        }
+    }
+
+    dispose(): void {
+        const dom = this._dom;
+        removeEventListener(dom, 'keydown', this._onKeyDown, false);
+        removeEventListener(dom, 'blur', this._onBlur, false);
+        dom.removeAttribute('tabindex');
+        removeElement(this._liveRegion);
+        this._api = this._dom = this._liveRegion = this._focused = null;
+    }
+
+    private _handleKeyDown(e: KeyboardEvent): void {
+        if (!this._enabled) {
+            return;
+        }
+
+        const key = e.key;
+        if (key === 'ArrowLeft' || key === 'ArrowRight') {
+            this._move(0, key === 'ArrowLeft' ? -1 : 1);
+        }
+        else if (key === 'ArrowUp' || key === 'ArrowDown') {
+            this._move(key === 'ArrowUp' ? -1 : 1, 0);
+        }
+        else if (key === 'Enter' && this._focused) {
+            this._toggleSelect();
+        }
+        else if (key === 'Escape' && this._focused) {
+            this._leave();
+        }
+        else {
+            return;
+        }
+        // Do not scroll the page.
+        e.preventDefault();
+    }
+
+    private _move(seriesStep: number, dataStep: number): void {
+        const seriesList: SeriesModel[] = [];
+        this._api.getModel().eachSeries(function (seriesModel) {
+            seriesModel.getData().count() && seriesList.push(seriesModel);
+        });
+        if (!seriesList.length) {
+            return;
+        }
+
+        const focused = this._focused;
+        let seriesPos = 0;
+        let dataPos = 0;
+        if (focused) {
+            for (let i = 0; i < seriesList.length; i++) {
+                if (seriesList[i].seriesIndex === focused.seriesIndex) {
+                    seriesPos = i;
+                    // The focused item may have been filtered out.
+                    dataPos = Math.max(seriesList[i].getData().indexOfRawIndex(focused.dataIndex), 0);
+                    break;
+                }
+            }
+            seriesPos = (seriesPos + seriesStep + seriesList.length) % seriesList.length;
+            const count = seriesList[seriesPos].getData().count();
+            dataPos = Math.min((dataPos + dataStep + count) % count, count - 1);
+        }
+
+        this._focus(seriesList[seriesPos], dataPos);
+    }
+
+    private _focus(seriesModel: SeriesModel, dataIndexInside: number): void {
+        this._leave();
+
+        const api = this._api;
+        const data = seriesModel.getData();
+        const focused = this._focused = {
+            seriesIndex: seriesModel.seriesIndex,
+            dataIndex: data.getRawIndex(dataIndexInside)
+        };
+        api.dispatchAction({
+            type: 'highlight',
+            seriesIndex: focused.seriesIndex,
+            dataIndex: focused.dataIndex
+        });
+        api.dispatchAction({
+            type: 'showTip',
+            seriesIndex: focused.seriesIndex,
+            dataIndex: focused.dataIndex
+        });
+
+        this._announce(seriesModel, dataIndexInside);
+    }
+
+    private _leave(): void {
+        const focused = this._focused;
+        if (!focused) {
+            return;
+        }
+        this._focused = null;
+
+        const api = this._api;
+        api.dispatchAction({
+            type: 'downplay',
+            seriesIndex: focused.seriesIndex,
+            dataIndex: focused.dataIndex
+        });
+        api.dispatchAction({
+            type: 'hideTip'
+        });
+    }
+
+    private _toggleSelect(): void {
+        const focused = this._focused;
+        const seriesModel = this._api.getModel().getSeriesByIndex(focused.seriesIndex);
+        const dataIndexInside = seriesModel && seriesModel.getData().indexOfRawIndex(focused.dataIndex);
+        if (dataIndexInside == null || dataIndexInside < 0) {
+            return;
+        }
+        this._api.dispatchAction({
+            type: 'toggleSelect',
+            seriesIndex: focused.seriesIndex,
+            dataIndex: focused.dataIndex
+        });
+        this._announce(seriesModel, dataIndexInside);
+    }
+
+    private _announce(seriesModel: SeriesModel, dataIndexInside: number): void {
+        const liveRegion = this._liveRegion;
+        if (!liveRegion) {
+            return;
+        }
+
+        const ariaModel: Model<AriaOption> = seriesModel.ecModel.getModel('aria');
+        // The locale has been merged into the option by the aria visual.
+        const dataLabelModel = ariaModel.getModel(['label', 'data']);
+        const data = seriesModel.getData();
+        const name = data.getName(dataIndexInside);
+        const seriesName = seriesModel.name;
+
+        let text = formatTplSimple(dataLabelModel.get(name ? 'withName' : 'withoutName') || '{value}', {
+            name: name,
+            value: retrieveRawValue(data, dataIndexInside)
+        });
+        seriesName && (text = seriesName + ': ' + text);
+        if (seriesModel.isSelected(dataIndexInside)) {
+            text += ' (' + (dataLabelModel.get('selected') || 'selected') + ')';
+        }
+
+        liveRegion.textContent = text;
+    }
+}
+
+export default function ariaKeyboard(ecModel: GlobalModel, api: ExtensionAPI) {
+    const zr = api.getZr();
+    const dom = api.getDom();
+    if (!dom || !env.domSupported) {
+        return;
+    }
+
+    const ariaModel: Model<AriaOption> = ecModel.getModel('aria');
+    const enabled = !!(ariaModel.get('enabled') && ariaModel.get(['keyboard', 'enabled']));
+
+    let controller = inner(zr).controller;
+    if (enabled && !controller) {
+        controller = inner(zr).controller = new KeyboardController(api, dom);
+    }
+    controller && controller.setEnabled(enabled);
+}
+
+export function disposeAriaKeyboard(ecModel: GlobalModel, api: ExtensionAPI) {
+    const store = inner(api.getZr());
+    if (store.controller) {
+        store.controller.dispose();
+        store.controller = null;
+    }
+}
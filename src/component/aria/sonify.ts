@@ -0,0 +1,169 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+/* global window */
+
+/**
+ * Play a series as a sequence of tones, where the pitch is mapped from the value
+ * and the time is mapped from the base axis.
+ *
+ * ```js
+ * chart.dispatchAction({ type: 'sonify', seriesIndex: 0 });
+ * chart.dispatchAction({ type: 'stopSonify' });
+ * ```
+ */
+
+import { each, isFunction } from 'zrender/src/core/util';
+import { ZRenderType } from 'zrender/src/zrender';
+import ExtensionAPI from '../../core/ExtensionAPI';
+import GlobalModel from '../../model/Global';
+import Model from '../../model/Model';
+import SeriesModel from '../../model/Series';
+import { makeInner } from '../../util/model';
+import { AriaOption, AriaSonifyTone, Payload } from '../../util/types';
+import Axis from '../../coord/Axis';
+import type Cartesian2D from '../../coord/cartesian/Cartesian2D';
+
+type SonifyOption = AriaOption['sonify'];
+
+export interface SonifyPayload extends Payload {
+    seriesIndex?: number
+    seriesId?: string
+    seriesName?: string
+}
+
+const DEFAULT_DURATION = 3000;
+const DEFAULT_FREQUENCY_RANGE = [220, 880];
+// Leave a gap between tones so that they can be distinguished.
+const TONE_DURATION_RATIO = 0.8;
+
+const inner = makeInner<{stop: () => void}, ZRenderType>();
+
+function webAudioBackend(tones: AriaSonifyTone[]) {
+    const AudioContextCtor = typeof window !== 'undefined'
+        && (window.AudioContext || (window as any).webkitAudioContext);
+    if (!AudioContextCtor) {
+        return;
+    }
+
+    const ctx: AudioContext = new AudioContextCtor();
+    const startTime = ctx.currentTime;
+    each(tones, function (tone) {
+        const oscillator = ctx.createOscillator();
+        const gain = ctx.createGain();
+        const toneStart = startTime + tone.time / 1000;
+        const toneEnd = toneStart + tone.duration / 1000;
+        oscillator.frequency.value = tone.frequency;
+        // Fade out to avoid clicks.
+        gain.gain.setValueAtTime(0.3, toneStart);
+        gain.gain.linearRampToValueAtTime(0, toneEnd);
+        oscillator.connect(gain);
+        gain.connect(ctx.destination);
+        oscillator.start(toneStart);
+        oscillator.stop(toneEnd);
+    });
+
+    return function () {
+        ctx.close();
+    };
+}
+
+function clamp01(val: number): number {
+    return Math.min(Math.max(val, 0), 1);
+}
+
+/**
+ * Tones of the series. Value and time are normalized by the axis scales
+ * if the series is on cartesian, otherwise by the data extent and the data index.
+ */
+export function getSonifyTones(seriesModel: SeriesModel, sonifyModel: Model<SonifyOption>): AriaSonifyTone[] {
+    const data = seriesModel.getData();
+    const count = data.count();
+    const duration = sonifyModel.get('duration') || DEFAULT_DURATION;
+    const frequencyRange = sonifyModel.get('frequencyRange') || DEFAULT_FREQUENCY_RANGE;
+    const toneDuration = count ? duration / count * TONE_DURATION_RATIO : 0;
+
+    const coordSys = seriesModel.coordinateSystem;
+    let baseAxis: Axis;
+    let valueAxis: Axis;
+    if (coordSys && coordSys.type === 'cartesian2d') {
+        const baseAxis2D = (coordSys as Cartesian2D).getBaseAxis();
+        baseAxis = baseAxis2D;
+        valueAxis = (coordSys as Cartesian2D).getOtherAxis(baseAxis2D);
+    }
+    const valueDim = valueAxis
+        ? data.mapDimension(valueAxis.dim)
+        : (data.mapDimension('value') || data.getDimension(0));
+    const baseDim = baseAxis && data.mapDimension(baseAxis.dim);
+    const valueExtent = data.getDataExtent(valueDim);
+
+    const tones: AriaSonifyTone[] = [];
+    for (let i = 0; i < count; i++) {
+        const value = data.get(valueDim, i) as number;
+        if (value == null || isNaN(value)) {
+            continue;
+        }
+        const timeRatio = baseAxis
+            ? baseAxis.scale.normalize(data.get(baseDim, i) as number)
+            : count > 1 ? i / (count - 1) : 0;
+        const pitchRatio = valueAxis
+            ? valueAxis.scale.normalize(value)
+            : valueExtent[1] > valueExtent[0] ? (value - valueExtent[0]) / (valueExtent[1] - valueExtent[0]) : 0.5;
+        tones.push({
+            // Use exponential mapping since pitch is perceived logarithmically.
+            frequency: frequencyRange[0] * Math.pow(frequencyRange[1] / frequencyRange[0], clamp01(pitchRatio)),
+            // The last tone starts before the end.
+            time: clamp01(timeRatio) * (duration - toneDuration),
+            duration: toneDuration,
+            dataIndex: data.getRawIndex(i),
+            value: value
+        });
+    }
+    tones.sort(function (a, b) {
+        return a.time - b.time;
+    });
+    return tones;
+}
+
+export function stopSonify(api: ExtensionAPI): void {
+    const store = inner(api.getZr());
+    store.stop && store.stop();
+    store.stop = null;
+}
+
+export function sonify(payload: SonifyPayload, ecModel: GlobalModel, api: ExtensionAPI): void {
+    stopSonify(api);
+
+    const seriesModel = ecModel.findComponents({
+        mainType: 'series',
+        query: payload,
+        filter: function (seriesModel: SeriesModel) {
+            return !ecModel.isSeriesFiltered(seriesModel);
+        }
+    })[0] as SeriesModel;
+    if (!seriesModel) {
+        return;
+    }
+
+    const ariaModel: Model<AriaOption> = ecModel.getModel('aria');
+    const sonifyModel = ariaModel.getModel('sonify');
+    const backend = sonifyModel.get('backend') || webAudioBackend;
+    const stop = backend(getSonifyTones(seriesModel, sonifyModel));
+    inner(api.getZr()).stop = isFunction(stop) ? stop : null;
+}
@@ -33,6 +33,7 @@ import { AxisBaseOption } from '../../coord/axisCommonTypes';
 import Element from 'zrender/src/Element';
 import { PathStyleProps } from 'zrender/src/graphic/Path';
 import OrdinalScale from '../../scale/Ordinal';
+import {getAxisBreakCoords, separateBreakLabels} from './axisBreakHelper';
 
 
 const PI = Math.PI;
@@ -273,22 +274,39 @@ const builders: Record<'axisLine' | 'axisTickLabel' | 'axisName', AxisElementsBu
             axisModel.getModel(['axisLine', 'lineStyle']).getLineStyle()
         );
 
-        const line = new graphic.Line({
-            // Id for animation
-            subPixelOptimize: true,
-            shape: {
-                x1: pt1[0],
-                y1: pt1[1],
-                x2: pt2[0],
-                y2: pt2[1]
-            },
-            style: lineStyle,
-            strokeContainThreshold: opt.strokeContainThreshold || 5,
-            silent: true,
-            z2: 1
+        // The axis line is split into segments by breaks.
+        const segments = [[Math.min(extent[0], extent[1]), Math.max(extent[0], extent[1])]];
+        each(getAxisBreakCoords(axisModel.axis), function (breakCoord) {
+            const lastSegment = segments[segments.length - 1];
+            const segmentEnd = lastSegment[1];
+            lastSegment[1] = breakCoord.coordRange[0];
+            segments.push([breakCoord.coordRange[1], segmentEnd]);
+        });
+
+        each(segments, function (segment, idx) {
+            const segmentPt1 = [segment[0], 0];
+            const segmentPt2 = [segment[1], 0];
+            if (matrix) {
+                v2ApplyTransform(segmentPt1, segmentPt1, matrix);
+                v2ApplyTransform(segmentPt2, segmentPt2, matrix);
+            }
+            const line = new graphic.Line({
+                // Id for animation
+                subPixelOptimize: true,
+                shape: {
+                    x1: segmentPt1[0],
+                    y1: segmentPt1[1],
+                    x2: segmentPt2[0],
+                    y2: segmentPt2[1]
+                },
+                style: lineStyle,
+                strokeContainThreshold: opt.strokeContainThreshold || 5,
+                silent: true,
+                z2: 1
+            });
+            line.anid = idx ? 'line_' + idx : 'line';
+            group.add(line);
         });
-        line.anid = 'line';
-        group.add(line);
 
         let arrows = axisModel.get(['axisLine', 'symbol']);
         let arrowSize = axisModel.get(['axisLine', 'symbolSize']);
@@ -839,6 +857,13 @@ function buildAxisLabel(
 
     });
 
+    for (let i = 0; i < labels.length - 1; i++) {
+        const breakInfo = labels[i].break;
+        if (breakInfo && breakInfo.type === 'vmin' && labels[i + 1].break) {
+            separateBreakLabels(opt.rotation, labelEls[i], labelEls[i + 1]);
+        }
+    }
+
     return labelEls;
 }
 
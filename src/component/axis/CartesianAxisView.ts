@@ -23,6 +23,7 @@ import AxisBuilder, {AxisBuilderCfg} from './AxisBuilder';
 import AxisView from './AxisView';
 import * as cartesianAxisHelper from '../../coord/cartesian/cartesianAxisHelper';
 import {rectCoordAxisBuildSplitArea, rectCoordAxisHandleRemove} from './axisSplitHelper';
+import {rectCoordAxisBuildBreakArea} from './axisBreakHelper';
 import GlobalModel from '../../model/Global';
 import ExtensionAPI from '../../core/ExtensionAPI';
 import CartesianAxisModel from '../../coord/cartesian/AxisModel';
@@ -91,6 +92,10 @@ class CartesianAxisView extends AxisView {
             }
         }, this);
 
+        if (axisModel.get(['breakArea', 'show'])) {
+            rectCoordAxisBuildBreakArea(this._axisGroup, axisModel, gridModel, api);
+        }
+
         graphic.groupTransition(oldAxisGroup, this._axisGroup, axisModel);
 
         super.render(axisModel, ecModel, api, payload);
@@ -23,6 +23,7 @@ import * as graphic from '../../util/graphic';
 import * as singleAxisHelper from '../../coord/single/singleAxisHelper';
 import AxisView from './AxisView';
 import {rectCoordAxisBuildSplitArea, rectCoordAxisHandleRemove} from './axisSplitHelper';
+import {rectCoordAxisBuildBreakArea} from './axisBreakHelper';
 import SingleAxisModel from '../../coord/single/AxisModel';
 import GlobalModel from '../../model/Global';
 import ExtensionAPI from '../../core/ExtensionAPI';
@@ -68,6 +69,10 @@ class SingleAxisView extends AxisView {
             }
         }, this);
 
+        if (axisModel.get(['breakArea', 'show'])) {
+            rectCoordAxisBuildBreakArea(this._axisGroup, axisModel, axisModel, api);
+        }
+
         graphic.groupTransition(oldAxisGroup, this._axisGroup, axisModel);
 
         super.render(axisModel, ecModel, api, payload);
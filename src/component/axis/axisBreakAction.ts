@@ -0,0 +1,108 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { each, map, extend, bind, indexOf } from 'zrender/src/core/util';
+import { Payload, ScaleDataValue } from '../../util/types';
+import GlobalModel from '../../model/Global';
+import { EChartsExtensionInstallRegisters } from '../../extension';
+import { parseFinder, ModelFinderObject } from '../../util/model';
+import { AxisBaseModel } from '../../coord/AxisBaseModel';
+import { AxisBreakOption } from '../../coord/axisCommonTypes';
+import { isSameBreak, parseAxisBreakOption } from '../../scale/break';
+import ComponentModel from '../../model/Component';
+
+/**
+ * @example
+ * chart.dispatchAction({
+ *     type: 'expandAxisBreak',
+ *     xAxisIndex: 0,
+ *     breaks: [{start: 100, end: 900}]
+ * });
+ */
+export interface AxisBreakPayload extends Payload, ModelFinderObject {
+    breaks: Pick<AxisBreakOption, 'start' | 'end'>[];
+}
+
+const AXIS_MAIN_TYPES = ['xAxis', 'yAxis', 'singleAxis'];
+
+function setBreaksExpanded(payload: AxisBreakPayload, ecModel: GlobalModel, isExpanded: boolean) {
+    const finderResult = parseFinder(ecModel, payload, {
+        includeMainTypes: AXIS_MAIN_TYPES
+    });
+    each(AXIS_MAIN_TYPES, function (mainType) {
+        each(finderResult[mainType + 'Models'] as ComponentModel[], function (axisModel: AxisBaseModel) {
+            const scale = axisModel.axis && axisModel.axis.scale;
+            const breakOptionList = axisModel.option.breaks;
+            if (!scale || !breakOptionList) {
+                return;
+            }
+            const parse = bind(scale.parse as (val: ScaleDataValue) => number, scale);
+            const targets: AxisBreakOption[] = [];
+            each(breakOptionList, function (breakOption) {
+                for (let i = 0; i < payload.breaks.length; i++) {
+                    if (isSameBreak(breakOption, payload.breaks[i], parse)) {
+                        targets.push(breakOption);
+                        return;
+                    }
+                }
+            });
+            // Overlapped breaks are merged into one, which can be specified by any of
+            // the source breaks or by the merged range. All of the source breaks are
+            // modified, otherwise the others still collapse the range.
+            each(parseAxisBreakOption(breakOptionList, parse, true), function (parsedBreak) {
+                const sourceOptions = parsedBreak.breakOptions;
+                let hit = false;
+                for (let i = 0; i < payload.breaks.length && !hit; i++) {
+                    hit = isSameBreak({start: parsedBreak.vmin, end: parsedBreak.vmax}, payload.breaks[i], parse);
+                }
+                for (let i = 0; i < sourceOptions.length && !hit; i++) {
+                    hit = indexOf(targets, sourceOptions[i]) >= 0;
+                }
+                hit && each(sourceOptions, function (breakOption) {
+                    indexOf(targets, breakOption) < 0 && targets.push(breakOption);
+                });
+            });
+            // Do not modify the original option.
+            axisModel.option.breaks = map(breakOptionList, function (breakOption) {
+                return indexOf(targets, breakOption) >= 0
+                    ? extend(extend({}, breakOption), {isExpanded: isExpanded})
+                    : breakOption;
+            });
+        });
+    });
+}
+
+export function installAxisBreakActions(registers: EChartsExtensionInstallRegisters) {
+
+    registers.registerAction({
+        type: 'expandAxisBreak',
+        event: 'axisBreakExpanded',
+        update: 'update'
+    }, function (payload: AxisBreakPayload, ecModel: GlobalModel) {
+        setBreaksExpanded(payload, ecModel, true);
+    });
+
+    registers.registerAction({
+        type: 'collapseAxisBreak',
+        event: 'axisBreakCollapsed',
+        update: 'update'
+    }, function (payload: AxisBreakPayload, ecModel: GlobalModel) {
+        setBreaksExpanded(payload, ecModel, false);
+    });
+}
@@ -0,0 +1,213 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { map, extend } from 'zrender/src/core/util';
+import * as graphic from '../../util/graphic';
+import Axis from '../../coord/Axis';
+import type IntervalScale from '../../scale/Interval';
+import { ParsedAxisBreak } from '../../scale/break';
+import ExtensionAPI from '../../core/ExtensionAPI';
+import type SingleAxisModel from '../../coord/single/AxisModel';
+import type Axis2D from '../../coord/cartesian/Axis2D';
+import type SingleAxis from '../../coord/single/SingleAxis';
+import { AxisBaseModel } from '../../coord/AxisBaseModel';
+import GridModel from '../../coord/cartesian/GridModel';
+import { AxisBreakPayload } from './axisBreakAction';
+
+export interface AxisBreakCoord {
+    vmin: number
+    vmax: number
+    // The coords of vmin and vmax, where coordRange[0] <= coordRange[1].
+    coordRange: [number, number]
+    parsedBreak: ParsedAxisBreak
+}
+
+/**
+ * Get the breaks inside the current extent of the axis, with coords
+ * in the same space as `axis.dataToCoord`. Sorted by coord.
+ */
+export function getAxisBreakCoords(axis: Axis): AxisBreakCoord[] {
+    const scale = axis.scale;
+    if (scale.type !== 'interval' && scale.type !== 'time') {
+        return [];
+    }
+    const breakCtx = (scale as IntervalScale).getBreakContext();
+    if (!breakCtx) {
+        return [];
+    }
+    return map(breakCtx.getVisibleBreaks(), function (brk) {
+        const coord0 = axis.dataToCoord(brk.vmin);
+        const coord1 = axis.dataToCoord(brk.vmax);
+        return {
+            vmin: brk.vmin,
+            vmax: brk.vmax,
+            coordRange: [Math.min(coord0, coord1), Math.max(coord0, coord1)] as [number, number],
+            parsedBreak: brk.parsedBreak
+        };
+    }).sort(function (a, b) {
+        return a.coordRange[0] - b.coordRange[0];
+    });
+}
+
+/**
+ * Move the two labels on the boundaries of a break apart along
+ * the axis if they overlap.
+ * @param axisRotation Rotation of the axis, in radian.
+ */
+export function separateBreakLabels(
+    axisRotation: number,
+    labelA: graphic.Text,
+    labelB: graphic.Text
+) {
+    const rectA = labelA.getBoundingRect().clone();
+    const rectB = labelB.getBoundingRect().clone();
+    rectA.applyTransform(labelA.getLocalTransform());
+    rectB.applyTransform(labelB.getLocalTransform());
+
+    if (!rectA.intersect(rectB)) {
+        return;
+    }
+
+    const dirX = Math.cos(axisRotation);
+    const dirY = -Math.sin(axisRotation);
+    const isHorizontal = Math.abs(dirX) >= Math.abs(dirY);
+    const xy = isHorizontal ? 'x' : 'y';
+    const wh = isHorizontal ? 'width' : 'height';
+
+    const overlap = Math.min(rectA[xy] + rectA[wh], rectB[xy] + rectB[wh])
+        - Math.max(rectA[xy], rectB[xy]);
+    // Move the label in the front along the axis backward.
+    const sign = (labelB.x - labelA.x) * dirX + (labelB.y - labelA.y) * dirY >= 0 ? 1 : -1;
+    // Both of the labels moves a half, plus a small padding.
+    const dist = (overlap / 2 + 1) / (isHorizontal ? Math.abs(dirX) : Math.abs(dirY));
+
+    labelA.x -= sign * dist * dirX;
+    labelA.y -= sign * dist * dirY;
+    labelB.x += sign * dist * dirX;
+    labelB.y += sign * dist * dirY;
+}
+
+/**
+ * Build the zigzag areas on the breaks, which cover the grid.
+ */
+export function rectCoordAxisBuildBreakArea(
+    axisGroup: graphic.Group,
+    axisModel: AxisBaseModel & {axis: Axis2D | SingleAxis},
+    gridModel: GridModel | SingleAxisModel,
+    api: ExtensionAPI
+) {
+    const axis = axisModel.axis;
+
+    if (axis.scale.isBlank()) {
+        return;
+    }
+
+    const breakCoords = getAxisBreakCoords(axis);
+    if (!breakCoords.length) {
+        return;
+    }
+
+    const breakAreaModel = axisModel.getModel('breakArea');
+    const itemStyle = breakAreaModel.getModel('itemStyle').getItemStyle();
+    const amplitude = breakAreaModel.get('zigzagAmplitude');
+    const expandOnClick = breakAreaModel.get('expandOnClick');
+
+    const gridRect = gridModel.coordinateSystem.getRect();
+    const isHorizontal = axis.isHorizontal();
+    // Along the axis: xy[0], perpendicular: xy[1].
+    const xy = isHorizontal ? ['x', 'y'] as const : ['y', 'x'] as const;
+    const wh = isHorizontal ? 'height' : 'width';
+    const start = gridRect[xy[1]];
+    const span = gridRect[wh];
+    const stepCount = Math.max(Math.round(span / Math.max(amplitude * 2, 2)), 1);
+
+    function makeZigzag(coord: number, reverse: boolean): number[][] {
+        const points = [];
+        for (let i = 0; i <= stepCount; i++) {
+            const offset = amplitude ? (i % 2 ? 1 : -1) * amplitude / 2 : 0;
+            const pt = [];
+            pt[xy[0] === 'x' ? 0 : 1] = coord + offset;
+            pt[xy[1] === 'x' ? 0 : 1] = start + span * i / stepCount;
+            points.push(pt);
+        }
+        return reverse ? points.reverse() : points;
+    }
+
+    for (let i = 0; i < breakCoords.length; i++) {
+        const breakCoord = breakCoords[i];
+        const coord0 = axis.toGlobalCoord(breakCoord.coordRange[0]);
+        const coord1 = axis.toGlobalCoord(breakCoord.coordRange[1]);
+        const zigzag0 = makeZigzag(coord0, false);
+        const zigzag1 = makeZigzag(coord1, true);
+        const anid = 'break_' + breakCoord.vmin + '_' + breakCoord.vmax;
+
+        const area = new graphic.Polygon({
+            anid: anid,
+            shape: {
+                points: zigzag0.concat(zigzag1)
+            },
+            style: {
+                fill: itemStyle.fill,
+                opacity: itemStyle.opacity
+            },
+            silent: !expandOnClick,
+            cursor: expandOnClick ? 'pointer' : 'default'
+        });
+        if (expandOnClick) {
+            // Expand all of the merged breaks.
+            const breaks = map(breakCoord.parsedBreak.breakOptions, function (breakOption) {
+                return {
+                    start: breakOption.start,
+                    end: breakOption.end
+                };
+            });
+            area.on('click', function () {
+                const payload = {
+                    type: 'expandAxisBreak',
+                    breaks: breaks
+                } as AxisBreakPayload;
+                payload[axisModel.mainType + 'Id'] = axisModel.id;
+                api.dispatchAction(payload);
+            });
+        }
+        axisGroup.add(area);
+
+        const borderStyle = {
+            fill: null as string,
+            stroke: itemStyle.stroke,
+            lineWidth: itemStyle.lineWidth,
+            lineDash: itemStyle.lineDash,
+            opacity: itemStyle.opacity
+        };
+        axisGroup.add(new graphic.Polyline({
+            anid: anid + '_start',
+            shape: {points: zigzag0},
+            style: extend({}, borderStyle),
+            silent: true,
+            z2: 1
+        }));
+        axisGroup.add(new graphic.Polyline({
+            anid: anid + '_end',
+            shape: {points: zigzag1},
+            style: extend({}, borderStyle),
+            silent: true,
+            z2: 1
+        }));
+    }
+}
@@ -24,6 +24,7 @@ import BrushModel, { BrushAreaParam } from './BrushModel';
 import brushVisual from './visualEncoding';
 import { Payload } from '../../util/types';
 import GlobalModel from '../../model/Global';
+import { recordInteraction } from '../../core/interactionHistory';
 
 // TODO
 import BrushFeature from '../toolbox/feature/Brush';
@@ -46,6 +47,8 @@ export function install(registers: EChartsExtensionInstallRegisters) {
     registers.registerAction(
         {type: 'brush', event: 'brush', update: 'updateVisual' },
         function (payload: BrushPayload, ecModel: GlobalModel) {
+            // Areas remain if not specified.
+            payload.areas && recordInteraction(ecModel, 'brush');
             ecModel.eachComponent(
                 {mainType: 'brush', query: payload},
                 function (brushModel: BrushModel) {
@@ -23,7 +23,7 @@ import sliderMove from '../helper/sliderMove';
 import GlobalModel from '../../model/Global';
 import SeriesModel from '../../model/Series';
 import ExtensionAPI from '../../core/ExtensionAPI';
-import { Dictionary } from '../../util/types';
+import { Dictionary, ScaleDataValue } from '../../util/types';
 // TODO Polar?
 import DataZoomModel from './DataZoomModel';
 import { AxisBaseModel } from '../../coord/AxisBaseModel';
@@ -31,6 +31,7 @@ import { unionAxisExtentFromData } from '../../coord/axisHelper';
 import { ensureScaleRawExtentInfo } from '../../coord/scaleRawExtentInfo';
 import { getAxisMainType, isCoordSupported, DataZoomAxisDimension } from './helper';
 import { SINGLE_REFERRING } from '../../util/model';
+import { ScaleBreakContext, parseAxisBreakOption } from '../../scale/break';
 
 const each = zrUtil.each;
 const asc = numberUtil.asc;
@@ -151,6 +152,30 @@ class AxisProxy {
         const valueWindow = [] as unknown as [number, number];
         let hasPropModeValue;
 
+        // Percent is linear to the pixel, which is not linear to the value
+        // if there are axis breaks.
+        let breakCtx: ScaleBreakContext;
+        if (scale.type === 'interval' || scale.type === 'time') {
+            const breaks = parseAxisBreakOption(
+                axisModel.get('breaks'), zrUtil.bind(scale.parse as (val: ScaleDataValue) => number, scale)
+            );
+            if (breaks.length) {
+                breakCtx = new ScaleBreakContext(breaks);
+                breakCtx.update(dataExtent);
+            }
+        }
+        const elapsedDataExtent = breakCtx ? breakCtx.getElapsedExtent() : dataExtent;
+
+        function percentToValue(percent: number, clamp?: boolean): number {
+            const elapsed = numberUtil.linearMap(percent, percentExtent, elapsedDataExtent, clamp);
+            return breakCtx ? breakCtx.unelapse(elapsed) : elapsed;
+        }
+        function valueToPercent(value: number, clamp?: boolean): number {
+            return numberUtil.linearMap(
+                breakCtx ? breakCtx.elapse(value) : value, elapsedDataExtent, percentExtent, clamp
+            );
+        }
+
         each(['start', 'end'] as const, function (prop, idx) {
             let boundPercent = opt[prop];
             let boundValue = opt[prop + 'Value' as 'startValue' | 'endValue'];
@@ -172,9 +197,7 @@ class AxisProxy {
             if (rangePropMode[idx] === 'percent') {
                 boundPercent == null && (boundPercent = percentExtent[idx]);
                 // Use scale.parse to math round for category or time axis.
-                boundValue = scale.parse(numberUtil.linearMap(
-                    boundPercent, percentExtent, dataExtent
-                ));
+                boundValue = scale.parse(percentToValue(boundPercent));
             }
             else {
                 hasPropModeValue = true;
@@ -182,9 +205,7 @@ class AxisProxy {
                 // Calculating `percent` from `value` may be not accurate, because
                 // This calculation can not be inversed, because all of values that
                 // are overflow the `dataExtent` will be calculated to percent '100%'
-                boundPercent = numberUtil.linearMap(
-                    boundValue, dataExtent, percentExtent
-                );
+                boundPercent = valueToPercent(boundValue);
             }
 
             // valueWindow[idx] = round(boundValue);
@@ -203,14 +224,13 @@ class AxisProxy {
         // specified.
         const spans = this._minMaxSpan;
         hasPropModeValue
-            ? restrictSet(valueWindow, percentWindow, dataExtent, percentExtent, false)
-            : restrictSet(percentWindow, valueWindow, percentExtent, dataExtent, true);
+            ? restrictSet(valueWindow, percentWindow, dataExtent, false)
+            : restrictSet(percentWindow, valueWindow, percentExtent, true);
 
         function restrictSet(
             fromWindow: number[],
             toWindow: number[],
             fromExtent: number[],
-            toExtent: number[],
             toValue: boolean
         ) {
             const suffix = toValue ? 'Span' : 'ValueSpan';
@@ -220,8 +240,9 @@ class AxisProxy {
                 spans['max' + suffix as 'maxSpan' | 'maxValueSpan']
             );
             for (let i = 0; i < 2; i++) {
-                toWindow[i] = numberUtil.linearMap(fromWindow[i], fromExtent, toExtent, true);
-                toValue && (toWindow[i] = scale.parse(toWindow[i]));
+                toWindow[i] = toValue
+                    ? scale.parse(percentToValue(fromWindow[i], true))
+                    : valueToPercent(fromWindow[i], true);
             }
         }
 
@@ -21,6 +21,7 @@ import GlobalModel from '../../model/Global';
 import { findEffectedDataZooms } from './helper';
 import { EChartsExtensionInstallRegisters } from '../../extension';
 import { each } from 'zrender/src/core/util';
+import { recordInteraction } from '../../core/interactionHistory';
 
 
 export default function installDataZoomAction(registers: EChartsExtensionInstallRegisters) {
@@ -28,6 +29,8 @@ export default function installDataZoomAction(registers: EChartsExtensionInstall
 
         const effectedModels = findEffectedDataZooms(ecModel, payload);
 
+        effectedModels.length && recordInteraction(ecModel, 'dataZoom');
+
         each(effectedModels, function (dataZoomModel) {
             dataZoomModel.setRawRange({
                 start: payload.start,
@@ -30,13 +30,18 @@ import ComponentModel from '../../model/Component';
 import ComponentView from '../../view/Component';
 import {
     SERIES_LAYOUT_BY_COLUMN, ComponentOption, SeriesEncodeOptionMixin,
-    OptionSourceData, SeriesLayoutBy, OptionSourceHeader
+    OptionSourceData, SeriesLayoutBy, OptionSourceHeader,
+    SOURCE_FORMAT_ARRAY_ROWS, SOURCE_FORMAT_OBJECT_ROWS, SOURCE_FORMAT_KEYED_COLUMNS,
+    OptionSourceDataArrayRows, OptionSourceDataObjectRows, OptionSourceDataKeyedColumns, OptionDataValue
 } from '../../util/types';
 import { DataTransformOption, PipedDataTransformOption } from '../../data/helper/transform';
 import GlobalModel from '../../model/Global';
 import Model from '../../model/Model';
 import { disableTransformOptionMerge, SourceManager } from '../../data/helper/sourceManager';
 import { EChartsExtensionInstallRegisters } from '../../extension';
+import { TextSourceFormat } from '../../data/helper/textSource';
+import { each, keys, hasOwn } from 'zrender/src/core/util';
+import { throwError } from '../../util/log';
 
 
 export interface DatasetOption extends
@@ -46,7 +51,14 @@ export interface DatasetOption extends
 
     seriesLayoutBy?: SeriesLayoutBy;
     sourceHeader?: OptionSourceHeader;
-    source?: OptionSourceData;
+    // A text is also accepted, see `sourceFormat`.
+    source?: OptionSourceData | string;
+    // Only works when `source` is a text. 'csv' by default.
+    sourceFormat?: TextSourceFormat;
+    // The delimiter of 'csv' and 'tsv'. ',' for 'csv' and '\t' for 'tsv' by default.
+    delimiter?: string;
+    // The quote of 'csv' and 'tsv'. '"' by default.
+    quote?: string;
 
     fromDatasetIndex?: number;
     fromDatasetId?: string;
@@ -86,6 +98,70 @@ export class DatasetModel<Opts extends DatasetOption = DatasetOption> extends Co
     getSourceManager() {
         return this._sourceManager;
     }
+
+    /**
+     * Append rows to the source in place, and remove the oldest rows if the
+     * count of rows exceeds `maxLength`. The header rows are always kept.
+     * Only root dataset in format 'arrayRows' (column layout), 'objectRows'
+     * or 'keyedColumns' is supported, where `data` should be in the same format.
+     */
+    appendSource(
+        data: OptionSourceDataArrayRows | OptionSourceDataObjectRows | OptionSourceDataKeyedColumns,
+        maxLength?: number
+    ): void {
+        const sourceManager = this._sourceManager;
+        sourceManager.prepareSource();
+        const source = sourceManager.getSource();
+        const sourceData = this.option.source;
+        const sourceFormat = source.sourceFormat;
+        let errMsg = '';
+
+        // The source is not from `dataset.source` if it is transformed or parsed from text.
+        if (source.data !== sourceData
+            || (sourceFormat === SOURCE_FORMAT_ARRAY_ROWS && source.seriesLayoutBy !== SERIES_LAYOUT_BY_COLUMN)
+            || (
+                sourceFormat !== SOURCE_FORMAT_ARRAY_ROWS
+                && sourceFormat !== SOURCE_FORMAT_OBJECT_ROWS
+                && sourceFormat !== SOURCE_FORMAT_KEYED_COLUMNS
+            )
+        ) {
+            if (__DEV__) {
+                errMsg = 'Only root dataset with "arrayRows" (column layout), "objectRows" or "keyedColumns"'
+                    + ' source can be appended, but the source format is "' + sourceFormat + '".';
+            }
+            throwError(errMsg);
+        }
+
+        if (sourceFormat === SOURCE_FORMAT_KEYED_COLUMNS) {
+            const columns = sourceData as OptionSourceDataKeyedColumns;
+            const newColumns = data as OptionSourceDataKeyedColumns;
+            each(keys(newColumns), function (key) {
+                const column = hasOwn(columns, key)
+                    ? columns[key] as OptionDataValue[]
+                    : (columns[key] = []) as OptionDataValue[];
+                const newColumn = newColumns[key];
+                for (let i = 0; i < newColumn.length; i++) {
+                    column.push(newColumn[i]);
+                }
+            });
+            maxLength != null && each(keys(columns), function (key) {
+                const column = columns[key] as OptionDataValue[];
+                column.length > maxLength && column.splice(0, column.length - maxLength);
+            });
+        }
+        else {
+            const rows = sourceData as (OptionSourceDataArrayRows | OptionSourceDataObjectRows);
+            const newRows = data as (OptionSourceDataArrayRows | OptionSourceDataObjectRows);
+            for (let i = 0; i < newRows.length; i++) {
+                (rows as unknown[]).push(newRows[i]);
+            }
+            const headerCount = source.startIndex;
+            const removeCount = maxLength != null ? rows.length - headerCount - maxLength : 0;
+            removeCount > 0 && rows.splice(headerCount, removeCount);
+        }
+
+        sourceManager.dirty();
+    }
 }
 
 class DatasetView extends ComponentView {
@@ -24,6 +24,7 @@ import { ActionInfo } from '../../util/types';
 import { each } from 'zrender/src/core/util';
 import GlobalModel from '../../model/Global';
 import { updateCenterAndZoom, RoamPaylod } from '../../action/roamHelper';
+import { recordInteraction } from '../../core/interactionHistory';
 import MapSeries from '../../chart/map/MapSeries';
 import GeoView from './GeoView';
 
@@ -90,6 +91,8 @@ export function install(registers: EChartsExtensionInstallRegisters) {
     }, function (payload: RoamPaylod, ecModel: GlobalModel) {
         const componentType = payload.componentType || 'series';
 
+        recordInteraction(ecModel, 'roam');
+
         ecModel.eachComponent(
             { mainType: componentType, query: payload },
             function (componentModel: GeoModel | MapSeries) {
@@ -27,6 +27,7 @@ import {CartesianAxisOption, CartesianAxisModel} from '../../coord/cartesian/Axi
 import axisModelCreator from '../../coord/axisModelCreator';
 import Grid from '../../coord/cartesian/Grid';
 import {CartesianXAxisView, CartesianYAxisView} from '../axis/CartesianAxisView';
+import {installAxisBreakActions} from '../axis/axisBreakAction';
 
 // Grid view
 class GridView extends ComponentView {
@@ -69,6 +70,8 @@ export function install(registers: EChartsExtensionInstallRegisters) {
     registers.registerComponentView(CartesianXAxisView);
     registers.registerComponentView(CartesianYAxisView);
 
+    installAxisBreakActions(registers);
+
     registers.registerPreprocessor(function (option) {
         // Only create grid when need
         if (option.xAxis && option.yAxis && !option.grid) {
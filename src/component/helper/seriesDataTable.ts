@@ -0,0 +1,155 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+/**
+ * Tables of the raw data of series, used by the `dataView` toolbox feature
+ * and the data table of aria.
+ */
+
+import * as zrUtil from 'zrender/src/core/util';
+import GlobalModel from '../../model/Global';
+import SeriesModel from '../../model/Series';
+import { Dictionary, OptionDataValue } from '../../util/types';
+import Axis from '../../coord/Axis';
+import Cartesian2D from '../../coord/cartesian/Cartesian2D';
+
+export interface SeriesGroupMeta {
+    axisDim: string
+    axisIndex: number
+}
+
+interface SeriesGroup {
+    series: SeriesModel[]
+    categoryAxis: Axis
+    valueAxis: Axis
+}
+
+export interface SeriesDataTable {
+    // Series name of the series not on category axis.
+    caption?: string
+    // Not including the header of the row headers.
+    headers: string[]
+    // Category or data name of each row. Can be empty string.
+    rowHeaders: string[]
+    rows: OptionDataValue[][]
+}
+
+/**
+ * Group series into two types
+ *  1. on category axis, like line, bar
+ *  2. others, like scatter, pie
+ */
+export function groupSeries(ecModel: GlobalModel) {
+    const seriesGroupByCategoryAxis: Dictionary<SeriesGroup> = {};
+    const otherSeries: SeriesModel[] = [];
+    const meta: SeriesGroupMeta[] = [];
+    ecModel.eachRawSeries(function (seriesModel) {
+        const coordSys = seriesModel.coordinateSystem;
+
+        if (coordSys && (coordSys.type === 'cartesian2d' || coordSys.type === 'polar')) {
+            // TODO: TYPE Consider polar? Include polar may increase unecessary bundle size.
+            const baseAxis = (coordSys as Cartesian2D).getBaseAxis();
+            if (baseAxis.type === 'category') {
+                const key = baseAxis.dim + '_' + baseAxis.index;
+                if (!seriesGroupByCategoryAxis[key]) {
+                    seriesGroupByCategoryAxis[key] = {
+                        categoryAxis: baseAxis,
+                        valueAxis: coordSys.getOtherAxis(baseAxis),
+                        series: []
+                    };
+                    meta.push({
+                        axisDim: baseAxis.dim,
+                        axisIndex: baseAxis.index
+                    });
+                }
+                seriesGroupByCategoryAxis[key].series.push(seriesModel);
+            }
+            else {
+                otherSeries.push(seriesModel);
+            }
+        }
+        else {
+            otherSeries.push(seriesModel);
+        }
+    });
+
+    return {
+        seriesGroupByCategoryAxis: seriesGroupByCategoryAxis,
+        other: otherSeries,
+        meta: meta
+    };
+}
+
+/**
+ * One table for each category axis, where each column is a series.
+ */
+export function getCategoryAxisTables(groups: Dictionary<SeriesGroup>): SeriesDataTable[] {
+    const tables: SeriesDataTable[] = [];
+    zrUtil.each(groups, function (group) {
+        const categoryAxis = group.categoryAxis;
+        const valueAxisDim = group.valueAxis.dim;
+
+        // @ts-ignore TODO Polar
+        const categories: string[] = categoryAxis.model.getCategories();
+        const columns = zrUtil.map(group.series, function (series) {
+            const rawData = series.getRawData();
+            return rawData.mapArray(rawData.mapDimension(valueAxisDim), function (val) {
+                return val;
+            });
+        });
+        tables.push({
+            headers: zrUtil.map(group.series, function (series) {
+                return series.name;
+            }),
+            rowHeaders: categories,
+            rows: zrUtil.map(categories, function (category, i) {
+                return zrUtil.map(columns, function (column) {
+                    return column[i];
+                });
+            })
+        });
+    });
+    return tables;
+}
+
+/**
+ * One table for each series, where each column is a dimension.
+ */
+export function getOtherSeriesTables(series: SeriesModel[]): SeriesDataTable[] {
+    return zrUtil.map(series, function (series) {
+        const data = series.getRawData();
+        const dimensions = data.dimensions;
+        const rowHeaders: string[] = [];
+        const rows: OptionDataValue[][] = [];
+        for (let dataIndex = 0, len = data.count(); dataIndex < len; dataIndex++) {
+            rowHeaders.push(data.getName(dataIndex));
+            rows.push(zrUtil.map(dimensions, function (dim) {
+                return data.get(dim, dataIndex) as OptionDataValue;
+            }));
+        }
+        return {
+            caption: series.name,
+            headers: zrUtil.map(dimensions, function (dim) {
+                return data.getDimensionInfo(dim).displayName || dim;
+            }),
+            rowHeaders: rowHeaders,
+            rows: rows
+        };
+    });
+}
@@ -20,11 +20,13 @@
 // @ts-nocheck
 
 import {curry, each} from 'zrender/src/core/util';
+import {recordInteraction} from '../../core/interactionHistory';
 
 function legendSelectActionHandler(methodName, payload, ecModel) {
     const selectedMap = {};
     const isToggleSelect = methodName === 'toggleSelected';
     let isSelected;
+    recordInteraction(ecModel, 'legend');
     // Update all legend components
     ecModel.eachComponent('legend', function (legendModel) {
         if (isToggleSelect && isSelected != null) {
@@ -26,6 +26,7 @@ import singleCreator from '../../coord/single/singleCreator';
 import {install as installAxisPointer} from '../axisPointer/install';
 import AxisView from '../axis/AxisView';
 import SingleAxisPointer from '../axisPointer/SingleAxisPointer';
+import { installAxisBreakActions } from '../axis/axisBreakAction';
 
 class SingleView extends ComponentView {
     static type = 'single';
@@ -46,4 +47,6 @@ export function install(registers: EChartsExtensionInstallRegisters) {
     axisModelCreator(registers, 'single', SingleAxisModel, SingleAxisModel.defaultOption);
 
     registers.registerCoordinateSystem('single', singleCreator);
+
+    installAxisBreakActions(registers);
 }
\ No newline at end of file
@@ -739,7 +739,8 @@ function createScaleByModel(model: SliderTimelineModel, axisType?: string): Scal
             case 'time':
                 return new TimeScale({
                     locale: model.ecModel.getLocaleModel(),
-                    useUTC: model.ecModel.get('useUTC')
+                    useUTC: model.ecModel.get('useUTC'),
+                    timezone: model.get('timezone')
                 });
             default:
                 // default to be value
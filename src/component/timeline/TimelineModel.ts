@@ -116,6 +116,11 @@ export interface TimelineOption extends ComponentOption, BoxLayoutOptionMixin, S
 
     axisType?: 'category' | 'time' | 'value'
 
+    /**
+     * IANA timezone of 'time' axis.
+     */
+    timezone?: string
+
     currentIndex?: number
 
     autoPlay?: boolean
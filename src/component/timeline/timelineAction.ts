@@ -22,6 +22,7 @@ import TimelineModel from './TimelineModel';
 import { defaults } from 'zrender/src/core/util';
 import { Payload } from '../../util/types';
 import { EChartsExtensionInstallRegisters } from '../../extension';
+import { recordInteraction } from '../../core/interactionHistory';
 
 export interface TimelineChangePayload extends Payload {
     type: 'timelineChange'
@@ -42,6 +43,8 @@ export function installTimelineAction(registers: EChartsExtensionInstallRegister
 
             const timelineModel = ecModel.getComponent('timeline') as TimelineModel;
             if (timelineModel && payload.currentIndex != null) {
+                // Do not record the changes by auto play.
+                !timelineModel.getPlayState() && recordInteraction(ecModel, 'timeline');
                 timelineModel.setCurrentIndex(payload.currentIndex);
 
                 if (!timelineModel.get('loop', true) && timelineModel.isIndexMax()) {
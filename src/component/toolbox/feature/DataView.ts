@@ -20,13 +20,13 @@
 import * as echarts from '../../../core/echarts';
 import * as zrUtil from 'zrender/src/core/util';
 import GlobalModel from '../../../model/Global';
-import SeriesModel from '../../../model/Series';
 import { ToolboxFeature, ToolboxFeatureOption } from '../featureManager';
-import { ColorString, ECUnitOption, SeriesOption, Payload, Dictionary } from '../../../util/types';
+import { ColorString, ECUnitOption, SeriesOption, Payload } from '../../../util/types';
 import ExtensionAPI from '../../../core/ExtensionAPI';
 import { addEventListener } from 'zrender/src/core/event';
-import Axis from '../../../coord/Axis';
-import Cartesian2D from '../../../coord/cartesian/Cartesian2D';
+import {
+    groupSeries, getCategoryAxisTables, getOtherSeriesTables, SeriesDataTable, SeriesGroupMeta
+} from '../../helper/seriesDataTable';
 
 const BLOCK_SPLITER = new Array(60).join('-');
 const ITEM_SPLITER = '\t';
@@ -44,115 +44,29 @@ interface ChangeDataViewPayload extends Payload {
     }
 }
 
-interface SeriesGroupMeta {
-    axisDim: string
-    axisIndex: number
-}
-
-interface SeriesGroup {
-    series: SeriesModel[]
-    categoryAxis: Axis
-    valueAxis: Axis
-}
-
-/**
- * Group series into two types
- *  1. on category axis, like line, bar
- *  2. others, like scatter, pie
- */
-function groupSeries(ecModel: GlobalModel) {
-    const seriesGroupByCategoryAxis: Dictionary<SeriesGroup> = {};
-    const otherSeries: SeriesModel[] = [];
-    const meta: SeriesGroupMeta[] = [];
-    ecModel.eachRawSeries(function (seriesModel) {
-        const coordSys = seriesModel.coordinateSystem;
-
-        if (coordSys && (coordSys.type === 'cartesian2d' || coordSys.type === 'polar')) {
-            // TODO: TYPE Consider polar? Include polar may increase unecessary bundle size.
-            const baseAxis = (coordSys as Cartesian2D).getBaseAxis();
-            if (baseAxis.type === 'category') {
-                const key = baseAxis.dim + '_' + baseAxis.index;
-                if (!seriesGroupByCategoryAxis[key]) {
-                    seriesGroupByCategoryAxis[key] = {
-                        categoryAxis: baseAxis,
-                        valueAxis: coordSys.getOtherAxis(baseAxis),
-                        series: []
-                    };
-                    meta.push({
-                        axisDim: baseAxis.dim,
-                        axisIndex: baseAxis.index
-                    });
-                }
-                seriesGroupByCategoryAxis[key].series.push(seriesModel);
-            }
-            else {
-                otherSeries.push(seriesModel);
-            }
-        }
-        else {
-            otherSeries.push(seriesModel);
-        }
-    });
-
-    return {
-        seriesGroupByCategoryAxis: seriesGroupByCategoryAxis,
-        other: otherSeries,
-        meta: meta
-    };
-}
-
 /**
  * Assemble content of series on cateogory axis
  * @inner
  */
-function assembleSeriesWithCategoryAxis(groups: Dictionary<SeriesGroup>): string {
-    const tables: string[] = [];
-    zrUtil.each(groups, function (group, key) {
-        const categoryAxis = group.categoryAxis;
-        const valueAxis = group.valueAxis;
-        const valueAxisDim = valueAxis.dim;
-
-        const headers = [' '].concat(zrUtil.map(group.series, function (series) {
-            return series.name;
-        }));
-        // @ts-ignore TODO Polar
-        const columns = [categoryAxis.model.getCategories()];
-        zrUtil.each(group.series, function (series) {
-            const rawData = series.getRawData();
-            columns.push(series.getRawData().mapArray(rawData.mapDimension(valueAxisDim), function (val) {
-                return val;
-            }));
+function assembleSeriesWithCategoryAxis(tables: SeriesDataTable[]): string {
+    return zrUtil.map(tables, function (table) {
+        const lines = [[' '].concat(table.headers).join(ITEM_SPLITER)];
+        zrUtil.each(table.rows, function (row, i) {
+            lines.push(table.rowHeaders[i] + ITEM_SPLITER + row.join(ITEM_SPLITER));
         });
-        // Assemble table content
-        const lines = [headers.join(ITEM_SPLITER)];
-        for (let i = 0; i < columns[0].length; i++) {
-            const items = [];
-            for (let j = 0; j < columns.length; j++) {
-                items.push(columns[j][i]);
-            }
-            lines.push(items.join(ITEM_SPLITER));
-        }
-        tables.push(lines.join('\n'));
-    });
-    return tables.join('\n\n' + BLOCK_SPLITER + '\n\n');
+        return lines.join('\n');
+    }).join('\n\n' + BLOCK_SPLITER + '\n\n');
 }
 
 /**
  * Assemble content of other series
  */
-function assembleOtherSeries(series: SeriesModel[]) {
-    return zrUtil.map(series, function (series) {
-        const data = series.getRawData();
-        const lines = [series.name];
-        const vals: string[] = [];
-        data.each(data.dimensions, function () {
-            const argLen = arguments.length;
-            const dataIndex = arguments[argLen - 1];
-            const name = data.getName(dataIndex);
-            for (let i = 0; i < argLen - 1; i++) {
-                vals[i] = arguments[i];
-            }
-            lines.push((name ? (name + ITEM_SPLITER) : '') + vals.join(ITEM_SPLITER));
+function assembleOtherSeries(tables: SeriesDataTable[]) {
+    return zrUtil.map(tables, function (table) {
+        const lines = [table.caption];
+        zrUtil.each(table.rows, function (row, i) {
+            const name = table.rowHeaders[i];
+            lines.push((name ? (name + ITEM_SPLITER) : '') + row.join(ITEM_SPLITER));
         });
         return lines.join('\n');
     }).join('\n\n' + BLOCK_SPLITER + '\n\n');
@@ -164,8 +78,8 @@ function getContentFromModel(ecModel: GlobalModel) {
 
     return {
         value: zrUtil.filter([
-                assembleSeriesWithCategoryAxis(result.seriesGroupByCategoryAxis),
-                assembleOtherSeries(result.other)
+                assembleSeriesWithCategoryAxis(getCategoryAxisTables(result.seriesGroupByCategoryAxis)),
+                assembleOtherSeries(getOtherSeriesTables(result.other))
             ], function (str) {
                 return !!str.replace(/[\n\t\s]/g, '');
             }).join('\n\n' + BLOCK_SPLITER + '\n\n'),
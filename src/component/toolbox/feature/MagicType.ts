@@ -201,7 +201,10 @@ const seriesOptGenreator: Record<IconType, SeriesOptGenreator> = {
                 data: seriesModel.get('data'),
                 stack: seriesModel.get('stack'),
                 markPoint: seriesModel.get('markPoint'),
-                markLine: seriesModel.get('markLine')
+                markLine: seriesModel.get('markLine'),
+                // Preserve transition related option
+                dataGroupId: seriesModel.get('dataGroupId'),
+                universalTransition: seriesModel.get('universalTransition')
             }, model.get(['option', 'line']) || {}, true);
         }
     },
@@ -214,7 +217,10 @@ const seriesOptGenreator: Record<IconType, SeriesOptGenreator> = {
                 data: seriesModel.get('data'),
                 stack: seriesModel.get('stack'),
                 markPoint: seriesModel.get('markPoint'),
-                markLine: seriesModel.get('markLine')
+                markLine: seriesModel.get('markLine'),
+                // Preserve transition related option
+                dataGroupId: seriesModel.get('dataGroupId'),
+                universalTransition: seriesModel.get('universalTransition')
             }, model.get(['option', 'bar']) || {}, true);
         }
     },
@@ -0,0 +1,49 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { ToolboxFeatureOption, ToolboxFeature } from '../featureManager';
+import ExtensionAPI from '../../../core/ExtensionAPI';
+import GlobalModel from '../../../model/Global';
+
+export interface ToolboxRedoFeatureOption extends ToolboxFeatureOption {
+    icon?: string
+    title?: string
+}
+
+class RedoFeature extends ToolboxFeature<ToolboxRedoFeatureOption> {
+
+    onclick(ecModel: GlobalModel, api: ExtensionAPI) {
+        api.dispatchAction({
+            type: 'redo',
+            from: this.uid
+        });
+    }
+
+    static getDefaultOption(ecModel: GlobalModel) {
+        const defaultOption: ToolboxRedoFeatureOption = {
+            show: true,
+            icon: 'M56,22L44,10M56,22L44,34M56,22H24C15,22,8,29,8,38S15,54,24,54H36',
+            title: ecModel.getLocale(['toolbox', 'redo', 'title'])
+        };
+
+        return defaultOption;
+    }
+}
+
+export default RedoFeature;
@@ -22,6 +22,7 @@ import * as history from '../../dataZoom/history';
 import { ToolboxFeatureOption, ToolboxFeature } from '../featureManager';
 import ExtensionAPI from '../../../core/ExtensionAPI';
 import GlobalModel from '../../../model/Global';
+import { clearInteractionHistory } from '../../../core/interactionHistory';
 
 export interface ToolboxRestoreFeatureOption extends ToolboxFeatureOption {
     icon?: string
@@ -56,6 +57,7 @@ echarts.registerAction(
     {type: 'restore', event: 'restore', update: 'prepareAndUpdate'},
     function (payload, ecModel) {
         ecModel.resetOption('recreate');
+        clearInteractionHistory(ecModel);
     }
 );
 
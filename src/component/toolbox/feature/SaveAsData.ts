@@ -0,0 +1,89 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import env from 'zrender/src/core/env';
+import { ToolboxFeature, ToolboxFeatureOption } from '../featureManager';
+import GlobalModel from '../../../model/Global';
+import ExtensionAPI from '../../../core/ExtensionAPI';
+import { getDataAsTable, DataTableFormat } from '../../../core/dataTable';
+
+export interface ToolboxSaveAsDataFeatureOption extends ToolboxFeatureOption {
+    icon?: string
+    title?: string
+    type?: DataTableFormat
+
+    name?: string
+}
+
+const MIME_TYPES: Record<DataTableFormat, string> = {
+    csv: 'text/csv',
+    tsv: 'text/tab-separated-values',
+    json: 'application/json'
+};
+
+class SaveAsData extends ToolboxFeature<ToolboxSaveAsDataFeatureOption> {
+
+    onclick(ecModel: GlobalModel, api: ExtensionAPI) {
+        const model = this.model;
+        const title = model.get('name') || ecModel.get('title.0.text') || 'echarts';
+        const type = model.get('type', true) || 'csv';
+        const filename = title + '.' + type;
+        // BOM makes Excel recognize the csv encoded in UTF-8.
+        const content = (type === 'json' ? '' : '\ufeff') + getDataAsTable(ecModel, { format: type });
+        const blob = new Blob([content], { type: MIME_TYPES[type] + ';charset=utf-8' });
+
+        // IE or old Edge
+        if (window.navigator.msSaveOrOpenBlob) {
+            window.navigator.msSaveOrOpenBlob(blob, filename);
+            return;
+        }
+
+        const url = URL.createObjectURL(blob);
+        const $a = document.createElement('a');
+        $a.download = filename;
+        $a.target = '_blank';
+        $a.href = url;
+        const evt = new MouseEvent('click', {
+            // some micro front-end framework， window maybe is a Proxy
+            view: document.defaultView,
+            bubbles: true,
+            cancelable: false
+        });
+        $a.dispatchEvent(evt);
+        setTimeout(function () {
+            URL.revokeObjectURL(url);
+        });
+    }
+
+    static getDefaultOption(ecModel: GlobalModel) {
+        const defaultOption: ToolboxSaveAsDataFeatureOption = {
+            show: true,
+            icon: 'M4.7,22.9L29.3,45.5L54.7,23.4M4.6,43.6L4.6,58L53.8,58L53.8,43.6M29.2,45.1L29.2,0M12,51H46',
+            title: ecModel.getLocale(['toolbox', 'saveAsData', 'title']),
+            type: 'csv',
+            name: ''
+        };
+
+        return defaultOption;
+    }
+}
+
+SaveAsData.prototype.unusable = !env.domSupported;
+
+export default SaveAsData;
@@ -0,0 +1,49 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { ToolboxFeatureOption, ToolboxFeature } from '../featureManager';
+import ExtensionAPI from '../../../core/ExtensionAPI';
+import GlobalModel from '../../../model/Global';
+
+export interface ToolboxUndoFeatureOption extends ToolboxFeatureOption {
+    icon?: string
+    title?: string
+}
+
+class UndoFeature extends ToolboxFeature<ToolboxUndoFeatureOption> {
+
+    onclick(ecModel: GlobalModel, api: ExtensionAPI) {
+        api.dispatchAction({
+            type: 'undo',
+            from: this.uid
+        });
+    }
+
+    static getDefaultOption(ecModel: GlobalModel) {
+        const defaultOption: ToolboxUndoFeatureOption = {
+            show: true,
+            icon: 'M8,22L20,10M8,22L20,34M8,22H40C49,22,56,29,56,38S49,54,40,54H28',
+            title: ecModel.getLocale(['toolbox', 'undo', 'title'])
+        };
+
+        return defaultOption;
+    }
+}
+
+export default UndoFeature;
@@ -25,20 +25,26 @@ import ToolboxView from './ToolboxView';
 // TODOD: REGISTER IN INSTALL
 import { registerFeature } from './featureManager';
 import SaveAsImage from './feature/SaveAsImage';
+import SaveAsData from './feature/SaveAsData';
 import MagicType from './feature/MagicType';
 import DataView from './feature/DataView';
 import Restore from './feature/Restore';
 import DataZoom from './feature/DataZoom';
+import Undo from './feature/Undo';
+import Redo from './feature/Redo';
 
 export function install(registers: EChartsExtensionInstallRegisters) {
     registers.registerComponentModel(ToolboxModel);
     registers.registerComponentView(ToolboxView);
 
     registerFeature('saveAsImage', SaveAsImage);
+    registerFeature('saveAsData', SaveAsData);
     registerFeature('magicType', MagicType);
     registerFeature('dataView', DataView);
     registerFeature('dataZoom', DataZoom);
     registerFeature('restore', Restore);
+    registerFeature('undo', Undo);
+    registerFeature('redo', Redo);
 
     use(installDataZoomSelect);
 }
\ No newline at end of file
@@ -73,6 +73,12 @@ export interface TooltipOption extends CommonTooltipOption<TopLevelFormatterPara
     className?: string
 
     order?: TooltipOrderMode
+
+    /**
+     * IANA timezone like 'America/Chicago' to display time values in tooltip.
+     * Takes precedence over the global `useUTC`.
+     */
+    timezone?: string
 }
 
 class TooltipModel extends ComponentModel<TooltipOption> {
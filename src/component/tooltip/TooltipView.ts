@@ -543,7 +543,7 @@ class TooltipView extends ComponentView {
 
         const builtMarkupText = buildTooltipMarkup(
             articleMarkup, markupStyleCreator, renderMode, orderMode, ecModel.get('useUTC'),
-            singleTooltipModel.get('textStyle')
+            singleTooltipModel.get('textStyle'), singleTooltipModel.get('timezone')
         );
         builtMarkupText && markupTextArrLegacy.unshift(builtMarkupText);
         const blockBreak = renderMode === 'richText' ? '\n\n' : '<br/>';
@@ -623,7 +623,8 @@ class TooltipView extends ComponentView {
                 renderMode,
                 orderMode,
                 ecModel.get('useUTC'),
-                tooltipModel.get('textStyle')
+                tooltipModel.get('textStyle'),
+                tooltipModel.get('timezone')
             )
             : seriesTooltipResult.markupText;
 
@@ -725,7 +726,7 @@ class TooltipView extends ComponentView {
             const isTimeAxis = params0 && params0.axisType && params0.axisType.indexOf('time') >= 0;
             html = formatter;
             if (isTimeAxis) {
-                html = timeFormat(params0.axisValue, html, useUTC);
+                html = timeFormat(params0.axisValue, html, useUTC, null, tooltipModel.get('timezone'));
             }
             html = formatUtil.formatTpl(html, params, true);
         }
@@ -255,7 +255,7 @@ const builderMap: { [key in TooltipMarkupBlockFragment['type']]: TooltipMarkupFr
                 return subMarkupText;
             }
 
-            const displayableHeader = makeValueReadable(fragment.header, 'ordinal', ctx.useUTC);
+            const displayableHeader = makeValueReadable(fragment.header, 'ordinal', ctx.useUTC, ctx.timezone);
             const {nameStyle} = getTooltipTextStyle(toolTipTextStyle, ctx.renderMode);
             if (ctx.renderMode === 'richText') {
                 return wrapInlineNameRichText(ctx, displayableHeader, nameStyle as RichTextStyle) + gaps.richText
@@ -292,6 +292,7 @@ const builderMap: { [key in TooltipMarkupBlockFragment['type']]: TooltipMarkupFr
             const name = fragment.name;
             const value = fragment.value;
             const useUTC = ctx.useUTC;
+            const timezone = ctx.timezone;
 
             if (noName && noValue) {
                 return;
@@ -306,16 +307,16 @@ const builderMap: { [key in TooltipMarkupBlockFragment['type']]: TooltipMarkupFr
                 );
             const readableName = noName
                 ? ''
-                : makeValueReadable(name, 'ordinal', useUTC);
+                : makeValueReadable(name, 'ordinal', useUTC, timezone);
             const valueTypeOption = fragment.valueType;
             const readableValueList = noValue
                 ? []
                 : (isArray(value)
                     ? map(value, (val, idx) => makeValueReadable(
-                        val, isArray(valueTypeOption) ? valueTypeOption[idx] : valueTypeOption, useUTC
+                        val, isArray(valueTypeOption) ? valueTypeOption[idx] : valueTypeOption, useUTC, timezone
                     ))
                     : [makeValueReadable(
-                        value, isArray(valueTypeOption) ? valueTypeOption[0] : valueTypeOption, useUTC
+                        value, isArray(valueTypeOption) ? valueTypeOption[0] : valueTypeOption, useUTC, timezone
                     )]
                 );
             const valueAlignRight = !noMarker || !noName;
@@ -396,6 +397,7 @@ function buildSubBlocks(
 
 interface TooltipMarkupBuildContext {
     useUTC: boolean;
+    timezone: string;
     renderMode: TooltipRenderMode;
     orderMode: TooltipOrderMode;
     markupStyleCreator: TooltipMarkupStyleCreator;
@@ -410,7 +412,8 @@ export function buildTooltipMarkup(
     renderMode: TooltipRenderMode,
     orderMode: TooltipOrderMode,
     useUTC: boolean,
-    toolTipTextStyle: TooltipOption['textStyle']
+    toolTipTextStyle: TooltipOption['textStyle'],
+    timezone?: string
 ): MarkupText {
     if (!fragment) {
         return;
@@ -420,6 +423,7 @@ export function buildTooltipMarkup(
     builder.planLayout(fragment);
     const ctx: TooltipMarkupBuildContext = {
         useUTC: useUTC,
+        timezone: timezone,
         renderMode: renderMode,
         orderMode: orderMode,
         markupStyleCreator: markupStyleCreator
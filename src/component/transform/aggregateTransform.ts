@@ -0,0 +1,255 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { DataTransformOption, ExternalDataTransform } from '../../data/helper/transform';
+import { DimensionLoose, DimensionName, OptionDataValue, OptionSourceDataArrayRows } from '../../util/types';
+import { makePrintable, throwError } from '../../util/log';
+import { each, map, createHashMap, hasOwn } from 'zrender/src/core/util';
+import { normalizeToArray } from '../../util/model';
+import { getDimensionInfoOrThrow } from './helper';
+import { quantile, asc } from '../../util/number';
+
+/**
+ * @usage
+ *
+ * ```js
+ * transform: {
+ *     type: 'aggregate',
+ *     config: {
+ *         groupBy: 'country',
+ *         resultDimensions: [
+ *             { from: 'country' },
+ *             { from: 'income', method: 'sum' },
+ *             { name: 'medianIncome', from: 'income', method: 'median' },
+ *             { name: 'count', method: 'count' }
+ *         ]
+ *     }
+ * }
+ * ```
+ */
+
+export interface AggregateTransformOption extends DataTransformOption {
+    type: 'aggregate';
+    config: {
+        // All of the data will be aggregated into one group if not specified.
+        groupBy?: DimensionLoose | DimensionLoose[];
+        resultDimensions: AggregateResultDimension[];
+    };
+}
+
+export type AggregateMethod = 'sum' | 'count' | 'mean' | 'min' | 'max'
+    | 'median' | 'Q1' | 'Q3' | 'first';
+
+interface AggregateResultDimension {
+    // Use the name of `from` dimension by default.
+    name?: DimensionName;
+    // Not needed if `method` is 'count'.
+    from?: DimensionLoose;
+    // 'first' by default, which is the group value on a `groupBy` dimension.
+    method?: AggregateMethod;
+}
+
+export type Aggregator = (values: OptionDataValue[]) => OptionDataValue;
+
+function toNumbers(values: OptionDataValue[]): number[] {
+    const result = [];
+    for (let i = 0; i < values.length; i++) {
+        const val = values[i];
+        // Ignore empty values.
+        if (val == null || val === '') {
+            continue;
+        }
+        const num = +val;
+        !isNaN(num) && result.push(num);
+    }
+    return result;
+}
+
+function makeQuantileAggregator(p: number): Aggregator {
+    return function (values) {
+        const nums = asc(toNumbers(values));
+        return nums.length ? quantile(nums, p) : null;
+    };
+}
+
+const aggregators: Record<AggregateMethod, Aggregator> = {
+    sum: function (values) {
+        const nums = toNumbers(values);
+        let sum = 0;
+        for (let i = 0; i < nums.length; i++) {
+            sum += nums[i];
+        }
+        return sum;
+    },
+    count: function (values) {
+        return values.length;
+    },
+    mean: function (values) {
+        const nums = toNumbers(values);
+        if (!nums.length) {
+            return null;
+        }
+        let sum = 0;
+        for (let i = 0; i < nums.length; i++) {
+            sum += nums[i];
+        }
+        return sum / nums.length;
+    },
+    min: function (values) {
+        const nums = toNumbers(values);
+        if (!nums.length) {
+            return null;
+        }
+        // Not `Math.min.apply`, which exceeds the call stack on large groups.
+        let min = nums[0];
+        for (let i = 1; i < nums.length; i++) {
+            nums[i] < min && (min = nums[i]);
+        }
+        return min;
+    },
+    max: function (values) {
+        const nums = toNumbers(values);
+        if (!nums.length) {
+            return null;
+        }
+        let max = nums[0];
+        for (let i = 1; i < nums.length; i++) {
+            nums[i] > max && (max = nums[i]);
+        }
+        return max;
+    },
+    median: makeQuantileAggregator(0.5),
+    Q1: makeQuantileAggregator(0.25),
+    Q3: makeQuantileAggregator(0.75),
+    first: function (values) {
+        return values[0];
+    }
+};
+
+let sampleLog = '';
+if (__DEV__) {
+    sampleLog = [
+        'Valid config is like:',
+        '{ groupBy: "country", resultDimensions: [{ from: "country" }, { from: "income", method: "sum" }] }'
+    ].join(' ');
+}
+
+/**
+ * Also used by other transforms that need to aggregate values.
+ */
+export function getAggregator(method: AggregateMethod): Aggregator {
+    return hasOwn(aggregators, method) ? aggregators[method] : null;
+}
+
+export const aggregateTransform: ExternalDataTransform<AggregateTransformOption> = {
+
+    type: 'echarts:aggregate',
+
+    transform: function (params) {
+        const upstream = params.upstream;
+        const config = params.config || {} as AggregateTransformOption['config'];
+        let errMsg = '';
+
+        const resultDimList = normalizeToArray(config.resultDimensions);
+        if (!resultDimList.length) {
+            if (__DEV__) {
+                errMsg = 'Empty `resultDimensions` in aggregate transform. ' + sampleLog;
+            }
+            throwError(errMsg);
+        }
+
+        const groupByDimIndices = map(normalizeToArray(config.groupBy), function (dim) {
+            return getDimensionInfoOrThrow(upstream, dim).index;
+        });
+
+        const resultDimDefList = map(resultDimList, function (resultDim) {
+            const method = resultDim.method;
+            if (method != null && !getAggregator(method)) {
+                if (__DEV__) {
+                    errMsg = makePrintable('Unknown aggregate method "' + method + '".', resultDim);
+                }
+                throwError(errMsg);
+            }
+            if (resultDim.from == null && method !== 'count') {
+                if (__DEV__) {
+                    errMsg = makePrintable(
+                        'Result dimension must have "from" unless the method is "count".', resultDim
+                    );
+                }
+                throwError(errMsg);
+            }
+
+            const fromDimInfo = resultDim.from != null ? getDimensionInfoOrThrow(upstream, resultDim.from) : null;
+            const fromDimIdx = fromDimInfo ? fromDimInfo.index : null;
+            const name = resultDim.name != null
+                ? resultDim.name
+                : fromDimInfo ? fromDimInfo.name : method;
+
+            return {
+                name: name,
+                fromDimIdx: fromDimIdx,
+                // The values of a `groupBy` dimension are the same in a group,
+                // so 'first' is the group value.
+                aggregator: getAggregator(method || 'first')
+            };
+        });
+
+        // Keep the order of the first appearance of groups.
+        const groupMap = createHashMap<{
+            // Values on each `from` dimension.
+            values: OptionDataValue[][]
+        }>();
+        const groupKeys: string[] = [];
+
+        for (let dataIdx = 0, len = upstream.count(); dataIdx < len; dataIdx++) {
+            const groupKey = map(groupByDimIndices, function (dimIdx) {
+                return upstream.retrieveValue(dataIdx, dimIdx) + '';
+            }).join('\0');
+
+            let group = groupMap.get(groupKey);
+            if (!group) {
+                group = groupMap.set(groupKey, {
+                    values: map(resultDimDefList, () => [])
+                });
+                groupKeys.push(groupKey);
+            }
+            each(resultDimDefList, function (resultDimDef, idx) {
+                group.values[idx].push(
+                    resultDimDef.fromDimIdx != null
+                        ? upstream.retrieveValue(dataIdx, resultDimDef.fromDimIdx)
+                        : null
+                );
+            });
+        }
+
+        const resultData: OptionSourceDataArrayRows = map(groupKeys, function (groupKey) {
+            const group = groupMap.get(groupKey);
+            return map(resultDimDefList, function (resultDimDef, idx) {
+                return resultDimDef.aggregator(group.values[idx]);
+            });
+        });
+
+        return {
+            dimensions: map(resultDimDefList, function (resultDimDef) {
+                return resultDimDef.name;
+            }),
+            data: resultData
+        };
+    }
+};
@@ -0,0 +1,81 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { DataTransformOption, ExternalDataTransform } from '../../data/helper/transform';
+import { DimensionLoose, DimensionName } from '../../util/types';
+import { throwError } from '../../util/log';
+import { getDimensionInfoOrThrow, retrieveNumber, copyUpstreamRows } from './helper';
+
+/**
+ * Append a dimension of the running total of a dimension to the upstream data.
+ *
+ * @usage
+ *
+ * ```js
+ * transform: {
+ *     type: 'cumulative',
+ *     config: { dimension: 'sales', name: 'totalSales' }
+ * }
+ * ```
+ */
+
+export interface CumulativeTransformOption extends DataTransformOption {
+    type: 'cumulative';
+    config: {
+        dimension: DimensionLoose;
+        // Name of the result dimension, 'cumulative' by default.
+        name?: DimensionName;
+    };
+}
+
+export const cumulativeTransform: ExternalDataTransform<CumulativeTransformOption> = {
+
+    type: 'echarts:cumulative',
+
+    transform: function (params) {
+        const upstream = params.upstream;
+        const config = params.config || {} as CumulativeTransformOption['config'];
+        let errMsg = '';
+
+        if (config.dimension == null) {
+            if (__DEV__) {
+                errMsg = '`dimension` is required in cumulative transform. '
+                    + 'Valid config is like: { dimension: "sales" }';
+            }
+            throwError(errMsg);
+        }
+
+        const dimInfo = getDimensionInfoOrThrow(upstream, config.dimension);
+        const result = copyUpstreamRows(upstream);
+        const rows = result.data;
+
+        let sum = 0;
+        for (let dataIdx = 0; dataIdx < rows.length; dataIdx++) {
+            const val = retrieveNumber(upstream, dataIdx, dimInfo);
+            // Empty values do not contribute to the sum.
+            if (!isNaN(val)) {
+                sum += val;
+            }
+            rows[dataIdx].push(sum);
+        }
+
+        result.dimensions.push(config.name != null ? config.name : 'cumulative');
+        return result;
+    }
+};
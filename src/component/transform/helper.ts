@@ -0,0 +1,78 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { ExternalDimensionDefinition, ExternalSource } from '../../data/helper/transform';
+import { DimensionLoose, DimensionName, OptionDataValue } from '../../util/types';
+import { makePrintable, throwError } from '../../util/log';
+import { map } from 'zrender/src/core/util';
+import { parseDataValue } from '../../data/helper/dataValueHelper';
+
+
+export function getDimensionInfoOrThrow(upstream: ExternalSource, dim: DimensionLoose): ExternalDimensionDefinition {
+    const dimInfo = upstream.getDimensionInfo(dim);
+    if (!dimInfo) {
+        let errMsg = '';
+        if (__DEV__) {
+            errMsg = makePrintable(
+                'Can not find dimension info via: ' + dim + '.\n',
+                'Existing dimensions: ', upstream.cloneAllDimensionInfo(), '.\n'
+            );
+        }
+        throwError(errMsg);
+    }
+    return dimInfo;
+}
+
+/**
+ * Parse a value to number in the same way as `List` does.
+ * Empty or non-numeric values are parsed to `NaN`.
+ */
+export function retrieveNumber(
+    upstream: ExternalSource, dataIdx: number, dimInfo: ExternalDimensionDefinition
+): number {
+    return parseDataValue(
+        upstream.retrieveValue(dataIdx, dimInfo.index),
+        {type: dimInfo.type === 'time' ? 'time' : 'number'}
+    ) as number;
+}
+
+/**
+ * Copy all of the upstream data to array rows, which is used by the
+ * transforms that add dimensions to the upstream data.
+ */
+export function copyUpstreamRows(upstream: ExternalSource): {
+    dimensions: DimensionName[],
+    data: OptionDataValue[][]
+} {
+    const dimInfoList = upstream.cloneAllDimensionInfo();
+    const data = [];
+    for (let dataIdx = 0, len = upstream.count(); dataIdx < len; dataIdx++) {
+        const row = [];
+        for (let i = 0; i < dimInfoList.length; i++) {
+            row.push(upstream.retrieveValue(dataIdx, dimInfoList[i].index));
+        }
+        data.push(row);
+    }
+    return {
+        dimensions: map(dimInfoList, function (dimInfo) {
+            return dimInfo.name;
+        }),
+        data: data
+    };
+}
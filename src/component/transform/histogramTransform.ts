@@ -0,0 +1,337 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import {
+    DataTransformOption, ExternalDataTransform, PipedDataTransformOption
+} from '../../data/helper/transform';
+import { DimensionLoose, OptionSourceDataArrayRows, Payload } from '../../util/types';
+import { throwError } from '../../util/log';
+import { each, map, isArray, isNumber, clone, hasOwn } from 'zrender/src/core/util';
+import { normalizeToArray } from '../../util/model';
+import { quantile, round } from '../../util/number';
+import { getDimensionInfoOrThrow, retrieveNumber } from './helper';
+import { disableTransformOptionMerge } from '../../data/helper/sourceManager';
+import type GlobalModel from '../../model/Global';
+import type ExtensionAPI from '../../core/ExtensionAPI';
+import type { DatasetModel } from '../dataset/install';
+import type DataZoomModel from '../dataZoom/DataZoomModel';
+
+/**
+ * @usage
+ *
+ * ```js
+ * dataset: [{
+ *     source: [...]
+ * }, {
+ *     transform: {
+ *         type: 'histogram',
+ *         config: {
+ *             dimension: 'age',
+ *             // Or `binCount: 20`, `binWidth: 5`.
+ *             method: 'freedmanDiaconis',
+ *             // Re-bin when the range of the dataZoom changes.
+ *             dataZoomIndex: 0
+ *         }
+ *     }
+ * }],
+ * xAxis: {},
+ * yAxis: {},
+ * dataZoom: {},
+ * series: {
+ *     type: 'bar',
+ *     datasetIndex: 1,
+ *     barCategoryGap: 0,
+ *     encode: { x: 'mid', y: 'count' }
+ * }
+ * ```
+ *
+ * Result dimensions: `x0`, `x1` (the boundaries of a bin), `count`,
+ * `density` (`count / (total * (x1 - x0))`) and `mid` (center of a bin).
+ */
+
+export interface HistogramTransformOption extends DataTransformOption {
+    type: 'histogram';
+    config: {
+        // 0 by default.
+        dimension?: DimensionLoose;
+        // The priority: `binWidth` > `binCount` > `method`.
+        binWidth?: number;
+        binCount?: number;
+        // 'sturges' by default.
+        method?: HistogramBinMethod;
+        // Only the values in the range are used to calculate the bin width,
+        // and the values outside the range are put into two extra bins.
+        // Set automatically when linked to a dataZoom.
+        range?: number[];
+        dataZoomIndex?: number;
+        dataZoomId?: string;
+    };
+}
+
+export type HistogramBinMethod = 'sturges' | 'scott' | 'freedmanDiaconis';
+
+// Prevent from creating too many bins by a small `binWidth`.
+const MAX_BIN_COUNT = 1e4;
+
+const binWidthCalculators: Record<HistogramBinMethod, (ascValues: number[], span: number) => number> = {
+    sturges: function (ascValues, span) {
+        return span / Math.ceil(Math.log(ascValues.length) / Math.LN2 + 1);
+    },
+    scott: function (ascValues) {
+        const len = ascValues.length;
+        let sum = 0;
+        for (let i = 0; i < len; i++) {
+            sum += ascValues[i];
+        }
+        const mean = sum / len;
+        let squareSum = 0;
+        for (let i = 0; i < len; i++) {
+            squareSum += (ascValues[i] - mean) * (ascValues[i] - mean);
+        }
+        return 3.49 * Math.sqrt(squareSum / len) * Math.pow(len, -1 / 3);
+    },
+    freedmanDiaconis: function (ascValues) {
+        const iqr = quantile(ascValues, 0.75) - quantile(ascValues, 0.25);
+        return 2 * iqr * Math.pow(ascValues.length, -1 / 3);
+    }
+};
+
+let sampleLog = '';
+if (__DEV__) {
+    sampleLog = [
+        'Valid config is like:',
+        '{ dimension: "age", binCount: 20 }',
+        'or { dimension: "age", method: "scott" }'
+    ].join(' ');
+}
+
+export const histogramTransform: ExternalDataTransform<HistogramTransformOption> = {
+
+    type: 'echarts:histogram',
+
+    transform: function (params) {
+        const upstream = params.upstream;
+        const config = params.config || {} as HistogramTransformOption['config'];
+        let errMsg = '';
+
+        const method = config.method || 'sturges';
+        if (!hasOwn(binWidthCalculators, method)) {
+            if (__DEV__) {
+                errMsg = 'Unknown histogram bin method "' + method + '". ' + sampleLog;
+            }
+            throwError(errMsg);
+        }
+
+        const dimInfo = getDimensionInfoOrThrow(upstream, config.dimension != null ? config.dimension : 0);
+        const values: number[] = [];
+        for (let dataIdx = 0, len = upstream.count(); dataIdx < len; dataIdx++) {
+            const val = retrieveNumber(upstream, dataIdx, dimInfo);
+            // Ignore empty values.
+            !isNaN(val) && values.push(val);
+        }
+        values.sort(function (a, b) {
+            return a - b;
+        });
+
+        const resultDimensions = ['x0', 'x1', 'count', 'density', 'mid'];
+        const total = values.length;
+        if (!total) {
+            return {
+                dimensions: resultDimensions,
+                data: []
+            };
+        }
+        const dataMin = values[0];
+        const dataMax = values[total - 1];
+
+        const range = config.range;
+        const hasRange = isArray(range) && isNumber(range[0]) && isNumber(range[1])
+            && Math.max(range[0], dataMin) < Math.min(range[1], dataMax);
+        const rangeMin = hasRange ? Math.max(range[0], dataMin) : dataMin;
+        const rangeMax = hasRange ? Math.min(range[1], dataMax) : dataMax;
+        const rangeSpan = rangeMax - rangeMin;
+
+        let binWidth = config.binWidth;
+        let binStart = rangeMin;
+        if (binWidth > 0) {
+            // Align bins to the multiple of `binWidth` for readability.
+            if (!hasRange) {
+                binStart = Math.floor(round(rangeMin / binWidth)) * binWidth;
+            }
+        }
+        else if (config.binCount > 0) {
+            binWidth = rangeSpan / Math.round(config.binCount);
+        }
+        else {
+            const valuesInRange = hasRange
+                ? values.filter(val => val >= rangeMin && val <= rangeMax)
+                : values;
+            binWidth = binWidthCalculators[method](valuesInRange, rangeSpan);
+            if (!(binWidth > 0)) {
+                binWidth = binWidthCalculators.sturges(valuesInRange, rangeSpan);
+            }
+        }
+        // All of the values are the same.
+        if (!(binWidth > 0)) {
+            binWidth = 1;
+        }
+
+        let binCount = Math.max(Math.ceil(round((rangeMax - binStart) / binWidth)), 1);
+        if (binCount > MAX_BIN_COUNT) {
+            binCount = MAX_BIN_COUNT;
+            binWidth = (rangeMax - binStart) / binCount;
+        }
+
+        const boundaries: number[] = [];
+        for (let i = 0; i < binCount; i++) {
+            boundaries.push(binStart + i * binWidth);
+        }
+        // Avoid the max value falling out of the last bin by rounding error.
+        const binEnd = Math.max(binStart + binCount * binWidth, rangeMax);
+        boundaries.push(binEnd);
+
+        const counts: number[] = [];
+        for (let i = 0; i < binCount; i++) {
+            counts.push(0);
+        }
+        let lowerCount = 0;
+        let upperCount = 0;
+        for (let i = 0; i < total; i++) {
+            const val = values[i];
+            if (val < binStart) {
+                lowerCount++;
+            }
+            else if (val > binEnd) {
+                upperCount++;
+            }
+            else {
+                // The last bin includes its upper boundary.
+                counts[Math.min(Math.floor((val - binStart) / binWidth), binCount - 1)]++;
+            }
+        }
+
+        const resultData: OptionSourceDataArrayRows = [];
+        function addBin(x0: number, x1: number, count: number) {
+            resultData.push([x0, x1, count, count / (total * (x1 - x0)), (x0 + x1) / 2]);
+        }
+        lowerCount && addBin(dataMin, binStart, lowerCount);
+        for (let i = 0; i < binCount; i++) {
+            addBin(boundaries[i], boundaries[i + 1], counts[i]);
+        }
+        upperCount && addBin(binEnd, dataMax, upperCount);
+
+        return {
+            dimensions: resultDimensions,
+            data: resultData
+        };
+    }
+};
+
+function isHistogramTransform(transOption: DataTransformOption): boolean {
+    return transOption
+        && (transOption.type === 'histogram' || transOption.type === 'echarts:histogram');
+}
+
+/**
+ * Get the value window of the dataZoom linked to the histogram transform
+ * (by `dataZoomIndex` or `dataZoomId`) if it differs from the current `range`.
+ */
+function getRebinRange(ecModel: GlobalModel, transOption: HistogramTransformOption): number[] {
+    const config = isHistogramTransform(transOption) && transOption.config;
+    if (!config || (config.dataZoomIndex == null && config.dataZoomId == null)) {
+        return;
+    }
+    const dataZoomModel = ecModel.queryComponents(
+        config.dataZoomId != null
+            ? {mainType: 'dataZoom', id: config.dataZoomId}
+            : {mainType: 'dataZoom', index: config.dataZoomIndex}
+    )[0] as DataZoomModel;
+    const valueWindow = dataZoomModel && dataZoomModel.getValueRange(null, null);
+    const range = config.range;
+    if (!valueWindow || !isFinite(valueWindow[0]) || !isFinite(valueWindow[1])
+        || (range && range[0] === valueWindow[0] && range[1] === valueWindow[1])
+    ) {
+        return;
+    }
+    return valueWindow;
+}
+
+function eachHistogramDataset(
+    ecModel: GlobalModel,
+    cb: (datasetModel: DatasetModel, transOptionList: PipedDataTransformOption) => void
+) {
+    ecModel.eachComponent('dataset', function (datasetModel: DatasetModel) {
+        const transOptionList = normalizeToArray(datasetModel.get('transform', true)) as PipedDataTransformOption;
+        for (let i = 0; i < transOptionList.length; i++) {
+            if (isHistogramTransform(transOptionList[i])) {
+                cb(datasetModel, transOptionList);
+                return;
+            }
+        }
+    });
+}
+
+/**
+ * Processor that checks whether the histograms linked to a dataZoom need re-binning
+ * after zooming. Re-binning is performed by the action `rebinHistogram` in the next
+ * update, where the series data is created again.
+ */
+export function rebinHistogramOnDataZoom(ecModel: GlobalModel, api: ExtensionAPI, payload: Payload): void {
+    // Only on zooming, or the bins would follow the data window
+    // calculated from the previous bins on every update.
+    if (!payload || payload.type !== 'dataZoom') {
+        return;
+    }
+    let needRebin = false;
+    eachHistogramDataset(ecModel, function (datasetModel, transOptionList) {
+        each(transOptionList, function (transOption: HistogramTransformOption) {
+            needRebin = needRebin || !!getRebinRange(ecModel, transOption);
+        });
+    });
+    // Pending until the current update is finished.
+    needRebin && api.dispatchAction({type: 'rebinHistogram'});
+}
+
+/**
+ * Handler of the action `rebinHistogram`. Set the value window of the linked dataZoom
+ * as the `range` of the histograms, and create the data of the series again.
+ */
+export function rebinHistogram(payload: Payload, ecModel: GlobalModel): void {
+    eachHistogramDataset(ecModel, function (datasetModel, transOptionList) {
+        let changed = false;
+        const newTransOptionList = map(transOptionList, function (transOption: HistogramTransformOption) {
+            const range = getRebinRange(ecModel, transOption);
+            if (!range) {
+                return transOption;
+            }
+            changed = true;
+            const newTransOption = clone(transOption);
+            newTransOption.config.range = range;
+            return newTransOption;
+        });
+        if (changed) {
+            datasetModel.option.transform = newTransOptionList;
+            disableTransformOptionMerge(datasetModel);
+            datasetModel.getSourceManager().dirty();
+        }
+    });
+    ecModel.eachSeries(function (seriesModel) {
+        seriesModel.updateDataFromSource();
+    });
+}
@@ -20,8 +20,29 @@
 import { EChartsExtensionInstallRegisters } from '../../extension';
 import {filterTransform} from './filterTransform';
 import {sortTransform} from './sortTransform';
+import {aggregateTransform} from './aggregateTransform';
+import {pivotTransform} from './pivotTransform';
+import {unpivotTransform} from './unpivotTransform';
+import {regressionTransform} from './regressionTransform';
+import {movingAverageTransform} from './movingAverageTransform';
+import {cumulativeTransform} from './cumulativeTransform';
+import {histogramTransform, rebinHistogramOnDataZoom, rebinHistogram} from './histogramTransform';
 
 export function install(registers: EChartsExtensionInstallRegisters) {
     registers.registerTransform(filterTransform);
     registers.registerTransform(sortTransform);
+    registers.registerTransform(aggregateTransform);
+    registers.registerTransform(pivotTransform);
+    registers.registerTransform(unpivotTransform);
+    registers.registerTransform(regressionTransform);
+    registers.registerTransform(movingAverageTransform);
+    registers.registerTransform(cumulativeTransform);
+    registers.registerTransform(histogramTransform);
+    // After the data window of dataZoom is calculated.
+    registers.registerProcessor(registers.PRIORITY.PROCESSOR.STATISTIC, rebinHistogramOnDataZoom);
+    registers.registerAction({
+        type: 'rebinHistogram',
+        event: 'rebinHistogram',
+        update: 'update'
+    }, rebinHistogram);
 }
\ No newline at end of file
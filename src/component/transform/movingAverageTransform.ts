@@ -0,0 +1,137 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { DataTransformOption, ExternalDataTransform } from '../../data/helper/transform';
+import { DimensionLoose, DimensionName } from '../../util/types';
+import { throwError } from '../../util/log';
+import { getDimensionInfoOrThrow, retrieveNumber, copyUpstreamRows } from './helper';
+
+/**
+ * Append a dimension of the moving average of a dimension to the upstream data.
+ *
+ * @usage
+ *
+ * ```js
+ * transform: {
+ *     type: 'movingAverage',
+ *     config: {
+ *         dimension: 'price',
+ *         method: 'exponential',
+ *         window: 10,
+ *         name: 'EMA10'
+ *     }
+ * }
+ * ```
+ */
+
+export interface MovingAverageTransformOption extends DataTransformOption {
+    type: 'movingAverage';
+    config: {
+        dimension: DimensionLoose;
+        // 'simple' by default.
+        method?: 'simple' | 'exponential';
+        // 5 by default.
+        window?: number;
+        // Name of the result dimension, 'movingAverage' by default.
+        name?: DimensionName;
+    };
+}
+
+const DEFAULT_WINDOW = 5;
+
+let sampleLog = '';
+if (__DEV__) {
+    sampleLog = [
+        'Valid config is like:',
+        '{ dimension: "price", method: "simple", window: 5 }'
+    ].join(' ');
+}
+
+export const movingAverageTransform: ExternalDataTransform<MovingAverageTransformOption> = {
+
+    type: 'echarts:movingAverage',
+
+    transform: function (params) {
+        const upstream = params.upstream;
+        const config = params.config || {} as MovingAverageTransformOption['config'];
+        let errMsg = '';
+
+        if (config.dimension == null) {
+            if (__DEV__) {
+                errMsg = '`dimension` is required in movingAverage transform. ' + sampleLog;
+            }
+            throwError(errMsg);
+        }
+        const method = config.method || 'simple';
+        if (method !== 'simple' && method !== 'exponential') {
+            if (__DEV__) {
+                errMsg = 'Unknown moving average method "' + method + '". ' + sampleLog;
+            }
+            throwError(errMsg);
+        }
+        const windowSize = config.window != null ? Math.round(config.window) : DEFAULT_WINDOW;
+        if (!(windowSize >= 1)) {
+            if (__DEV__) {
+                errMsg = '`window` should be a positive integer. ' + sampleLog;
+            }
+            throwError(errMsg);
+        }
+
+        const dimInfo = getDimensionInfoOrThrow(upstream, config.dimension);
+        const result = copyUpstreamRows(upstream);
+        const rows = result.data;
+
+        // Empty values are skipped, and their result is `null`.
+        if (method === 'simple') {
+            // The valid values in the window.
+            const windowValues: number[] = [];
+            let sum = 0;
+            for (let dataIdx = 0; dataIdx < rows.length; dataIdx++) {
+                const val = retrieveNumber(upstream, dataIdx, dimInfo);
+                if (isNaN(val)) {
+                    rows[dataIdx].push(null);
+                    continue;
+                }
+                windowValues.push(val);
+                sum += val;
+                if (windowValues.length > windowSize) {
+                    sum -= windowValues.shift();
+                }
+                // Not enough values at the beginning.
+                rows[dataIdx].push(windowValues.length === windowSize ? sum / windowSize : null);
+            }
+        }
+        else {
+            const alpha = 2 / (windowSize + 1);
+            let average: number = null;
+            for (let dataIdx = 0; dataIdx < rows.length; dataIdx++) {
+                const val = retrieveNumber(upstream, dataIdx, dimInfo);
+                if (isNaN(val)) {
+                    rows[dataIdx].push(null);
+                    continue;
+                }
+                average = average == null ? val : alpha * val + (1 - alpha) * average;
+                rows[dataIdx].push(average);
+            }
+        }
+
+        result.dimensions.push(config.name != null ? config.name : 'movingAverage');
+        return result;
+    }
+};
@@ -0,0 +1,183 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { DataTransformOption, ExternalDataTransform } from '../../data/helper/transform';
+import { DimensionLoose, DimensionName, OptionDataValue, OptionSourceDataArrayRows } from '../../util/types';
+import { makePrintable, throwError } from '../../util/log';
+import { each, map, createHashMap } from 'zrender/src/core/util';
+import { normalizeToArray } from '../../util/model';
+import { getDimensionInfoOrThrow } from './helper';
+import { AggregateMethod, getAggregator } from './aggregateTransform';
+
+/**
+ * Convert "long" rows to "wide" rows.
+ *
+ * @usage
+ *
+ * ```js
+ * dataset: [{
+ *     source: [
+ *         ['date', 'metric', 'value'],
+ *         ['2020-01-01', 'pv', 120],
+ *         ['2020-01-01', 'uv', 30],
+ *         ['2020-01-02', 'pv', 140]
+ *     ]
+ * }, {
+ *     transform: {
+ *         type: 'pivot',
+ *         config: { index: 'date', columns: 'metric', values: 'value' }
+ *     }
+ *     // Result:
+ *     // ['date', 'pv', 'uv'],
+ *     // ['2020-01-01', 120, 30],
+ *     // ['2020-01-02', 140, null]
+ * }],
+ * series: {
+ *     type: 'line',
+ *     datasetIndex: 1,
+ *     // The generated dimensions can be referred by name.
+ *     encode: { x: 'date', y: 'uv' }
+ * }
+ * ```
+ */
+
+export interface PivotTransformOption extends DataTransformOption {
+    type: 'pivot';
+    config: {
+        // Each distinct (combination of) value(s) on `index` makes a row.
+        index: DimensionLoose | DimensionLoose[];
+        // Each distinct value on `columns` makes a dimension.
+        columns: DimensionLoose;
+        values: DimensionLoose;
+        // How to combine the values that fall in the same cell. 'first' by default.
+        method?: AggregateMethod;
+    };
+}
+
+let sampleLog = '';
+if (__DEV__) {
+    sampleLog = [
+        'Valid config is like:',
+        '{ index: "date", columns: "metric", values: "value" }'
+    ].join(' ');
+}
+
+export const pivotTransform: ExternalDataTransform<PivotTransformOption> = {
+
+    type: 'echarts:pivot',
+
+    transform: function (params) {
+        const upstream = params.upstream;
+        const config = params.config || {} as PivotTransformOption['config'];
+        let errMsg = '';
+
+        const indexDimList = normalizeToArray(config.index);
+        if (!indexDimList.length || config.columns == null || config.values == null) {
+            if (__DEV__) {
+                errMsg = '`index`, `columns` and `values` are all required in pivot transform. ' + sampleLog;
+            }
+            throwError(errMsg);
+        }
+
+        const method = config.method || 'first';
+        const aggregator = getAggregator(method);
+        if (!aggregator) {
+            if (__DEV__) {
+                errMsg = makePrintable('Unknown aggregate method "' + method + '".', config);
+            }
+            throwError(errMsg);
+        }
+
+        const indexDimInfoList = map(indexDimList, function (dim) {
+            return getDimensionInfoOrThrow(upstream, dim);
+        });
+        const columnsDimIdx = getDimensionInfoOrThrow(upstream, config.columns).index;
+        const valuesDimIdx = getDimensionInfoOrThrow(upstream, config.values).index;
+
+        const resultDimNames: DimensionName[] = map(indexDimInfoList, function (dimInfo) {
+            return dimInfo.name;
+        });
+        const nameMap = createHashMap<boolean>();
+        each(resultDimNames, function (name) {
+            nameMap.set(name, true);
+        });
+
+        // Keep the order of the first appearance of both rows and columns.
+        const columnKeyMap = createHashMap<number>();
+        const rowMap = createHashMap<{
+            indexValues: OptionDataValue[],
+            // Values in each cell, indexed by column.
+            cells: OptionDataValue[][]
+        }>();
+        const rowKeys: string[] = [];
+
+        for (let dataIdx = 0, len = upstream.count(); dataIdx < len; dataIdx++) {
+            const indexValues = map(indexDimInfoList, function (dimInfo) {
+                return upstream.retrieveValue(dataIdx, dimInfo.index);
+            });
+            const rowKey = map(indexValues, function (val) {
+                return val + '';
+            }).join('\0');
+
+            const columnValue = upstream.retrieveValue(dataIdx, columnsDimIdx);
+            const columnKey = columnValue + '';
+            let columnIdx = columnKeyMap.get(columnKey);
+            if (columnIdx == null) {
+                if (nameMap.get(columnKey)) {
+                    if (__DEV__) {
+                        errMsg = 'Pivoted dimension name "' + columnKey
+                            + '" duplicates with an `index` dimension.';
+                    }
+                    throwError(errMsg);
+                }
+                columnIdx = resultDimNames.length;
+                columnKeyMap.set(columnKey, columnIdx);
+                resultDimNames.push(columnKey);
+            }
+
+            let row = rowMap.get(rowKey);
+            if (!row) {
+                row = rowMap.set(rowKey, {
+                    indexValues: indexValues,
+                    cells: []
+                });
+                rowKeys.push(rowKey);
+            }
+            (row.cells[columnIdx] || (row.cells[columnIdx] = [])).push(
+                upstream.retrieveValue(dataIdx, valuesDimIdx)
+            );
+        }
+
+        const resultData: OptionSourceDataArrayRows = map(rowKeys, function (rowKey) {
+            const row = rowMap.get(rowKey);
+            const resultRow = row.indexValues.slice();
+            for (let columnIdx = resultRow.length; columnIdx < resultDimNames.length; columnIdx++) {
+                const cell = row.cells[columnIdx];
+                // Missing cells are filled with `null`.
+                resultRow.push(cell ? aggregator(cell) : null);
+            }
+            return resultRow;
+        });
+
+        return {
+            dimensions: resultDimNames,
+            data: resultData
+        };
+    }
+};
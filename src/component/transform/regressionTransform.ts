@@ -0,0 +1,275 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { DataTransformOption, ExternalDataTransform } from '../../data/helper/transform';
+import { DimensionLoose, DimensionName, OptionSourceDataArrayRows } from '../../util/types';
+import { throwError } from '../../util/log';
+import { map } from 'zrender/src/core/util';
+import { getDimensionInfoOrThrow, retrieveNumber } from './helper';
+
+/**
+ * Fit the data with a curve, and output the points on the curve
+ * on each distinct x of the upstream.
+ *
+ * @usage
+ *
+ * ```js
+ * transform: {
+ *     type: 'regression',
+ *     config: {
+ *         method: 'polynomial',
+ *         order: 3,
+ *         // [x dimension, y dimension], [0, 1] by default.
+ *         dimensions: ['year', 'income']
+ *     }
+ * }
+ * ```
+ */
+
+export interface RegressionTransformOption extends DataTransformOption {
+    type: 'regression';
+    config: {
+        // 'linear' by default.
+        method?: RegressionMethod;
+        // Only works for 'polynomial'. 2 by default.
+        order?: number;
+        dimensions?: [DimensionLoose, DimensionLoose];
+    };
+}
+
+export type RegressionMethod = 'linear' | 'exponential' | 'logarithmic' | 'polynomial';
+
+type Point = [number, number];
+type RegressionFunction = (x: number) => number;
+
+/**
+ * Least squares on `y = a + b * x`.
+ */
+function fitLinear(points: Point[]): RegressionFunction {
+    let sumX = 0;
+    let sumY = 0;
+    let sumXY = 0;
+    let sumXX = 0;
+    const n = points.length;
+    for (let i = 0; i < n; i++) {
+        const x = points[i][0];
+        const y = points[i][1];
+        sumX += x;
+        sumY += y;
+        sumXY += x * y;
+        sumXX += x * x;
+    }
+    const denominator = n * sumXX - sumX * sumX;
+    // All of the x are the same.
+    const b = denominator ? (n * sumXY - sumX * sumY) / denominator : 0;
+    const a = (sumY - b * sumX) / n;
+    return function (x) {
+        return a + b * x;
+    };
+}
+
+/**
+ * Least squares on `ln(y) = ln(a) + b * x`, namely `y = a * e^(b * x)`.
+ * Only points with positive y are used.
+ */
+function fitExponential(points: Point[]): RegressionFunction {
+    const transformed: Point[] = [];
+    for (let i = 0; i < points.length; i++) {
+        points[i][1] > 0 && transformed.push([points[i][0], Math.log(points[i][1])]);
+    }
+    if (!transformed.length) {
+        return null;
+    }
+    const fn = fitLinear(transformed);
+    return function (x) {
+        return Math.exp(fn(x));
+    };
+}
+
+/**
+ * Least squares on `y = a + b * ln(x)`. Only points with positive x are used.
+ */
+function fitLogarithmic(points: Point[]): RegressionFunction {
+    const transformed: Point[] = [];
+    for (let i = 0; i < points.length; i++) {
+        points[i][0] > 0 && transformed.push([Math.log(points[i][0]), points[i][1]]);
+    }
+    if (!transformed.length) {
+        return null;
+    }
+    const fn = fitLinear(transformed);
+    return function (x) {
+        return x > 0 ? fn(Math.log(x)) : NaN;
+    };
+}
+
+/**
+ * Least squares on `y = a0 + a1 * t + ... + an * t^n`, by solving
+ * the normal equations with Gaussian elimination.
+ * `t` is `x` centered and scaled into `[-1, 1]`, otherwise the powers of
+ * large x (like timestamps) lose precision.
+ */
+function fitPolynomial(points: Point[], order: number): RegressionFunction {
+    // Can not determine more coefficients than points.
+    order = Math.min(order, points.length - 1);
+    const size = order + 1;
+
+    let xMin = Infinity;
+    let xMax = -Infinity;
+    for (let i = 0; i < points.length; i++) {
+        xMin = Math.min(xMin, points[i][0]);
+        xMax = Math.max(xMax, points[i][0]);
+    }
+    const xMid = (xMin + xMax) / 2;
+    const halfRange = (xMax - xMin) / 2 || 1;
+    function normalizeX(x: number) {
+        return (x - xMid) / halfRange;
+    }
+
+    // Augmented matrix of the normal equations.
+    const matrix: number[][] = [];
+    for (let row = 0; row < size; row++) {
+        matrix[row] = [];
+        for (let col = 0; col <= size; col++) {
+            matrix[row][col] = 0;
+        }
+    }
+    for (let i = 0; i < points.length; i++) {
+        const x = normalizeX(points[i][0]);
+        const y = points[i][1];
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                matrix[row][col] += Math.pow(x, row + col);
+            }
+            matrix[row][size] += y * Math.pow(x, row);
+        }
+    }
+
+    for (let col = 0; col < size; col++) {
+        // Partial pivoting.
+        let pivotRow = col;
+        for (let row = col + 1; row < size; row++) {
+            if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivotRow][col])) {
+                pivotRow = row;
+            }
+        }
+        const tmp = matrix[col];
+        matrix[col] = matrix[pivotRow];
+        matrix[pivotRow] = tmp;
+
+        const pivot = matrix[col][col];
+        if (!pivot) {
+            continue;
+        }
+        for (let row = 0; row < size; row++) {
+            if (row !== col) {
+                const factor = matrix[row][col] / pivot;
+                for (let k = col; k <= size; k++) {
+                    matrix[row][k] -= factor * matrix[col][k];
+                }
+            }
+        }
+    }
+
+    const coefficients: number[] = [];
+    for (let row = 0; row < size; row++) {
+        coefficients[row] = matrix[row][row] ? matrix[row][size] / matrix[row][row] : 0;
+    }
+
+    return function (x) {
+        x = normalizeX(x);
+        let y = 0;
+        for (let i = size - 1; i >= 0; i--) {
+            y = y * x + coefficients[i];
+        }
+        return y;
+    };
+}
+
+let sampleLog = '';
+if (__DEV__) {
+    sampleLog = [
+        'Valid config is like:',
+        '{ method: "polynomial", order: 3, dimensions: ["year", "income"] }'
+    ].join(' ');
+}
+
+export const regressionTransform: ExternalDataTransform<RegressionTransformOption> = {
+
+    type: 'echarts:regression',
+
+    transform: function (params) {
+        const upstream = params.upstream;
+        const config = params.config || {} as RegressionTransformOption['config'];
+        let errMsg = '';
+
+        const method = config.method || 'linear';
+        if (method !== 'linear' && method !== 'exponential'
+            && method !== 'logarithmic' && method !== 'polynomial'
+        ) {
+            if (__DEV__) {
+                errMsg = 'Unknown regression method "' + method + '". ' + sampleLog;
+            }
+            throwError(errMsg);
+        }
+
+        const dims = config.dimensions || [0, 1];
+        const xDimInfo = getDimensionInfoOrThrow(upstream, dims[0]);
+        const yDimInfo = getDimensionInfoOrThrow(upstream, dims[1]);
+
+        const points: Point[] = [];
+        for (let dataIdx = 0, len = upstream.count(); dataIdx < len; dataIdx++) {
+            const x = retrieveNumber(upstream, dataIdx, xDimInfo);
+            const y = retrieveNumber(upstream, dataIdx, yDimInfo);
+            // Ignore empty values.
+            !isNaN(x) && !isNaN(y) && points.push([x, y]);
+        }
+
+        const resultDimensions: DimensionName[] = [xDimInfo.name, yDimInfo.name];
+        if (!points.length) {
+            return {
+                dimensions: resultDimensions,
+                data: []
+            };
+        }
+
+        const fn = method === 'exponential'
+            ? fitExponential(points)
+            : method === 'logarithmic'
+            ? fitLogarithmic(points)
+            : method === 'polynomial'
+            ? fitPolynomial(points, config.order != null ? config.order : 2)
+            : fitLinear(points);
+
+        const xList = map(points, point => point[0]).sort((a, b) => a - b);
+        const resultData: OptionSourceDataArrayRows = [];
+        for (let i = 0; i < xList.length; i++) {
+            if (i && xList[i] === xList[i - 1]) {
+                continue;
+            }
+            const y = fn ? fn(xList[i]) : NaN;
+            resultData.push([xList[i], isFinite(y) ? y : null]);
+        }
+
+        return {
+            dimensions: resultDimensions,
+            data: resultData
+        };
+    }
+};
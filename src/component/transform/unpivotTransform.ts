@@ -0,0 +1,130 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { DataTransformOption, ExternalDataTransform } from '../../data/helper/transform';
+import { DimensionLoose, DimensionName, OptionSourceDataArrayRows } from '../../util/types';
+import { throwError } from '../../util/log';
+import { each, map, filter, createHashMap, indexOf } from 'zrender/src/core/util';
+import { normalizeToArray } from '../../util/model';
+import { getDimensionInfoOrThrow } from './helper';
+
+/**
+ * Convert "wide" rows to "long" rows, which is the reverse of pivot.
+ *
+ * @usage
+ *
+ * ```js
+ * dataset: [{
+ *     source: [
+ *         ['date', 'pv', 'uv'],
+ *         ['2020-01-01', 120, 30],
+ *         ['2020-01-02', 140, 35]
+ *     ]
+ * }, {
+ *     transform: {
+ *         type: 'unpivot',
+ *         config: { index: 'date', keyName: 'metric', valueName: 'value' }
+ *     }
+ *     // Result:
+ *     // ['date', 'metric', 'value'],
+ *     // ['2020-01-01', 'pv', 120],
+ *     // ['2020-01-01', 'uv', 30],
+ *     // ['2020-01-02', 'pv', 140],
+ *     // ['2020-01-02', 'uv', 35]
+ * }]
+ * ```
+ */
+
+export interface UnpivotTransformOption extends DataTransformOption {
+    type: 'unpivot';
+    config: {
+        // Dimensions that are kept in each result row.
+        index?: DimensionLoose | DimensionLoose[];
+        // Dimensions that are folded into rows.
+        // All of the dimensions except `index` by default.
+        dimensions?: DimensionLoose | DimensionLoose[];
+        // 'key' by default.
+        keyName?: DimensionName;
+        // 'value' by default.
+        valueName?: DimensionName;
+    };
+}
+
+export const unpivotTransform: ExternalDataTransform<UnpivotTransformOption> = {
+
+    type: 'echarts:unpivot',
+
+    transform: function (params) {
+        const upstream = params.upstream;
+        const config = params.config || {} as UnpivotTransformOption['config'];
+        let errMsg = '';
+
+        const keyName = config.keyName != null ? config.keyName : 'key';
+        const valueName = config.valueName != null ? config.valueName : 'value';
+
+        const indexDimInfoList = map(normalizeToArray(config.index), function (dim) {
+            return getDimensionInfoOrThrow(upstream, dim);
+        });
+        const indexDimIndices = map(indexDimInfoList, function (dimInfo) {
+            return dimInfo.index;
+        });
+
+        const foldDimInfoList = config.dimensions != null
+            ? map(normalizeToArray(config.dimensions), function (dim) {
+                return getDimensionInfoOrThrow(upstream, dim);
+            })
+            : filter(upstream.cloneAllDimensionInfo(), function (dimInfo) {
+                return indexOf(indexDimIndices, dimInfo.index) < 0;
+            });
+
+        const resultDimNames: DimensionName[] = map(indexDimInfoList, function (dimInfo) {
+            return dimInfo.name;
+        }).concat([keyName, valueName]);
+        const nameMap = createHashMap<boolean>();
+        each(resultDimNames, function (name) {
+            if (nameMap.get(name)) {
+                if (__DEV__) {
+                    errMsg = 'Duplicated dimension name "' + name + '" in unpivot transform. '
+                        + 'Please specify another `keyName` or `valueName`.';
+                }
+                throwError(errMsg);
+            }
+            nameMap.set(name, true);
+        });
+
+        const resultData: OptionSourceDataArrayRows = [];
+        for (let dataIdx = 0, len = upstream.count(); dataIdx < len; dataIdx++) {
+            const indexValues = map(indexDimIndices, function (dimIdx) {
+                return upstream.retrieveValue(dataIdx, dimIdx);
+            });
+            each(foldDimInfoList, function (dimInfo) {
+                resultData.push(indexValues.concat([
+                    // Dimensions without name are keyed by their index.
+                    dimInfo.name != null ? dimInfo.name : dimInfo.index,
+                    upstream.retrieveValue(dataIdx, dimInfo.index)
+                ]));
+            });
+        }
+
+        return {
+            dimensions: resultDimNames,
+            data: resultData
+        };
+    }
+};
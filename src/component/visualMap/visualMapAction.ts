@@ -20,6 +20,7 @@
 import VisualMapModel from './VisualMapModel';
 import { Payload } from '../../util/types';
 import GlobalModel from '../../model/Global';
+import { recordInteraction } from '../../core/interactionHistory';
 
 export const visualMapActionInfo = {
     type: 'selectDataRange',
@@ -29,6 +30,7 @@ export const visualMapActionInfo = {
 };
 
 export const visualMapActionHander = function (payload: Payload, ecModel: GlobalModel) {
+    recordInteraction(ecModel, 'visualMap');
     ecModel.eachComponent({mainType: 'visualMap', query: payload}, function (model) {
         (model as VisualMapModel).setSelected(payload.selected);
     });
@@ -20,7 +20,7 @@
 import {
     TextCommonOption, LineStyleOption, OrdinalRawValue, ZRColor,
     AreaStyleOption, ComponentOption, ColorString,
-    AnimationOptionMixin, Dictionary, ScaleDataValue
+    AnimationOptionMixin, Dictionary, ScaleDataValue, ItemStyleOption
 } from '../util/types';
 
 
@@ -115,11 +115,44 @@ export interface AxisBaseOption extends ComponentOption,
     // Specify max interval when auto calculate tick interval.
     maxInterval?: number;
 
+    // Ranges of the axis that are collapsed into gaps.
+    breaks?: AxisBreakOption[];
+    breakArea?: AxisBreakAreaOption;
+
 
     // ---------------------------------------
     // [Properties below only for 'log' axis]:
 
     logBase?: number;
+
+
+    // ----------------------------------------
+    // [Properties below only for 'time' axis]:
+
+    // IANA timezone like 'America/Chicago', in which the ticks and labels are
+    // calculated. Takes precedence over the global `useUTC`.
+    timezone?: string;
+}
+
+export interface AxisBreakOption {
+    start: ScaleDataValue;
+    end: ScaleDataValue;
+    // The size of the gap that the break collapsed into. Can be
+    // a value in data unit (like `100`), or percent of the axis length
+    // (like `'2%'`, the default).
+    gap?: number | string;
+    // Expanded break is displayed as a normal range.
+    // Can be changed by action `expandAxisBreak` and `collapseAxisBreak`.
+    isExpanded?: boolean;
+}
+
+export interface AxisBreakAreaOption {
+    show?: boolean;
+    itemStyle?: ItemStyleOption;
+    // The amplitude of the zigzag lines on both sides of the break area, in pixel.
+    zigzagAmplitude?: number;
+    // Whether to expand the break when the break area is clicked.
+    expandOnClick?: boolean;
 }
 
 interface AxisNameTextStyleOption extends TextCommonOption {
@@ -167,6 +167,18 @@ const valueAxis: AxisBaseOption = zrUtil.merge({
             color: '#F4F7FD',
             width: 1
         }
+    },
+
+    breakArea: {
+        show: true,
+        itemStyle: {
+            color: '#fff',
+            borderColor: '#B7BAC2',
+            borderWidth: 1,
+            borderType: 'solid'
+        },
+        zigzagAmplitude: 4,
+        expandOnClick: true
     }
 }, defaultOption);
 
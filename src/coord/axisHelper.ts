@@ -154,6 +154,9 @@ export function niceScaleExtent(scale: Scale, model: AxisBaseModel) {
 
     const scaleType = scale.type;
     scale.setExtent(extent[0], extent[1]);
+    if (scaleType === 'interval' || scaleType === 'time') {
+        (scale as IntervalScale).setBreaksFromOption(model.get('breaks'));
+    }
     scale.niceExtent({
         splitNumber: splitNumber,
         fixMin: extentInfo.fixMin,
@@ -193,7 +196,8 @@ export function createScaleByModel(model: AxisBaseModel, axisType?: string): Sca
             case 'time':
                 return new TimeScale({
                     locale: model.ecModel.getLocaleModel(),
-                    useUTC: model.ecModel.get('useUTC')
+                    useUTC: model.ecModel.get('useUTC'),
+                    timezone: model.get('timezone')
                 });
             default:
                 // case 'value'/'interval', 'log', or others.
@@ -26,6 +26,7 @@ import {
     shouldShowAllLabels
 } from './axisHelper';
 import Axis from './Axis';
+import { ScaleTickBreak } from '../util/types';
 import Model from '../model/Model';
 import { AxisBaseOption } from './axisCommonTypes';
 import OrdinalScale from '../scale/Ordinal';
@@ -64,7 +65,9 @@ export function createAxisLabels(axis: Axis): {
     labels: {
         formattedLabel: string,
         rawLabel: string,
-        tickValue: number
+        tickValue: number,
+        // Only on the boundaries of axis breaks.
+        break?: ScaleTickBreak
     }[],
     labelCategoryInterval?: number
 } {
@@ -178,7 +181,8 @@ function makeRealNumberLabels(axis: Axis) {
             return {
                 formattedLabel: labelFormatter(tick, idx),
                 rawLabel: axis.scale.getLabel(tick),
-                tickValue: tick.value
+                tickValue: tick.value,
+                break: tick.break
             };
         })
     };
@@ -0,0 +1,230 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+/**
+ * Export the data that is currently visible in the chart as a table, which is used by
+ * `chart.getDataAsTable()` and the `saveAsData` toolbox feature.
+ *
+ * Series filtered by legend are not included, and the data filtered by dataZoom or
+ * legend has been removed from `seriesModel.getData()` by the processors. The data
+ * items out of the range of visualMap are excluded here.
+ */
+
+import { each, map, filter, createHashMap, isNumber, HashMap } from 'zrender/src/core/util';
+import { Dictionary } from 'zrender/src/core/types';
+import GlobalModel from '../model/Global';
+import { makeValueReadable } from '../util/format';
+import { format as formatTime } from '../util/time';
+import { parseDate } from '../util/number';
+import { throwError } from '../util/log';
+import type VisualMapModel from '../component/visualMap/VisualMapModel';
+
+export type DataTableFormat = 'csv' | 'tsv' | 'json';
+
+export interface DataTableOpt {
+    // 'csv' by default.
+    format?: DataTableFormat
+}
+
+type DataTableValue = string | number;
+
+interface DataTable {
+    columns: string[];
+    rows: Dictionary<DataTableValue>[];
+}
+
+const SERIES_COLUMN = 'series';
+const NAME_COLUMN = 'name';
+const TIME_PATTERN = '{yyyy}-{MM}-{dd} {HH}:{mm}:{ss}';
+
+function collectDataTable(ecModel: GlobalModel): DataTable {
+    const useUTC = ecModel.get('useUTC');
+    const dimColumns = createHashMap<boolean>();
+    const dimColumnList: string[] = [];
+    const rows: {
+        seriesName: string
+        itemName: string
+        values: Dictionary<DataTableValue>
+    }[] = [];
+    let hasName = false;
+
+    ecModel.eachSeries(function (seriesModel) {
+        const data = seriesModel.getData();
+        const seriesName = seriesModel.name;
+
+        const visualMapModels = filter(
+            ecModel.queryComponents({mainType: 'visualMap'}) as VisualMapModel[],
+            function (visualMapModel) {
+                return visualMapModel.isTargetSeries(seriesModel)
+                    && visualMapModel.getDataDimension(data) != null;
+            }
+        );
+
+        const dimList = filter(
+            map(data.dimensions, function (dim) {
+                const dimInfo = data.getDimensionInfo(dim);
+                return {
+                    dim: dim,
+                    type: dimInfo.type,
+                    column: dimInfo.displayName || dim,
+                    ordinalMeta: dimInfo.ordinalMeta,
+                    isItemName: !!(dimInfo.otherDims && dimInfo.otherDims.itemName != null)
+                };
+            }),
+            // Dimensions like stacked result are not in the original data.
+            function (dimItem) {
+                return !data.getDimensionInfo(dimItem.dim).isCalculationCoord;
+            }
+        );
+        // The item name is already in the table if it's from a dimension.
+        let nameInDims = false;
+        each(dimList, function (dimItem) {
+            nameInDims = nameInDims || dimItem.isItemName;
+            if (!dimColumns.get(dimItem.column)) {
+                dimColumns.set(dimItem.column, true);
+                dimColumnList.push(dimItem.column);
+            }
+        });
+
+        for (let dataIndex = 0, len = data.count(); dataIndex < len; dataIndex++) {
+            let outOfRange = false;
+            each(visualMapModels, function (visualMapModel) {
+                const value = data.get(visualMapModel.getDataDimension(data), dataIndex);
+                outOfRange = outOfRange || visualMapModel.getValueState(value) === 'outOfRange';
+            });
+            if (outOfRange) {
+                continue;
+            }
+
+            const row: Dictionary<DataTableValue> = {};
+            let itemName: string;
+            if (!nameInDims) {
+                itemName = data.getName(dataIndex);
+                hasName = hasName || (itemName != null && itemName !== '');
+            }
+
+            each(dimList, function (dimItem) {
+                let value = data.get(dimItem.dim, dataIndex);
+                if (dimItem.type === 'ordinal') {
+                    // The ordinal value is the index of the category.
+                    const categories = dimItem.ordinalMeta && dimItem.ordinalMeta.categories;
+                    value = categories && isNumber(value) && categories[value] != null
+                        ? categories[value]
+                        : value;
+                    row[dimItem.column] = makeValueReadable(value, 'ordinal', useUTC);
+                }
+                else if (dimItem.type === 'time') {
+                    const date = parseDate(value);
+                    row[dimItem.column] = isNaN(+date) ? null : formatTime(date, TIME_PATTERN, useUTC);
+                }
+                else {
+                    // Keep numbers precise rather than the readable ones with commas.
+                    row[dimItem.column] = isNumber(value) && !isFinite(value) ? null : value;
+                }
+            });
+
+            rows.push({
+                seriesName: seriesName,
+                itemName: itemName,
+                values: row
+            });
+        }
+    });
+
+    // Columns of series name and item name should not overwrite the dimensions.
+    const seriesColumn = genColumnName(SERIES_COLUMN, dimColumns);
+    const nameColumn = hasName ? genColumnName(NAME_COLUMN, dimColumns) : null;
+
+    return {
+        columns: [seriesColumn].concat(hasName ? [nameColumn] : [], dimColumnList),
+        rows: map(rows, function (row) {
+            const values = row.values;
+            values[seriesColumn] = row.seriesName;
+            if (hasName && row.itemName != null && row.itemName !== '') {
+                values[nameColumn] = row.itemName;
+            }
+            return values;
+        })
+    };
+}
+
+function genColumnName(name: string, columns: HashMap<boolean>): string {
+    if (columns.get(name)) {
+        let i = 0;
+        while (columns.get(name + i)) {
+            i++;
+        }
+        name += i;
+    }
+    columns.set(name, true);
+    return name;
+}
+
+function stringifyCell(value: DataTableValue, delimiter: string): string {
+    if (value == null) {
+        return '';
+    }
+    const str = value + '';
+    if (delimiter === '\t') {
+        // TSV can not escape, so the delimiter and line breaks are replaced.
+        return str.replace(/[\t\r\n]/g, ' ');
+    }
+    // Quote the cell as RFC 4180.
+    return /[",\r\n]/.test(str)
+        ? '"' + str.replace(/"/g, '""') + '"'
+        : str;
+}
+
+function stringifyDelimited(table: DataTable, delimiter: string): string {
+    const lines = [map(table.columns, function (column) {
+        return stringifyCell(column, delimiter);
+    }).join(delimiter)];
+    each(table.rows, function (row) {
+        lines.push(map(table.columns, function (column) {
+            return stringifyCell(row[column], delimiter);
+        }).join(delimiter));
+    });
+    return lines.join('\n');
+}
+
+function stringifyJSON(table: DataTable): string {
+    return JSON.stringify(map(table.rows, function (row) {
+        const item: Dictionary<DataTableValue> = {};
+        each(table.columns, function (column) {
+            item[column] = row[column] == null ? null : row[column];
+        });
+        return item;
+    }));
+}
+
+export function getDataAsTable(ecModel: GlobalModel, opt?: DataTableOpt): string {
+    const format = (opt && opt.format) || 'csv';
+    if (format !== 'csv' && format !== 'tsv' && format !== 'json') {
+        let errMsg = '';
+        if (__DEV__) {
+            errMsg = 'Unknown data table format "' + format + '". Should be csv, tsv or json.';
+        }
+        throwError(errMsg);
+    }
+
+    const table = collectDataTable(ecModel);
+    return format === 'json'
+        ? stringifyJSON(table)
+        : stringifyDelimited(table, format === 'csv' ? ',' : '\t');
+}
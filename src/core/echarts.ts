@@ -94,17 +94,23 @@ import { seriesSymbolTask, dataSymbolTask } from '../visual/symbol';
 import { getVisualFromData, getItemVisualFromData } from '../visual/helper';
 import LabelManager from '../label/LabelManager';
 import { deprecateLog, throwError } from '../util/log';
+import { encodeHTML } from '../util/format';
 import { handleLegacySelectEvents } from '../legacy/dataSelectAction';
 
 import { registerExternalTransform } from '../data/helper/transform';
+import { registerSampler as registerDataSampler } from '../processor/dataSample';
 import { createLocaleObject, SYSTEM_LANG, LocaleOption } from './locale';
 
 import type {EChartsOption} from '../export/option';
+import type { DatasetModel } from '../component/dataset/install';
+import { undoInteraction, redoInteraction } from './interactionHistory';
+import { getDataAsTable, DataTableOpt } from './dataTable';
 import { findEventDispatcher } from '../util/event';
 import decal from '../visual/decal';
 import type {MorphDividingMethod} from 'zrender/src/tool/morphPath';
 import CanvasPainter from 'zrender/src/canvas/Painter';
 import SVGPainter from 'zrender/src/svg/Painter';
+import type { default as SSRPainter, SSRRenderToStringOpts } from '../renderer/SSRPainter';
 
 declare let global: any;
 
@@ -218,6 +224,24 @@ interface PostIniter {
     (chart: EChartsType): void
 }
 
+interface PostDisposer {
+    (ecModel: GlobalModel, api: ExtensionAPI): void
+}
+
+/**
+ * Hooks called in the update process of each instance:
+ * + 'series:beforeupdate': before views are prepared for the new option,
+ *   where the elements rendered by the previous update are still available.
+ * + 'series:transition': after all of the series are rendered.
+ */
+export type UpdateLifecycleType = 'series:beforeupdate' | 'series:transition';
+export interface UpdateLifecycleParams {
+    payload?: Payload
+}
+export interface UpdateLifecycleHook {
+    (ecModel: GlobalModel, api: ExtensionAPI, params: UpdateLifecycleParams): void
+}
+
 type EventMethodName = 'on' | 'off';
 function createRegisterEventWithLowercaseECharts(method: EventMethodName) {
     return function (this: ECharts, ...args: any): ECharts {
@@ -350,6 +374,8 @@ class ECharts extends Eventful {
 
     private _labelManager: LabelManager;
 
+    private _ssr: boolean;
+
 
     private [OPTION_UPDATED_KEY]: boolean | {silent: boolean};
     private [IN_MAIN_PROCESS_KEY]: boolean;
@@ -365,6 +391,7 @@ class ECharts extends Eventful {
             renderer?: RendererType,
             devicePixelRatio?: number,
             useDirtyRect?: boolean,
+            ssr?: boolean,
             width?: number,
             height?: number
         }
@@ -373,6 +400,8 @@ class ECharts extends Eventful {
 
         opts = opts || {};
 
+        this._ssr = !!opts.ssr;
+
         // Get theme by name
         if (typeof theme === 'string') {
             theme = themeStorage[theme] as object;
@@ -396,8 +425,15 @@ class ECharts extends Eventful {
                 : devUseDirtyRect;
         }
 
+        if (__DEV__) {
+            if (this._ssr && opts.renderer !== 'svg') {
+                console.warn('Server side rendering only supports the SVG renderer. Use renderer: \'svg\' instead.');
+            }
+        }
+
         const zr = this._zr = zrender.init(dom, {
-            renderer: opts.renderer || defaultRenderer,
+            // The SVG painter for server side rendering builds SVG string without DOM.
+            renderer: this._ssr ? 'svg-ssr' : (opts.renderer || defaultRenderer),
             devicePixelRatio: opts.devicePixelRatio,
             width: opts.width,
             height: opts.height,
@@ -684,6 +720,36 @@ class ECharts extends Eventful {
         return (zr.painter as SVGPainter).toDataURL();
     }
 
+    /**
+     * Render the chart to an SVG string. Only available when the chart is
+     * initialized with `{renderer: 'svg', ssr: true}`.
+     *
+     * The ids of the elements only depend on the painting order, so they are
+     * stable for the same option, which makes it possible to hydrate the SVG later.
+     */
+    renderToSVGString(opts?: SSRRenderToStringOpts): string {
+        if (this._disposed) {
+            disposedWarning(this.id);
+            return;
+        }
+
+        const painter = this._zr.painter as SSRPainter;
+        if (!painter.renderToString) {
+            if (__DEV__) {
+                console.error('renderToSVGString can only be used in the ssr mode. '
+                    + 'Use init(null, theme, {renderer: \'svg\', ssr: true}) instead.');
+            }
+            return;
+        }
+
+        // Render the final state of the elements.
+        zrUtil.each(this._zr.storage.getDisplayList(), function (el: Element) {
+            el.stopAnimation(null, true);
+        });
+
+        return painter.renderToString(opts);
+    }
+
     getDataURL(opts?: {
         // file type 'png' by default
         type?: 'png' | 'jpg' | 'svg',
@@ -698,22 +764,7 @@ class ECharts extends Eventful {
         }
 
         opts = opts || {};
-        const excludeComponents = opts.excludeComponents;
-        const ecModel = this._model;
-        const excludesComponentViews: ComponentView[] = [];
-        const self = this;
-
-        each(excludeComponents, function (componentType) {
-            ecModel.eachComponent({
-                mainType: componentType
-            }, function (component) {
-                const view = self._componentsMap[component.__viewId];
-                if (!view.group.ignore) {
-                    excludesComponentViews.push(view);
-                    view.group.ignore = true;
-                }
-            });
-        });
+        const excludesComponentViews = this._excludeComponentViews(opts.excludeComponents);
 
         const url = this._zr.painter.getType() === 'svg'
             ? this.getSvgDataURL()
@@ -843,6 +894,159 @@ class ECharts extends Eventful {
         }
     }
 
+    /**
+     * Compose the connected charts into one SVG document by their positions in the page,
+     * so that a dashboard can be exported without losing resolution.
+     * Charts rendered by canvas are embedded as images. Charts without dom in the ssr
+     * mode are placed one below another.
+     */
+    getConnectedSVG(opts?: {
+        // Fill the space between the charts.
+        connectedBackgroundColor?: string,
+        excludeComponents?: ComponentMainType[]
+    }): string {
+        if (this._disposed) {
+            disposedWarning(this.id);
+            return;
+        }
+
+        opts = opts || {};
+        const groupId = this.group;
+        const charts: ECharts[] = [];
+        if (groupId != null && connectedGroups[groupId]) {
+            each(instances, function (chart) {
+                chart.group === groupId && charts.push(chart);
+            });
+        }
+        else {
+            charts.push(this);
+        }
+
+        const mathMin = Math.min;
+        const mathMax = Math.max;
+        let left = Infinity;
+        let top = Infinity;
+        let right = -Infinity;
+        let bottom = -Infinity;
+        const svgList: {content: string, left: number, top: number}[] = [];
+
+        each(charts, function (chart) {
+            const dom = chart.getDom();
+            const width = chart.getWidth();
+            const height = chart.getHeight();
+            let x = svgList.length ? left : 0;
+            let y = svgList.length ? bottom : 0;
+            if (dom) {
+                const boundingRect = dom.getBoundingClientRect();
+                x = boundingRect.left;
+                y = boundingRect.top;
+            }
+            left = mathMin(x, left);
+            top = mathMin(y, top);
+            right = mathMax(x + width, right);
+            bottom = mathMax(y + height, bottom);
+            svgList.push({
+                content: chart._renderToSVGForConnect(opts.excludeComponents),
+                left: x,
+                top: y
+            });
+        });
+
+        const width = right - left;
+        const height = bottom - top;
+        let content = '';
+        if (opts.connectedBackgroundColor) {
+            content += '<rect width="' + width + '" height="' + height + '" x="0" y="0" fill="'
+                + encodeHTML(opts.connectedBackgroundColor) + '"/>';
+        }
+        each(svgList, function (item) {
+            content += '<g transform="translate(' + (item.left - left) + ',' + (item.top - top) + ')">'
+                + item.content + '</g>';
+        });
+
+        return '<svg width="' + width + '" height="' + height + '"'
+            + ' xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"'
+            + ' version="1.1" baseProfile="full" viewBox="0 0 ' + width + ' ' + height + '">'
+            + content + '</svg>';
+    }
+
+    private _renderToSVGForConnect(excludeComponents: ComponentMainType[]): string {
+        const zr = this._zr;
+        const painter = zr.painter;
+        const excludesComponentViews = this._excludeComponentViews(excludeComponents);
+        let content: string;
+
+        if ((painter as SSRPainter).renderToString) {
+            // Ids must be unique among the composed charts.
+            content = this.renderToSVGString({ idPrefix: this.id, useViewBox: false });
+        }
+        else if (painter.getType() === 'svg') {
+            zrUtil.each(zr.storage.getDisplayList(), function (el: Element) {
+                el.stopAnimation(null, true);
+            });
+            painter.refresh();
+            const svgDom = (painter as SVGPainter).getSvgDom().cloneNode(true) as SVGElement;
+            // Ids of defs are prefixed by the id of zrender, which are unique. But the
+            // background rect always has the id "0".
+            const defIdPrefix = 'zr' + zr.id + '-';
+            const self = this;
+            zrUtil.each(svgDom.querySelectorAll('[id]'), function (el) {
+                const id = el.getAttribute('id');
+                id.indexOf(defIdPrefix) !== 0 && el.setAttribute('id', self.id + '-' + id);
+            });
+            content = new XMLSerializer().serializeToString(svgDom);
+        }
+        else {
+            // Canvas can not be converted to vector graphics.
+            content = '<image x="0" y="0" width="' + this.getWidth() + '" height="' + this.getHeight()
+                + '" xlink:href="' + this.getRenderedCanvas().toDataURL('image/png') + '"/>';
+        }
+
+        each(excludesComponentViews, function (view) {
+            view.group.ignore = false;
+        });
+        // Show the excluded components again.
+        excludesComponentViews.length && zr.refresh();
+
+        return content;
+    }
+
+    /**
+     * Hide the views of the given component types temporarily for exporting.
+     * Returns the views that should be shown again by the caller.
+     */
+    private _excludeComponentViews(excludeComponents: ComponentMainType[]): ComponentView[] {
+        const ecModel = this._model;
+        const excludesComponentViews: ComponentView[] = [];
+        const self = this;
+
+        each(excludeComponents, function (componentType) {
+            ecModel.eachComponent({
+                mainType: componentType
+            }, function (component) {
+                const view = self._componentsMap[component.__viewId];
+                if (!view.group.ignore) {
+                    excludesComponentViews.push(view);
+                    view.group.ignore = true;
+                }
+            });
+        });
+
+        return excludesComponentViews;
+    }
+
+    /**
+     * Get the currently visible data as a table in csv, tsv or json.
+     * Data filtered by legend, dataZoom and visualMap is excluded.
+     */
+    getDataAsTable(opts?: DataTableOpt): string {
+        if (this._disposed) {
+            disposedWarning(this.id);
+            return;
+        }
+        return getDataAsTable(this._model, opts);
+    }
+
     /**
      * Convert from logical coordinate system to pixel coordinate system.
      * See CoordinateSystem#convertToPixel.
@@ -1096,7 +1300,8 @@ class ECharts extends Eventful {
         }
         this._disposed = true;
 
-        modelUtil.setAttribute(this.getDom(), DOM_ATTRIBUTE_KEY, '');
+        const dom = this.getDom();
+        dom && modelUtil.setAttribute(dom, DOM_ATTRIBUTE_KEY, '');
 
         const api = this._api;
         const ecModel = this._model;
@@ -1107,6 +1312,9 @@ class ECharts extends Eventful {
         each(this._chartsViews, function (chart) {
             chart.dispose(ecModel, api);
         });
+        each(postDisposeFuncs, function (func) {
+            func(ecModel, api);
+        });
 
         // Dispose after all views disposed
         this._zr.dispose();
@@ -1315,6 +1523,74 @@ class ECharts extends Eventful {
         this.getZr().wakeUp();
     }
 
+    /**
+     * Undo the last user interaction, like legend selection, brush, visualMap range,
+     * timeline change, roam and dataZoom.
+     */
+    undo(): void {
+        this.dispatchAction({type: 'undo'});
+    }
+
+    /**
+     * Redo the last undone user interaction.
+     */
+    redo(): void {
+        this.dispatchAction({type: 'redo'});
+    }
+
+    /**
+     * Append rows to a root dataset, and remove the oldest rows beyond `maxLength`,
+     * which is useful for realtime charts with a sliding window.
+     * Different from `setOption`, no option is merged, and only the transforms and
+     * series that depend on the dataset create their source and data again.
+     * The coordinate systems are updated to fit the new data.
+     */
+    appendDataset(params: {
+        datasetIndex: number,
+        data: Parameters<DatasetModel['appendSource']>[0],
+        // Keep all of the rows if not specified.
+        maxLength?: number,
+        silent?: boolean
+    }): void {
+        if (__DEV__) {
+            assert(!this[IN_MAIN_PROCESS_KEY], '`appendDataset` should not be called during main process.');
+        }
+        if (this._disposed) {
+            disposedWarning(this.id);
+            return;
+        }
+
+        const ecModel = this.getModel();
+        const datasetModel = ecModel.getComponent('dataset', params.datasetIndex) as DatasetModel;
+
+        if (__DEV__) {
+            assert(params.data && datasetModel);
+        }
+
+        datasetModel.appendSource(params.data, params.maxLength);
+
+        let hasSeriesUpdated = false;
+        ecModel.eachSeries(function (seriesModel) {
+            // Only the series whose upstream source is dirty create data again.
+            hasSeriesUpdated = seriesModel.updateDataFromSource() || hasSeriesUpdated;
+        });
+        if (!hasSeriesUpdated) {
+            return;
+        }
+
+        const silent = params.silent;
+
+        this[IN_MAIN_PROCESS_KEY] = true;
+
+        updateMethods.update.call(this, {type: 'appendDataset'});
+
+        this[IN_MAIN_PROCESS_KEY] = false;
+
+        flushPendingActions.call(this, silent);
+
+        triggerUpdatedEvent.call(this, silent);
+    }
+
 
     // A work around for no `internal` modifier in ts yet but
     // need to strictly hide private methods to JS users.
@@ -1323,6 +1599,8 @@ class ECharts extends Eventful {
         prepare = function (ecIns: ECharts): void {
             const scheduler = ecIns._scheduler;
 
+            triggerUpdateLifecycle('series:beforeupdate', ecIns._model, ecIns._api, {});
+
             scheduler.restorePipelines(ecIns._model);
             scheduler.prepareStageTasks();
 
@@ -1564,6 +1842,8 @@ class ECharts extends Eventful {
                     }
                 }
 
+                triggerUpdateLifecycle('series:transition', ecModel, api, {payload: payload});
+
                 performPostUpdateFuncs(ecModel, api);
 
                 // console.profile && console.profileEnd('update');
@@ -2471,6 +2751,10 @@ const postInitFuncs: PostIniter[] = [];
 
 const postUpdateFuncs: PostUpdater[] = [];
 
+const postDisposeFuncs: PostDisposer[] = [];
+
+const updateLifecycleFuncs: {[type in UpdateLifecycleType]?: UpdateLifecycleHook[]} = {};
+
 const visualFuncs: StageHandlerInternal[] = [];
 
 const themeStorage: {[themeName: string]: ThemeOption} = {};
@@ -2486,8 +2770,12 @@ const DOM_ATTRIBUTE_KEY = '_echarts_instance_';
 
 
 /**
+ * @param dom Can be `null` in the ssr mode.
  * @param opts.devicePixelRatio Use window.devicePixelRatio by default
  * @param opts.renderer Can choose 'canvas' or 'svg' to render the chart.
+ * @param opts.ssr Server side rendering. Only supported by the 'svg' renderer.
+ *        The chart is not mounted to any dom, and the result can be fetched
+ *        by `chart.renderToSVGString()`. `opts.width` and `opts.height` are required.
  * @param opts.width Use clientWidth of the input `dom` by default.
  *        Can be 'auto' (the same as null/undefined)
  * @param opts.height Use clientHeight of the input `dom` by default.
@@ -2501,16 +2789,22 @@ export function init(
         devicePixelRatio?: number,
         width?: number,
         height?: number,
+        ssr?: boolean,
         locale?: string | LocaleOption
     }
 ): EChartsType {
+    const isSSR = !!(opts && opts.ssr);
+
     if (__DEV__) {
-        if (!dom) {
+        if (!dom && !isSSR) {
             throw new Error('Initialize failed: invalid dom.');
         }
+        if (isSSR && (opts.width == null || opts.height == null)) {
+            console.warn('Width and height should be specified in the ssr mode.');
+        }
     }
 
-    const existInstance = getInstanceByDom(dom);
+    const existInstance = dom && getInstanceByDom(dom);
     if (existInstance) {
         if (__DEV__) {
             console.warn('There is a chart instance already initialized on the dom.');
@@ -2519,7 +2813,7 @@ export function init(
     }
 
     if (__DEV__) {
-        if (zrUtil.isDom(dom)
+        if (dom && zrUtil.isDom(dom)
             && dom.nodeName.toUpperCase() !== 'CANVAS'
             && (
                 (!dom.clientWidth && (!opts || opts.width == null))
@@ -2537,7 +2831,7 @@ export function init(
     chart.id = 'ec_' + idBase++;
     instances[chart.id] = chart;
 
-    modelUtil.setAttribute(dom, DOM_ATTRIBUTE_KEY, chart.id);
+    dom && modelUtil.setAttribute(dom, DOM_ATTRIBUTE_KEY, chart.id);
 
     enableConnect(chart);
 
@@ -2665,6 +2959,35 @@ export function registerPostUpdate(postUpdateFunc: PostUpdater): void {
     }
 }
 
+/**
+ * Register postDisposer, which is called when an instance is disposed,
+ * before zrender is disposed.
+ */
+export function registerPostDispose(postDisposeFunc: PostDisposer): void {
+    if (indexOf(postDisposeFuncs, postDisposeFunc) < 0) {
+        postDisposeFunc && postDisposeFuncs.push(postDisposeFunc);
+    }
+}
+
+/**
+ * Register hook in the update process of the instances.
+ * @see UpdateLifecycleType
+ */
+export function registerUpdateLifecycle(type: UpdateLifecycleType, hook: UpdateLifecycleHook): void {
+    const hooks = updateLifecycleFuncs[type] || (updateLifecycleFuncs[type] = []);
+    if (indexOf(hooks, hook) < 0) {
+        hook && hooks.push(hook);
+    }
+}
+
+function triggerUpdateLifecycle(
+    type: UpdateLifecycleType, ecModel: GlobalModel, api: ExtensionAPI, params: UpdateLifecycleParams
+): void {
+    each(updateLifecycleFuncs[type], function (hook) {
+        hook(ecModel, api, params);
+    });
+}
+
 /**
  * @usage
  * registerAction('someAction', 'someEvent', function () { ... });
@@ -2855,6 +3178,8 @@ export function getMap(mapName: string) {
 
 export const registerTransform = registerExternalTransform;
 
+export const registerSampler = registerDataSampler;
+
 /**
  * Globa dispatchAction to a specified chart instance.
  */
@@ -2887,6 +3212,27 @@ registerLoading('default', loadingDefault);
 
 // Default actions
 
+// Timeline may be changed by undo and redo, which resets the option,
+// so the pipelines should be prepared again.
+registerAction({
+    type: 'undo',
+    event: 'undo',
+    update: 'prepareAndUpdate'
+}, function (payload, ecModel) {
+    undoInteraction(ecModel);
+    // The series filtered by legend should be included when preparing.
+    ecModel.restoreData();
+});
+
+registerAction({
+    type: 'redo',
+    event: 'redo',
+    update: 'prepareAndUpdate'
+}, function (payload, ecModel) {
+    redoInteraction(ecModel);
+    ecModel.restoreData();
+});
+
 registerAction({
     type: HIGHLIGHT_ACTION_TYPE,
     event: HIGHLIGHT_ACTION_TYPE,
@@ -0,0 +1,271 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+/**
+ * History of the user interactions, which is used by `chart.undo()` and `chart.redo()`.
+ *
+ * The action handlers of the interactions call `recordInteraction` before the state
+ * is modified, where a snapshot of all of the interaction states is pushed into the
+ * undo stack. Undo and redo restore a snapshot to the models directly without
+ * dispatching the original actions, so that nothing is recorded meanwhile.
+ */
+
+import { each, clone, isFunction, hasOwn } from 'zrender/src/core/util';
+import { Dictionary } from 'zrender/src/core/types';
+import GlobalModel from '../model/Global';
+import ComponentModel from '../model/Component';
+import { makeInner } from '../util/model';
+import { ComponentOption } from '../util/types';
+import type LegendModel from '../component/legend/LegendModel';
+import type BrushModel from '../component/brush/BrushModel';
+import type VisualMapModel from '../component/visualMap/VisualMapModel';
+import type PiecewiseModel from '../component/visualMap/PiecewiseModel';
+import type TimelineModel from '../component/timeline/TimelineModel';
+import type DataZoomModel from '../component/dataZoom/DataZoomModel';
+
+export type InteractionType = 'legend' | 'brush' | 'visualMap' | 'timeline' | 'roam' | 'dataZoom';
+
+interface InteractionTracker<T = unknown> {
+    // The state of each model is stored by the model id.
+    eachModel(ecModel: GlobalModel, cb: (model: ComponentModel) => void): void;
+    getState(model: ComponentModel): T;
+    setState(model: ComponentModel, state: T, ecModel: GlobalModel): void;
+}
+
+type InteractionSnapshot = Dictionary<Dictionary<unknown>>;
+
+type Store = {
+    undoStack: InteractionSnapshot[];
+    redoStack: InteractionSnapshot[];
+    lastType: InteractionType;
+    lastTime: number;
+};
+
+const inner = makeInner<Store, GlobalModel>();
+
+// Continuous interactions like dragging or wheeling are recorded only once if the
+// interval between them is less than it.
+const MERGE_INTERVAL = 500;
+const CONTINUOUS_TYPES: {[type in InteractionType]?: boolean} = {
+    brush: true,
+    roam: true,
+    dataZoom: true
+};
+const MAX_HISTORY_LENGTH = 50;
+
+type DataZoomState = Pick<DataZoomModel['option'], 'start' | 'end' | 'startValue' | 'endValue' | 'rangeMode'>;
+
+interface RoamModel extends ComponentModel<ComponentOption & {center?: number[], zoom?: number}> {
+    setCenter(center: number[]): void;
+    setZoom(zoom: number): void;
+}
+
+function eachModelOfType(mainType: string) {
+    return function (ecModel: GlobalModel, cb: (model: ComponentModel) => void) {
+        ecModel.eachComponent(mainType, cb);
+    };
+}
+
+// Timeline should be restored at first, since it resets the option.
+const trackers: Dictionary<InteractionTracker> = {
+
+    timeline: {
+        eachModel: eachModelOfType('timeline'),
+        getState: function (model: TimelineModel) {
+            return model.getCurrentIndex();
+        },
+        setState: function (model: TimelineModel, currentIndex: number, ecModel) {
+            if (model.getCurrentIndex() !== currentIndex) {
+                model.setCurrentIndex(currentIndex);
+                ecModel.resetOption('timeline', { replaceMerge: model.get('replaceMerge', true) });
+            }
+        }
+    } as InteractionTracker<number>,
+
+    legend: {
+        eachModel: eachModelOfType('legend'),
+        getState: function (model: LegendModel) {
+            return clone(model.option.selected);
+        },
+        setState: function (model: LegendModel, selected: LegendModel['option']['selected']) {
+            model.option.selected = clone(selected);
+        }
+    } as InteractionTracker<LegendModel['option']['selected']>,
+
+    brush: {
+        eachModel: eachModelOfType('brush'),
+        getState: function (model: BrushModel) {
+            return clone(model.areas);
+        },
+        setState: function (model: BrushModel, areas: BrushModel['areas']) {
+            model.setAreas(clone(areas));
+        }
+    } as InteractionTracker<BrushModel['areas']>,
+
+    visualMap: {
+        eachModel: eachModelOfType('visualMap'),
+        getState: function (model: VisualMapModel) {
+            // Piecewise visualMap stores the selected pieces in `option.selected`.
+            return clone(
+                model.subType === 'continuous' ? model.getSelected() : (model as PiecewiseModel).option.selected
+            );
+        },
+        setState: function (model: VisualMapModel, selected: unknown) {
+            model.setSelected(selected);
+        }
+    },
+
+    dataZoom: {
+        eachModel: eachModelOfType('dataZoom'),
+        getState: function (model: DataZoomModel) {
+            const option = model.option;
+            return {
+                start: option.start,
+                end: option.end,
+                startValue: option.startValue,
+                endValue: option.endValue,
+                rangeMode: model.getRangePropMode()
+            };
+        },
+        setState: function (model: DataZoomModel, state: DataZoomState) {
+            // Only the props of the range mode are set as raw range, which
+            // restores the range mode as well.
+            const isValue = [state.rangeMode[0] === 'value', state.rangeMode[1] === 'value'];
+            model.setRawRange({
+                start: isValue[0] ? null : state.start,
+                startValue: isValue[0] ? state.startValue : null,
+                end: isValue[1] ? null : state.end,
+                endValue: isValue[1] ? state.endValue : null
+            });
+            model.setCalculatedRange(state);
+        }
+    } as InteractionTracker<DataZoomState>,
+
+    // Roam of geo, map series and graph series.
+    roam: {
+        eachModel: function (ecModel, cb) {
+            ecModel.eachComponent('geo', cb);
+            ecModel.eachSeries(function (seriesModel) {
+                const roamModel = seriesModel as unknown as RoamModel;
+                isFunction(roamModel.setCenter) && isFunction(roamModel.setZoom) && cb(seriesModel);
+            });
+        },
+        getState: function (model: RoamModel) {
+            return {
+                center: clone(model.option.center),
+                zoom: model.option.zoom
+            };
+        },
+        setState: function (model: RoamModel, state: {center: number[], zoom: number}) {
+            model.setCenter(clone(state.center));
+            model.setZoom(state.zoom);
+        }
+    } as InteractionTracker<{center: number[], zoom: number}>
+};
+
+function getStore(ecModel: GlobalModel): Store {
+    const store = inner(ecModel);
+    if (!store.undoStack) {
+        store.undoStack = [];
+        store.redoStack = [];
+    }
+    return store;
+}
+
+function takeSnapshot(ecModel: GlobalModel): InteractionSnapshot {
+    const snapshot: InteractionSnapshot = {};
+    each(trackers, function (tracker, type) {
+        const states: Dictionary<unknown> = snapshot[type] = {};
+        tracker.eachModel(ecModel, function (model) {
+            states[model.id] = tracker.getState(model);
+        });
+    });
+    return snapshot;
+}
+
+function restoreSnapshot(ecModel: GlobalModel, snapshot: InteractionSnapshot): void {
+    each(trackers, function (tracker, type) {
+        const states = snapshot[type];
+        tracker.eachModel(ecModel, function (model) {
+            // The component may be added after the snapshot is taken.
+            if (states && hasOwn(states, model.id)) {
+                tracker.setState(model, states[model.id], ecModel);
+            }
+        });
+    });
+}
+
+/**
+ * Should be called before the state is modified by an interaction.
+ */
+export function recordInteraction(ecModel: GlobalModel, type: InteractionType): void {
+    const store = getStore(ecModel);
+    const now = +new Date();
+    const isContinuous = CONTINUOUS_TYPES[type]
+        && store.lastType === type
+        && now - store.lastTime < MERGE_INTERVAL;
+
+    store.lastType = type;
+    store.lastTime = now;
+
+    if (isContinuous) {
+        return;
+    }
+
+    const undoStack = store.undoStack;
+    undoStack.push(takeSnapshot(ecModel));
+    undoStack.length > MAX_HISTORY_LENGTH && undoStack.shift();
+    store.redoStack.length = 0;
+}
+
+function travel(ecModel: GlobalModel, isUndo: boolean): boolean {
+    const store = getStore(ecModel);
+    const fromStack = isUndo ? store.undoStack : store.redoStack;
+    const toStack = isUndo ? store.redoStack : store.undoStack;
+    if (!fromStack.length) {
+        return false;
+    }
+    toStack.push(takeSnapshot(ecModel));
+    restoreSnapshot(ecModel, fromStack.pop());
+    // The next interaction should not be merged to the one before undo or redo.
+    store.lastType = null;
+    return true;
+}
+
+export function undoInteraction(ecModel: GlobalModel): boolean {
+    return travel(ecModel, true);
+}
+
+export function redoInteraction(ecModel: GlobalModel): boolean {
+    return travel(ecModel, false);
+}
+
+export function canUndoInteraction(ecModel: GlobalModel): boolean {
+    return !!getStore(ecModel).undoStack.length;
+}
+
+export function canRedoInteraction(ecModel: GlobalModel): boolean {
+    return !!getStore(ecModel).redoStack.length;
+}
+
+export function clearInteractionHistory(ecModel: GlobalModel): void {
+    const store = inner(ecModel);
+    store.undoStack = store.redoStack = null;
+    store.lastType = null;
+}
@@ -35,7 +35,8 @@ import Element from 'zrender/src/Element';
 import {
     DimensionIndex, DimensionName, DimensionLoose, OptionDataItem,
     ParsedValue, ParsedValueNumeric, OrdinalNumber, DimensionUserOuput,
-    ModelOption, SeriesDataType, OptionSourceData, SOURCE_FORMAT_TYPED_ARRAY, SOURCE_FORMAT_ORIGINAL, DecalObject
+    ModelOption, SeriesDataType, OptionSourceData, SOURCE_FORMAT_TYPED_ARRAY, SOURCE_FORMAT_ORIGINAL, DecalObject,
+    OrdinalRawValue
 } from '../util/types';
 import {isDataItemOption, convertOptionIdName} from '../util/model';
 import { getECData } from '../util/innerStore';
@@ -45,6 +46,7 @@ import type { VisualMeta } from '../component/visualMap/VisualMapModel';
 import { parseDataValue } from './helper/dataValueHelper';
 import {isSourceInstance, Source} from './Source';
 import OrdinalMeta from './OrdinalMeta';
+import { getColumnTypedArray, getColumnDictionary } from './helper/columnarHelper';
 
 const mathFloor = Math.floor;
 const isObject = zrUtil.isObject;
@@ -178,6 +180,7 @@ let cloneListForMapAndSample: (original: List, excludeDimensions: DimensionName[
 let getInitialExtent: () => [number, number];
 let setItemDataAndSeriesIndex: (this: Element, child: Element) => void;
 let transferProperties: (target: List, source: List) => void;
+let reuseProviderColumns: (list: List, end: number) => boolean[];
 
 
 class List<
@@ -295,10 +298,10 @@ class List<
 
     // Methods that create a new list based on this list should be listed here.
     // Notice that those method should `RETURN` the new list.
-    TRANSFERABLE_METHODS = ['cloneShallow', 'downSample', 'lttbDownSample', 'map'] as const;
+    TRANSFERABLE_METHODS = ['cloneShallow', 'downSample', 'lttbDownSample', 'minmaxDownSample', 'map'] as const;
     // Methods that change indices of this list should be listed here.
     CHANGABLE_METHODS = ['filterSelf', 'selectRange'] as const;
-    DOWNSAMPLE_METHODS = ['downSample', 'lttbDownSample'] as const;
+    DOWNSAMPLE_METHODS = ['downSample', 'lttbDownSample', 'minmaxDownSample'] as const;
 
     /**
      * @param dimensions
@@ -611,11 +614,21 @@ class List<
         const sourceFormat = rawData.getSource().sourceFormat;
         const isFormatOriginal = sourceFormat === SOURCE_FORMAT_ORIGINAL;
 
+        // Use the raw columns as storage without copying if possible.
+        const reusedColumns = (!append && rawData.getColumn && this._dimValueGetter === this.defaultDimValueGetter)
+            ? reuseProviderColumns(this, end)
+            : null;
+        let allColumnsReused = !!reusedColumns;
+
         for (let i = 0; i < dimLen; i++) {
             const dim = dimensions[i];
             if (!rawExtent[dim]) {
                 rawExtent[dim] = getInitialExtent();
             }
+            if (reusedColumns && reusedColumns[i]) {
+                continue;
+            }
+            allColumnsReused = false;
             prepareStorage(storage, dimensionInfoMap[dim], end, append);
         }
 
@@ -633,6 +646,11 @@ class List<
         else {
             let dataItem = [] as OptionDataItem;
             for (let idx = start; idx < end; idx++) {
+                if (allColumnsReused) {
+                    !this._dontMakeIdFromName && makeIdFromName(this, idx);
+                    continue;
+                }
+
                 // NOTICE: Try not to write things into dataItem
                 dataItem = rawData.getItem(idx, dataItem);
                 // Each data item is value
@@ -644,6 +662,9 @@ class List<
 
                 // Store the data by dimensions
                 for (let dimIdx = 0; dimIdx < dimLen; dimIdx++) {
+                    if (reusedColumns && reusedColumns[dimIdx]) {
+                        continue;
+                    }
                     const dim = dimensions[dimIdx];
                     const dimStorage = storageArr[dimIdx];
                     // PENDING NULL is empty or zero
@@ -1566,7 +1587,9 @@ class List<
     downSample(
         dimension: DimensionName,
         rate: number,
-        sampleValue: (frameValues: ArrayLike<ParsedValue>) => ParsedValueNumeric,
+        sampleValue: (
+            frameValues: ArrayLike<ParsedValue>, startIndex: number, endIndex: number
+        ) => ParsedValueNumeric,
         sampleIndex: (frameValues: ArrayLike<ParsedValue>, value: ParsedValueNumeric) => number
     ): List<HostModel> {
         const list = cloneListForMapAndSample(this, [dimension]);
@@ -1592,7 +1615,7 @@ class List<
                 const dataIdx = this.getRawIndex(i + k);
                 frameValues[k] = dimStore[dataIdx];
             }
-            const value = sampleValue(frameValues);
+            const value = sampleValue(frameValues, i, i + frameSize);
             const sampleFrameIdx = this.getRawIndex(
                 Math.min(i + sampleIndex(frameValues, value) || 0, len - 1)
             );
@@ -1619,56 +1642,75 @@ class List<
 
     /**
      * Large data down sampling using largest-triangle-three-buckets
-     * @param {string} valueDimension
-     * @param {number} targetCount
+     * @param valueDimension
+     * @param rate
+     * @param baseDimension Values on it are used as x of the triangles.
+     *        Use data index if not specified.
      */
     lttbDownSample(
         valueDimension: DimensionName,
-        rate: number
+        rate: number,
+        baseDimension?: DimensionName
     ) {
         const list = cloneListForMapAndSample(this, []);
         const targetStorage = list._storage;
         const dimStore = targetStorage[valueDimension];
+        const baseDimStore = baseDimension != null ? targetStorage[baseDimension] : null;
         const len = this.count();
         const newIndices = new (getIndicesCtor(this))(len);
 
+        const getX = (idx: number) => (
+            baseDimStore ? baseDimStore[this.getRawIndex(idx)] as number : idx
+        );
+
         let sampledIndex = 0;
 
         const frameSize = mathFloor(1 / rate);
 
-        let currentRawIndex = this.getRawIndex(0);
+        let currentIndex = 0;
         let maxArea;
         let area;
-        let nextRawIndex;
+        let nextIndex;
 
         // First frame use the first data.
-        newIndices[sampledIndex++] = currentRawIndex;
+        newIndices[sampledIndex++] = this.getRawIndex(0);
         for (let i = 1; i < len - 1; i += frameSize) {
             const nextFrameStart = Math.min(i + frameSize, len - 1);
             const nextFrameEnd = Math.min(i + frameSize * 2, len);
 
-            const avgX = (nextFrameEnd + nextFrameStart) / 2;
+            let avgX = 0;
             let avgY = 0;
+            let avgCount = 0;
 
             for (let idx = nextFrameStart; idx < nextFrameEnd; idx++) {
                 const rawIndex = this.getRawIndex(idx);
                 const y = dimStore[rawIndex] as number;
-                if (isNaN(y)) {
+                const x = getX(idx);
+                if (isNaN(y) || isNaN(x)) {
                     continue;
                 }
-                avgY += y as number;
+                avgX += x;
+                avgY += y;
+                avgCount++;
+            }
+            if (avgCount) {
+                avgX /= avgCount;
+                avgY /= avgCount;
+            }
+            else {
+                avgX = getX(nextFrameStart);
+                avgY = 0;
             }
-            avgY /= (nextFrameEnd - nextFrameStart);
 
             const frameStart = i;
             const frameEnd = Math.min(i + frameSize, len);
 
-            const pointAX = i - 1;
-            const pointAY = dimStore[currentRawIndex] as number;
+            const pointAX = getX(currentIndex);
+            const pointAY = dimStore[this.getRawIndex(currentIndex)] as number;
 
             maxArea = -1;
 
-            nextRawIndex = frameStart;
+            nextIndex = frameStart;
             // Find a point from current frame that construct a triangel with largest area with previous selected point
             // And the average of next frame.
             for (let idx = frameStart; idx < frameEnd; idx++) {
@@ -1679,17 +1721,17 @@ class List<
                 }
                 // Calculate triangle area over three buckets
                 area = Math.abs((pointAX - avgX) * (y - pointAY)
-                    - (pointAX - idx) * (avgY - pointAY)
+                    - (pointAX - getX(idx)) * (avgY - pointAY)
                 );
                 if (area > maxArea) {
                     maxArea = area;
-                    nextRawIndex = rawIndex; // Next a is this b
+                    nextIndex = idx; // Next a is this b
                 }
             }
 
-            newIndices[sampledIndex++] = nextRawIndex;
+            newIndices[sampledIndex++] = this.getRawIndex(nextIndex);
 
-            currentRawIndex = nextRawIndex; // This a is the next a (chosen b)
+            currentIndex = nextIndex; // This a is the next a (chosen b)
         }
 
         // First frame use the last data.
@@ -1701,6 +1743,62 @@ class List<
         return list;
     }
 
+    /**
+     * Large data down sampling that keeps both the min and the max
+     * data of each frame, in their original order.
+     * The frame size is doubled so that the sampled count is the same
+     * as other down sampling methods.
+     */
+    minmaxDownSample(
+        valueDimension: DimensionName,
+        rate: number
+    ) {
+        const list = cloneListForMapAndSample(this, []);
+        const dimStore = list._storage[valueDimension];
+        const len = this.count();
+        const newIndices = new (getIndicesCtor(this))(len);
+
+        let sampledIndex = 0;
+
+        const frameSize = mathFloor(2 / rate);
+
+        for (let i = 0; i < len; i += frameSize) {
+            const frameEnd = Math.min(i + frameSize, len);
+            let minIndex = i;
+            let maxIndex = i;
+            let minValue = Infinity;
+            let maxValue = -Infinity;
+
+            for (let idx = i; idx < frameEnd; idx++) {
+                const y = dimStore[this.getRawIndex(idx)] as number;
+                if (isNaN(y)) {
+                    continue;
+                }
+                if (y < minValue) {
+                    minValue = y;
+                    minIndex = idx;
+                }
+                if (y > maxValue) {
+                    maxValue = y;
+                    maxIndex = idx;
+                }
+            }
+
+            const firstIndex = Math.min(minIndex, maxIndex);
+            const secondIndex = Math.max(minIndex, maxIndex);
+            newIndices[sampledIndex++] = this.getRawIndex(firstIndex);
+            if (secondIndex !== firstIndex) {
+                newIndices[sampledIndex++] = this.getRawIndex(secondIndex);
+            }
+        }
+
+        list._count = sampledIndex;
+        list._indices = newIndices;
+
+        list.getRawIndex = getRawIndexWithIndices;
+        return list;
+    }
+
 
     /**
      * Get model of one data item.
@@ -2010,6 +2108,8 @@ class List<
 
             keyedColumns: getDimValueSimply,
 
+            columnar: getDimValueSimply,
+
             original: function (
                 this: List, dataItem: any, dimName: string, dataIndex: number, dimIndex: number
             ): ParsedValue {
@@ -2209,6 +2309,51 @@ class List<
             return [Infinity, -Infinity];
         };
 
+        /**
+         * Use the typed arrays in the provider as the storage directly.
+         * Only numeric columns and dictionary-encoded columns whose codes
+         * are the same as the ordinal numbers can be reused.
+         * @return Whether the column of each dimension is reused.
+         */
+        reuseProviderColumns = function (list: List, end: number): boolean[] {
+            const rawData = list._rawData;
+            return map(list.dimensions, function (dim, dimIdx) {
+                const dimInfo = list._dimensionInfos[dim];
+                const col = rawData.getColumn(dimIdx);
+                let store: ArrayLike<number>;
+
+                if (dimInfo.type === 'ordinal') {
+                    const encoded = getColumnDictionary(col);
+                    const ordinalMeta = dimInfo.ordinalMeta;
+                    if (encoded && ordinalMeta) {
+                        let isSameCode = true;
+                        // Collect categories in the order of the dictionary.
+                        for (let i = 0; i < encoded.dictionary.length; i++) {
+                            const ordinalNumber = ordinalMeta.parseAndCollect(encoded.dictionary[i] as OrdinalRawValue);
+                            ordinalNumber !== i && (isSameCode = false);
+                        }
+                        isSameCode && (store = encoded.indices);
+                    }
+                }
+                else {
+                    store = getColumnTypedArray(col);
+                }
+
+                if (!store || store.length !== end) {
+                    return false;
+                }
+
+                const dimRawExtent = list._rawExtent[dim] = getInitialExtent();
+                for (let i = 0; i < end; i++) {
+                    const val = store[i];
+                    val < dimRawExtent[0] && (dimRawExtent[0] = val);
+                    val > dimRawExtent[1] && (dimRawExtent[1] = val);
+                }
+                list._storage[dim] = store;
+                return true;
+            });
+        };
+
         setItemDataAndSeriesIndex = function (this: Element, child: Element): void {
             const childECData = getECData(child);
             const thisECData = getECData(this);
@@ -41,10 +41,13 @@ import {
     OptionSourceDataArrayRows,
     SERIES_LAYOUT_BY_ROW,
     OptionSourceDataOriginal,
-    OptionSourceDataKeyedColumns
+    OptionSourceDataKeyedColumns,
+    SOURCE_FORMAT_COLUMNAR,
+    OptionSourceDataColumnar
 } from '../util/types';
 import { DatasetOption } from '../component/dataset/install';
 import { getDataItemValue } from '../util/model';
+import { isColumnarData, isDictionaryColumn } from './helper/columnarHelper';
 
 /**
  * [sourceFormat]
@@ -79,6 +82,14 @@ import { getDataItemValue } from '../util/model';
  *
  * + "typedArray"
  *
+ * + "columnar":
+ * Like "keyedColumns", but the columns are typed arrays or Arrow-like
+ * vectors (see `ColumnarVector`), which are read without copying if possible.
+ * {
+ *     'product': dictionaryEncodedVector,
+ *     'score': new Float64Array([95.8, 81.4, 91.2, 76.9])
+ * }
+ *
  * + "unknown"
  */
 
@@ -169,7 +180,8 @@ class SourceImpl {
     }) {
 
         this.data = fields.data || (
-            fields.sourceFormat === SOURCE_FORMAT_KEYED_COLUMNS ? {} : []
+            (fields.sourceFormat === SOURCE_FORMAT_KEYED_COLUMNS
+                || fields.sourceFormat === SOURCE_FORMAT_COLUMNAR) ? {} : []
         );
         this.sourceFormat = fields.sourceFormat || SOURCE_FORMAT_UNKNOWN;
 
@@ -319,6 +331,9 @@ export function detectSourceFormat(data: DatasetOption['source']): SourceFormat
         }
     }
     else if (isObject(data)) {
+        if (isColumnarData(data as Dictionary<unknown>)) {
+            return SOURCE_FORMAT_COLUMNAR;
+        }
         for (const key in data) {
             if (hasOwn(data, key) && isArrayLike((data as Dictionary<unknown>)[key])) {
                 sourceFormat = SOURCE_FORMAT_KEYED_COLUMNS;
@@ -420,6 +435,15 @@ function determineSourceDimensions(
             });
         }
     }
+    else if (sourceFormat === SOURCE_FORMAT_COLUMNAR) {
+        if (!dimensionsDefine) {
+            dimensionsDefine = [];
+            each(data as OptionSourceDataColumnar, function (col, key) {
+                // Dictionary-encoded columns are categorical.
+                dimensionsDefine.push(isDictionaryColumn(col) ? {name: key, type: 'ordinal'} : key);
+            });
+        }
+    }
     else if (sourceFormat === SOURCE_FORMAT_ORIGINAL) {
         const value0 = getDataItemValue((data as OptionSourceDataOriginal)[0]);
         dimensionsDetectedCount = isArray(value0) && value0.length || 1;
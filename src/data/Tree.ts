@@ -40,7 +40,7 @@ type TreeTraverseOption = {
     attr?: 'children' | 'viewChildren'
 };
 
-interface TreeNodeOption extends Pick<OptionDataItemObject<OptionDataValue>, 'name' | 'value'> {
+export interface TreeNodeOption extends Pick<OptionDataItemObject<OptionDataValue>, 'name' | 'value'> {
     children?: TreeNodeOption[];
 }
 
@@ -314,6 +314,9 @@ class Tree<HostModel extends Model = Model, LevelOption = any> {
 
     private _nodes: TreeNode[] = [];
 
+    // The list created with the tree, from which `data` is cloned.
+    private _rawData: List;
+
     constructor(hostModel: HostModel) {
 
         this.hostModel = hostModel;
@@ -379,6 +382,45 @@ class Tree<HostModel extends Model = Model, LevelOption = any> {
         this.data.clearItemLayouts();
     }
 
+    /**
+     * Append children to the node, like the children loaded lazily.
+     * The items are appended to the raw list that `data` is cloned from,
+     * so `data` should be restored (like in the 'update' process) to contain them.
+     * The dimensions are determined when the tree is created, so the values of
+     * the items that have more dimensions are truncated.
+     */
+    appendChildren(node: TreeNode, dataItems: TreeNodeOption[]) {
+        const listData: TreeNodeOption[] = [];
+        const start = this._nodes.length;
+        for (let i = 0; i < dataItems.length; i++) {
+            this._buildHierarchy(dataItems[i], listData, node);
+        }
+        // The same as the raw index before any filtering.
+        for (let i = start; i < this._nodes.length; i++) {
+            this._nodes[i].dataIndex = i;
+        }
+        this.root.updateDepthAndHeight(0);
+        this._rawData.appendData(listData);
+    }
+
+    private _buildHierarchy(dataNode: TreeNodeOption, listData: TreeNodeOption[], parentNode?: TreeNode) {
+        listData.push(dataNode);
+
+        const node = new TreeNode(convertOptionIdName(dataNode.name, ''), this);
+        parentNode
+            ? addChild(node, parentNode)
+            : (this.root = node);
+
+        this._nodes.push(node);
+
+        const children = dataNode.children;
+        if (children) {
+            for (let i = 0; i < children.length; i++) {
+                this._buildHierarchy(children[i], listData, node);
+            }
+        }
+    }
+
 
     /**
      * data node format:
@@ -405,27 +447,11 @@ class Tree<HostModel extends Model = Model, LevelOption = any> {
         const listData: TreeNodeOption[] = [];
         let dimMax = 1;
 
-        buildHierarchy(dataRoot);
+        tree._buildHierarchy(dataRoot, listData);
 
-        function buildHierarchy(dataNode: TreeNodeOption, parentNode?: TreeNode) {
-            const value = dataNode.value;
+        for (let i = 0; i < listData.length; i++) {
+            const value = listData[i].value;
             dimMax = Math.max(dimMax, zrUtil.isArray(value) ? value.length : 1);
-
-            listData.push(dataNode);
-
-            const node = new TreeNode(convertOptionIdName(dataNode.name, ''), tree);
-            parentNode
-                ? addChild(node, parentNode)
-                : (tree.root = node);
-
-            tree._nodes.push(node);
-
-            const children = dataNode.children;
-            if (children) {
-                for (let i = 0; i < children.length; i++) {
-                    buildHierarchy(children[i], node);
-                }
-            }
         }
 
         tree.root.updateDepthAndHeight(0);
@@ -435,7 +461,7 @@ class Tree<HostModel extends Model = Model, LevelOption = any> {
             dimensionsCount: dimMax
         });
 
-        const list = new List(dimensionsInfo, hostModel);
+        const list = tree._rawData = new List(dimensionsInfo, hostModel);
         list.initData(listData);
 
         beforeLink && beforeLink(list);
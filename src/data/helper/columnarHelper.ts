@@ -0,0 +1,131 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+/**
+ * Helpers for the source format `columnar`, which is an object of typed arrays
+ * or Arrow-like vectors, like:
+ *
+ * ```js
+ * dataset: {
+ *     source: {
+ *         time: new Float64Array([...]),
+ *         // Arrow `Vector`, or any object in the shape of `ColumnarVector`.
+ *         price: table.getChild('price'),
+ *         // Dictionary-encoded vector.
+ *         category: table.getChild('category')
+ *     }
+ * }
+ * ```
+ */
+
+import { isTypedArray, isObject, isFunction, hasOwn } from 'zrender/src/core/util';
+import { Dictionary } from 'zrender/src/core/types';
+import { ColumnarVector, OptionDataValue } from '../../util/types';
+
+type ColumnarColumn = ArrayLike<number> | ColumnarVector;
+
+function isVector(col: unknown): col is ColumnarVector {
+    return isObject(col) && isFunction((col as ColumnarVector).get)
+        && typeof (col as ColumnarVector).length === 'number';
+}
+
+export function isDictionaryColumn(col: unknown): boolean {
+    return isObject(col)
+        && (col as ColumnarVector).indices != null
+        && (col as ColumnarVector).dictionary != null;
+}
+
+/**
+ * Whether the source data should be regarded as `columnar` rather than `keyedColumns`.
+ */
+export function isColumnarData(data: Dictionary<unknown>): boolean {
+    for (const key in data) {
+        if (hasOwn(data, key) && (isTypedArray(data[key]) || isVector(data[key]))) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function readAt(arr: ArrayLike<OptionDataValue> | ColumnarVector, idx: number): OptionDataValue {
+    return isVector(arr) ? arr.get(idx) : arr[idx];
+}
+
+export function getColumnValue(col: ColumnarColumn, idx: number): OptionDataValue {
+    if (!col) {
+        return null;
+    }
+    if (isDictionaryColumn(col)) {
+        const vector = col as ColumnarVector;
+        const code = readAt(vector.indices, idx);
+        return code == null ? null : readAt(vector.dictionary, code as number);
+    }
+    return readAt(col, idx);
+}
+
+export function getColumnLength(col: ColumnarColumn): number {
+    return col ? col.length : 0;
+}
+
+function toTypedArray(arr: ArrayLike<OptionDataValue> | ColumnarVector): ArrayLike<number> {
+    if (isTypedArray(arr)) {
+        return arr as ArrayLike<number>;
+    }
+    if (isVector(arr) && isFunction(arr.toArray)) {
+        const result = arr.toArray();
+        if (isTypedArray(result)) {
+            return result as ArrayLike<number>;
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the numeric values of a column as a typed array without copying.
+ * Return null if not possible.
+ */
+export function getColumnTypedArray(col: ColumnarColumn): ArrayLike<number> {
+    return col && !isDictionaryColumn(col) ? toTypedArray(col) : null;
+}
+
+/**
+ * Get the codes (as a typed array without copying) and the dictionary
+ * of a dictionary-encoded column. Return null if not possible.
+ */
+export function getColumnDictionary(col: ColumnarColumn): {
+    indices: ArrayLike<number>,
+    dictionary: OptionDataValue[]
+} {
+    if (!isDictionaryColumn(col)) {
+        return null;
+    }
+    const vector = col as ColumnarVector;
+    const indices = toTypedArray(vector.indices);
+    if (!indices) {
+        return null;
+    }
+    const dictionary = [];
+    for (let i = 0, len = vector.dictionary.length; i < len; i++) {
+        dictionary.push(readAt(vector.dictionary, i));
+    }
+    return {
+        indices: indices,
+        dictionary: dictionary
+    };
+}
@@ -31,12 +31,15 @@ import {
     SOURCE_FORMAT_KEYED_COLUMNS,
     SOURCE_FORMAT_TYPED_ARRAY,
     SOURCE_FORMAT_ARRAY_ROWS,
+    SOURCE_FORMAT_COLUMNAR,
     SERIES_LAYOUT_BY_COLUMN,
     SERIES_LAYOUT_BY_ROW,
     DimensionName, DimensionIndex, OptionSourceData,
-    DimensionIndexLoose, OptionDataItem, OptionDataValue, SourceFormat, SeriesLayoutBy, ParsedValue
+    DimensionIndexLoose, OptionDataItem, OptionDataValue, SourceFormat, SeriesLayoutBy, ParsedValue,
+    OptionSourceDataColumnar, ColumnarVector
 } from '../../util/types';
 import List from '../List';
+import { getColumnValue, getColumnLength } from './columnarHelper';
 
 export interface DataProvider {
     /**
@@ -62,6 +65,11 @@ export interface DataProvider {
     ): void
     appendData?(newData: ArrayLike<OptionDataItem>): void;
     clean?(): void;
+    /**
+     * Get the raw column of a dimension, so that the values can be
+     * read without copying. Only provided in `SOURCE_FORMAT_COLUMNAR`.
+     */
+    getColumn?(dimIndex: DimensionIndex): ArrayLike<number> | ColumnarVector;
 }
 
 
@@ -75,6 +83,7 @@ export interface DefaultDataProvider {
         out: ArrayLike<ParsedValue>[],
         extent: number[][]
     ): void
+    getColumn?(dimIndex: DimensionIndex): ArrayLike<number> | ColumnarVector
 }
 /**
  * If normal array used, mutable chunk size is supported.
@@ -172,6 +181,13 @@ export class DefaultDataProvider implements DataProvider {
                 const rawCounter = getRawSourceDataCounter(sourceFormat, seriesLayoutBy);
                 provider.count = bind(rawCounter, null, data, startIndex, dimsDef);
             }
+
+            if (sourceFormat === SOURCE_FORMAT_COLUMNAR) {
+                provider.getColumn = function (dimIndex) {
+                    const dimDef = dimsDef[dimIndex];
+                    return dimDef ? (data as OptionSourceDataColumnar)[dimDef.name] : null;
+                };
+            }
         };
 
         const getItemForTypedArray: DefaultDataProvider['getItem'] = function (
@@ -254,6 +270,13 @@ export class DefaultDataProvider implements DataProvider {
                 appendData: appendDataSimply
             },
 
+            [SOURCE_FORMAT_COLUMNAR]: {
+                pure: true,
+                appendData: function () {
+                    throw new Error('Do not support appendData on columnar source.');
+                }
+            },
+
             [SOURCE_FORMAT_TYPED_ARRAY]: {
                 persistent: false,
                 pure: true,
@@ -335,6 +358,15 @@ const rawSourceItemGetterMap: Dictionary<RawSourceItemGetter> = {
         }
         return item;
     },
+    [SOURCE_FORMAT_COLUMNAR]: function (
+        rawData, startIndex, dimsDef, idx
+    ): OptionDataValue[] {
+        const item = [];
+        for (let i = 0; i < dimsDef.length; i++) {
+            item.push(getColumnValue((rawData as OptionSourceDataColumnar)[dimsDef[i].name], idx));
+        }
+        return item;
+    },
     [SOURCE_FORMAT_ORIGINAL]: getItemSimply
 };
 
@@ -388,6 +420,11 @@ const rawSourceDataCounterMap: Dictionary<RawSourceDataCounter> = {
         const col = (rawData as Dictionary<OptionDataValue[]>)[dimName];
         return col ? col.length : 0;
     },
+    [SOURCE_FORMAT_COLUMNAR]: function (
+        rawData, startIndex, dimsDef
+    ) {
+        return dimsDef[0] ? getColumnLength((rawData as OptionSourceDataColumnar)[dimsDef[0].name]) : 0;
+    },
     [SOURCE_FORMAT_ORIGINAL]: countSimply
 };
 
@@ -431,6 +468,8 @@ const rawSourceValueGetterMap: {[sourceFormat: string]: RawSourceValueGetter} =
 
     [SOURCE_FORMAT_KEYED_COLUMNS]: getRawValueSimply,
 
+    [SOURCE_FORMAT_COLUMNAR]: getRawValueSimply,
+
     [SOURCE_FORMAT_ORIGINAL]: function (
         dataItem: OptionDataItem, dimIndex: number, dimName: string
     ): OptionDataValue | OptionDataItem {
@@ -37,6 +37,7 @@ import {
     SOURCE_FORMAT_OBJECT_ROWS,
     SERIES_LAYOUT_BY_ROW,
     SOURCE_FORMAT_KEYED_COLUMNS,
+    SOURCE_FORMAT_COLUMNAR,
     DimensionName,
     OptionSourceDataArrayRows,
     OptionDataValue,
@@ -45,12 +46,14 @@ import {
     OptionSourceDataObjectRows,
     OptionEncode,
     DimensionIndex,
-    SeriesEncodableModel
+    SeriesEncodableModel,
+    OptionSourceDataColumnar
 } from '../../util/types';
 import { DatasetModel } from '../../component/dataset/install';
 import SeriesModel from '../../model/Series';
 import GlobalModel from '../../model/Global';
 import { CoordDimensionDefinition } from './createDimensions';
+import { isDictionaryColumn, getColumnValue } from './columnarHelper';
 
 // The result of `guessOrdinal`.
 export const BE_ORDINAL = {
@@ -207,7 +210,10 @@ export function makeSeriesEncodeForNameBased(
     const dimensionsDefine = source.dimensionsDefine;
 
     let potentialNameDimIndex;
-    if (sourceFormat === SOURCE_FORMAT_OBJECT_ROWS || sourceFormat === SOURCE_FORMAT_KEYED_COLUMNS) {
+    if (sourceFormat === SOURCE_FORMAT_OBJECT_ROWS
+        || sourceFormat === SOURCE_FORMAT_KEYED_COLUMNS
+        || sourceFormat === SOURCE_FORMAT_COLUMNAR
+    ) {
         each(dimensionsDefine, function (dim, idx) {
             if ((isObject(dim) ? dim.name : dim) === 'name') {
                 potentialNameDimIndex = idx;
@@ -433,6 +439,20 @@ function doGuessOrdinal(
             }
         }
     }
+    else if (sourceFormat === SOURCE_FORMAT_COLUMNAR) {
+        const col = (data as OptionSourceDataColumnar)[dimName];
+        if (!dimName || !col || isTypedArray(col)) {
+            return BE_ORDINAL.Not;
+        }
+        if (isDictionaryColumn(col)) {
+            return BE_ORDINAL.Must;
+        }
+        for (let i = 0; i < col.length && i < maxLoop; i++) {
+            if ((result = detectValue(getColumnValue(col, i))) != null) {
+                return result;
+            }
+        }
+    }
     else if (sourceFormat === SOURCE_FORMAT_ORIGINAL) {
         const dataOriginal = data as OptionSourceDataOriginal;
         for (let i = 0; i < dataOriginal.length && i < maxLoop; i++) {
@@ -19,7 +19,7 @@
 
 import { DatasetModel } from '../../component/dataset/install';
 import SeriesModel from '../../model/Series';
-import { setAsPrimitive, map, isTypedArray, assert, each, retrieve2 } from 'zrender/src/core/util';
+import { setAsPrimitive, map, isTypedArray, assert, each, retrieve2, isString } from 'zrender/src/core/util';
 import { SourceMetaRawOption, Source, createSource, cloneSourceShallow } from '../Source';
 import {
     SeriesEncodableModel, OptionSourceData,
@@ -30,6 +30,7 @@ import {
     querySeriesUpstreamDatasetModel, queryDatasetUpstreamDatasetModels
 } from './sourceHelper';
 import { applyDataTransform } from './transform';
+import { parseTextSource } from './textSource';
 
 
 /**
@@ -173,7 +174,7 @@ export class SourceManager {
     prepareSource(): void {
         // For the case that call `setOption` multiple time but no data changed,
         // cache the result source to prevent from repeating transform.
-        if (this._isDirty()) {
+        if (this.isDirty()) {
             this._createSource();
         }
     }
@@ -247,10 +248,24 @@ export class SourceManager {
             }
             // Is root dataset.
             else {
-                const sourceData = datasetModel.get('source', true);
+                let sourceData = datasetModel.get('source', true);
+                const metaRawOption = this._getSourceMetaRawOption();
+                if (isString(sourceData)) {
+                    const parsed = parseTextSource(sourceData, {
+                        sourceFormat: datasetModel.get('sourceFormat', true),
+                        delimiter: datasetModel.get('delimiter', true),
+                        quote: datasetModel.get('quote', true),
+                        seriesLayoutBy: metaRawOption.seriesLayoutBy,
+                        sourceHeader: metaRawOption.sourceHeader
+                    });
+                    sourceData = parsed.data;
+                    if (parsed.sourceHeader != null) {
+                        metaRawOption.sourceHeader = parsed.sourceHeader;
+                    }
+                }
                 resultSourceList = [createSource(
                     sourceData,
-                    this._getSourceMetaRawOption(),
+                    metaRawOption,
                     null,
                     // Note: dataset option does not have `encode`.
                     null
@@ -321,7 +336,11 @@ export class SourceManager {
         return { sourceList, upstreamSignList };
     }
 
-    private _isDirty(): boolean {
+    /**
+     * Whether the source (or any of its upstream) is modified, and should
+     * be created again by `prepareSource`.
+     */
+    isDirty(): boolean {
         const sourceList = this._sourceList;
         if (!sourceList.length) {
             return true;
@@ -334,7 +353,7 @@ export class SourceManager {
             if (
                 // Consider the case that there is ancestor diry, call it recursively.
                 // The performance is probably not an issue because usually the chain is not long.
-                upSrcMgr._isDirty()
+                upSrcMgr.isDirty()
                 || this._upstreamSignList[i] !== upSrcMgr._getVersionSign()
             ) {
                 return true;
@@ -0,0 +1,264 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+/**
+ * Parse text `dataset.source`, like:
+ *
+ * ```js
+ * dataset: {
+ *     source: 'product,2015,2016\nMatcha Latte,43.3,85.8\n...',
+ *     sourceFormat: 'csv'
+ * }
+ * dataset: {
+ *     source: '{"product": "Matcha Latte", "sales": 43.3}\n...',
+ *     sourceFormat: 'jsonLines'
+ * }
+ * ```
+ *
+ * The result is `arrayRows` or `objectRows`, which is then processed
+ * as a normal source.
+ */
+
+import { isArray, isObject } from 'zrender/src/core/util';
+import { numericToNumber } from '../../util/number';
+import { throwError } from '../../util/log';
+import {
+    OptionSourceDataArrayRows, OptionSourceDataObjectRows, OptionSourceHeader,
+    SeriesLayoutBy, SERIES_LAYOUT_BY_ROW, OptionDataValue
+} from '../../util/types';
+
+export type TextSourceFormat = 'csv' | 'tsv' | 'jsonLines';
+
+export interface TextSourceOption {
+    // 'csv' by default.
+    sourceFormat?: TextSourceFormat;
+    // ',' for 'csv' and '\t' for 'tsv' by default.
+    delimiter?: string;
+    // '"' by default.
+    quote?: string;
+    seriesLayoutBy?: SeriesLayoutBy;
+    sourceHeader?: OptionSourceHeader;
+}
+
+export function parseTextSource(text: string, opt: TextSourceOption): {
+    data: OptionSourceDataArrayRows | OptionSourceDataObjectRows,
+    // Determined header. Only for delimiter-separated values.
+    sourceHeader?: OptionSourceHeader
+} {
+    const sourceFormat = opt.sourceFormat || 'csv';
+    let errMsg = '';
+
+    if (sourceFormat === 'jsonLines') {
+        return {
+            data: parseJSONLines(text)
+        };
+    }
+    if (sourceFormat !== 'csv' && sourceFormat !== 'tsv') {
+        if (__DEV__) {
+            errMsg = 'Unknown `sourceFormat` "' + sourceFormat + '" for a text source.';
+        }
+        throwError(errMsg);
+    }
+
+    const delimiter = opt.delimiter || (sourceFormat === 'tsv' ? '\t' : ',');
+    const quote = opt.quote != null ? opt.quote : '"';
+    const rows = parseDelimitedText(text, delimiter, quote);
+    const byRow = opt.seriesLayoutBy === SERIES_LAYOUT_BY_ROW;
+
+    let sourceHeader = opt.sourceHeader;
+    // Besides the rule in `Source.ts`, only the non-empty and non-numeric
+    // values are regarded as names, since all of the values are strings.
+    if (sourceHeader == null || sourceHeader === 'auto') {
+        sourceHeader = false;
+        travelFirst(rows, byRow, function (val) {
+            if (val !== '' && isNaN(numericToNumber(val))) {
+                sourceHeader = true;
+            }
+        });
+    }
+    const headerCount = sourceHeader === true ? 1 : sourceHeader === false ? 0 : +sourceHeader || 0;
+
+    inferTypes(rows, headerCount, byRow);
+
+    return {
+        data: rows,
+        sourceHeader: headerCount
+    };
+}
+
+/**
+ * Parse delimiter-separated values (RFC 4180). Quoted values can contain
+ * delimiters, line breaks and escaped quotes (two quotes).
+ */
+export function parseDelimitedText(text: string, delimiter: string, quote: string): string[][] {
+    const rows: string[][] = [];
+    const len = text.length;
+    let row: string[] = [];
+    let value = '';
+    // Whether a value has started, used to discard the trailing empty line.
+    let valueStarted = false;
+    let inQuote = false;
+    let i = 0;
+
+    while (i < len) {
+        const ch = text.charAt(i);
+        if (inQuote) {
+            if (ch === quote) {
+                if (text.charAt(i + 1) === quote) {
+                    value += quote;
+                    i += 2;
+                    continue;
+                }
+                inQuote = false;
+            }
+            else {
+                value += ch;
+            }
+            i++;
+        }
+        else if (quote && ch === quote && value === '') {
+            inQuote = true;
+            valueStarted = true;
+            i++;
+        }
+        else if (text.substr(i, delimiter.length) === delimiter) {
+            row.push(value);
+            value = '';
+            valueStarted = true;
+            i += delimiter.length;
+        }
+        else if (ch === '\r' || ch === '\n') {
+            if (valueStarted || value !== '') {
+                row.push(value);
+                rows.push(row);
+            }
+            row = [];
+            value = '';
+            valueStarted = false;
+            i += (ch === '\r' && text.charAt(i + 1) === '\n') ? 2 : 1;
+        }
+        else {
+            value += ch;
+            i++;
+        }
+    }
+    if (valueStarted || value !== '') {
+        row.push(value);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+function parseJSONLines(text: string): OptionSourceDataArrayRows | OptionSourceDataObjectRows {
+    const lines = text.split(/\r?\n/);
+    const data = [];
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (!line.replace(/\s/g, '')) {
+            continue;
+        }
+        let item;
+        let errMsg = '';
+        try {
+            item = JSON.parse(line);
+        }
+        catch (e) {
+            if (__DEV__) {
+                errMsg = 'Invalid JSON on line ' + (i + 1) + ': ' + line;
+            }
+            throwError(errMsg);
+        }
+        if (!isObject(item)) {
+            if (__DEV__) {
+                errMsg = 'Each line should be an object or an array. Illegal line ' + (i + 1) + ': ' + line;
+            }
+            throwError(errMsg);
+        }
+        data.push(item);
+    }
+    // Mixing arrays and objects is not supported.
+    for (let i = 1; i < data.length; i++) {
+        if (isArray(data[i]) !== isArray(data[0])) {
+            let errMsg = '';
+            if (__DEV__) {
+                errMsg = 'Lines of arrays and lines of objects can not be mixed.';
+            }
+            throwError(errMsg);
+        }
+    }
+    return data;
+}
+
+function travelFirst(rows: string[][], byRow: boolean, cb: (val: string) => void): void {
+    if (byRow) {
+        for (let i = 0; i < rows.length; i++) {
+            rows[i].length && cb(rows[i][0]);
+        }
+    }
+    else if (rows.length) {
+        for (let i = 0; i < rows[0].length; i++) {
+            cb(rows[0][i]);
+        }
+    }
+}
+
+/**
+ * Convert the values of a dimension to numbers if all of them (except the
+ * header and empty values) are numeric. Empty values are converted to `null`.
+ */
+function inferTypes(rows: OptionDataValue[][], headerCount: number, byRow: boolean): void {
+    const dimCount = byRow ? rows.length : getMaxLength(rows);
+    const itemCount = byRow ? getMaxLength(rows) : rows.length;
+
+    function getValue(dimIdx: number, itemIdx: number): OptionDataValue {
+        return byRow ? rows[dimIdx][itemIdx] : rows[itemIdx][dimIdx];
+    }
+    function setValue(dimIdx: number, itemIdx: number, val: OptionDataValue): void {
+        const row = byRow ? rows[dimIdx] : rows[itemIdx];
+        const idx = byRow ? itemIdx : dimIdx;
+        idx < row.length && (row[idx] = val);
+    }
+
+    for (let dimIdx = 0; dimIdx < dimCount; dimIdx++) {
+        let isNumeric = true;
+        for (let itemIdx = headerCount; itemIdx < itemCount && isNumeric; itemIdx++) {
+            const val = getValue(dimIdx, itemIdx);
+            if (val != null && val !== '' && isNaN(numericToNumber(val))) {
+                isNumeric = false;
+            }
+        }
+        for (let itemIdx = headerCount; itemIdx < itemCount; itemIdx++) {
+            const val = getValue(dimIdx, itemIdx);
+            setValue(
+                dimIdx,
+                itemIdx,
+                (val == null || val === '') ? null : isNumeric ? numericToNumber(val) : val
+            );
+        }
+    }
+}
+
+function getMaxLength(rows: unknown[][]): number {
+    let maxLength = 0;
+    for (let i = 0; i < rows.length; i++) {
+        maxLength = Math.max(maxLength, rows[i].length);
+    }
+    return maxLength;
+}
@@ -84,7 +84,8 @@ import {
     VisualMapPiecewiseComponent,
     AriaComponent,
     DatasetComponent,
-    TransformComponent
+    TransformComponent,
+    UniversalTransitionComponent
 } from './export/components';
 
 
@@ -332,4 +333,12 @@ use(AriaComponent);
 // });
 use(TransformComponent);
 
-use(DatasetComponent);
\ No newline at end of file
+use(DatasetComponent);
+
+// Morphing elements across series when updated, for example:
+// chart.setOption({
+//     series: {
+//         universalTransition: true
+//     }
+// });
+use(UniversalTransitionComponent);
@@ -63,6 +63,8 @@ export {install as TransformComponent} from '../component/transform/install';
 
 export {install as DatasetComponent} from '../component/dataset/install';
 
+export {install as UniversalTransitionComponent} from '../animation/universalTransition';
+
 
 
 export {
@@ -87,7 +87,10 @@ import type {ToolboxDataViewFeatureOption} from '../component/toolbox/feature/Da
 import type {ToolboxDataZoomFeatureOption} from '../component/toolbox/feature/DataZoom';
 import type {ToolboxMagicTypeFeatureOption} from '../component/toolbox/feature/MagicType';
 import type {ToolboxRestoreFeatureOption} from '../component/toolbox/feature/Restore';
+import type {ToolboxUndoFeatureOption} from '../component/toolbox/feature/Undo';
+import type {ToolboxRedoFeatureOption} from '../component/toolbox/feature/Redo';
 import type {ToolboxSaveAsImageFeatureOption} from '../component/toolbox/feature/SaveAsImage';
+import type {ToolboxSaveAsDataFeatureOption} from '../component/toolbox/feature/SaveAsData';
 import type {ToolboxFeatureOption} from '../component/toolbox/featureManager';
 
 
@@ -100,7 +103,10 @@ interface ToolboxComponentOption extends ToolboxOption {
         dataZoom?: ToolboxDataZoomFeatureOption
         magicType?: ToolboxMagicTypeFeatureOption
         restore?: ToolboxRestoreFeatureOption
+        undo?: ToolboxUndoFeatureOption
+        redo?: ToolboxRedoFeatureOption
         saveAsImage?: ToolboxSaveAsImageFeatureOption
+        saveAsData?: ToolboxSaveAsDataFeatureOption
         // custom feature
         [key: string]: ToolboxFeatureOption | {
             [key: string]: any
@@ -22,11 +22,14 @@ import {
     registerProcessor,
     registerPostInit,
     registerPostUpdate,
+    registerPostDispose,
+    registerUpdateLifecycle,
     registerAction,
     registerCoordinateSystem,
     registerLayout,
     registerVisual,
     registerTransform,
+    registerSampler,
     registerLoading,
     registerMap,
     PRIORITY
@@ -47,11 +50,14 @@ const extensionRegisters = {
     registerProcessor,
     registerPostInit,
     registerPostUpdate,
+    registerPostDispose,
+    registerUpdateLifecycle,
     registerAction,
     registerCoordinateSystem,
     registerLayout,
     registerVisual,
     registerTransform,
+    registerSampler,
     registerLoading,
     registerMap,
     PRIORITY,
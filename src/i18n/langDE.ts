@@ -76,6 +76,15 @@ export default {
         restore: {
             title: 'Wiederherstellen'
         },
+        undo: {
+            title: 'Rückgängig'
+        },
+        redo: {
+            title: 'Wiederholen'
+        },
+        saveAsData: {
+            title: 'Als Daten speichern'
+        },
         saveAsImage: {
             title: 'Als Bild speichern',
             lang: ['Rechtsklick zum Speichern des Bildes']
@@ -128,11 +137,25 @@ export default {
                 }
             }
         },
+        summary: {
+            rise: '{seriesName} stieg von {start} bis {end} um {change}',
+            fall: '{seriesName} fiel von {start} bis {end} um {change}',
+            flat: '{seriesName} blieb von {start} bis {end} unverändert',
+            peak: ', mit dem Höchstwert {value} bei {name}',
+            range: '{seriesName} reicht von {min} bis {max}',
+            share: '{name} hat den größten Anteil an {seriesName} ({percent})',
+            outliers: '{seriesName} hat Ausreißer bei {names}',
+            separator: {
+                middle: '. ',
+                end: '. '
+            }
+        },
         data: {
             allData: 'Die Daten sind wie folgt: ',
             partialData: 'Die ersten {displayCnt} Elemente sind: ',
             withName: 'die Daten für {name} sind {value}',
             withoutName: '{value}',
+            selected: 'ausgewählt',
             separator: {
                 middle: ',',
                 end: '.'
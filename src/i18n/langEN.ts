@@ -76,6 +76,15 @@ export default {
         restore: {
             title: 'Restore'
         },
+        undo: {
+            title: 'Undo'
+        },
+        redo: {
+            title: 'Redo'
+        },
+        saveAsData: {
+            title: 'Save as Data'
+        },
         saveAsImage: {
             title: 'Save as Image',
             lang: ['Right Click to Save Image']
@@ -128,11 +137,25 @@ export default {
                 }
             }
         },
+        summary: {
+            rise: '{seriesName} rose {change} from {start} to {end}',
+            fall: '{seriesName} fell {change} from {start} to {end}',
+            flat: '{seriesName} was unchanged from {start} to {end}',
+            peak: ', peaking at {value} in {name}',
+            range: '{seriesName} ranges from {min} to {max}',
+            share: '{name} accounts for the largest share of {seriesName} ({percent})',
+            outliers: '{seriesName} has outliers at {names}',
+            separator: {
+                middle: '. ',
+                end: '. '
+            }
+        },
         data: {
             allData: 'The data is as follows: ',
             partialData: 'The first {displayCnt} items are: ',
             withName: 'the data for {name} is {value}',
             withoutName: '{value}',
+            selected: 'selected',
             separator: {
                 middle: ', ',
                 end: '. '
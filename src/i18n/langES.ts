@@ -72,6 +72,15 @@ export default {
         restore: {
             title: 'Restaurar'
         },
+        undo: {
+            title: 'Deshacer'
+        },
+        redo: {
+            title: 'Rehacer'
+        },
+        saveAsData: {
+            title: 'Guardar como datos'
+        },
         saveAsImage: {
             title: 'Guardar como imagen',
             lang: ['Clic derecho para guardar imagen']
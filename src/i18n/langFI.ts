@@ -72,6 +72,15 @@ export default {
         restore: {
             title: 'Palauta'
         },
+        undo: {
+            title: 'Kumoa'
+        },
+        redo: {
+            title: 'Tee uudelleen'
+        },
+        saveAsData: {
+            title: 'Tallenna datana'
+        },
         saveAsImage: {
             title: 'Tallenna kuvana',
             lang: ['Paina oikeaa hiirennappia tallentaaksesi kuva']
@@ -76,6 +76,15 @@ export default {
         restore: {
             title: 'Restaurer'
         },
+        undo: {
+            title: 'Annuler'
+        },
+        redo: {
+            title: 'Rétablir'
+        },
+        saveAsData: {
+            title: 'Sauvegarder les données'
+        },
         saveAsImage: {
             title: 'Sauvegarde l\'image',
             lang: ['Clic droit pour sauvegarde L\'image']
@@ -128,11 +137,25 @@ export default {
                 }
             }
         },
+        summary: {
+            rise: '{seriesName} a augmenté de {change} de {start} à {end}',
+            fall: '{seriesName} a diminué de {change} de {start} à {end}',
+            flat: '{seriesName} est resté stable de {start} à {end}',
+            peak: ', avec un pic de {value} pour {name}',
+            range: '{seriesName} varie de {min} à {max}',
+            share: '{name} représente la plus grande part de {seriesName} ({percent})',
+            outliers: '{seriesName} a des valeurs aberrantes pour {names}',
+            separator: {
+                middle: '. ',
+                end: '. '
+            }
+        },
         data: {
             allData: 'Les données sont: ',
             partialData: 'Le premier {displayCnt} items are: ',
             withName: 'Les données pour {name} sont {value}',
             withoutName: '{value}',
+            selected: 'sélectionné',
             separator: {
                 middle: ', ',
                 end: '. '
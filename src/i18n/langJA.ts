@@ -76,6 +76,15 @@ export default {
         restore: {
             title: '復元'
         },
+        undo: {
+            title: '元に戻す'
+        },
+        redo: {
+            title: 'やり直し'
+        },
+        saveAsData: {
+            title: 'データとして保存'
+        },
         saveAsImage: {
             title: '図として保存',
             lang: ['右クリックして図を保存']
@@ -128,11 +137,25 @@ export default {
                 }
             }
         },
+        summary: {
+            rise: '{seriesName}は{start}から{end}にかけて{change}上昇しました',
+            fall: '{seriesName}は{start}から{end}にかけて{change}下降しました',
+            flat: '{seriesName}は{start}から{end}まで変化しませんでした',
+            peak: '（{name}で最大値{value}）',
+            range: '{seriesName}の範囲は{min}から{max}です',
+            share: '{name}が{seriesName}の最大の割合（{percent}）を占めています',
+            outliers: '{seriesName}は{names}に外れ値があります',
+            separator: {
+                middle: '。',
+                end: '。'
+            }
+        },
         data: {
             allData: 'データは：',
             partialData: 'その内、{displayCnt}番目までは：',
             withName: '{name}のデータは{value}',
             withoutName: '{value}',
+            selected: '選択済み',
             separator: {
                 middle: '、',
                 end: ''
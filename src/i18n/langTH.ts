@@ -72,6 +72,15 @@ export default {
         restore: {
             title: 'ตั้งค่าใหม่'
         },
+        undo: {
+            title: 'เลิกทำ'
+        },
+        redo: {
+            title: 'ทำซ้ำ'
+        },
+        saveAsData: {
+            title: 'บันทึกเป็นข้อมูล'
+        },
         saveAsImage: {
             title: 'บันทึกไปยังรูปภาพ',
             lang: ['คลิกขวาเพื่อบันทึกรูปภาพ']
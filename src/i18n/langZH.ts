@@ -72,6 +72,15 @@ export default {
         restore: {
             title: '还原'
         },
+        undo: {
+            title: '撤销'
+        },
+        redo: {
+            title: '重做'
+        },
+        saveAsData: {
+            title: '保存为数据'
+        },
         saveAsImage: {
             title: '保存为图片',
             lang: ['右键另存为图片']
@@ -124,11 +133,25 @@ export default {
                 }
             }
         },
+        summary: {
+            rise: '{seriesName}从{start}到{end}上升了{change}',
+            fall: '{seriesName}从{start}到{end}下降了{change}',
+            flat: '{seriesName}从{start}到{end}保持不变',
+            peak: '，在{name}达到峰值{value}',
+            range: '{seriesName}的取值范围是{min}到{max}',
+            share: '{name}在{seriesName}中占比最大（{percent}）',
+            outliers: '{seriesName}在{names}处有异常值',
+            separator: {
+                middle: '。',
+                end: '。'
+            }
+        },
         data: {
             allData: '其数据是——',
             partialData: '其中，前{displayCnt}项是——',
             withName: '{name}的数据是{value}',
             withoutName: '{value}',
+            selected: '已选中',
             separator: {
                 middle: '，',
                 end: ''
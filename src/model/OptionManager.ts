@@ -25,7 +25,7 @@
 // import ComponentModel, { ComponentModelConstructor } from './Component';
 import ExtensionAPI from '../core/ExtensionAPI';
 import {
-    OptionPreprocessor, MediaQuery, ECUnitOption, MediaUnit, ECBasicOption, SeriesOption
+    OptionPreprocessor, MediaQuery, ECUnitOption, MediaUnit, ECBasicOption, SeriesOption, OptionSourceDataColumnar
 } from '../util/types';
 import GlobalModel, { InnerSetOptionOpts } from './Global';
 import {
@@ -38,6 +38,7 @@ import {
 } from 'zrender/src/core/util';
 import { DatasetOption } from '../component/dataset/install';
 import { error } from '../util/log';
+import { isColumnarData } from '../data/helper/columnarHelper';
 
 const QUERY_REG = /^(min|max)?(.+)$/;
 
@@ -101,7 +102,12 @@ class OptionManager {
                 series && series.data && isTypedArray(series.data) && setAsPrimitive(series.data);
             });
             each(normalizeToArray((rawOption as ECUnitOption).dataset), function (dataset: DatasetOption) {
-                dataset && dataset.source && isTypedArray(dataset.source) && setAsPrimitive(dataset.source);
+                const source = dataset && dataset.source;
+                // Columns of a columnar source are used as the storage directly, so do not copy them.
+                source && (
+                    isTypedArray(source)
+                    || (isObject(source) && !isArray(source) && isColumnarData(source as OptionSourceDataColumnar))
+                ) && setAsPrimitive(source);
             });
         }
 
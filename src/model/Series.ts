@@ -281,9 +281,27 @@ class SeriesModel<Opt extends SeriesOption = SeriesOption> extends ComponentMode
 
         const sourceManager = inner(this).sourceManager;
         sourceManager.dirty();
-        sourceManager.prepareSource();
 
-        const data = this.getInitialData(newSeriesOption, ecModel);
+        this._resetData(newSeriesOption, ecModel);
+    }
+
+    /**
+     * Create the data again if the upstream dataset is modified without
+     * `setOption`, like `chart.appendDataset`.
+     * @return Whether the data is created again.
+     */
+    updateDataFromSource(): boolean {
+        if (!inner(this).sourceManager.isDirty()) {
+            return false;
+        }
+        this._resetData(this.option, this.ecModel);
+        return true;
+    }
+
+    private _resetData(option: Opt, ecModel: GlobalModel): void {
+        inner(this).sourceManager.prepareSource();
+
+        const data = this.getInitialData(option, ecModel);
         wrapData(data, this);
         this.dataTask.dirty();
         this.dataTask.context.data = data;
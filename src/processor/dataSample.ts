@@ -17,12 +17,22 @@
 * under the License.
 */
 
-import { StageHandler, SeriesOption, SeriesSamplingOptionMixin } from '../util/types';
+import { StageHandler, SeriesOption, SeriesSamplingOptionMixin, DimensionName } from '../util/types';
 import { Dictionary } from 'zrender/src/core/types';
 import SeriesModel from '../model/Series';
+import List from '../data/List';
+import { createHashMap, isFunction } from 'zrender/src/core/util';
+import { throwError } from '../util/log';
 
 
-type Sampler = (frame: ArrayLike<number>) => number;
+/**
+ * @param frame Values of the frame on the value dimension.
+ * @param startIndex Data index of the first item of the frame.
+ * @param endIndex Data index after the last item of the frame.
+ * @return The sampled value of the frame.
+ */
+export type Sampler = (frame: ArrayLike<number>, startIndex: number, endIndex: number) => number;
+
 const samplers: Dictionary<Sampler> = {
     average: function (frame) {
         let sum = 0;
@@ -71,6 +81,53 @@ const indexSampler = function (frame: ArrayLike<number>) {
     return Math.round(frame.length / 2);
 };
 
+/**
+ * Samplers that pick data items rather than aggregate the values in each frame.
+ */
+type DownSampler = (
+    data: List,
+    valueDim: DimensionName,
+    baseDim: DimensionName,
+    rate: number
+) => List;
+const downSamplers: Dictionary<DownSampler> = {
+    // Largest-Triangle-Three-Buckets, which preserves the visual shape.
+    lttb: function (data, valueDim, baseDim, rate) {
+        return data.lttbDownSample(valueDim, rate, baseDim);
+    },
+    // Keep both the min and the max of each frame.
+    minmax: function (data, valueDim, baseDim, rate) {
+        return data.minmaxDownSample(valueDim, rate);
+    }
+};
+
+const customSamplers = createHashMap<Sampler>();
+
+/**
+ * Register a sampler that can be used by name in `series.sampling`.
+ * @example
+ * echarts.registerSampler('median', function (frame) {
+ *     const sorted = Array.prototype.slice.call(frame).sort((a, b) => a - b);
+ *     return sorted[Math.floor(sorted.length / 2)];
+ * });
+ */
+export function registerSampler(name: string, sampler: Sampler): void {
+    let errMsg = '';
+    if (!isFunction(sampler)) {
+        if (__DEV__) {
+            errMsg = 'Sampler must be a function.';
+        }
+        throwError(errMsg);
+    }
+    if (samplers.hasOwnProperty(name) || downSamplers.hasOwnProperty(name) || name === 'none') {
+        if (__DEV__) {
+            errMsg = 'Can not override built-in sampler "' + name + '".';
+        }
+        throwError(errMsg);
+    }
+    customSamplers.set(name, sampler);
+}
+
 export default function dataSample(seriesType: string): StageHandler {
     return {
 
@@ -95,12 +152,17 @@ export default function dataSample(seriesType: string): StageHandler {
                 const rate = Math.round(count / size);
 
                 if (rate > 1) {
-                    if (sampling === 'lttb') {
-                        seriesModel.setData(data.lttbDownSample(data.mapDimension(valueAxis.dim), 1 / rate));
+                    if (typeof sampling === 'string' && downSamplers.hasOwnProperty(sampling)) {
+                        seriesModel.setData(downSamplers[sampling](
+                            data, data.mapDimension(valueAxis.dim), data.mapDimension(baseAxis.dim), 1 / rate
+                        ));
+                        return;
                     }
                     let sampler;
                     if (typeof sampling === 'string') {
-                        sampler = samplers[sampling];
+                        sampler = samplers.hasOwnProperty(sampling)
+                            ? samplers[sampling]
+                            : customSamplers.get(sampling);
                     }
                     else if (typeof sampling === 'function') {
                         sampler = sampling;
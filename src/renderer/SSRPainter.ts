@@ -0,0 +1,729 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+/**
+ * A painter that serializes the zrender display list to an SVG string
+ * without touching any DOM API. It is used by the `ssr` mode of `echarts.init`
+ * so that charts can be rendered in Node.js (e.g. for email or PDF thumbnails).
+ *
+ * Every painted element is given a deterministic id (only depends on the
+ * painting order) and the series/data index it belongs to, so that a page can
+ * locate and hydrate the elements later.
+ */
+
+import { PainterBase } from 'zrender/src/PainterBase';
+import Storage from 'zrender/src/Storage';
+import Element from 'zrender/src/Element';
+import Displayable from 'zrender/src/graphic/Displayable';
+import Path, { PathStyleProps } from 'zrender/src/graphic/Path';
+import ZRImage from 'zrender/src/graphic/Image';
+import TSpan from 'zrender/src/graphic/TSpan';
+import { PathRebuilder } from 'zrender/src/core/PathProxy';
+import { MatrixArray } from 'zrender/src/core/matrix';
+import { GradientObject } from 'zrender/src/graphic/Gradient';
+import { LinearGradientObject } from 'zrender/src/graphic/LinearGradient';
+import { RadialGradientObject } from 'zrender/src/graphic/RadialGradient';
+import { PatternObject } from 'zrender/src/graphic/Pattern';
+import { DEFAULT_FONT, getLineHeight, $override } from 'zrender/src/contain/text';
+import { normalizeLineDash } from 'zrender/src/graphic/helper/dashStyle';
+import * as colorTool from 'zrender/src/tool/color';
+import { createHashMap, HashMap, isString, map, extend } from 'zrender/src/core/util';
+import env from 'zrender/src/core/env';
+import { getECData } from '../util/innerStore';
+
+const mathRound = Math.round;
+const mathSin = Math.sin;
+const mathCos = Math.cos;
+const PI = Math.PI;
+const PI2 = PI * 2;
+const DEGREE = 180 / PI;
+const EPSILON = 1e-4;
+
+const TEXT_ALIGN_TO_ANCHOR = {
+    left: 'start',
+    right: 'end',
+    center: 'middle',
+    middle: 'middle'
+};
+
+export interface SSRPainterOption {
+    width?: number | string
+    height?: number | string
+}
+
+export interface SSRRenderToStringOpts {
+    /**
+     * Prefix of the generated element ids. Should be specified if more than
+     * one chart is going to be inlined in the same page.
+     * Default `'ec'`.
+     */
+    idPrefix?: string
+    /**
+     * Whether to set `viewBox` so that the SVG can be scaled by its container.
+     * Default `true`.
+     */
+    useViewBox?: boolean
+}
+
+function round3(val: number) {
+    return mathRound(val * 1e3) / 1e3;
+}
+
+function round4(val: number) {
+    return mathRound(val * 1e4) / 1e4;
+}
+
+function isAroundZero(val: number) {
+    return val < EPSILON && val > -EPSILON;
+}
+
+function escapeXML(str: string): string {
+    return str.replace(/[&<>"']/g, function (c) {
+        return c === '&' ? '&amp;'
+            : c === '<' ? '&lt;'
+            : c === '>' ? '&gt;'
+            : c === '"' ? '&quot;'
+            : '&#39;';
+    });
+}
+
+function attrsToString(attrs: string[][]): string {
+    let str = '';
+    for (let i = 0; i < attrs.length; i++) {
+        const val = attrs[i][1];
+        if (val != null && val !== '') {
+            str += ' ' + attrs[i][0] + '="' + escapeXML(val + '') + '"';
+        }
+    }
+    return str;
+}
+
+function transformToString(m: MatrixArray): string {
+    return m ? 'matrix('
+        + round3(m[0]) + ','
+        + round3(m[1]) + ','
+        + round3(m[2]) + ','
+        + round3(m[3]) + ','
+        + round4(m[4]) + ','
+        + round4(m[5])
+        + ')' : null;
+}
+
+function isGradient(val: unknown): val is GradientObject {
+    return val && ((val as GradientObject).type === 'linear' || (val as GradientObject).type === 'radial');
+}
+
+function isPattern(val: unknown): val is PatternObject {
+    return val && !isString(val) && (val as PatternObject).type === 'pattern';
+}
+
+/**
+ * Rough estimation of text width, used when there is no canvas to measure text.
+ * Full width characters take 1em, and latin characters take about half of it.
+ */
+function estimateTextWidth(text: string, font?: string): { width: number } {
+    const fontSize = parseFontSize(font || DEFAULT_FONT);
+    let width = 0;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        const ch = text.charAt(i);
+        width += code > 0xff ? 1
+            : 'iIl.,:;|!\'`()[] '.indexOf(ch) >= 0 ? 0.3
+            : 'mwMW@%'.indexOf(ch) >= 0 ? 0.85
+            : (ch >= 'A' && ch <= 'Z') ? 0.65
+            : 0.55;
+    }
+    return { width: width * fontSize };
+}
+
+function parseFontSize(font: string): number {
+    const match = /(\d+(?:\.\d+)?)px/.exec(font);
+    return match ? +match[1] : 12;
+}
+
+class SVGPathStringBuilder implements PathRebuilder {
+
+    private _d: (string | number)[] = [];
+
+    private _invalid = false;
+
+    moveTo(x: number, y: number) {
+        this._add('M', x, y);
+    }
+    lineTo(x: number, y: number) {
+        this._add('L', x, y);
+    }
+    bezierCurveTo(x: number, y: number, x2: number, y2: number, x3: number, y3: number) {
+        this._add('C', x, y, x2, y2, x3, y3);
+    }
+    quadraticCurveTo(x: number, y: number, x2: number, y2: number) {
+        this._add('Q', x, y, x2, y2);
+    }
+    arc(cx: number, cy: number, r: number, startAngle: number, endAngle: number, anticlockwise: boolean) {
+        this.ellipse(cx, cy, r, r, 0, startAngle, endAngle, anticlockwise);
+    }
+    ellipse(
+        cx: number, cy: number, rx: number, ry: number, psi: number,
+        startAngle: number, endAngle: number, anticlockwise: boolean
+    ) {
+        const firstCmd = this._d.length === 0;
+        let dTheta = endAngle - startAngle;
+        const clockwise = !anticlockwise;
+        const dThetaPositive = Math.abs(dTheta);
+        const isCircle = isAroundZero(dThetaPositive - PI2)
+            || (clockwise ? dTheta >= PI2 : -dTheta >= PI2);
+        const unifiedTheta = dTheta > 0 ? dTheta % PI2 : (dTheta % PI2 + PI2);
+
+        let large = false;
+        if (isCircle) {
+            large = true;
+        }
+        else if (!isAroundZero(dThetaPositive)) {
+            large = (unifiedTheta >= PI) === !!clockwise;
+        }
+
+        const x0 = round4(cx + rx * mathCos(startAngle));
+        const y0 = round4(cy + ry * mathSin(startAngle));
+
+        // SVG arc can not draw a full circle if start point and end point are the same.
+        if (isCircle) {
+            dTheta = clockwise ? PI2 - 1e-4 : -PI2 + 1e-4;
+            large = true;
+            firstCmd && this._d.push('M', x0, y0);
+        }
+
+        const x = round4(cx + rx * mathCos(startAngle + dTheta));
+        const y = round4(cy + ry * mathSin(startAngle + dTheta));
+
+        if (isNaN(x0) || isNaN(y0) || isNaN(rx) || isNaN(ry) || isNaN(psi) || isNaN(x) || isNaN(y)) {
+            this._invalid = true;
+            return;
+        }
+
+        this._d.push('A', round4(rx), round4(ry), mathRound(psi * DEGREE), +large, +clockwise, x, y);
+    }
+    rect(x: number, y: number, w: number, h: number) {
+        this._add('M', x, y);
+        this._add('L', x + w, y);
+        this._add('L', x + w, y + h);
+        this._add('L', x, y + h);
+        this._add('L', x, y);
+    }
+    closePath() {
+        if (this._d.length > 0) {
+            this._add('Z');
+        }
+    }
+
+    getStr(): string {
+        return this._invalid ? '' : this._d.join(' ');
+    }
+
+    private _add(cmd: string, ...args: number[]) {
+        this._d.push(cmd);
+        for (let i = 0; i < args.length; i++) {
+            if (isNaN(args[i])) {
+                this._invalid = true;
+                return;
+            }
+            this._d.push(round4(args[i]));
+        }
+    }
+}
+
+/**
+ * Collects the `<defs>` (gradients, clip paths, shadow filters) and
+ * the painted elements of one `renderToString` call.
+ */
+class SVGStringContext {
+
+    defs: string[] = [];
+
+    private _idPrefix: string;
+
+    private _elCount = 0;
+    private _defCount = 0;
+
+    private _clipPathIds: HashMap<string, string> = createHashMap();
+    private _shadowIds: HashMap<string, string> = createHashMap();
+
+    constructor(idPrefix: string) {
+        this._idPrefix = idPrefix;
+    }
+
+    nextElementId(): string {
+        return this._idPrefix + '-' + (this._elCount++);
+    }
+
+    nextDefId(type: string): string {
+        return this._idPrefix + '-' + type + '-' + (this._defCount++);
+    }
+
+    /**
+     * Returns the id of `<clipPath>`, which has been added to defs.
+     */
+    clipPathId(clipPaths: Path[]): string {
+        // The first clip path is applied to the element and the following clip paths
+        // are applied to the previous `<clipPath>` recursively.
+        let childId: string;
+        for (let i = clipPaths.length - 1; i >= 0; i--) {
+            const clipPath = clipPaths[i];
+            // The same clip path object may be clipped by different parent clip paths.
+            const key = clipPath.id + (childId ? '-' + childId : '');
+            let id = this._clipPathIds.get(key);
+            if (!id) {
+                id = this.nextDefId('clip');
+                this._clipPathIds.set(key, id);
+                this.defs.push(
+                    '<clipPath' + attrsToString([
+                        ['id', id],
+                        ['clip-path', childId ? 'url(#' + childId + ')' : null]
+                    ]) + '>'
+                    + '<path' + attrsToString([
+                        ['d', buildPathString(clipPath)],
+                        ['transform', transformToString(clipPath.transform)]
+                    ]) + '/>'
+                    + '</clipPath>'
+                );
+            }
+            childId = id;
+        }
+        return childId;
+    }
+
+    /**
+     * Returns `url(#id)` of the gradient, or null if not supported.
+     */
+    paintRef(paint: GradientObject | PatternObject): string {
+        if (isGradient(paint)) {
+            const id = this.nextDefId('gradient');
+            let tag;
+            let attrs: string[][];
+            if (paint.type === 'linear') {
+                const linear = paint as LinearGradientObject;
+                tag = 'linearGradient';
+                attrs = [
+                    ['id', id],
+                    ['x1', linear.x + ''], ['y1', linear.y + ''],
+                    ['x2', linear.x2 + ''], ['y2', linear.y2 + '']
+                ];
+            }
+            else {
+                const radial = paint as RadialGradientObject;
+                tag = 'radialGradient';
+                attrs = [
+                    ['id', id],
+                    ['cx', radial.x + ''], ['cy', radial.y + ''], ['r', radial.r + '']
+                ];
+            }
+            attrs.push([
+                'gradientUnits',
+                (paint as LinearGradientObject).global ? 'userSpaceOnUse' : 'objectBoundingBox'
+            ]);
+
+            let stops = '';
+            const colorStops = paint.colorStops || [];
+            for (let i = 0; i < colorStops.length; i++) {
+                const rgba = colorTool.parse(colorStops[i].color);
+                stops += '<stop' + attrsToString([
+                    ['offset', round4(colorStops[i].offset * 100) + '%'],
+                    ['stop-color', rgba ? 'rgb(' + rgba[0] + ',' + rgba[1] + ',' + rgba[2] + ')' : colorStops[i].color],
+                    ['stop-opacity', rgba ? rgba[3] + '' : null]
+                ]) + '/>';
+            }
+            this.defs.push('<' + tag + attrsToString(attrs) + '>' + stops + '</' + tag + '>');
+            return 'url(#' + id + ')';
+        }
+        // Pattern is painted by a canvas or a DOM in zrender, which is not
+        // available in server side rendering.
+        return null;
+    }
+
+    shadowFilterId(el: Displayable): string {
+        const style = el.style as PathStyleProps;
+        const blur = style.shadowBlur || 0;
+        const offsetX = style.shadowOffsetX || 0;
+        const offsetY = style.shadowOffsetY || 0;
+        if (!style.shadowColor || (!blur && !offsetX && !offsetY)) {
+            return;
+        }
+        // Shadow is not affected by transform in canvas but it is in SVG.
+        const m = el.transform;
+        const scaleX = m ? Math.sqrt(m[0] * m[0] + m[1] * m[1]) || 1 : 1;
+        const scaleY = m ? Math.sqrt(m[2] * m[2] + m[3] * m[3]) || 1 : 1;
+        const rgba = colorTool.parse(style.shadowColor);
+        const key = [blur, offsetX, offsetY, scaleX, scaleY, style.shadowColor].join(',');
+        let id = this._shadowIds.get(key);
+        if (!id) {
+            id = this.nextDefId('shadow');
+            this._shadowIds.set(key, id);
+            this.defs.push(
+                '<filter' + attrsToString([
+                    ['id', id], ['x', '-100%'], ['y', '-100%'], ['width', '300%'], ['height', '300%']
+                ]) + '>'
+                + '<feDropShadow' + attrsToString([
+                    ['dx', round4(offsetX / scaleX) + ''],
+                    ['dy', round4(offsetY / scaleY) + ''],
+                    ['stdDeviation', round4(blur / 2 / scaleX) + ' ' + round4(blur / 2 / scaleY)],
+                    ['flood-color', rgba ? 'rgb(' + rgba[0] + ',' + rgba[1] + ',' + rgba[2] + ')' : style.shadowColor],
+                    ['flood-opacity', rgba ? rgba[3] + '' : null]
+                ]) + '/>'
+                + '</filter>'
+            );
+        }
+        return id;
+    }
+}
+
+function buildPathString(el: Path): string {
+    if (!el.path) {
+        el.createPathProxy();
+    }
+    const path = el.path;
+    if (el.shapeChanged()) {
+        path.beginPath();
+        el.buildPath(path, el.shape);
+        el.pathUpdated();
+    }
+    const builder = new SVGPathStringBuilder();
+    path.rebuildPath(builder, el.style.strokePercent);
+    return builder.getStr();
+}
+
+function getPaint(ctx: SVGStringContext, paint: PathStyleProps['fill']): string {
+    if (paint == null || paint === 'none' || paint === 'transparent') {
+        return 'none';
+    }
+    if (isGradient(paint) || isPattern(paint)) {
+        return ctx.paintRef(paint as GradientObject | PatternObject) || 'none';
+    }
+    return paint as string;
+}
+
+function getStyleAttrs(ctx: SVGStringContext, el: Displayable): string[][] {
+    const style = el.style as PathStyleProps;
+    const opacity = style.opacity == null ? 1 : style.opacity;
+    const attrs: string[][] = [];
+
+    if (el instanceof ZRImage) {
+        opacity < 1 && attrs.push(['opacity', opacity + '']);
+        return attrs;
+    }
+
+    const fill = getPaint(ctx, style.fill);
+    attrs.push(['fill', fill]);
+    if (fill !== 'none') {
+        attrs.push(['fill-opacity', (style.fillOpacity != null ? style.fillOpacity * opacity : opacity) + '']);
+    }
+
+    const stroke = getPaint(ctx, style.stroke);
+    const strokeWidth = style.lineWidth;
+    if (stroke !== 'none' && strokeWidth !== 0) {
+        const strokeScale = style.strokeNoScale ? (el as Path).getLineScale() : 1;
+        attrs.push(
+            ['stroke', stroke],
+            ['stroke-width', (strokeScale ? (strokeWidth == null ? 1 : strokeWidth) / strokeScale : 0) + ''],
+            ['paint-order', style.strokeFirst ? 'stroke' : null],
+            ['stroke-opacity', (style.strokeOpacity != null ? style.strokeOpacity * opacity : opacity) + '']
+        );
+        let lineDash = style.lineDash && strokeWidth > 0 && normalizeLineDash(style.lineDash, strokeWidth);
+        if (lineDash) {
+            let lineDashOffset = style.lineDashOffset;
+            if (strokeScale && strokeScale !== 1) {
+                lineDash = map(lineDash, function (rawVal) {
+                    return rawVal / strokeScale;
+                });
+                lineDashOffset && (lineDashOffset = mathRound(lineDashOffset / strokeScale));
+            }
+            attrs.push(
+                ['stroke-dasharray', lineDash.join(',')],
+                ['stroke-dashoffset', lineDashOffset ? lineDashOffset + '' : null]
+            );
+        }
+        attrs.push(
+            ['stroke-linecap', style.lineCap],
+            ['stroke-linejoin', style.lineJoin],
+            ['stroke-miterlimit', style.miterLimit ? style.miterLimit + '' : null]
+        );
+    }
+    else {
+        attrs.push(['stroke', 'none']);
+    }
+
+    return attrs;
+}
+
+function getImageSrc(image: ZRImage['style']['image']): string {
+    if (isString(image)) {
+        return image;
+    }
+    if (image && (image as HTMLImageElement).src) {
+        return (image as HTMLImageElement).src;
+    }
+    if (image && (image as HTMLCanvasElement).toDataURL) {
+        return (image as HTMLCanvasElement).toDataURL();
+    }
+}
+
+/**
+ * Get series index and data index of the element or its hosting elements
+ * (e.g. label of a bar). They are used to hydrate the SVG on the client side.
+ */
+function getMetaAttrs(el: Displayable): string[][] {
+    let host: Element = el;
+    while (host) {
+        const ecData = getECData(host);
+        if (ecData.dataIndex != null) {
+            return [
+                ['data-ec-series-index', ecData.seriesIndex + ''],
+                ['data-ec-data-index', ecData.dataIndex + ''],
+                ['data-ec-data-type', ecData.dataType]
+            ];
+        }
+        // Text content and text guide line are not the children of the host element.
+        host = host.parent || host.__hostTarget;
+    }
+    return [];
+}
+
+function brushElement(ctx: SVGStringContext, el: Displayable): string {
+    const style = el.style;
+    let tag;
+    let attrs: string[][];
+    let content = '';
+
+    if (el instanceof TSpan) {
+        let text = (style as TSpan['style']).text;
+        text != null && (text += '');
+        if (!text || isNaN(style.x) || isNaN(style.y)) {
+            return '';
+        }
+        const font = (style as TSpan['style']).font || DEFAULT_FONT;
+        let y = style.y || 0;
+        const lineHeight = getLineHeight(font);
+        const textBaseline = (style as TSpan['style']).textBaseline;
+        // Always use `dominant-baseline: central` and adjust `y` like the zrender SVG painter.
+        if (textBaseline === 'top') {
+            y += lineHeight / 2;
+        }
+        else if (textBaseline === 'bottom') {
+            y -= lineHeight / 2;
+        }
+        const textAlign = (style as TSpan['style']).textAlign;
+        tag = 'text';
+        attrs = [
+            ['dominant-baseline', 'central'],
+            ['text-anchor', TEXT_ALIGN_TO_ANCHOR[textAlign as keyof typeof TEXT_ALIGN_TO_ANCHOR] || textAlign],
+            ['x', round4(style.x || 0) + ''],
+            ['y', round4(y) + ''],
+            ['style', 'font:' + font],
+            ['xml:space', 'preserve']
+        ];
+        content = escapeXML(text);
+    }
+    else if (el instanceof ZRImage) {
+        const src = getImageSrc((style as ZRImage['style']).image);
+        if (!src) {
+            return '';
+        }
+        tag = 'image';
+        attrs = [
+            ['xlink:href', src],
+            ['x', (style.x || 0) + ''],
+            ['y', (style.y || 0) + ''],
+            ['width', (style as ZRImage['style']).width + ''],
+            ['height', (style as ZRImage['style']).height + '']
+        ];
+    }
+    else if (el instanceof Path) {
+        const d = buildPathString(el);
+        if (!d) {
+            return '';
+        }
+        tag = 'path';
+        attrs = [['d', d]];
+    }
+    else {
+        return '';
+    }
+
+    attrs.unshift(['id', ctx.nextElementId()]);
+    attrs = attrs.concat(
+        getStyleAttrs(ctx, el),
+        [['transform', transformToString(el.transform)]]
+    );
+
+    const shadowId = ctx.shadowFilterId(el);
+    shadowId && attrs.push(['filter', 'url(#' + shadowId + ')']);
+
+    attrs = attrs.concat(getMetaAttrs(el));
+
+    return '<' + tag + attrsToString(attrs) + (content ? '>' + content + '</' + tag + '>' : '/>');
+}
+
+let textMeasureOverridden = false;
+
+class SSRPainter implements PainterBase {
+
+    type = 'svg';
+
+    root: HTMLElement;
+
+    storage: Storage;
+
+    private _width: number;
+    private _height: number;
+
+    private _backgroundColor: string | GradientObject | PatternObject;
+
+    constructor(root: HTMLElement, storage: Storage, opts: SSRPainterOption) {
+        this.root = root;
+        this.storage = storage;
+
+        opts = extend({}, opts);
+        this._width = +opts.width || 0;
+        this._height = +opts.height || 0;
+
+        // Text can not be measured by canvas if there is no DOM.
+        if (!env.domSupported && !textMeasureOverridden) {
+            $override('measureText', estimateTextWidth);
+            textMeasureOverridden = true;
+        }
+    }
+
+    getType() {
+        return 'svg';
+    }
+
+    getViewportRoot(): HTMLElement {
+        return this.root;
+    }
+
+    getViewportRootOffset() {
+        return {
+            offsetLeft: 0,
+            offsetTop: 0
+        };
+    }
+
+    resize(width?: number | string, height?: number | string) {
+        // 'auto' or null means keeping the size.
+        if (width != null && !isNaN(+width)) {
+            this._width = +width;
+        }
+        if (height != null && !isNaN(+height)) {
+            this._height = +height;
+        }
+    }
+
+    getWidth(): number {
+        return this._width;
+    }
+
+    getHeight(): number {
+        return this._height;
+    }
+
+    setBackgroundColor(backgroundColor: string | GradientObject | PatternObject) {
+        this._backgroundColor = backgroundColor;
+    }
+
+    /**
+     * Nothing to do. The display list is serialized on demand in `renderToString`.
+     */
+    refresh() {}
+
+    refreshHover() {}
+
+    clear() {}
+
+    configLayer() {}
+
+    dispose() {
+        this.root = this.storage = null;
+    }
+
+    pathToImage(): ZRImage {
+        return null;
+    }
+
+    renderToString(opts?: SSRRenderToStringOpts): string {
+        opts = opts || {};
+        const width = this._width;
+        const height = this._height;
+        const ctx = new SVGStringContext(opts.idPrefix || 'ec');
+
+        let body = '';
+        const bg = this._backgroundColor;
+        if (bg && bg !== 'none' && bg !== 'transparent') {
+            const bgPaint = getPaint(ctx, bg as PathStyleProps['fill']);
+            if (bgPaint !== 'none') {
+                body += '<rect' + attrsToString([
+                    ['id', ctx.nextElementId()],
+                    ['width', width + ''], ['height', height + ''], ['x', '0'], ['y', '0'],
+                    ['fill', bgPaint]
+                ]) + '/>';
+            }
+        }
+
+        const list = this.storage.getDisplayList(true);
+        let currentClipId: string;
+        for (let i = 0; i < list.length; i++) {
+            const el = list[i];
+            if (el.invisible) {
+                continue;
+            }
+            const elStr = brushElement(ctx, el);
+            if (!elStr) {
+                continue;
+            }
+            const clipPaths = el.__clipPaths;
+            const clipId = clipPaths && clipPaths.length ? ctx.clipPathId(clipPaths) : null;
+            // Consecutive elements with the same clip path share one group.
+            if (clipId !== currentClipId) {
+                currentClipId && (body += '</g>');
+                clipId && (body += '<g clip-path="url(#' + clipId + ')">');
+                currentClipId = clipId;
+            }
+            body += elStr;
+        }
+        currentClipId && (body += '</g>');
+
+        const useViewBox = opts.useViewBox == null ? true : opts.useViewBox;
+
+        return '<svg' + attrsToString([
+            ['width', width + ''],
+            ['height', height + ''],
+            ['xmlns', 'http://www.w3.org/2000/svg'],
+            ['xmlns:xlink', 'http://www.w3.org/1999/xlink'],
+            ['version', '1.1'],
+            ['baseProfile', 'full'],
+            ['viewBox', useViewBox ? '0 0 ' + width + ' ' + height : null]
+        ]) + '>'
+            + (ctx.defs.length ? '<defs>' + ctx.defs.join('') + '</defs>' : '')
+            + body
+            + '</svg>';
+    }
+
+    toDataURL(): string {
+        return 'data:image/svg+xml;charset=UTF-8,' + encodeURIComponent(this.renderToString());
+    }
+}
+
+export default SSRPainter;
@@ -19,7 +19,10 @@
 
 import { EChartsExtensionInstallRegisters } from '../extension';
 import SVGPainter from 'zrender/src/svg/Painter';
+import SSRPainter from './SSRPainter';
 
 export function install(registers: EChartsExtensionInstallRegisters) {
     registers.registerPainter('svg', SVGPainter);
+    // Used by `init(null, theme, {renderer: 'svg', ssr: true})`.
+    registers.registerPainter('svg-ssr', SSRPainter);
 }
\ No newline at end of file
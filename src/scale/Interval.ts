@@ -22,7 +22,10 @@ import * as numberUtil from '../util/number';
 import * as formatUtil from '../util/format';
 import Scale from './Scale';
 import * as helper from './helper';
-import {ScaleTick, Dictionary} from '../util/types';
+import {ScaleTick, Dictionary, ScaleDataValue} from '../util/types';
+import {ScaleBreakContext, parseAxisBreakOption, addBreakTicks} from './break';
+import {AxisBreakOption} from '../coord/axisCommonTypes';
+import {bind} from 'zrender/src/core/util';
 
 const roundNumber = numberUtil.round;
 
@@ -36,6 +39,8 @@ class IntervalScale<SETTING extends Dictionary<unknown> = Dictionary<unknown>> e
     protected _niceExtent: [number, number];
     private _intervalPrecision: number = 2;
 
+    private _breakCtx: ScaleBreakContext;
+
 
     parse(val: number): number {
         return val;
@@ -46,11 +51,41 @@ class IntervalScale<SETTING extends Dictionary<unknown> = Dictionary<unknown>> e
     }
 
     normalize(val: number): number {
-        return helper.normalize(val, this._extent);
+        const breakCtx = this.getBreakContext();
+        return breakCtx
+            ? helper.normalize(breakCtx.elapse(val), breakCtx.getElapsedExtent())
+            : helper.normalize(val, this._extent);
     }
 
     scale(val: number): number {
-        return helper.scale(val, this._extent);
+        const breakCtx = this.getBreakContext();
+        return breakCtx
+            ? breakCtx.unelapse(helper.scale(val, breakCtx.getElapsedExtent()))
+            : helper.scale(val, this._extent);
+    }
+
+    /**
+     * Set breaks from `axis.breaks`. Expanded breaks are ignored.
+     */
+    setBreaksFromOption(breakOptionList: AxisBreakOption[]): void {
+        const breaks = parseAxisBreakOption(
+            breakOptionList, bind(this.parse as (val: ScaleDataValue) => number, this)
+        );
+        this._breakCtx = breaks.length ? new ScaleBreakContext(breaks) : null;
+    }
+
+    /**
+     * Return null if there is no break inside the current extent.
+     */
+    getBreakContext(): ScaleBreakContext {
+        const breakCtx = this._breakCtx;
+        if (breakCtx) {
+            breakCtx.update(this._extent);
+            if (breakCtx.hasBreaks()) {
+                return breakCtx;
+            }
+        }
+        return null;
     }
 
     setExtent(start: number | string, end: number | string): void {
@@ -104,6 +139,11 @@ class IntervalScale<SETTING extends Dictionary<unknown> = Dictionary<unknown>> e
         // Consider this case: using dataZoom toolbox, zoom and zoom.
         const safeLimit = 10000;
 
+        // LogScale borrows this method but does not support breaks.
+        const breakCtx = this.getBreakContext ? this.getBreakContext() : null;
+        const visibleBreaks = breakCtx ? breakCtx.getVisibleBreaks() : [];
+        let breakIdx = 0;
+
         if (extent[0] < niceTickExtent[0]) {
             if (expandToNicedExtent) {
                 ticks.push({
@@ -119,6 +159,15 @@ class IntervalScale<SETTING extends Dictionary<unknown> = Dictionary<unknown>> e
         let tick = niceTickExtent[0];
 
         while (tick <= niceTickExtent[1]) {
+            const brk = visibleBreaks[breakIdx];
+            if (brk && tick > brk.vmin) {
+                // Skip the ticks inside the break.
+                breakIdx++;
+                if (tick < brk.vmax) {
+                    tick = roundNumber(Math.ceil(brk.vmax / interval) * interval, intervalPrecision);
+                    continue;
+                }
+            }
             ticks.push({
                 value: tick
             });
@@ -149,7 +198,7 @@ class IntervalScale<SETTING extends Dictionary<unknown> = Dictionary<unknown>> e
             }
         }
 
-        return ticks;
+        return breakCtx ? addBreakTicks(ticks, breakCtx, extent, interval / 2) : ticks;
     }
 
     getMinorTicks(splitNumber: number): number[][] {
@@ -162,6 +211,11 @@ class IntervalScale<SETTING extends Dictionary<unknown> = Dictionary<unknown>> e
             const prevTick = ticks[i - 1];
             let count = 0;
             const minorTicksGroup = [];
+            // No minor ticks inside a break.
+            if (prevTick.break && prevTick.break.type === 'vmin') {
+                minorTicks.push([]);
+                continue;
+            }
             const interval = nextTick.value - prevTick.value;
             const minorInterval = interval / splitNumber;
 
@@ -229,6 +283,17 @@ class IntervalScale<SETTING extends Dictionary<unknown> = Dictionary<unknown>> e
             extent.reverse();
         }
 
+        // The ticks are only displayed on the ranges outside breaks.
+        const breakCtx = this.getBreakContext();
+        if (breakCtx) {
+            let dataSpan = span;
+            const visibleBreaks = breakCtx.getVisibleBreaks();
+            for (let i = 0; i < visibleBreaks.length; i++) {
+                dataSpan -= visibleBreaks[i].vmax - visibleBreaks[i].vmin;
+            }
+            dataSpan > 0 && (splitNumber = splitNumber * span / dataSpan);
+        }
+
         const result = helper.intervalScaleNiceTicks(
             extent, splitNumber, minInterval, maxInterval
         );
@@ -68,7 +68,10 @@ import {
     dateGetterName,
     minutesGetterName,
     secondsGetterName,
-    millisecondsGetterName
+    millisecondsGetterName,
+    createDate,
+    TimeGetterName,
+    TimeSetterName
 } from '../util/time';
 import * as scaleHelper from './helper';
 import IntervalScale from './Interval';
@@ -79,6 +82,7 @@ import { warn } from '../util/log';
 import { LocaleOption } from '../core/locale';
 import Model from '../model/Model';
 import { filter, map } from 'zrender/src/core/util';
+import { addBreakTicks } from './break';
 
 // FIXME 公用？
 const bisect = function (
@@ -102,6 +106,8 @@ const bisect = function (
 type TimeScaleSetting = {
     locale: Model<LocaleOption>;
     useUTC: boolean;
+    // IANA timezone, which takes precedence over `useUTC`.
+    timezone?: string;
 };
 
 class TimeScale extends IntervalScale<TimeScaleSetting> {
@@ -128,7 +134,8 @@ class TimeScale extends IntervalScale<TimeScaleSetting> {
                 getDefaultFormatPrecisionOfInterval(getPrimaryTimeUnit(this._minLevelUnit))
             ] || fullLeveledFormatter.second,
             useUTC,
-            this.getSetting('locale')
+            this.getSetting('locale'),
+            this.getSetting('timezone')
         );
     }
 
@@ -139,7 +146,7 @@ class TimeScale extends IntervalScale<TimeScaleSetting> {
     ): string {
         const isUTC = this.getSetting('useUTC');
         const lang = this.getSetting('locale');
-        return leveledFormat(tick, idx, labelFormatter, lang, isUTC);
+        return leveledFormat(tick, idx, labelFormatter, lang, isUTC, this.getSetting('timezone'));
     }
 
     /**
@@ -161,13 +168,15 @@ class TimeScale extends IntervalScale<TimeScaleSetting> {
             level: 0
         });
 
-        const useUTC = this.getSetting('useUTC');
+        const timezone = this.getSetting('timezone');
+        const useUTC = this.getSetting('useUTC') && !timezone;
 
         const innerTicks = getIntervalTicks(
             this._minLevelUnit,
             this._approxInterval,
             useUTC,
-            extent
+            extent,
+            timezone
         );
 
         ticks = ticks.concat(innerTicks);
@@ -177,6 +186,14 @@ class TimeScale extends IntervalScale<TimeScaleSetting> {
             level: 0
         });
 
+        const breakCtx = this.getBreakContext();
+        if (breakCtx) {
+            ticks = addBreakTicks(ticks, breakCtx, extent, this._approxInterval / 2);
+            for (let i = 0; i < ticks.length; i++) {
+                ticks[i].break && (ticks[i].level = 0);
+            }
+        }
+
         return ticks;
     }
 
@@ -210,7 +227,15 @@ class TimeScale extends IntervalScale<TimeScaleSetting> {
         approxTickNum = approxTickNum || 10;
 
         const extent = this._extent;
-        const span = extent[1] - extent[0];
+        let span = extent[1] - extent[0];
+        // The ticks are only displayed on the ranges outside breaks.
+        const breakCtx = this.getBreakContext();
+        if (breakCtx) {
+            const visibleBreaks = breakCtx.getVisibleBreaks();
+            for (let i = 0; i < visibleBreaks.length; i++) {
+                span -= visibleBreaks[i].vmax - visibleBreaks[i].vmin;
+            }
+        }
         this._approxInterval = span / approxTickNum;
 
         if (minInterval != null && this._approxInterval < minInterval) {
@@ -243,11 +268,11 @@ class TimeScale extends IntervalScale<TimeScaleSetting> {
     }
 
     normalize(val: number): number {
-        return scaleHelper.normalize(this.parse(val), this._extent);
+        return super.normalize(this.parse(val));
     }
 
     scale(val: number): number {
-        return scaleHelper.scale(val, this._extent);
+        return super.scale(val);
     }
 
 }
@@ -279,10 +304,11 @@ function isUnitValueSame(
     unit: PrimaryTimeUnit,
     valueA: number,
     valueB: number,
-    isUTC: boolean
+    isUTC: boolean,
+    timezone: string
 ): boolean {
-    const dateA = numberUtil.parseDate(valueA) as any;
-    const dateB = numberUtil.parseDate(valueB) as any;
+    const dateA = createDate(valueA, timezone);
+    const dateB = createDate(valueB, timezone);
 
     const isSame = (unit: PrimaryTimeUnit) => {
         return getUnitValue(dateA, unit, isUTC)
@@ -408,8 +434,8 @@ function getMillisecondsInterval(approxInterval: number) {
     return numberUtil.nice(approxInterval, true);
 }
 
-function getFirstTimestampOfUnit(date: Date, unitName: TimeUnit, isUTC: boolean) {
-    const outDate = new Date(date);
+function getFirstTimestampOfUnit(time: number, unitName: TimeUnit, isUTC: boolean, timezone: string) {
+    const outDate = createDate(time, timezone);
     switch (getPrimaryTimeUnit(unitName)) {
         case 'year':
         case 'month':
@@ -431,7 +457,9 @@ function getIntervalTicks(
     bottomUnitName: TimeUnit,
     approxInterval: number,
     isUTC: boolean,
-    extent: number[]
+    extent: number[],
+    // If specified, `isUTC` should be false.
+    timezone: string
 ): TimeScaleTick[] {
     const safeLimit = 10000;
     const unitNames = timeUnits;
@@ -446,12 +474,12 @@ function getIntervalTicks(
     function addTicksInSpan(
         interval: number,
         minTimestamp: number, maxTimestamp: number,
-        getMethodName: string,
-        setMethodName: string,
+        getMethodName: TimeGetterName,
+        setMethodName: TimeSetterName,
         isDate: boolean,
         out: InnerTimeTick[]
     ) {
-        const date = new Date(minTimestamp) as any;
+        const date = createDate(minTimestamp, timezone);
         let dateTime = minTimestamp;
         let d = date[getMethodName]();
 
@@ -484,14 +512,14 @@ function getIntervalTicks(
         const newAddedTicks: ScaleTick[] = [];
         const isFirstLevel = !lastLevelTicks.length;
 
-        if (isUnitValueSame(getPrimaryTimeUnit(unitName), extent[0], extent[1], isUTC)) {
+        if (isUnitValueSame(getPrimaryTimeUnit(unitName), extent[0], extent[1], isUTC, timezone)) {
             return;
         }
 
         if (isFirstLevel) {
             lastLevelTicks = [{
                 // TODO Optimize. Not include so may ticks.
-                value: getFirstTimestampOfUnit(new Date(extent[0]), unitName, isUTC)
+                value: getFirstTimestampOfUnit(extent[0], unitName, isUTC, timezone)
             }, {
                 value: extent[1]
             }];
@@ -505,8 +533,8 @@ function getIntervalTicks(
             }
 
             let interval: number;
-            let getterName;
-            let setterName;
+            let getterName: TimeGetterName;
+            let setterName: TimeSetterName;
             let isDate = false;
 
             switch (unitName) {
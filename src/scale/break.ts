@@ -0,0 +1,331 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+/**
+ * Axis breaks.
+ *
+ * A break collapses the data range `[vmin, vmax]` into a gap. The data
+ * range outside of breaks is kept linear, so the mapping between data
+ * value and pixel is done in two steps:
+ * + "elapse": data value -> value on a virtual linear extent, where each
+ *   break occupies only its `gap`.
+ * + normalize/scale on the virtual linear extent as usual.
+ *
+ * The values inside a break are mapped linearly into the gap, which keeps
+ * the mapping monotonic and invertible (needed by axisPointer and dataZoom).
+ */
+
+import { each, isString, map, filter } from 'zrender/src/core/util';
+import { AxisBreakOption } from '../coord/axisCommonTypes';
+import { ScaleDataValue, ScaleTick } from '../util/types';
+import { warn } from '../util/log';
+
+const DEFAULT_GAP = '2%';
+// Percent gaps should not take up the whole axis.
+const MAX_PERCENT_GAP_SUM = 0.9;
+
+export interface ParsedAxisBreak {
+    // Original options, used to identify the break in actions.
+    // There are more than one if overlapped breaks are merged.
+    breakOptions: AxisBreakOption[];
+    vmin: number;
+    vmax: number;
+    // Either the ratio of the axis length (if percent) or a data span.
+    gapParsed: {
+        type: 'percent' | 'abs';
+        val: number;
+    };
+}
+
+interface ElapsedAxisBreak {
+    parsedBreak: ParsedAxisBreak;
+    // Clipped by the scale extent.
+    vmin: number;
+    vmax: number;
+    // The span of the gap on the elapsed extent.
+    gapReal: number;
+}
+
+/**
+ * Parse `axis.breaks`. The expanded breaks are ignored unless `includeExpanded`.
+ * Overlapped breaks are merged.
+ */
+export function parseAxisBreakOption(
+    breakOptionList: AxisBreakOption[],
+    parse: (val: ScaleDataValue) => number,
+    includeExpanded?: boolean
+): ParsedAxisBreak[] {
+    const parsedList: ParsedAxisBreak[] = [];
+    each(breakOptionList, function (breakOption) {
+        if (!breakOption || (breakOption.isExpanded && !includeExpanded)) {
+            return;
+        }
+        let vmin = parse(breakOption.start);
+        let vmax = parse(breakOption.end);
+        if (isNaN(vmin) || isNaN(vmax) || vmin === vmax) {
+            if (__DEV__) {
+                warn('Invalid axis break: ' + breakOption.start + ' - ' + breakOption.end);
+            }
+            return;
+        }
+        if (vmin > vmax) {
+            const tmp = vmin;
+            vmin = vmax;
+            vmax = tmp;
+        }
+        parsedList.push({
+            breakOptions: [breakOption],
+            vmin: vmin,
+            vmax: vmax,
+            gapParsed: parseGap(breakOption.gap)
+        });
+    });
+
+    parsedList.sort(function (a, b) {
+        return a.vmin - b.vmin;
+    });
+
+    const merged: ParsedAxisBreak[] = [];
+    each(parsedList, function (parsedBreak) {
+        const last = merged[merged.length - 1];
+        if (last && parsedBreak.vmin <= last.vmax) {
+            last.vmax = Math.max(last.vmax, parsedBreak.vmax);
+            last.breakOptions.push(parsedBreak.breakOptions[0]);
+            if (parsedBreak.gapParsed.type === last.gapParsed.type) {
+                last.gapParsed.val = Math.max(last.gapParsed.val, parsedBreak.gapParsed.val);
+            }
+        }
+        else {
+            merged.push(parsedBreak);
+        }
+    });
+
+    return merged;
+}
+
+function parseGap(gap: number | string): ParsedAxisBreak['gapParsed'] {
+    if (gap == null) {
+        gap = DEFAULT_GAP;
+    }
+    if (isString(gap) && gap.match(/%$/)) {
+        return {
+            type: 'percent',
+            val: Math.max(parseFloat(gap) / 100, 0) || 0
+        };
+    }
+    return {
+        type: 'abs',
+        val: Math.max(+gap, 0) || 0
+    };
+}
+
+/**
+ * Holds the breaks of a scale, and the elapsed breaks, which are
+ * calculated lazily since the extent of a scale may be modified
+ * in place.
+ */
+export class ScaleBreakContext {
+
+    readonly breaks: ParsedAxisBreak[];
+
+    private _extent: [number, number] = [NaN, NaN];
+
+    private _elapsedBreaks: ElapsedAxisBreak[];
+
+    private _elapsedExtent: [number, number];
+
+    constructor(breaks: ParsedAxisBreak[]) {
+        this.breaks = breaks;
+    }
+
+    /**
+     * Should be called before using the other methods.
+     */
+    update(extent: [number, number]): void {
+        const cachedExtent = this._extent;
+        if (cachedExtent[0] === extent[0] && cachedExtent[1] === extent[1]) {
+            return;
+        }
+        cachedExtent[0] = extent[0];
+        cachedExtent[1] = extent[1];
+
+        const elapsedBreaks: ElapsedAxisBreak[] = [];
+        let absSpan = extent[1] - extent[0];
+        let percentSum = 0;
+
+        each(this.breaks, function (parsedBreak) {
+            const vmin = Math.max(parsedBreak.vmin, extent[0]);
+            const vmax = Math.min(parsedBreak.vmax, extent[1]);
+            if (!(vmin < vmax)) {
+                return;
+            }
+            absSpan -= vmax - vmin;
+            if (parsedBreak.gapParsed.type === 'percent') {
+                percentSum += parsedBreak.gapParsed.val;
+            }
+            else {
+                absSpan += parsedBreak.gapParsed.val;
+            }
+            elapsedBreaks.push({
+                parsedBreak: parsedBreak,
+                vmin: vmin,
+                vmax: vmax,
+                gapReal: 0
+            });
+        });
+
+        // Percent gaps are based on the whole elapsed span, that is,
+        // `elapsedSpan = absSpan + percentSum * elapsedSpan`.
+        const percentScale = percentSum > MAX_PERCENT_GAP_SUM ? MAX_PERCENT_GAP_SUM / percentSum : 1;
+        const elapsedSpan = absSpan / (1 - percentSum * percentScale);
+        each(elapsedBreaks, function (elapsedBreak) {
+            const gapParsed = elapsedBreak.parsedBreak.gapParsed;
+            elapsedBreak.gapReal = gapParsed.type === 'percent'
+                ? gapParsed.val * percentScale * elapsedSpan
+                : gapParsed.val;
+        });
+
+        this._elapsedBreaks = elapsedBreaks;
+        this._elapsedExtent = [this.elapse(extent[0]), this.elapse(extent[1])];
+    }
+
+    hasBreaks(): boolean {
+        return !!this._elapsedBreaks.length;
+    }
+
+    getElapsedExtent(): [number, number] {
+        return this._elapsedExtent;
+    }
+
+    /**
+     * The breaks that are inside the current extent, which are clipped by it.
+     */
+    getVisibleBreaks(): {vmin: number, vmax: number, parsedBreak: ParsedAxisBreak}[] {
+        return map(this._elapsedBreaks, function (elapsedBreak) {
+            return {
+                vmin: elapsedBreak.vmin,
+                vmax: elapsedBreak.vmax,
+                parsedBreak: elapsedBreak.parsedBreak
+            };
+        });
+    }
+
+    /**
+     * Whether the value is strictly inside a break.
+     */
+    isInBreak(val: number): boolean {
+        return !!filter(this._elapsedBreaks, function (elapsedBreak) {
+            return val > elapsedBreak.vmin && val < elapsedBreak.vmax;
+        }).length;
+    }
+
+    elapse(val: number): number {
+        const elapsedBreaks = this._elapsedBreaks;
+        let offset = 0;
+        for (let i = 0; i < elapsedBreaks.length; i++) {
+            const elapsedBreak = elapsedBreaks[i];
+            if (val <= elapsedBreak.vmin) {
+                break;
+            }
+            if (val < elapsedBreak.vmax) {
+                return elapsedBreak.vmin + offset
+                    + (val - elapsedBreak.vmin) / (elapsedBreak.vmax - elapsedBreak.vmin) * elapsedBreak.gapReal;
+            }
+            offset += elapsedBreak.gapReal - (elapsedBreak.vmax - elapsedBreak.vmin);
+        }
+        return val + offset;
+    }
+
+    unelapse(val: number): number {
+        const elapsedBreaks = this._elapsedBreaks;
+        let offset = 0;
+        for (let i = 0; i < elapsedBreaks.length; i++) {
+            const elapsedBreak = elapsedBreaks[i];
+            const gapStart = elapsedBreak.vmin + offset;
+            const gapEnd = gapStart + elapsedBreak.gapReal;
+            if (val <= gapStart) {
+                break;
+            }
+            if (val < gapEnd) {
+                return elapsedBreak.vmin
+                    + (val - gapStart) / elapsedBreak.gapReal * (elapsedBreak.vmax - elapsedBreak.vmin);
+            }
+            offset += elapsedBreak.gapReal - (elapsedBreak.vmax - elapsedBreak.vmin);
+        }
+        return val - offset;
+    }
+}
+
+/**
+ * Remove the ticks inside breaks (or too close to them), and add ticks
+ * on the boundaries of breaks.
+ * @param minGap Ticks closer than it to a break are removed to
+ *        avoid label overlapping.
+ */
+export function addBreakTicks<T extends ScaleTick>(
+    ticks: T[],
+    breakCtx: ScaleBreakContext,
+    extent: [number, number],
+    minGap: number
+): T[] {
+    const visibleBreaks = breakCtx.getVisibleBreaks();
+
+    const result = filter(ticks, function (tick) {
+        const val = tick.value;
+        for (let i = 0; i < visibleBreaks.length; i++) {
+            const brk = visibleBreaks[i];
+            if (val === brk.vmin || val === brk.vmax) {
+                return false;
+            }
+            // Always keep the ticks on the extent.
+            if (val !== extent[0] && val !== extent[1]
+                && val > brk.vmin - minGap && val < brk.vmax + minGap
+            ) {
+                return false;
+            }
+        }
+        return true;
+    });
+
+    each(visibleBreaks, function (brk) {
+        result.push({
+            value: brk.vmin,
+            break: {type: 'vmin', vmin: brk.vmin, vmax: brk.vmax}
+        } as T, {
+            value: brk.vmax,
+            break: {type: 'vmax', vmin: brk.vmin, vmax: brk.vmax}
+        } as T);
+    });
+
+    return result.sort(function (a, b) {
+        return a.value - b.value;
+    });
+}
+
+/**
+ * Whether two break options refer to the same break.
+ */
+export function isSameBreak(
+    breakA: Pick<AxisBreakOption, 'start' | 'end'>,
+    breakB: Pick<AxisBreakOption, 'start' | 'end'>,
+    parse: (val: ScaleDataValue) => number
+): boolean {
+    return parse(breakA.start) === parse(breakB.start)
+        && parse(breakA.end) === parse(breakB.end);
+}
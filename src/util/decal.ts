@@ -58,6 +58,11 @@ export function createOrUpdatePatternFromDecal(
     const zr = api.getZr();
     const isSVG = zr.painter.type === 'svg';
 
+    // Decal pattern can not be created without DOM in server side rendering.
+    if (isSVG && !(zr.painter as SVGPainter).createSVGElement) {
+        return null;
+    }
+
     if (decalObject.dirty) {
         decalMap.delete(decalObject);
     }
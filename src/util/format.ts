@@ -80,7 +80,8 @@ export function encodeHTML(source: string): string {
 export function makeValueReadable(
     value: unknown,
     valueType: DimensionType,
-    useUTC: boolean
+    useUTC: boolean,
+    timezone?: string
 ): string {
     const USER_READABLE_DEFUALT_TIME_PATTERN = 'yyyy-MM-dd hh:mm:ss';
 
@@ -96,7 +97,7 @@ export function makeValueReadable(
     if (isTypeTime || isValueDate) {
         const date = isTypeTime ? parseDate(value) : value;
         if (!isNaN(+date)) {
-            return timeFormat(date, USER_READABLE_DEFUALT_TIME_PATTERN, useUTC);
+            return timeFormat(date, USER_READABLE_DEFUALT_TIME_PATTERN, useUTC, null, timezone);
         }
         else if (isValueDate) {
             return '-';
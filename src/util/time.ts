@@ -23,6 +23,7 @@ import * as numberUtil from './number';
 import {TimeScaleTick} from './types';
 import { getDefaultLocaleModel, getLocaleModel, SYSTEM_LANG, LocaleOption } from '../core/locale';
 import Model from '../model/Model';
+import { warn } from './log';
 
 export const ONE_SECOND = 1000;
 export const ONE_MINUTE = ONE_SECOND * 60;
@@ -71,6 +72,195 @@ export function pad(str: string | number, len: number): string {
     return '0000'.substr(0, len - (str as string).length) + str;
 }
 
+
+const timezoneFormatters: {[timezone: string]: Intl.DateTimeFormat} = {};
+const TIMEZONE_FORMAT_REG = /(\d+)\D+(\d+)\D+(\d+)\D+(\d+)\D+(\d+)\D+(\d+)/;
+
+function getTimezoneFormatter(timezone: string): Intl.DateTimeFormat {
+    if (!timezoneFormatters.hasOwnProperty(timezone)) {
+        let formatter: Intl.DateTimeFormat = null;
+        try {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                hour12: false,
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            });
+        }
+        catch (e) {
+            if (__DEV__) {
+                warn('Timezone "' + timezone + '" is not supported. Use local time instead.');
+            }
+        }
+        timezoneFormatters[timezone] = formatter;
+    }
+    return timezoneFormatters[timezone];
+}
+
+/**
+ * Get the offset in milliseconds of the wall clock time in the IANA timezone
+ * (like `'America/Chicago'`) from UTC at the given instant.
+ */
+export function getTimezoneOffset(time: number, timezone: string): number {
+    const formatter = getTimezoneFormatter(timezone);
+    if (!formatter) {
+        return -new Date(time).getTimezoneOffset() * ONE_MINUTE;
+    }
+    // Formatted like '3/8/2020, 03:00:00'.
+    const parts = TIMEZONE_FORMAT_REG.exec(formatter.format(time));
+    const wallTime = Date.UTC(
+        +parts[3], +parts[1] - 1, +parts[2],
+        // Some implementations give '24' at midnight.
+        +parts[4] % 24, +parts[5], +parts[6]
+    );
+    return wallTime - (time - mod(time, ONE_SECOND));
+}
+
+function mod(val: number, base: number): number {
+    return (val % base + base) % base;
+}
+
+/**
+ * Convert the wall clock time (represented in UTC) in the timezone to the instant.
+ * The wall clock time skipped by DST is moved forward, and the repeated one uses the
+ * earlier instant.
+ */
+function wallTimeToTime(wallTime: number, timezone: string): number {
+    const offset1 = getTimezoneOffset(wallTime, timezone);
+    let time = wallTime - offset1;
+    const offset2 = getTimezoneOffset(time, timezone);
+    if (offset1 !== offset2) {
+        const time2 = wallTime - offset2;
+        time = getTimezoneOffset(time2, timezone) === offset2 ? time2 : Math.max(time, time2);
+    }
+    return time;
+}
+
+/**
+ * Date-like object that reads and writes the wall clock time in the IANA timezone
+ * by the same getters and setters of local time as `Date`. So it can be used
+ * wherever the getter/setter names like `fullYearGetterName(false)` are used.
+ */
+export class ZonedDate {
+
+    private _time: number;
+    // The wall clock time represented in UTC.
+    private _wall: Date;
+
+    readonly timezone: string;
+
+    constructor(time: number, timezone: string) {
+        this.timezone = timezone;
+        this._setTime(time);
+    }
+
+    private _setTime(time: number): number {
+        this._time = time;
+        this._wall = new Date(isNaN(time) ? NaN : time + getTimezoneOffset(time, this.timezone));
+        return time;
+    }
+
+    /**
+     * Sync the time after the wall clock time is modified.
+     */
+    private _syncWall(): number {
+        return this._setTime(wallTimeToTime(this._wall.getTime(), this.timezone));
+    }
+
+    getTime() {
+        return this._time;
+    }
+    valueOf() {
+        return this._time;
+    }
+
+    getFullYear() {
+        return this._wall.getUTCFullYear();
+    }
+    getMonth() {
+        return this._wall.getUTCMonth();
+    }
+    getDate() {
+        return this._wall.getUTCDate();
+    }
+    getDay() {
+        return this._wall.getUTCDay();
+    }
+    getHours() {
+        return this._wall.getUTCHours();
+    }
+    getMinutes() {
+        return this._wall.getUTCMinutes();
+    }
+    getSeconds() {
+        return this._wall.getUTCSeconds();
+    }
+    getMilliseconds() {
+        return this._wall.getUTCMilliseconds();
+    }
+
+    // Omitted params keep the current values like `Date`.
+    setFullYear(year: number, month?: number, date?: number) {
+        const wall = this._wall;
+        wall.setUTCFullYear(
+            year,
+            month == null ? wall.getUTCMonth() : month,
+            date == null ? wall.getUTCDate() : date
+        );
+        return this._syncWall();
+    }
+    setMonth(month: number, date?: number) {
+        const wall = this._wall;
+        wall.setUTCMonth(month, date == null ? wall.getUTCDate() : date);
+        return this._syncWall();
+    }
+    setDate(date: number) {
+        this._wall.setUTCDate(date);
+        return this._syncWall();
+    }
+    setHours(hours: number, min?: number, sec?: number, ms?: number) {
+        const wall = this._wall;
+        wall.setUTCHours(
+            hours,
+            min == null ? wall.getUTCMinutes() : min,
+            sec == null ? wall.getUTCSeconds() : sec,
+            ms == null ? wall.getUTCMilliseconds() : ms
+        );
+        return this._syncWall();
+    }
+    setMinutes(min: number, sec?: number, ms?: number) {
+        const wall = this._wall;
+        wall.setUTCMinutes(
+            min,
+            sec == null ? wall.getUTCSeconds() : sec,
+            ms == null ? wall.getUTCMilliseconds() : ms
+        );
+        return this._syncWall();
+    }
+    setSeconds(sec: number, ms?: number) {
+        const wall = this._wall;
+        wall.setUTCSeconds(sec, ms == null ? wall.getUTCMilliseconds() : ms);
+        return this._syncWall();
+    }
+    setMilliseconds(ms: number) {
+        this._wall.setUTCMilliseconds(ms);
+        return this._syncWall();
+    }
+}
+
+/**
+ * Create a date which can be read and written by the getter/setter names.
+ * If `timezone` is specified, the getter/setter names should be got with `isUTC: false`.
+ */
+export function createDate(value: unknown, timezone?: string): Date {
+    const date = numberUtil.parseDate(value);
+    return (timezone ? new ZonedDate(date.getTime(), timezone) : date) as Date;
+}
+
 export function getPrimaryTimeUnit(timeUnit: TimeUnit): PrimaryTimeUnit {
     switch (timeUnit) {
         case 'half-year':
@@ -108,9 +298,12 @@ export function getDefaultFormatPrecisionOfInterval(timeUnit: PrimaryTimeUnit):
 export function format(
     // Note: The result based on `isUTC` are totally different, which can not be just simply
     // substituted by the result without `isUTC`. So we make the param `isUTC` mandatory.
-    time: unknown, template: string, isUTC: boolean, lang?: string | Model<LocaleOption>
+    time: unknown, template: string, isUTC: boolean, lang?: string | Model<LocaleOption>,
+    // IANA timezone like `'America/Chicago'`, which takes precedence over `isUTC`.
+    timezone?: string
 ): string {
-    const date = numberUtil.parseDate(time);
+    const date = createDate(time, timezone);
+    isUTC = isUTC && !timezone;
     const y = date[fullYearGetterName(isUTC)]();
     const M = date[monthGetterName(isUTC)]() + 1;
     const q = Math.floor((M - 1) / 4) + 1;
@@ -161,7 +354,8 @@ export function leveledFormat(
     idx: number,
     formatter: TimeAxisLabelFormatterOption,
     lang: string | Model<LocaleOption>,
-    isUTC: boolean
+    isUTC: boolean,
+    timezone?: string
 ) {
     let template = null;
     if (typeof formatter === 'string') {
@@ -189,7 +383,7 @@ export function leveledFormat(
             )
             : defaults) as any;
 
-        const unit = getUnitFromValue(tick.value, isUTC);
+        const unit = getUnitFromValue(tick.value, isUTC, timezone);
         if (mergedFormatter[unit]) {
             template = mergedFormatter[unit];
         }
@@ -214,14 +408,16 @@ export function leveledFormat(
         }
     }
 
-    return format(new Date(tick.value), template, isUTC, lang);
+    return format(new Date(tick.value), template, isUTC, lang, timezone);
 }
 
 export function getUnitFromValue(
     value: number | string | Date,
-    isUTC: boolean
+    isUTC: boolean,
+    timezone?: string
 ): PrimaryTimeUnit {
-    const date = numberUtil.parseDate(value);
+    const date = createDate(value, timezone);
+    isUTC = isUTC && !timezone;
     const M = (date as any)[monthGetterName(isUTC)]() + 1;
     const d = (date as any)[dateGetterName(isUTC)]();
     const h = (date as any)[hoursGetterName(isUTC)]();
@@ -262,12 +458,14 @@ export function getUnitFromValue(
 export function getUnitValue(
     value: number | Date,
     unit: TimeUnit,
-    isUTC: boolean
+    isUTC: boolean,
+    timezone?: string
 ) : number {
     const date = typeof value === 'number'
-        ? numberUtil.parseDate(value)
+        ? createDate(value, timezone)
         : value;
-    unit = unit || getUnitFromValue(value, isUTC);
+    unit = unit || getUnitFromValue(value, isUTC, timezone);
+    isUTC = isUTC && !timezone;
 
     switch (unit) {
         case 'year':
@@ -348,3 +546,13 @@ export function secondsSetterName(isUTC: boolean) {
 export function millisecondsSetterName(isUTC: boolean) {
     return isUTC ? 'setUTCSeconds' : 'setSeconds';
 }
+
+export type TimeGetterName = ReturnType<
+    typeof fullYearGetterName | typeof monthGetterName | typeof dateGetterName | typeof hoursGetterName
+    | typeof minutesGetterName | typeof secondsGetterName | typeof millisecondsGetterName
+>;
+
+export type TimeSetterName = ReturnType<
+    typeof fullYearSetterName | typeof monthSetterName | typeof dateSetterName | typeof hoursSetterName
+    | typeof minutesSetterName | typeof secondsSetterName | typeof millisecondsSetterName
+>;
@@ -361,8 +361,16 @@ export type ParsedValueNumeric = number | OrdinalNumber;
 export type ScaleDataValue = ParsedValueNumeric | OrdinalRawValue | Date;
 
 export interface ScaleTick {
-    value: number
+    value: number,
+    // Only set on the ticks that are on the boundaries of an axis break.
+    break?: ScaleTickBreak
 };
+export interface ScaleTickBreak {
+    // Whether the tick is on the start or the end of the break.
+    type: 'vmin' | 'vmax',
+    vmin: number,
+    vmax: number
+}
 export interface TimeScaleTick extends ScaleTick {
     /**
      * Level information is used for label formatting.
@@ -430,6 +438,7 @@ export const SOURCE_FORMAT_ARRAY_ROWS = 'arrayRows' as const;
 export const SOURCE_FORMAT_OBJECT_ROWS = 'objectRows' as const;
 export const SOURCE_FORMAT_KEYED_COLUMNS = 'keyedColumns' as const;
 export const SOURCE_FORMAT_TYPED_ARRAY = 'typedArray' as const;
+export const SOURCE_FORMAT_COLUMNAR = 'columnar' as const;
 export const SOURCE_FORMAT_UNKNOWN = 'unknown' as const;
 
 export type SourceFormat =
@@ -438,6 +447,7 @@ export type SourceFormat =
     | typeof SOURCE_FORMAT_OBJECT_ROWS
     | typeof SOURCE_FORMAT_KEYED_COLUMNS
     | typeof SOURCE_FORMAT_TYPED_ARRAY
+    | typeof SOURCE_FORMAT_COLUMNAR
     | typeof SOURCE_FORMAT_UNKNOWN;
 
 export const SERIES_LAYOUT_BY_COLUMN = 'column' as const;
@@ -561,7 +571,8 @@ export type OptionSourceData<
     | OptionSourceDataObjectRows<VAL>
     | OptionSourceDataArrayRows<VAL>
     | OptionSourceDataKeyedColumns<VAL>
-    | OptionSourceDataTypedArray;
+    | OptionSourceDataTypedArray
+    | OptionSourceDataColumnar;
 export type OptionDataItemOriginal<
     VAL extends OptionDataValue = OptionDataValue
 > = VAL | VAL[] | OptionDataItemObject<VAL>;
@@ -576,6 +587,23 @@ export type OptionSourceDataArrayRows<VAL extends OptionDataValue = OptionDataVa
 export type OptionSourceDataKeyedColumns<VAL extends OptionDataValue = OptionDataValue> =
     Dictionary<ArrayLike<VAL>>;
 export type OptionSourceDataTypedArray = ArrayLike<number>;
+/**
+ * Columns of typed arrays or vectors, like the columns of an Apache Arrow table.
+ * The values are read without copying if possible.
+ */
+export type OptionSourceDataColumnar = Dictionary<ArrayLike<number> | ColumnarVector>;
+/**
+ * The minimal interface of a column vector, which is compatible with Apache Arrow `Vector`.
+ */
+export interface ColumnarVector {
+    readonly length: number;
+    get(index: number): OptionDataValue;
+    // Returns a typed array if the values are stored in a contiguous buffer.
+    toArray?(): ArrayLike<OptionDataValue>;
+    // Dictionary-encoded (categorical) vector, whose values are `dictionary[indices[i]]`.
+    indices?: ArrayLike<number> | ColumnarVector;
+    dictionary?: ArrayLike<OptionDataValue> | ColumnarVector;
+}
 
 // See also `model.js#getDataItemValue`.
 export type OptionDataItem =
@@ -588,6 +616,11 @@ export type OptionDataItem =
 export type OptionDataItemObject<T> = {
     id?: OptionId;
     name?: OptionName;
+    /**
+     * Id of the data item in another series that this item is morphed from/to
+     * in universal transition.
+     */
+    groupId?: OptionId;
     value?: T[] | T;
     selected?: boolean;
 };
@@ -767,12 +800,30 @@ export interface AriaLabelOption {
             }
         }
     };
+    // Describe trends, extrema, outliers and shares of each series
+    // instead of listing the data.
+    summary?: {
+        enabled?: boolean;
+        rise?: string;
+        fall?: string;
+        flat?: string;
+        peak?: string;
+        range?: string;
+        share?: string;
+        outliers?: string;
+        separator?: {
+            middle?: string;
+            end?: string;
+        }
+    };
     data?: {
         maxCount?: number;
         allData?: string;
         partialData?: string;
         withName?: string;
         withoutName?: string;
+        // Announced with the item focused by keyboard.
+        selected?: string;
         separator?: {
             middle?: string;
             end?: string;
@@ -780,6 +831,22 @@ export interface AriaLabelOption {
     }
 }
 
+export interface AriaSonifyTone {
+    // In Hz.
+    frequency: number;
+    // Start time in ms since the playing starts.
+    time: number;
+    // In ms.
+    duration: number;
+    dataIndex: number;
+    value: number;
+}
+
+/**
+ * Plays the tones and returns a function to stop playing.
+ */
+export type AriaSonifyBackend = (tones: AriaSonifyTone[]) => (() => void) | void;
+
 // Extending is for compating ECharts 4
 export interface AriaOption extends AriaLabelOption {
     mainType?: 'aria';
@@ -790,6 +857,20 @@ export interface AriaOption extends AriaLabelOption {
         show?: boolean;
         decals?: DecalObject | DecalObject[];
     };
+    keyboard?: {
+        enabled?: boolean;
+    };
+    dataTable?: {
+        show?: boolean;
+    };
+    sonify?: {
+        // Duration in ms to play the whole series.
+        duration?: number;
+        // Frequencies in Hz that the min and max values are mapped to.
+        frequencyRange?: number[];
+        // Web Audio is used by default.
+        backend?: AriaSonifyBackend;
+    };
 }
 
 export interface AriaOptionMixin {
@@ -1568,6 +1649,26 @@ export interface SeriesOption<
      */
     selectedMap?: Dictionary<boolean>
     selectedMode?: 'single' | 'multiple' | boolean
+
+    /**
+     * Default `groupId` of all the data items in this series.
+     */
+    dataGroupId?: OptionId
+
+    /**
+     * Morph the elements from the previous rendered series when updated.
+     */
+    universalTransition?: boolean | UniversalTransitionOption
+}
+
+export interface UniversalTransitionOption {
+    enabled?: boolean
+    /**
+     * How to divide the shape in one-to-many or many-to-one transition.
+     * 'split' splits rect and sector into pieces, other shapes are cloned.
+     * @default 'split'
+     */
+    divideShape?: 'split' | 'clone'
 }
 
 export interface SeriesOnCartesianOptionMixin {
@@ -1609,10 +1710,14 @@ export interface SeriesStackOptionMixin {
     stack?: string
 }
 
-type SamplingFunc = (frame: ArrayLike<number>) => number;
+/**
+ * `startIndex` and `endIndex` are the data index range of the frame.
+ */
+type SamplingFunc = (frame: ArrayLike<number>, startIndex: number, endIndex: number) => number;
 
 export interface SeriesSamplingOptionMixin {
-    sampling?: 'none' | 'average' | 'min' | 'max' | 'sum' | 'lttb' | SamplingFunc
+    // Can also be the name of a sampler registered by `echarts.registerSampler`.
+    sampling?: 'none' | 'average' | 'min' | 'max' | 'sum' | 'lttb' | 'minmax' | SamplingFunc | string
 }
 
 export interface SeriesEncodeOptionMixin {
@@ -28,6 +28,10 @@ import {Dictionary, DecalObject, InnerDecalObject, AriaOption} from '../util/typ
 import {LocaleOption} from '../core/locale';
 import { getDecalFromPalette } from '../model/mixin/palette';
 import type {TitleOption} from '../component/title/install';
+import * as numberUtil from '../util/number';
+import {addCommas} from '../util/format';
+import type Axis from '../coord/Axis';
+import type Cartesian2D from '../coord/cartesian/Cartesian2D';
 
 const DEFAULT_OPTION: AriaOption = {
     label: {
@@ -176,14 +180,27 @@ export default function ariaVisual(ecModel: GlobalModel, api: ExtensionAPI) {
                 ariaLabel = labelModel.get(['general', 'withoutTitle']);
             }
 
+            const useSummary = labelModel.get(['summary', 'enabled']);
+            // Summary sentences of all series if `useSummary`.
             const seriesLabels: string[] = [];
-            const prefix = seriesCnt > 1
-                ? labelModel.get(['series', 'multiple', 'prefix'])
-                : labelModel.get(['series', 'single', 'prefix']);
-            ariaLabel += replace(prefix, { seriesCount: seriesCnt });
+            if (useSummary) {
+                // Series are named in the summary sentences.
+                ariaLabel += labelModel.get(['summary', 'separator', 'middle']);
+            }
+            else {
+                const prefix = seriesCnt > 1
+                    ? labelModel.get(['series', 'multiple', 'prefix'])
+                    : labelModel.get(['series', 'single', 'prefix']);
+                ariaLabel += replace(prefix, { seriesCount: seriesCnt });
+            }
 
             ecModel.eachSeries(function (seriesModel, idx) {
                 if (idx < displaySeriesCnt) {
+                    if (useSummary) {
+                        seriesLabels.push.apply(seriesLabels, getSeriesSummary(seriesModel));
+                        return;
+                    }
+
                     let seriesLabel;
 
                     const seriesName = seriesModel.get('name');
@@ -232,13 +249,131 @@ export default function ariaVisual(ecModel: GlobalModel, api: ExtensionAPI) {
                 }
             });
 
-            const separatorModel = labelModel.getModel(['series', 'multiple', 'separator']);
+            const separatorModel = useSummary
+                ? labelModel.getModel(['summary', 'separator'])
+                : labelModel.getModel(['series', 'multiple', 'separator']);
             const middleSeparator = separatorModel.get('middle');
             const endSeparator = separatorModel.get('end');
             ariaLabel += seriesLabels.join(middleSeparator) + endSeparator;
 
             dom.setAttribute('aria-label', ariaLabel);
         }
+
+        function getSeriesSummary(seriesModel: SeriesModel): string[] {
+            const summaryModel = labelModel.getModel('summary');
+            const data = seriesModel.getData();
+            const seriesName = seriesModel.get('name')
+                || getSeriesTypeName(seriesModel.subType as SeriesTypes);
+
+            const coordSys = seriesModel.coordinateSystem;
+            let baseAxis: Axis;
+            let valueDim: string;
+            if (coordSys && coordSys.type === 'cartesian2d') {
+                const baseAxis2D = (coordSys as Cartesian2D).getBaseAxis();
+                baseAxis = baseAxis2D;
+                valueDim = data.mapDimension((coordSys as Cartesian2D).getOtherAxis(baseAxis2D).dim);
+            }
+            else {
+                valueDim = data.mapDimension('value') || data.getDimension(0);
+            }
+            const baseDim = baseAxis && data.mapDimension(baseAxis.dim);
+
+            const indices: number[] = [];
+            const values: number[] = [];
+            let minPos = 0;
+            let maxPos = 0;
+            data.each(valueDim, function (value: number, idx) {
+                if (value == null || isNaN(value)) {
+                    return;
+                }
+                const pos = values.push(value) - 1;
+                indices.push(idx);
+                value < values[minPos] && (minPos = pos);
+                value > values[maxPos] && (maxPos = pos);
+            });
+            if (!values.length) {
+                return [];
+            }
+
+            function getItemName(pos: number) {
+                const idx = indices[pos];
+                return data.getName(idx)
+                    || (baseAxis ? baseAxis.scale.getLabel({value: data.get(baseDim, idx) as number}) : idx + 1 + '');
+            }
+
+            const sentences: string[] = [];
+            if (baseAxis && (baseAxis.type === 'category' || baseAxis.type === 'time')) {
+                // Trend from the first to the last item along the axis.
+                let startPos = 0;
+                let endPos = 0;
+                for (let pos = 1; pos < indices.length; pos++) {
+                    const baseValue = data.get(baseDim, indices[pos]) as number;
+                    baseValue < data.get(baseDim, indices[startPos]) && (startPos = pos);
+                    baseValue > data.get(baseDim, indices[endPos]) && (endPos = pos);
+                }
+                const startValue = values[startPos];
+                const change = values[endPos] - startValue;
+                let sentence = replace(summaryModel.get(change > 0 ? 'rise' : change < 0 ? 'fall' : 'flat'), {
+                    seriesName: seriesName,
+                    change: startValue
+                        ? formatPercent(Math.abs(change / startValue))
+                        : addCommas(Math.abs(change)),
+                    start: getItemName(startPos),
+                    end: getItemName(endPos)
+                });
+                if (maxPos !== startPos && maxPos !== endPos) {
+                    sentence += replace(summaryModel.get('peak'), {
+                        value: addCommas(values[maxPos]),
+                        name: getItemName(maxPos)
+                    });
+                }
+                sentences.push(sentence);
+            }
+            else if (seriesModel.useColorPaletteOnData) {
+                // Like pie and funnel, where each item is a part of the whole.
+                let sum = 0;
+                zrUtil.each(values, function (value) {
+                    value > 0 && (sum += value);
+                });
+                sum > 0 && sentences.push(replace(summaryModel.get('share'), {
+                    seriesName: seriesName,
+                    name: getItemName(maxPos),
+                    value: addCommas(values[maxPos]),
+                    percent: formatPercent(values[maxPos] / sum)
+                }));
+            }
+            else {
+                sentences.push(replace(summaryModel.get('range'), {
+                    seriesName: seriesName,
+                    min: addCommas(values[minPos]),
+                    max: addCommas(values[maxPos])
+                }));
+            }
+
+            // Outliers out of the Tukey's fences.
+            if (values.length >= 4) {
+                const sorted = numberUtil.asc(values.slice());
+                const q1 = numberUtil.quantile(sorted, 0.25);
+                const q3 = numberUtil.quantile(sorted, 0.75);
+                const low = q1 - 1.5 * (q3 - q1);
+                const high = q3 + 1.5 * (q3 - q1);
+                const names: string[] = [];
+                zrUtil.each(values, function (value, pos) {
+                    (value < low || value > high) && names.length < maxDataCnt
+                        && names.push(getItemName(pos));
+                });
+                names.length && sentences.push(replace(summaryModel.get('outliers'), {
+                    seriesName: seriesName,
+                    names: names.join(labelModel.get(['data', 'separator', 'middle']))
+                }));
+            }
+
+            return sentences;
+        }
+    }
+
+    function formatPercent(ratio: number) {
+        return numberUtil.round(ratio * 100, 1) + '%';
     }
 
     function replace(str: string, keyValues: object) {
@@ -0,0 +1,142 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { createChart, getECModel } from '../../core/utHelper';
+import { EChartsType } from '../../../../src/echarts';
+import CartesianAxisModel from '../../../../src/coord/cartesian/AxisModel';
+
+
+describe('api/appendDataset', function () {
+
+    let chart: EChartsType;
+    beforeEach(function () {
+        chart = createChart();
+    });
+
+    afterEach(function () {
+        chart.dispose();
+    });
+
+    function getSeriesValues(seriesIndex: number, dim: string) {
+        const data = getECModel(chart).getSeriesByIndex(seriesIndex).getData();
+        return data.mapArray(dim, (val: number) => val);
+    }
+
+    it('sliding window', function () {
+        chart.setOption({
+            dataset: {
+                source: [
+                    ['time', 'value'],
+                    [1, 10],
+                    [2, 20],
+                    [3, 30]
+                ]
+            },
+            xAxis: {type: 'value', scale: true},
+            yAxis: {},
+            series: {type: 'line'}
+        });
+
+        chart.appendDataset({
+            datasetIndex: 0,
+            data: [[4, 40], [5, 50]],
+            maxLength: 3
+        });
+
+        expect(getSeriesValues(0, 'time')).toEqual([3, 4, 5]);
+        expect(getSeriesValues(0, 'value')).toEqual([30, 40, 50]);
+        // The header is kept.
+        expect(getECModel(chart).getSeriesByIndex(0).getData().getDimension(1)).toEqual('value');
+
+        const xAxisModel = getECModel(chart).getComponent('xAxis', 0) as CartesianAxisModel;
+        expect(xAxisModel.axis.scale.getExtent()[1]).toBeGreaterThanOrEqual(5);
+        expect(xAxisModel.axis.scale.getExtent()[0]).toBeGreaterThanOrEqual(3);
+    });
+
+    it('only re-create affected transforms and series', function () {
+        chart.setOption({
+            dataset: [{
+                source: [{x: 1, y: 5}, {x: 2, y: 15}]
+            }, {
+                transform: {type: 'filter', config: {dimension: 'y', '>': 10}}
+            }, {
+                source: [[1, 1]]
+            }],
+            xAxis: {type: 'value'},
+            yAxis: {},
+            series: [
+                {type: 'scatter', datasetIndex: 1},
+                {type: 'scatter', datasetIndex: 2}
+            ]
+        });
+
+        const ecModel = getECModel(chart);
+        const untouchedData = ecModel.getSeriesByIndex(1).getRawData();
+
+        chart.appendDataset({
+            datasetIndex: 0,
+            data: [{x: 3, y: 25}, {x: 4, y: 0}]
+        });
+
+        expect(getSeriesValues(0, 'x')).toEqual([2, 3]);
+        expect(ecModel.getSeriesByIndex(1).getRawData()).toBe(untouchedData);
+    });
+
+    it('keyedColumns', function () {
+        chart.setOption({
+            dataset: {
+                source: {
+                    x: [1, 2],
+                    y: [10, 20]
+                }
+            },
+            xAxis: {type: 'value'},
+            yAxis: {},
+            series: {type: 'bar'}
+        });
+
+        chart.appendDataset({
+            datasetIndex: 0,
+            data: {x: [3], y: [30]},
+            maxLength: 2
+        });
+
+        expect(getSeriesValues(0, 'x')).toEqual([2, 3]);
+        expect(getSeriesValues(0, 'y')).toEqual([20, 30]);
+    });
+
+    it('transformed dataset can not be appended', function () {
+        chart.setOption({
+            dataset: [{
+                source: [[1, 2]]
+            }, {
+                transform: {type: 'sort', config: {dimension: 0, order: 'asc'}}
+            }],
+            series: {type: 'pie', datasetIndex: 1}
+        });
+
+        expect(function () {
+            chart.appendDataset({
+                datasetIndex: 1,
+                data: [[3, 4]]
+            });
+        }).toThrow();
+    });
+
+});
@@ -0,0 +1,118 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { createChart } from '../../core/utHelper';
+import { connect, graphic, EChartsType } from '../../../../src/echarts.all';
+import { EChartsOption } from '../../../../src/export/option';
+
+
+describe('api/getConnectedSVG with dom', function () {
+
+    const option: EChartsOption = {
+        animation: false,
+        xAxis: {type: 'category', data: ['a', 'b']},
+        yAxis: {},
+        series: {
+            type: 'bar',
+            data: [1, 2],
+            itemStyle: {
+                color: new graphic.LinearGradient(0, 0, 0, 1, [
+                    {offset: 0, color: '#f00'},
+                    {offset: 1, color: '#00f'}
+                ])
+            }
+        }
+    };
+
+    let charts: EChartsType[];
+
+    function create(width: number, height: number, renderer: 'svg' | 'canvas') {
+        return createChart({width: width, height: height, opts: {renderer: renderer, width: width, height: height}});
+    }
+
+    // Elements are not laid out in jsdom.
+    function setPosition(chart: EChartsType, left: number, top: number) {
+        const width = chart.getWidth();
+        const height = chart.getHeight();
+        chart.getDom().getBoundingClientRect = function () {
+            return {
+                left: left,
+                top: top,
+                right: left + width,
+                bottom: top + height,
+                x: left,
+                y: top,
+                width: width,
+                height: height,
+                toJSON: function () {}
+            };
+        };
+    }
+
+    afterEach(function () {
+        charts.forEach(chart => chart.dispose());
+    });
+
+    it('svg charts', function () {
+        charts = [create(400, 300, 'svg'), create(200, 100, 'svg')];
+        setPosition(charts[0], 10, 20);
+        setPosition(charts[1], 410, 70);
+        charts.forEach(chart => chart.setOption(option));
+        connect(charts);
+
+        const svg = charts[1].getConnectedSVG();
+
+        expect(svg.indexOf('<svg width="600" height="300"')).toEqual(0);
+        // Offsets to the top left of the charts.
+        expect(svg).toContain('<g transform="translate(0,0)"><svg');
+        expect(svg).toContain('<g transform="translate(400,50)"><svg');
+        expect(svg.match(/<g transform="translate/g).length).toEqual(2);
+        expect(svg).toContain('width="400" height="300"');
+        expect(svg).toContain('width="200" height="100"');
+        expect(svg.match(/<linearGradient/g).length).toEqual(2);
+
+        // Ids are not duplicated and the references are kept.
+        const ids = svg.match(/ id="[^"]*"/g);
+        expect(ids.length).toEqual(4);
+        expect(ids.filter((id, idx) => ids.indexOf(id) !== idx)).toEqual([]);
+        const urls = svg.match(/url\(#[^)]*\)/g);
+        expect(urls.length).toBeGreaterThan(0);
+        urls.forEach(url => {
+            expect(ids).toContain(' id="' + url.slice(5, -1) + '"');
+        });
+    });
+
+    it('canvas chart', function () {
+        charts = [create(400, 300, 'svg'), create(200, 100, 'canvas')];
+        setPosition(charts[0], 0, 0);
+        setPosition(charts[1], 0, 300);
+        charts.forEach(chart => chart.setOption(option));
+        connect(charts);
+
+        const svg = charts[0].getConnectedSVG();
+
+        expect(svg.indexOf('<svg width="400" height="400"')).toEqual(0);
+        expect(svg).toContain('<g transform="translate(0,0)"><svg');
+        // Canvas is embedded as an image.
+        expect(svg).toContain(
+            '<g transform="translate(0,300)"><image x="0" y="0" width="200" height="100" xlink:href="data:image/png'
+        );
+    });
+
+});
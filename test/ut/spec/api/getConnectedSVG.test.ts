@@ -0,0 +1,83 @@
+/**
+ * @jest-environment node
+ */
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { init, connect, EChartsType } from '../../../../src/echarts.all';
+import { EChartsOption } from '../../../../src/export/option';
+
+
+describe('api/getConnectedSVG', function () {
+
+    const option: EChartsOption = {
+        toolbox: {
+            feature: {saveAsImage: {}}
+        },
+        xAxis: {type: 'category', data: ['a', 'b']},
+        yAxis: {},
+        series: {type: 'bar', data: [1, 2]}
+    };
+
+    let charts: EChartsType[];
+    beforeEach(function () {
+        charts = [
+            init(null, null, {renderer: 'svg', ssr: true, width: 400, height: 300}),
+            init(null, null, {renderer: 'svg', ssr: true, width: 200, height: 100})
+        ];
+    });
+
+    afterEach(function () {
+        charts.forEach(chart => chart.dispose());
+    });
+
+    it('compose connected charts', function () {
+        charts[0].setOption(option);
+        charts[1].setOption(option);
+        connect(charts);
+
+        const svg = charts[0].getConnectedSVG({
+            connectedBackgroundColor: '#eee',
+            excludeComponents: ['toolbox']
+        });
+
+        expect(svg.indexOf('<svg width="400" height="400"')).toEqual(0);
+        expect(svg).toContain('<rect width="400" height="400" x="0" y="0" fill="#eee"/>');
+        // Charts without dom are placed one below another.
+        expect(svg).toContain('<g transform="translate(0,0)"><svg width="400" height="300"');
+        expect(svg).toContain('<g transform="translate(0,300)"><svg width="200" height="100"');
+        // Ids are not duplicated.
+        expect(svg).toContain('id="' + charts[0].id + '-0"');
+        expect(svg).toContain('id="' + charts[1].id + '-0"');
+        expect(svg).not.toContain('id="ec-0"');
+
+        // Excluded components are restored after exporting.
+        const toolboxSVG = charts[0].renderToSVGString();
+        expect(charts[0].getConnectedSVG().length).toBeGreaterThan(svg.length);
+        expect(charts[0].renderToSVGString()).toEqual(toolboxSVG);
+    });
+
+    it('single chart', function () {
+        charts[1].setOption(option);
+        const svg = charts[1].getConnectedSVG();
+        expect(svg.indexOf('<svg width="200" height="100"')).toEqual(0);
+        expect(svg.match(/<g transform="translate/g).length).toEqual(1);
+    });
+
+});
@@ -0,0 +1,127 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { createChart } from '../../core/utHelper';
+import { EChartsType } from '../../../../src/echarts';
+
+
+describe('api/getDataAsTable', function () {
+
+    let chart: EChartsType;
+    beforeEach(function () {
+        chart = createChart();
+    });
+
+    afterEach(function () {
+        chart.dispose();
+    });
+
+    it('csv with dimension names', function () {
+        chart.setOption({
+            dataset: {
+                source: [
+                    ['product', 'sales'],
+                    ['Tea, green', 10],
+                    ['Coffee "latte"', 20]
+                ]
+            },
+            xAxis: {type: 'category'},
+            yAxis: {},
+            series: {type: 'bar', name: 'shop'}
+        });
+
+        expect(chart.getDataAsTable({format: 'csv'})).toEqual([
+            // The item name is not duplicated since it's from the dimension "product".
+            'series,product,sales',
+            'shop,"Tea, green",10',
+            'shop,"Coffee ""latte""",20'
+        ].join('\n'));
+    });
+
+    it('item name from dimension "name"', function () {
+        chart.setOption({
+            dataset: {
+                source: [
+                    ['name', 'value'],
+                    ['a', 1],
+                    ['b', 2]
+                ]
+            },
+            series: {type: 'pie', name: 'p'}
+        });
+
+        expect(chart.getDataAsTable({format: 'csv'})).toEqual([
+            'series,name,value',
+            'p,a,1',
+            'p,b,2'
+        ].join('\n'));
+    });
+
+    it('dimensions named like the series and name columns', function () {
+        chart.setOption({
+            xAxis: {type: 'value'},
+            yAxis: {},
+            series: {
+                type: 'scatter',
+                name: 's0',
+                dimensions: ['series', 'name'],
+                data: [{name: 'a', value: [1, 2]}]
+            }
+        });
+
+        expect(JSON.parse(chart.getDataAsTable({format: 'json'}))).toEqual([
+            {series0: 's0', name0: 'a', series: 1, name: 2}
+        ]);
+        expect(chart.getDataAsTable({format: 'csv'}).split('\n')[0]).toEqual('series0,name0,series,name');
+    });
+
+    it('only visible data', function () {
+        chart.setOption({
+            legend: {selected: {s1: false}},
+            xAxis: {type: 'value'},
+            yAxis: {},
+            dataZoom: {type: 'inside', xAxisIndex: 0, startValue: 2, endValue: 4, filterMode: 'filter'},
+            visualMap: {type: 'continuous', min: 0, max: 100, range: [0, 35], dimension: 1, seriesIndex: 0},
+            series: [
+                {type: 'scatter', name: 's0', data: [[1, 10], [2, 20], [3, 30], [4, 40]]},
+                {type: 'scatter', name: 's1', data: [[2, 5]]}
+            ]
+        });
+
+        expect(JSON.parse(chart.getDataAsTable({format: 'json'}))).toEqual([
+            {series: 's0', x: 2, y: 20},
+            {series: 's0', x: 3, y: 30}
+        ]);
+    });
+
+    it('time and tsv', function () {
+        chart.setOption({
+            useUTC: true,
+            xAxis: {type: 'time'},
+            yAxis: {},
+            series: {type: 'line', name: 'temp', data: [[Date.UTC(2020, 0, 2, 3, 4, 5), 1.5]]}
+        });
+
+        expect(chart.getDataAsTable({format: 'tsv'})).toEqual([
+            'series\tx\ty',
+            'temp\t2020-01-02 03:04:05\t1.5'
+        ].join('\n'));
+    });
+
+});
@@ -0,0 +1,74 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { createChart, getECModel } from '../../core/utHelper';
+import { EChartsType, registerSampler } from '../../../../src/echarts.all';
+
+
+describe('api/registerSampler', function () {
+
+    let chart: EChartsType;
+    beforeEach(function () {
+        chart = createChart({
+            opts: {width: 200, height: 100}
+        });
+    });
+
+    afterEach(function () {
+        chart.dispose();
+    });
+
+    const data: number[][] = [];
+    for (let i = 0; i < 2000; i++) {
+        data.push([i, i % 10]);
+    }
+
+    it('use registered sampler by name', function () {
+        const ranges: number[][] = [];
+        registerSampler('test:last', function (frame, startIndex, endIndex) {
+            ranges.push([startIndex, endIndex]);
+            return frame[frame.length - 1];
+        });
+
+        chart.setOption({
+            xAxis: {type: 'value'},
+            yAxis: {},
+            series: [{
+                type: 'line',
+                sampling: 'test:last',
+                data: data
+            }]
+        });
+
+        const seriesData = getECModel(chart).getSeriesByIndex(0).getData();
+        expect(seriesData.count()).toBeLessThan(data.length);
+        expect(ranges.length).toEqual(seriesData.count());
+        expect(ranges[0][0]).toEqual(0);
+        expect(ranges[1][0]).toEqual(ranges[0][1]);
+    });
+
+    it('can not override built-in sampler', function () {
+        expect(function () {
+            registerSampler('lttb', function (frame) {
+                return frame[0];
+            });
+        }).toThrow();
+    });
+
+});
@@ -0,0 +1,72 @@
+/**
+ * @jest-environment node
+ */
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+/**
+ * @jest-environment node
+ */
+
+import { init } from '../../../../src/echarts.all';
+
+
+describe('api/renderToSVGString in node', function () {
+
+    it('render without dom', function () {
+        expect(typeof document).toEqual('undefined');
+        expect(typeof window).toEqual('undefined');
+
+        const chart = init(null, null, {
+            renderer: 'svg',
+            ssr: true,
+            width: 400,
+            height: 300
+        });
+        chart.setOption({
+            animation: false,
+            title: {
+                text: 'A & B'
+            },
+            xAxis: {
+                type: 'category',
+                data: ['Mon', 'Tue', 'Wed']
+            },
+            yAxis: {},
+            series: [{
+                type: 'line',
+                data: [10, 20, 30]
+            }]
+        });
+        const svg = chart.renderToSVGString();
+
+        expect(chart.getDom()).toBeFalsy();
+        expect(svg.indexOf('<svg width="400" height="300"')).toEqual(0);
+        expect(svg).toContain('>A &amp; B</text>');
+        expect(svg).toContain('>Wed</text>');
+        expect(svg).toContain('<path');
+
+        chart.resize({width: 200, height: 100});
+        expect(chart.renderToSVGString().indexOf('<svg width="200" height="100"')).toEqual(0);
+
+        chart.dispose();
+        expect(chart.isDisposed()).toEqual(true);
+    });
+
+});
@@ -0,0 +1,97 @@
+/**
+ * @jest-environment node
+ */
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { init, graphic, EChartsType } from '../../../../src/echarts.all';
+import { EChartsOption } from '../../../../src/export/option';
+
+
+describe('api/renderToSVGString', function () {
+
+    const option: EChartsOption = {
+        animation: true,
+        backgroundColor: '#fff',
+        title: {
+            text: 'A & B'
+        },
+        xAxis: {
+            type: 'category',
+            data: ['Mon', 'Tue', 'Wed']
+        },
+        yAxis: {},
+        series: [{
+            type: 'bar',
+            data: [10, 20, 30],
+            itemStyle: {
+                color: new graphic.LinearGradient(0, 0, 0, 1, [
+                    { offset: 0, color: 'rgba(255, 0, 0, 0.5)' },
+                    { offset: 1, color: '#00f' }
+                ])
+            }
+        }]
+    };
+
+    let chart: EChartsType;
+    beforeEach(function () {
+        chart = init(null, null, {
+            renderer: 'svg',
+            ssr: true,
+            width: 400,
+            height: 300
+        });
+    });
+
+    afterEach(function () {
+        chart.dispose();
+    });
+
+    it('render without dom', function () {
+        chart.setOption(option);
+        const svg = chart.renderToSVGString();
+
+        expect(chart.getDom()).toBeFalsy();
+        expect(svg.indexOf('<svg width="400" height="300"')).toEqual(0);
+        expect(svg).toContain('viewBox="0 0 400 300"');
+        expect(svg).toContain('<linearGradient');
+        expect(svg).toContain('>A &amp; B</text>');
+        expect(svg).toContain('>Mon</text>');
+        expect(svg.match(/data-ec-series-index="0" data-ec-data-index="\d"/g).length).toEqual(3);
+    });
+
+    it('stable ids', function () {
+        chart.setOption(option);
+        const svg = chart.renderToSVGString({ idPrefix: 'chart' });
+
+        const chart2 = init(null, null, {
+            renderer: 'svg',
+            ssr: true,
+            width: 400,
+            height: 300
+        });
+        chart2.setOption(option);
+        expect(chart2.renderToSVGString({ idPrefix: 'chart' })).toEqual(svg);
+        chart2.dispose();
+
+        expect(svg).toContain('id="chart-0"');
+        expect(svg).not.toContain('id="ec-0"');
+    });
+
+});
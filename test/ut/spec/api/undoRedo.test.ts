@@ -0,0 +1,217 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { createChart, getECModel } from '../../core/utHelper';
+import { EChartsType } from '../../../../src/echarts';
+import LegendModel from '../../../../src/component/legend/LegendModel';
+import TimelineModel from '../../../../src/component/timeline/TimelineModel';
+import DataZoomModel from '../../../../src/component/dataZoom/DataZoomModel';
+import ContinuousModel from '../../../../src/component/visualMap/ContinuousModel';
+import BrushModel from '../../../../src/component/brush/BrushModel';
+import GraphSeriesModel from '../../../../src/chart/graph/GraphSeries';
+import View from '../../../../src/coord/View';
+import { ComponentOption } from '../../../../src/util/types';
+import { canRedoInteraction, canUndoInteraction } from '../../../../src/core/interactionHistory';
+
+
+describe('api/undoRedo', function () {
+
+    let chart: EChartsType;
+    beforeEach(function () {
+        chart = createChart();
+    });
+
+    afterEach(function () {
+        chart.dispose();
+    });
+
+    function isLegendSelected(name: string) {
+        return (getECModel(chart).getComponent('legend') as LegendModel).isSelected(name);
+    }
+
+    function getDataZoomRange() {
+        const option = (getECModel(chart).getComponent('dataZoom') as DataZoomModel).option;
+        return [option.start, option.end];
+    }
+
+    const baseOption = {
+        legend: {},
+        xAxis: {type: 'category', data: ['a', 'b', 'c']},
+        yAxis: {},
+        series: [
+            {type: 'bar', name: 's0', data: [1, 2, 3]},
+            {type: 'bar', name: 's1', data: [3, 2, 1]}
+        ]
+    };
+
+    it('legend', function () {
+        chart.setOption(baseOption);
+
+        chart.dispatchAction({type: 'legendToggleSelect', name: 's0'});
+        chart.dispatchAction({type: 'legendToggleSelect', name: 's1'});
+        expect(isLegendSelected('s0')).toEqual(false);
+        expect(isLegendSelected('s1')).toEqual(false);
+
+        chart.undo();
+        expect(isLegendSelected('s0')).toEqual(false);
+        expect(isLegendSelected('s1')).toEqual(true);
+        chart.undo();
+        expect(isLegendSelected('s0')).toEqual(true);
+        expect(canUndoInteraction(getECModel(chart))).toEqual(false);
+        // Nothing to undo.
+        chart.undo();
+        expect(isLegendSelected('s0')).toEqual(true);
+
+        chart.redo();
+        expect(isLegendSelected('s0')).toEqual(false);
+        expect(isLegendSelected('s1')).toEqual(true);
+
+        // A new interaction clears the redo history.
+        chart.dispatchAction({type: 'legendToggleSelect', name: 's0'});
+        expect(canRedoInteraction(getECModel(chart))).toEqual(false);
+        expect(getECModel(chart).getSeriesByIndex(0).getData().count()).toEqual(3);
+    });
+
+    it('merge continuous dataZoom', function () {
+        chart.setOption({
+            ...baseOption,
+            dataZoom: {type: 'inside', start: 0, end: 100}
+        });
+
+        chart.dispatchAction({type: 'dataZoom', start: 10, end: 90});
+        chart.dispatchAction({type: 'dataZoom', start: 20, end: 80});
+        expect(getDataZoomRange()).toEqual([20, 80]);
+
+        chart.undo();
+        expect(getDataZoomRange()).toEqual([0, 100]);
+        chart.redo();
+        expect(getDataZoomRange()).toEqual([20, 80]);
+    });
+
+    it('dataZoom by value', function () {
+        chart.setOption({
+            ...baseOption,
+            dataZoom: {type: 'inside', startValue: 1, endValue: 2}
+        });
+
+        chart.dispatchAction({type: 'dataZoom', start: 0, end: 50});
+        const dataZoomModel = getECModel(chart).getComponent('dataZoom') as DataZoomModel;
+        expect(dataZoomModel.getRangePropMode()).toEqual(['percent', 'percent']);
+
+        chart.undo();
+        expect(dataZoomModel.getRangePropMode()).toEqual(['value', 'value']);
+        expect([dataZoomModel.option.startValue, dataZoomModel.option.endValue]).toEqual([1, 2]);
+        expect(dataZoomModel.getPercentRange()).toEqual([50, 100]);
+
+        chart.redo();
+        expect(dataZoomModel.getRangePropMode()).toEqual(['percent', 'percent']);
+        expect(getDataZoomRange()).toEqual([0, 50]);
+    });
+
+    it('brush', function () {
+        chart.setOption({
+            ...baseOption,
+            brush: {xAxisIndex: 'all'}
+        });
+        function getBrushAreas() {
+            return (getECModel(chart).getComponent('brush') as BrushModel).areas;
+        }
+
+        chart.dispatchAction({
+            type: 'brush',
+            areas: [{brushType: 'lineX', xAxisIndex: 0, coordRange: [0, 1]}]
+        });
+        expect(getBrushAreas().length).toEqual(1);
+
+        chart.undo();
+        expect(getBrushAreas()).toEqual([]);
+        chart.redo();
+        expect(getBrushAreas().length).toEqual(1);
+        expect(getBrushAreas()[0].coordRange).toEqual([0, 1]);
+    });
+
+    it('roam', function () {
+        chart.setOption({
+            series: {
+                type: 'graph',
+                roam: true,
+                data: [{name: 'a', x: 0, y: 0}, {name: 'b', x: 100, y: 100}]
+            }
+        });
+        function getSeriesModel() {
+            return getECModel(chart).getSeriesByIndex(0) as GraphSeriesModel;
+        }
+        const center = (getSeriesModel().coordinateSystem as View).getCenter().slice();
+
+        chart.dispatchAction({type: 'graphRoam', seriesIndex: 0, zoom: 2, originX: 0, originY: 0});
+        expect(getSeriesModel().option.zoom).toEqual(2);
+
+        chart.undo();
+        expect(getSeriesModel().option.zoom).toEqual(1);
+        expect((getSeriesModel().coordinateSystem as View).getCenter()).toEqual(center);
+        chart.redo();
+        expect(getSeriesModel().option.zoom).toEqual(2);
+    });
+
+    it('different interactions', function () {
+        chart.setOption({
+            ...baseOption,
+            dataZoom: {type: 'inside', start: 0, end: 100},
+            visualMap: {type: 'continuous', min: 0, max: 10, seriesIndex: 0}
+        });
+
+        chart.dispatchAction({type: 'selectDataRange', selected: [2, 5]});
+        chart.dispatchAction({type: 'dataZoom', start: 50, end: 100});
+        chart.dispatchAction({type: 'legendToggleSelect', name: 's1'});
+
+        chart.undo();
+        chart.undo();
+        expect(isLegendSelected('s1')).toEqual(true);
+        expect(getDataZoomRange()).toEqual([0, 100]);
+        expect((getECModel(chart).getComponent('visualMap') as ContinuousModel).option.range).toEqual([2, 5]);
+
+        chart.undo();
+        expect((getECModel(chart).getComponent('visualMap') as ContinuousModel).option.range).toEqual([0, 10]);
+    });
+
+    it('timeline', function () {
+        chart.setOption({
+            baseOption: {
+                timeline: {data: ['2000', '2001', '2002'], autoPlay: false} as ComponentOption,
+                xAxis: {type: 'category', data: ['a', 'b']},
+                yAxis: {},
+                series: {type: 'bar'}
+            },
+            options: [
+                {series: {data: [1, 1]}},
+                {series: {data: [2, 2]}},
+                {series: {data: [3, 3]}}
+            ]
+        });
+
+        chart.dispatchAction({type: 'timelineChange', currentIndex: 2});
+        expect(getECModel(chart).getSeriesByIndex(0).getData().get('y', 0)).toEqual(3);
+
+        chart.undo();
+        const ecModel = getECModel(chart);
+        expect((ecModel.getComponent('timeline') as TimelineModel).getCurrentIndex()).toEqual(0);
+        expect(ecModel.getSeriesByIndex(0).getData().get('y', 0)).toEqual(1);
+    });
+
+});
@@ -0,0 +1,78 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { createChart } from '../../../core/utHelper';
+import { EChartsType } from '../../../../../src/echarts';
+
+
+describe('aria/dataTable', function () {
+
+    let chart: EChartsType;
+    beforeEach(function () {
+        chart = createChart();
+    });
+
+    afterEach(function () {
+        chart.dispose();
+    });
+
+    function getTables() {
+        return chart.getDom().querySelectorAll('table');
+    }
+
+    function getCellTexts(table: HTMLTableElement, selector: string) {
+        return Array.prototype.map.call(table.querySelectorAll(selector), (el: HTMLElement) => el.textContent);
+    }
+
+    it('sync with option', function () {
+        chart.setOption({
+            aria: {
+                enabled: true,
+                dataTable: {show: true}
+            },
+            xAxis: {type: 'category', data: ['a', 'b']},
+            yAxis: {},
+            series: [
+                {type: 'bar', name: 's0', data: [1, 2]},
+                {type: 'bar', name: 's1', data: [3, 4]},
+                {type: 'pie', name: 'p <0>', data: [{name: 'x', value: 5}], center: ['80%', '20%']}
+            ]
+        });
+
+        let tables = getTables();
+        expect(tables.length).toEqual(2);
+        expect(getCellTexts(tables[0], 'th[scope=col]')).toEqual(['s0', 's1']);
+        expect(getCellTexts(tables[0], 'th[scope=row]')).toEqual(['a', 'b']);
+        expect(getCellTexts(tables[0], 'td')).toEqual(['', '1', '3', '2', '4']);
+        expect(tables[1].querySelector('caption').textContent).toEqual('p <0>');
+        expect(getCellTexts(tables[1], 'th[scope=row]')).toEqual(['x']);
+
+        chart.setOption({
+            series: [{data: [10, 20]}]
+        });
+        tables = getTables();
+        expect(getCellTexts(tables[0], 'td')).toEqual(['', '10', '3', '20', '4']);
+
+        chart.setOption({
+            aria: {dataTable: {show: false}}
+        });
+        expect(getTables().length).toEqual(0);
+    });
+
+});
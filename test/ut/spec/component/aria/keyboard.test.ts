@@ -0,0 +1,99 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { createChart, getECModel } from '../../../core/utHelper';
+import { EChartsType } from '../../../../../src/echarts';
+
+
+describe('aria/keyboard', function () {
+
+    let chart: EChartsType;
+    beforeEach(function () {
+        chart = createChart();
+    });
+
+    afterEach(function () {
+        !chart.isDisposed() && chart.dispose();
+    });
+
+    function press(key: string) {
+        chart.getDom().dispatchEvent(new KeyboardEvent('keydown', {key: key}));
+    }
+
+    function getAnnouncement() {
+        return chart.getDom().querySelector('[aria-live]').textContent;
+    }
+
+    const option = {
+        aria: {
+            enabled: true,
+            keyboard: {enabled: true}
+        },
+        xAxis: {type: 'category', data: ['a', 'b', 'c']},
+        yAxis: {},
+        series: [
+            {type: 'bar', name: 's0', data: [1, 2, 3]},
+            {type: 'bar', name: 's1', data: [4, 5, 6], selectedMode: true}
+        ]
+    };
+
+    it('navigate and select', function () {
+        chart.setOption(option);
+        expect(chart.getDom().getAttribute('tabindex')).toEqual('0');
+
+        press('ArrowRight');
+        expect(getAnnouncement()).toEqual('s0: the data for a is 1');
+        press('ArrowRight');
+        press('ArrowDown');
+        expect(getAnnouncement()).toEqual('s1: the data for b is 5');
+        press('ArrowLeft');
+        press('ArrowLeft');
+        // Wrap around.
+        expect(getAnnouncement()).toEqual('s1: the data for c is 6');
+
+        press('Enter');
+        expect(getECModel(chart).getSeriesByIndex(1).isSelected(2)).toEqual(true);
+        expect(getAnnouncement()).toEqual('s1: the data for c is 6 (selected)');
+        press('Enter');
+        expect(getECModel(chart).getSeriesByIndex(1).isSelected(2)).toEqual(false);
+    });
+
+    it('disable', function () {
+        chart.setOption(option);
+        chart.setOption({aria: {keyboard: {enabled: false}}});
+        expect(chart.getDom().hasAttribute('tabindex')).toEqual(false);
+        expect(chart.getDom().querySelector('[aria-live]')).toEqual(null);
+    });
+
+    it('dispose', function () {
+        chart.setOption(option);
+        const dom = chart.getDom();
+        press('ArrowRight');
+        chart.dispose();
+
+        expect(dom.hasAttribute('tabindex')).toEqual(false);
+        expect(dom.querySelector('[aria-live]')).toEqual(null);
+
+        const keydown = new KeyboardEvent('keydown', {key: 'ArrowRight', cancelable: true});
+        dom.dispatchEvent(keydown);
+        // Not handled anymore.
+        expect(keydown.defaultPrevented).toEqual(false);
+    });
+
+});
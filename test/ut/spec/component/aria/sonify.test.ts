@@ -0,0 +1,117 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { createChart } from '../../../core/utHelper';
+import { EChartsType } from '../../../../../src/echarts';
+import { AriaSonifyTone } from '../../../../../src/util/types';
+
+
+describe('aria/sonify', function () {
+
+    let chart: EChartsType;
+    let played: AriaSonifyTone[][];
+    let stopCount: number;
+
+    beforeEach(function () {
+        chart = createChart();
+        played = [];
+        stopCount = 0;
+    });
+
+    afterEach(function () {
+        !chart.isDisposed() && chart.dispose();
+    });
+
+    function backend(tones: AriaSonifyTone[]) {
+        played.push(tones);
+        return function () {
+            stopCount++;
+        };
+    }
+
+    it('map value to pitch and axis to time', function () {
+        chart.setOption({
+            aria: {
+                enabled: true,
+                sonify: {
+                    duration: 1000,
+                    frequencyRange: [100, 400],
+                    backend: backend
+                }
+            },
+            xAxis: {type: 'category', data: ['a', 'b', 'c', 'd']},
+            yAxis: {min: 0, max: 40},
+            series: [
+                {type: 'line', data: [0, 20, 40, 10]},
+                {type: 'line', name: 's1', data: [1, 1, 1, 1]}
+            ]
+        });
+
+        chart.dispatchAction({type: 'sonify'});
+        expect(played.length).toEqual(1);
+
+        const tones = played[0];
+        expect(tones.map(tone => tone.dataIndex)).toEqual([0, 1, 2, 3]);
+        // Exponential mapping.
+        expect(tones[0].frequency).toBeCloseTo(100, 5);
+        expect(tones[1].frequency).toBeCloseTo(200, 5);
+        expect(tones[2].frequency).toBeCloseTo(400, 5);
+        expect(tones[0].duration).toEqual(200);
+        expect(tones[0].time).toEqual(0);
+        expect(tones[3].time).toEqual(800);
+
+        chart.dispatchAction({type: 'sonify', seriesName: 's1'});
+        // The previous one is stopped.
+        expect(stopCount).toEqual(1);
+        expect(played[1].map(tone => tone.value)).toEqual([1, 1, 1, 1]);
+
+        chart.dispatchAction({type: 'stopSonify'});
+        expect(stopCount).toEqual(2);
+    });
+
+    it('series without axis', function () {
+        chart.setOption({
+            aria: {
+                sonify: {backend: backend}
+            },
+            series: {type: 'pie', data: [3, 1, 2]}
+        });
+
+        chart.dispatchAction({type: 'sonify', seriesIndex: 0});
+        const tones = played[0];
+        expect(tones.map(tone => tone.frequency)).toEqual([880, 220, 440]);
+        // Each tone lasts 3000 / 3 * 0.8 ms by default.
+        expect(tones.map(tone => tone.time)).toEqual([0, 1100, 2200]);
+    });
+
+    it('stop on dispose', function () {
+        chart.setOption({
+            aria: {
+                sonify: {backend: backend}
+            },
+            series: {type: 'pie', data: [3, 1, 2]}
+        });
+
+        chart.dispatchAction({type: 'sonify', seriesIndex: 0});
+        expect(stopCount).toEqual(0);
+        chart.dispose();
+        expect(stopCount).toEqual(1);
+    });
+
+});
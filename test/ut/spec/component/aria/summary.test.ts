@@ -0,0 +1,95 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { createChart } from '../../../core/utHelper';
+import { EChartsType } from '../../../../../src/echarts';
+
+
+describe('aria/summary', function () {
+
+    let chart: EChartsType;
+    beforeEach(function () {
+        chart = createChart();
+    });
+
+    afterEach(function () {
+        chart.dispose();
+    });
+
+    function getAriaLabel() {
+        return chart.getZr().dom.getAttribute('aria-label');
+    }
+
+    it('trend, peak and outliers', function () {
+        chart.setOption({
+            aria: {
+                enabled: true,
+                label: {
+                    summary: {enabled: true}
+                }
+            },
+            title: {text: 'Sales'},
+            xAxis: {type: 'category', data: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun']},
+            yAxis: {},
+            series: [
+                {type: 'line', name: 'Sales', data: [100, 110, 120, 130, 150, 140]},
+                {type: 'bar', name: 'Cost', data: [10, 10, 11, 10, 100, 9]}
+            ]
+        });
+
+        expect(getAriaLabel()).toEqual(
+            'This is a chart about "Sales". '
+            + 'Sales rose 40% from Jan to Jun, peaking at 150 in May. '
+            + 'Cost fell 10% from Jan to Jun, peaking at 100 in May. '
+            + 'Cost has outliers at May. '
+        );
+    });
+
+    it('share and range', function () {
+        chart.setOption({
+            aria: {
+                enabled: true,
+                label: {
+                    summary: {enabled: true}
+                }
+            },
+            series: [{
+                type: 'pie',
+                name: 'Browser',
+                data: [
+                    {name: 'Chrome', value: 6000},
+                    {name: 'Safari', value: 3000},
+                    {name: 'Firefox', value: 1000}
+                ]
+            }, {
+                type: 'scatter',
+                data: [[1, 2000], [2, 3000]]
+            }],
+            xAxis: {},
+            yAxis: {}
+        });
+
+        expect(getAriaLabel()).toEqual(
+            'This is a chart. '
+            + 'Chrome accounts for the largest share of Browser (60%). '
+            + 'Scatter plot ranges from 2,000 to 3,000. '
+        );
+    });
+
+});
@@ -34,6 +34,38 @@ const NAME_REPEAT_PREFIX = '__ec__';
 
 describe('List', function () {
 
+    describe('Down Sampling', function () {
+
+        function createList(values: number[]) {
+            const list = new List(['x', 'y'], new Model());
+            list.initData(values.map((val, idx) => [idx, val]));
+            return list;
+        }
+
+        it('minmaxDownSample', function () {
+            const list = createList([1, 5, 3, 2, 0, 4, 6, 6, 1, 9, 7, 3]);
+            const sampled = list.minmaxDownSample('y', 1 / 2);
+            // Frames: [1, 5, 3, 2], [0, 4, 6, 6], [1, 9, 7, 3]
+            expect(sampled.mapArray('y', val => val)).toEqual([1, 5, 0, 6, 1, 9]);
+            expect(sampled.getRawIndex(3)).toEqual(6);
+        });
+
+        it('lttbDownSample keeps peaks', function () {
+            const values = [];
+            for (let i = 0; i < 100; i++) {
+                values.push(i === 42 ? 100 : i === 77 ? -100 : 0);
+            }
+            const sampled = createList(values).lttbDownSample('y', 1 / 10, 'x');
+            const sampledValues = sampled.mapArray('y', val => val);
+
+            expect(sampled.count()).toBeLessThan(20);
+            expect(sampledValues).toContain(100);
+            expect(sampledValues).toContain(-100);
+            expect(sampled.getRawIndex(0)).toEqual(0);
+            expect(sampled.getRawIndex(sampled.count() - 1)).toEqual(99);
+        });
+    });
+
     describe('Data Manipulation', function () {
 
         it('initData 1d', function () {
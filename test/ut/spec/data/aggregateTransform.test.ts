@@ -0,0 +1,173 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { EChartsType } from '../../../../src/echarts';
+import { createChart, removeChart, getECModel } from '../../core/utHelper';
+import { EChartsOption } from '../../../../src/export/option';
+
+
+describe('aggregateTransform', function () {
+
+    let chart: EChartsType;
+
+    beforeEach(function () {
+        chart = createChart({
+            width: 200,
+            height: 150
+        });
+    });
+
+    afterEach(function () {
+        removeChart(chart);
+    });
+
+    const source = [
+        ['country', 'year', 'income'],
+        ['A', 2000, 10],
+        ['B', 2000, 4],
+        ['A', 2001, 30],
+        ['A', 2002, 20],
+        ['B', 2001, null],
+        ['A', 2003, 40]
+    ];
+
+    function getSeriesRows(seriesIndex: number) {
+        const data = getECModel(chart).getSeriesByIndex(seriesIndex).getData();
+        const rows = [];
+        for (let i = 0; i < data.count(); i++) {
+            rows.push(data.getValues(i));
+        }
+        return rows;
+    }
+
+    it('groupBy', function () {
+        const option: EChartsOption = {
+            dataset: [{
+                source: source
+            }, {
+                transform: {
+                    type: 'aggregate',
+                    config: {
+                        groupBy: 'country',
+                        resultDimensions: [
+                            { from: 'country' },
+                            { from: 'income', method: 'sum' },
+                            { name: 'count', method: 'count' },
+                            { name: 'mean', from: 'income', method: 'mean' },
+                            { name: 'min', from: 'income', method: 'min' },
+                            { name: 'max', from: 'income', method: 'max' },
+                            { name: 'median', from: 'income', method: 'median' },
+                            { name: 'Q1', from: 'income', method: 'Q1' },
+                            { name: 'Q3', from: 'income', method: 'Q3' },
+                            { name: 'firstYear', from: 'year', method: 'first' }
+                        ]
+                    }
+                }
+            }],
+            xAxis: { type: 'category' },
+            yAxis: {},
+            series: {
+                type: 'bar',
+                datasetIndex: 1,
+                encode: { x: 'country', y: 'income' }
+            }
+        };
+        chart.setOption(option);
+
+        const data = getECModel(chart).getSeriesByIndex(0).getData();
+        expect(data.count()).toEqual(2);
+        expect(data.getDimensionInfo('count')).toBeTruthy();
+        expect(getSeriesRows(0)).toEqual([
+            [0, 100, 4, 25, 10, 40, 25, 17.5, 32.5, 2000],
+            [1, 4, 2, 4, 4, 4, 4, 4, 4, 2000]
+        ]);
+    });
+
+    it('without groupBy', function () {
+        chart.setOption({
+            dataset: [{
+                source: source
+            }, {
+                transform: {
+                    type: 'aggregate',
+                    config: {
+                        resultDimensions: [
+                            { name: 'total', from: 'income', method: 'sum' }
+                        ]
+                    }
+                }
+            }],
+            series: {
+                type: 'pie',
+                datasetIndex: 1
+            }
+        });
+
+        expect(getSeriesRows(0)).toEqual([[104]]);
+    });
+
+    it('min and max of large group', function () {
+        const largeSource: (string | number)[][] = [['group', 'value']];
+        const count = 250000;
+        for (let i = 0; i < count; i++) {
+            largeSource.push(['A', i % 1000 + 1]);
+        }
+        chart.setOption({
+            dataset: [{
+                source: largeSource
+            }, {
+                transform: {
+                    type: 'aggregate',
+                    config: {
+                        groupBy: 'group',
+                        resultDimensions: [
+                            { name: 'min', from: 'value', method: 'min' },
+                            { name: 'max', from: 'value', method: 'max' }
+                        ]
+                    }
+                }
+            }],
+            series: {
+                type: 'pie',
+                datasetIndex: 1
+            }
+        });
+
+        expect(getSeriesRows(0)).toEqual([[1, 1000]]);
+    });
+
+    it('unknown method', function () {
+        expect(function () {
+            chart.setOption({
+                dataset: [{
+                    source: source
+                }, {
+                    transform: {
+                        type: 'aggregate',
+                        config: {
+                            resultDimensions: [{ from: 'income', method: 'unknown' as 'sum' }]
+                        }
+                    }
+                }],
+                series: { type: 'pie', datasetIndex: 1 }
+            });
+        }).toThrowError(/unknown/);
+    });
+
+});
@@ -0,0 +1,156 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { EChartsType } from '../../../../src/echarts';
+import { createChart, removeChart, getECModel } from '../../core/utHelper';
+import List from '../../../../src/data/List';
+import Model from '../../../../src/model/Model';
+import { detectSourceFormat, createSource } from '../../../../src/data/Source';
+import { ColumnarVector, OptionDataValue, OptionSourceDataColumnar } from '../../../../src/util/types';
+import OrdinalScale from '../../../../src/scale/Ordinal';
+import CartesianAxisModel from '../../../../src/coord/cartesian/AxisModel';
+
+
+// Arrow-like vectors.
+function makeVector(values: Float64Array): ColumnarVector {
+    return {
+        length: values.length,
+        get: idx => values[idx],
+        toArray: () => values
+    };
+}
+
+function makeDictionaryVector(dictionary: string[], indices: Int32Array): ColumnarVector {
+    return {
+        length: indices.length,
+        get: idx => dictionary[indices[idx]],
+        indices: indices,
+        dictionary: dictionary
+    };
+}
+
+
+function createColumnarSource(data: OptionSourceDataColumnar) {
+    return createSource(data, {seriesLayoutBy: 'column', sourceHeader: null, dimensions: null}, null, null);
+}
+
+
+describe('columnarSource', function () {
+
+    it('detect', function () {
+        expect(detectSourceFormat({a: new Float64Array(2)})).toEqual('columnar');
+        expect(detectSourceFormat({a: makeVector(new Float64Array(2))})).toEqual('columnar');
+        expect(detectSourceFormat({a: [1, 2]})).toEqual('keyedColumns');
+    });
+
+    it('read without copying', function () {
+        const time = new Float64Array([1, 2, 3]);
+        const price = new Float64Array([10, 30, 20]);
+        const list = new List(['time', 'price'], new Model());
+        list.initData(createColumnarSource({
+            time: time,
+            price: makeVector(price)
+        }));
+
+        expect(list.count()).toEqual(3);
+        expect(list.getDataExtent('price')).toEqual([10, 30]);
+        expect(list.getValues(1)).toEqual([2, 30]);
+
+        // The storage is the column itself.
+        price[1] = 50;
+        expect(list.get('price', 1)).toEqual(50);
+    });
+
+    it('vector without typed array', function () {
+        const values: OptionDataValue[] = [5, null, 7];
+        const list = new List(['value'], new Model());
+        list.initData(createColumnarSource({
+            value: {length: 3, get: (idx: number) => values[idx]}
+        }));
+        expect(list.get('value', 0)).toEqual(5);
+        expect(list.get('value', 1)).toBeNaN();
+        expect(list.get('value', 2)).toEqual(7);
+    });
+
+    describe('chart', function () {
+
+        let chart: EChartsType;
+
+        beforeEach(function () {
+            chart = createChart({
+                width: 200,
+                height: 150
+            });
+        });
+
+        afterEach(function () {
+            removeChart(chart);
+        });
+
+        it('dictionary-encoded column', function () {
+            const indices = new Int32Array([1, 0, 1, 2]);
+            const sales = new Float64Array([10, 20, 30, 40]);
+            chart.setOption({
+                dataset: {
+                    source: {
+                        product: makeDictionaryVector(['Latte', 'Tea', 'Cocoa'], indices),
+                        sales: sales
+                    }
+                },
+                xAxis: {type: 'category'},
+                yAxis: {},
+                series: {type: 'bar'}
+            });
+
+            const ecModel = getECModel(chart);
+            const data = ecModel.getSeriesByIndex(0).getData();
+            expect(data.getDimensionInfo('product').type).toEqual('ordinal');
+            expect(data.count()).toEqual(4);
+            // The codes are used as the ordinal numbers.
+            expect(data.get('product', 0)).toEqual(1);
+            expect(data.get('sales', 3)).toEqual(40);
+            indices[0] = 2;
+            expect(data.get('product', 0)).toEqual(2);
+
+            const xAxisModel = ecModel.getComponent('xAxis', 0) as CartesianAxisModel;
+            const xScale = xAxisModel.axis.scale as OrdinalScale;
+            expect(xScale.getOrdinalMeta().categories).toEqual(['Latte', 'Tea', 'Cocoa']);
+            expect(data.getName(3)).toEqual('Cocoa');
+        });
+
+        it('categories different from dictionary', function () {
+            chart.setOption({
+                dataset: {
+                    source: {
+                        product: makeDictionaryVector(['Latte', 'Tea'], new Int32Array([1, 0])),
+                        sales: new Float64Array([10, 20])
+                    }
+                },
+                xAxis: {type: 'category', data: ['Tea', 'Latte']},
+                yAxis: {},
+                series: {type: 'bar'}
+            });
+
+            const data = getECModel(chart).getSeriesByIndex(0).getData();
+            expect(data.get('product', 0)).toEqual(0);
+            expect(data.get('product', 1)).toEqual(1);
+        });
+    });
+
+});
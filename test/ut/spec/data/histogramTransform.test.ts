@@ -0,0 +1,166 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { EChartsType } from '../../../../src/echarts';
+import { createChart, removeChart, getECModel } from '../../core/utHelper';
+import { DatasetModel } from '../../../../src/component/dataset/install';
+import DataZoomModel from '../../../../src/component/dataZoom/DataZoomModel';
+import { map } from 'zrender/src/core/util';
+
+
+describe('histogramTransform', function () {
+
+    let chart: EChartsType;
+
+    beforeEach(function () {
+        chart = createChart({
+            width: 200,
+            height: 150
+        });
+    });
+
+    afterEach(function () {
+        removeChart(chart);
+    });
+
+    function getDatasetRows(datasetIndex: number) {
+        const datasetModel = getECModel(chart).getComponent('dataset', datasetIndex) as DatasetModel;
+        return datasetModel.getSourceManager().getSource().data as number[][];
+    }
+
+    function setHistogramOption(config: object, values: unknown[]) {
+        chart.setOption({
+            dataset: [{
+                source: [['age'] as unknown[]].concat(map(values, val => [val]))
+            }, {
+                transform: {
+                    type: 'histogram',
+                    config: config
+                }
+            }],
+            xAxis: {},
+            yAxis: {},
+            dataZoom: {
+                type: 'inside'
+            },
+            series: {
+                type: 'bar',
+                datasetIndex: 1,
+                encode: {x: 'mid', y: 'count'}
+            }
+        });
+    }
+
+    it('binWidth', function () {
+        setHistogramOption({binWidth: 10}, [3, 12, 15, '-', 19, 20, 38]);
+        const datasetModel = getECModel(chart).getComponent('dataset', 1) as DatasetModel;
+        expect(datasetModel.getSourceManager().getSource().dimensionsDefine.map(dimDef => dimDef.name))
+            .toEqual(['x0', 'x1', 'count', 'density', 'mid']);
+        expect(getDatasetRows(1)).toEqual([
+            [0, 10, 1, 1 / 60, 5],
+            [10, 20, 3, 3 / 60, 15],
+            [20, 30, 1, 1 / 60, 25],
+            [30, 40, 1, 1 / 60, 35]
+        ]);
+    });
+
+    it('binCount', function () {
+        setHistogramOption({binCount: 2}, [0, 1, 2, 3, 4]);
+        expect(getDatasetRows(1)).toEqual([
+            [0, 2, 2, 0.2, 1],
+            [2, 4, 3, 0.3, 3]
+        ]);
+    });
+
+    it('methods', function () {
+        const values = [];
+        for (let i = 0; i < 100; i++) {
+            values.push(i % 10 + i / 10);
+        }
+        for (const method of ['sturges', 'scott', 'freedmanDiaconis']) {
+            setHistogramOption({method: method}, values);
+            const rows = getDatasetRows(1);
+            let total = 0;
+            let densitySum = 0;
+            for (let i = 0; i < rows.length; i++) {
+                total += rows[i][2];
+                densitySum += rows[i][3] * (rows[i][1] - rows[i][0]);
+            }
+            expect(total).toEqual(100);
+            expect(densitySum).toBeCloseTo(1, 10);
+        }
+        setHistogramOption({}, values);
+        // Sturges: ceil(log2(100) + 1) = 8
+        expect(getDatasetRows(1).length).toEqual(8);
+    });
+
+    it('rebin on dataZoom', function () {
+        const values = [];
+        for (let i = 0; i <= 100; i++) {
+            values.push(i);
+        }
+        setHistogramOption({binCount: 10, dataZoomIndex: 0}, values);
+        expect(getDatasetRows(1).length).toEqual(10);
+
+        chart.dispatchAction({
+            type: 'dataZoom',
+            startValue: 20,
+            endValue: 40
+        });
+
+        const rows = getDatasetRows(1);
+        // 10 bins in [20, 40], and two bins outside.
+        expect(rows.length).toEqual(12);
+        expect(rows[0]).toEqual([0, 20, 20, 20 / (101 * 20), 10]);
+        expect(rows[1][0]).toEqual(20);
+        expect(rows[1][1]).toBeCloseTo(22, 10);
+        expect(rows[11][0]).toBeCloseTo(40, 10);
+        expect(rows[11][1]).toEqual(100);
+
+        // The series is updated with the new bins.
+        expect(getECModel(chart).getSeriesByIndex(0).getRawData().count()).toEqual(12);
+    });
+
+    it('rebin on dataZoom by percent', function () {
+        const values = [];
+        for (let i = 0; i <= 100; i++) {
+            values.push(i);
+        }
+        setHistogramOption({binCount: 10, dataZoomIndex: 0}, values);
+        // Not affected by the listeners of users.
+        chart.off('datazoom');
+
+        chart.dispatchAction({
+            type: 'dataZoom',
+            start: 0,
+            end: 50
+        });
+
+        const rows = getDatasetRows(1);
+        // 10 bins in the range and one bin above.
+        expect(rows.length).toEqual(11);
+        expect(rows[0][0]).toEqual(0);
+        expect(rows[10][1]).toEqual(100);
+        // Still zoomed by percent.
+        const dataZoomModel = getECModel(chart).getComponent('dataZoom') as DataZoomModel;
+        expect(dataZoomModel.getRangePropMode()).toEqual(['percent', 'percent']);
+        expect(dataZoomModel.getPercentRange()).toEqual([0, 50]);
+    });
+
+});
@@ -0,0 +1,181 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { EChartsType } from '../../../../src/echarts';
+import { createChart, removeChart, getECModel } from '../../core/utHelper';
+import { EChartsOption } from '../../../../src/export/option';
+import { DatasetModel } from '../../../../src/component/dataset/install';
+
+
+describe('pivotTransform', function () {
+
+    let chart: EChartsType;
+
+    beforeEach(function () {
+        chart = createChart({
+            width: 200,
+            height: 150
+        });
+    });
+
+    afterEach(function () {
+        removeChart(chart);
+    });
+
+    const longSource = [
+        ['day', 'metric', 'value'],
+        [1, 'pv', 120],
+        [1, 'uv', 30],
+        [2, 'pv', 140],
+        [3, 'uv', 35],
+        [3, 'pv', 150],
+        [3, 'pv', 10]
+    ];
+
+    function getSeriesRows(seriesIndex: number) {
+        const data = getECModel(chart).getSeriesByIndex(seriesIndex).getData();
+        const rows = [];
+        for (let i = 0; i < data.count(); i++) {
+            rows.push(data.getValues(i));
+        }
+        return rows;
+    }
+
+    function getDatasetSource(datasetIndex: number) {
+        const datasetModel = getECModel(chart).getComponent('dataset', datasetIndex) as DatasetModel;
+        return datasetModel.getSourceManager().getSource();
+    }
+
+    it('pivot', function () {
+        const option: EChartsOption = {
+            dataset: [{
+                source: longSource
+            }, {
+                transform: {
+                    type: 'pivot',
+                    config: { index: 'day', columns: 'metric', values: 'value' }
+                }
+            }],
+            xAxis: {},
+            yAxis: {},
+            series: [{
+                type: 'line',
+                datasetIndex: 1
+            }, {
+                type: 'line',
+                datasetIndex: 1,
+                encode: { x: 'day', y: 'uv' }
+            }]
+        };
+        chart.setOption(option);
+
+        const source = getDatasetSource(1);
+        expect(source.dimensionsDefine.map(dimDef => dimDef.name)).toEqual(['day', 'pv', 'uv']);
+        // Missing cells are filled with `null`.
+        expect(source.data).toEqual([
+            [1, 120, 30],
+            [2, 140, null],
+            [3, 150, 35]
+        ]);
+        const data = getECModel(chart).getSeriesByIndex(1).getData();
+        expect(data.mapDimension('y')).toEqual('uv');
+        expect(data.get('uv', 0)).toEqual(30);
+        expect(data.get('uv', 1)).toBeNaN();
+    });
+
+    it('pivot with method', function () {
+        chart.setOption({
+            dataset: [{
+                source: longSource
+            }, {
+                transform: {
+                    type: 'pivot',
+                    config: { index: 'day', columns: 'metric', values: 'value', method: 'sum' }
+                }
+            }],
+            xAxis: {},
+            yAxis: {},
+            series: { type: 'line', datasetIndex: 1 }
+        });
+
+        expect(getSeriesRows(0)[2]).toEqual([3, 160, 35]);
+    });
+
+    it('unpivot', function () {
+        chart.setOption({
+            dataset: [{
+                source: [
+                    ['day', 'pv', 'uv'],
+                    [1, 120, 30],
+                    [2, 140, 35]
+                ]
+            }, {
+                transform: {
+                    type: 'unpivot',
+                    config: { index: 'day', keyName: 'metric', valueName: 'count' }
+                }
+            }],
+            xAxis: {},
+            yAxis: {},
+            series: {
+                type: 'scatter',
+                datasetIndex: 1,
+                encode: { x: 'day', y: 'count', itemName: 'metric' }
+            }
+        });
+
+        const data = getECModel(chart).getSeriesByIndex(0).getData();
+        expect(data.count()).toEqual(4);
+        expect(data.getName(1)).toEqual('uv');
+        expect(data.get('count', 2)).toEqual(140);
+        expect(data.get('day', 3)).toEqual(2);
+    });
+
+    it('pivot and unpivot round trip', function () {
+        chart.setOption({
+            dataset: [{
+                source: longSource.slice(0, 6)
+            }, {
+                transform: {
+                    type: 'pivot',
+                    config: { index: 'day', columns: 'metric', values: 'value' }
+                }
+            }, {
+                fromDatasetIndex: 1,
+                transform: {
+                    type: 'unpivot',
+                    config: { index: 'day', keyName: 'metric' }
+                }
+            }],
+            xAxis: {},
+            yAxis: {},
+            series: {
+                type: 'scatter',
+                datasetIndex: 2,
+                encode: { x: 'day', y: 'value', itemName: 'metric' }
+            }
+        });
+
+        const data = getECModel(chart).getSeriesByIndex(0).getData();
+        expect(data.count()).toEqual(6);
+        expect(data.getName(3)).toEqual('uv');
+        expect(data.get('value', 3)).toBeNaN();
+    });
+
+});
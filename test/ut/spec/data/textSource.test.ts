@@ -0,0 +1,159 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { EChartsType } from '../../../../src/echarts';
+import { createChart, removeChart, getECModel } from '../../core/utHelper';
+import { parseDelimitedText } from '../../../../src/data/helper/textSource';
+import { DatasetModel } from '../../../../src/component/dataset/install';
+
+
+describe('textSource', function () {
+
+    it('parseDelimitedText', function () {
+        expect(parseDelimitedText(
+            'a,b,c\r\n1,"x, ""y""",\n"multi\nline",2,3\n',
+            ',',
+            '"'
+        )).toEqual([
+            ['a', 'b', 'c'],
+            ['1', 'x, "y"', ''],
+            ['multi\nline', '2', '3']
+        ]);
+        expect(parseDelimitedText('a::b\n1::2', '::', '"')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+
+    describe('dataset', function () {
+
+        let chart: EChartsType;
+
+        beforeEach(function () {
+            chart = createChart({
+                width: 200,
+                height: 150
+            });
+        });
+
+        afterEach(function () {
+            removeChart(chart);
+        });
+
+        function getSource(datasetIndex: number) {
+            const datasetModel = getECModel(chart).getComponent('dataset', datasetIndex) as DatasetModel;
+            return datasetModel.getSourceManager().getSource();
+        }
+
+        it('csv', function () {
+            chart.setOption({
+                dataset: {
+                    source: 'product,2015,code\nMatcha Latte,43.3,001\nMilk Tea,,A02\n'
+                },
+                xAxis: {type: 'category'},
+                yAxis: {},
+                series: {type: 'bar', encode: {x: 'product', y: '2015'}}
+            });
+
+            const source = getSource(0);
+            expect(source.dimensionsDefine.map(dimDef => dimDef.name)).toEqual(['product', '2015', 'code']);
+            expect(source.startIndex).toEqual(1);
+            expect((source.data as unknown[][]).slice(1)).toEqual([
+                ['Matcha Latte', 43.3, '001'],
+                ['Milk Tea', null, 'A02']
+            ]);
+
+            const data = getECModel(chart).getSeriesByIndex(0).getData();
+            expect(data.get('2015', 0)).toEqual(43.3);
+        });
+
+        it('tsv without header', function () {
+            chart.setOption({
+                dataset: {
+                    source: '1\t2\n3\t4',
+                    sourceFormat: 'tsv'
+                },
+                xAxis: {},
+                yAxis: {},
+                series: {type: 'scatter'}
+            });
+
+            const source = getSource(0);
+            expect(source.startIndex).toEqual(0);
+            expect(source.data).toEqual([[1, 2], [3, 4]]);
+        });
+
+        it('custom delimiter and seriesLayoutBy row', function () {
+            chart.setOption({
+                dataset: {
+                    source: 'product;2015;2016\nLatte;1;2',
+                    delimiter: ';',
+                    seriesLayoutBy: 'row'
+                },
+                xAxis: {type: 'category'},
+                yAxis: {},
+                series: {type: 'bar', seriesLayoutBy: 'row'}
+            });
+
+            // The first column is the header, and each row is a dimension.
+            expect(getSource(0).data).toEqual([['product', 2015, 2016], ['Latte', 1, 2]]);
+            const data = getECModel(chart).getSeriesByIndex(0).getData();
+            expect(data.count()).toEqual(2);
+        });
+
+        it('jsonLines', function () {
+            chart.setOption({
+                dataset: {
+                    source: '{"product": "Latte", "sales": 43.3}\n\n{"product": "Tea", "sales": 83.1}\n',
+                    sourceFormat: 'jsonLines',
+                    dimensions: ['product', 'sales']
+                },
+                xAxis: {type: 'category'},
+                yAxis: {},
+                series: {type: 'bar'}
+            });
+
+            const data = getECModel(chart).getSeriesByIndex(0).getData();
+            expect(data.count()).toEqual(2);
+            expect(data.get('sales', 1)).toEqual(83.1);
+        });
+
+        it('invalid jsonLines', function () {
+            expect(function () {
+                chart.setOption({
+                    dataset: {
+                        source: '{"a": 1}\n{"a": ',
+                        sourceFormat: 'jsonLines'
+                    },
+                    series: {type: 'pie'}
+                });
+            }).toThrowError(/line 2/);
+        });
+
+        it('mixed jsonLines', function () {
+            expect(function () {
+                chart.setOption({
+                    dataset: {
+                        source: '{"a": 1}\n[2]',
+                        sourceFormat: 'jsonLines'
+                    },
+                    series: {type: 'pie'}
+                });
+            }).toThrowError(/mixed/);
+        });
+    });
+
+});
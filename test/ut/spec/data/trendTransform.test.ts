@@ -0,0 +1,175 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { EChartsType } from '../../../../src/echarts';
+import { createChart, removeChart, getECModel } from '../../core/utHelper';
+import { DatasetModel } from '../../../../src/component/dataset/install';
+
+
+describe('trendTransform', function () {
+
+    let chart: EChartsType;
+
+    beforeEach(function () {
+        chart = createChart({
+            width: 200,
+            height: 150
+        });
+    });
+
+    afterEach(function () {
+        removeChart(chart);
+    });
+
+    function getTransformedSource(source: unknown[][], transform: unknown) {
+        chart.setOption({
+            dataset: [{
+                source: source
+            }, {
+                transform: transform
+            }],
+            xAxis: {},
+            yAxis: {},
+            series: {
+                type: 'line',
+                datasetIndex: 1
+            }
+        });
+        const datasetModel = getECModel(chart).getComponent('dataset', 1) as DatasetModel;
+        const result = datasetModel.getSourceManager().getSource();
+        return {
+            dimensions: result.dimensionsDefine.map(dimDef => dimDef.name),
+            data: result.data as number[][]
+        };
+    }
+
+    function expectRowsCloseTo(actual: number[][], expected: number[][]) {
+        expect(actual.length).toEqual(expected.length);
+        for (let i = 0; i < expected.length; i++) {
+            for (let j = 0; j < expected[i].length; j++) {
+                if (expected[i][j] == null) {
+                    expect(actual[i][j]).toEqual(null);
+                }
+                else {
+                    expect(actual[i][j]).toBeCloseTo(expected[i][j], 6);
+                }
+            }
+        }
+    }
+
+    describe('regression', function () {
+
+        it('linear', function () {
+            const result = getTransformedSource(
+                [['x', 'y'], [3, 7], [1, 3], [2, 5], [2, 5], ['-', 1]],
+                {type: 'regression', config: {method: 'linear', dimensions: ['x', 'y']}}
+            );
+            expect(result.dimensions).toEqual(['x', 'y']);
+            expectRowsCloseTo(result.data, [[1, 3], [2, 5], [3, 7]]);
+        });
+
+        it('exponential', function () {
+            const points: number[][] = [];
+            for (let x = 0; x < 5; x++) {
+                points.push([x, 2 * Math.exp(0.5 * x)]);
+            }
+            const result = getTransformedSource(
+                [['x', 'y'] as unknown[]].concat(points),
+                {type: 'regression', config: {method: 'exponential'}}
+            );
+            expectRowsCloseTo(result.data, points);
+        });
+
+        it('logarithmic', function () {
+            const points: number[][] = [];
+            for (let x = 1; x < 6; x++) {
+                points.push([x, 1 + 3 * Math.log(x)]);
+            }
+            const result = getTransformedSource(
+                [['x', 'y'] as unknown[]].concat(points),
+                {type: 'regression', config: {method: 'logarithmic'}}
+            );
+            expectRowsCloseTo(result.data, points);
+        });
+
+        it('polynomial', function () {
+            const points: number[][] = [];
+            for (let x = -3; x < 4; x++) {
+                points.push([x, 1 - 2 * x + 0.5 * x * x * x]);
+            }
+            const result = getTransformedSource(
+                [['x', 'y'] as unknown[]].concat(points),
+                {type: 'regression', config: {method: 'polynomial', order: 3}}
+            );
+            expectRowsCloseTo(result.data, points);
+        });
+
+        it('polynomial on timestamps', function () {
+            const day = 24 * 3600 * 1000;
+            const start = Date.UTC(2021, 0, 1);
+            const points: number[][] = [];
+            for (let i = 0; i < 30; i++) {
+                points.push([start + i * day, 3 + 2 * i + 0.5 * i * i]);
+            }
+            const result = getTransformedSource(
+                [['x', 'y'] as unknown[]].concat(points),
+                {type: 'regression', config: {method: 'polynomial', order: 2}}
+            );
+            expectRowsCloseTo(result.data, points);
+        });
+    });
+
+    describe('movingAverage', function () {
+
+        const source = [['day', 'price'], [1, 10], [2, 20], [3, null], [4, 30], [5, 40]];
+
+        it('simple', function () {
+            const result = getTransformedSource(
+                source,
+                {type: 'movingAverage', config: {dimension: 'price', window: 2, name: 'MA2'}}
+            );
+            expect(result.dimensions).toEqual(['day', 'price', 'MA2']);
+            expectRowsCloseTo(result.data, [
+                [1, 10, null], [2, 20, 15], [3, null, null], [4, 30, 25], [5, 40, 35]
+            ]);
+        });
+
+        it('exponential', function () {
+            const result = getTransformedSource(
+                source,
+                {type: 'movingAverage', config: {dimension: 'price', method: 'exponential', window: 3}}
+            );
+            expect(result.dimensions).toEqual(['day', 'price', 'movingAverage']);
+            // alpha is 0.5
+            expectRowsCloseTo(result.data, [
+                [1, 10, 10], [2, 20, 15], [3, null, null], [4, 30, 22.5], [5, 40, 31.25]
+            ]);
+        });
+    });
+
+    it('cumulative', function () {
+        const result = getTransformedSource(
+            [['day', 'sales'], [1, 10], [2, '-'], [3, 5]],
+            {type: 'cumulative', config: {dimension: 1}}
+        );
+        expect(result.dimensions).toEqual(['day', 'sales', 'cumulative']);
+        expect(result.data).toEqual([[1, 10, 10], [2, '-', 10], [3, 5, 15]]);
+    });
+
+});
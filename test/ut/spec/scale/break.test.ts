@@ -0,0 +1,222 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { createChart, getECModel } from '../../core/utHelper';
+import { EChartsType } from '../../../../src/echarts';
+import CartesianAxisModel from '../../../../src/coord/cartesian/AxisModel';
+import IntervalScale from '../../../../src/scale/Interval';
+import TimeScale from '../../../../src/scale/Time';
+import DataZoomModel from '../../../../src/component/dataZoom/DataZoomModel';
+
+
+describe('scale_break', function () {
+
+    describe('interval', function () {
+
+        function createScale(): IntervalScale {
+            const scale = new IntervalScale();
+            scale.setExtent(0, 1000);
+            scale.setBreaksFromOption([{start: 200, end: 800, gap: 100}]);
+            scale.niceTicks(5);
+            return scale;
+        }
+
+        it('normalize', function () {
+            const scale = createScale();
+            // The elapsed extent is [0, 500].
+            expect(scale.normalize(100)).toBeCloseTo(0.2, 10);
+            expect(scale.normalize(200)).toBeCloseTo(0.4, 10);
+            expect(scale.normalize(500)).toBeCloseTo(0.5, 10);
+            expect(scale.normalize(800)).toBeCloseTo(0.6, 10);
+            expect(scale.normalize(1000)).toBeCloseTo(1, 10);
+
+            for (const val of [0, 150, 200, 650, 800, 999]) {
+                expect(scale.scale(scale.normalize(val))).toBeCloseTo(val, 8);
+            }
+        });
+
+        it('ticks', function () {
+            const scale = createScale();
+            const ticks = scale.getTicks();
+            const values = ticks.map(tick => tick.value);
+
+            expect(values.filter(val => val > 200 && val < 800)).toEqual([]);
+            expect(ticks.filter(tick => tick.break).map(tick => [tick.value, tick.break.type]))
+                .toEqual([[200, 'vmin'], [800, 'vmax']]);
+            expect(values[0]).toEqual(0);
+            expect(values[values.length - 1]).toEqual(1000);
+        });
+
+        it('expanded', function () {
+            const scale = new IntervalScale();
+            scale.setExtent(0, 1000);
+            scale.setBreaksFromOption([{start: 200, end: 800, isExpanded: true}]);
+            expect(scale.getBreakContext()).toEqual(null);
+            expect(scale.normalize(500)).toEqual(0.5);
+        });
+    });
+
+    describe('axis', function () {
+
+        let chart: EChartsType;
+        beforeEach(function () {
+            chart = createChart();
+        });
+
+        afterEach(function () {
+            chart.dispose();
+        });
+
+        function getYAxisModel() {
+            return getECModel(chart).getComponent('yAxis', 0) as CartesianAxisModel;
+        }
+
+        function getYScale() {
+            return getYAxisModel().axis.scale as IntervalScale;
+        }
+
+        it('expand and collapse', function () {
+            chart.setOption({
+                xAxis: {type: 'category', data: ['a', 'b', 'c']},
+                yAxis: {
+                    breaks: [{start: 100, end: 900}]
+                },
+                series: [{type: 'bar', data: [10, 50, 1000]}]
+            });
+
+            expect(getYScale().getBreakContext()).toBeTruthy();
+
+            chart.dispatchAction({
+                type: 'expandAxisBreak',
+                yAxisIndex: 0,
+                breaks: [{start: 100, end: 900}]
+            });
+            expect(getYScale().getBreakContext()).toEqual(null);
+            expect(getYAxisModel().option.breaks[0].isExpanded).toEqual(true);
+
+            chart.dispatchAction({
+                type: 'collapseAxisBreak',
+                yAxisIndex: 0,
+                breaks: [{start: 100, end: 900}]
+            });
+            expect(getYScale().getBreakContext()).toBeTruthy();
+        });
+
+        it('merged breaks', function () {
+            chart.setOption({
+                xAxis: {type: 'category', data: ['a', 'b', 'c']},
+                yAxis: {
+                    breaks: [{start: 100, end: 500}, {start: 400, end: 900}]
+                },
+                series: [{type: 'bar', data: [10, 50, 1000]}]
+            });
+
+            const breaks = getYScale().getBreakContext().breaks;
+            expect(breaks.length).toEqual(1);
+            expect([breaks[0].vmin, breaks[0].vmax]).toEqual([100, 900]);
+            expect(breaks[0].breakOptions.length).toEqual(2);
+
+            // Specified by one of the source breaks.
+            chart.dispatchAction({
+                type: 'expandAxisBreak',
+                yAxisIndex: 0,
+                breaks: [{start: 400, end: 900}]
+            });
+            expect(getYScale().getBreakContext()).toEqual(null);
+            expect(getYAxisModel().option.breaks.map(brk => brk.isExpanded)).toEqual([true, true]);
+
+            // Specified by the merged range.
+            chart.dispatchAction({
+                type: 'collapseAxisBreak',
+                yAxisIndex: 0,
+                breaks: [{start: 100, end: 900}]
+            });
+            expect(getYAxisModel().option.breaks.map(brk => brk.isExpanded)).toEqual([false, false]);
+            expect(getYScale().getBreakContext().breaks.length).toEqual(1);
+        });
+
+        it('time axis', function () {
+            const day = 24 * 3600 * 1000;
+            const start = Date.UTC(2021, 0, 1);
+            const data = [];
+            for (let i = 0; i <= 30; i++) {
+                // No data on the 10th to 20th days.
+                (i < 10 || i > 20) && data.push([start + i * day, i]);
+            }
+            chart.setOption({
+                useUTC: true,
+                xAxis: {
+                    type: 'time',
+                    breaks: [{start: start + 10 * day, end: start + 20 * day, gap: 0}]
+                },
+                yAxis: {},
+                series: [{type: 'line', data: data}]
+            });
+
+            const xAxisModel = getECModel(chart).getComponent('xAxis', 0) as CartesianAxisModel;
+            const scale = xAxisModel.axis.scale as TimeScale;
+            const breaks = scale.getBreakContext().breaks;
+            expect(breaks.length).toEqual(1);
+            expect([breaks[0].vmin, breaks[0].vmax]).toEqual([start + 10 * day, start + 20 * day]);
+
+            // The break takes no space.
+            expect(scale.normalize(start + 10 * day)).toBeCloseTo(scale.normalize(start + 20 * day), 10);
+            expect(scale.normalize(start + 5 * day)).toBeCloseTo(0.25, 10);
+
+            const ticks = scale.getTicks();
+            expect(ticks.filter(tick => tick.value > start + 10 * day && tick.value < start + 20 * day))
+                .toEqual([]);
+            expect(ticks.filter(tick => tick.break).map(tick => tick.value))
+                .toEqual([start + 10 * day, start + 20 * day]);
+        });
+
+        it('dataZoom', function () {
+            chart.setOption({
+                xAxis: {
+                    breaks: [{start: 200, end: 800, gap: 100}]
+                },
+                yAxis: {},
+                dataZoom: [{
+                    type: 'inside',
+                    start: 0,
+                    end: 50
+                }],
+                series: [{type: 'line', data: [[0, 1], [100, 2], [900, 3], [1000, 4]]}]
+            });
+
+            function getAxisProxy() {
+                const dataZoomModel = getECModel(chart).getComponent('dataZoom', 0) as DataZoomModel;
+                return dataZoomModel.getAxisProxy('x', 0);
+            }
+
+            // The elapsed extent is [0, 500], and the gap is [200, 300].
+            expect(getAxisProxy().getDataValueWindow()).toEqual([0, 500]);
+
+            chart.dispatchAction({
+                type: 'dataZoom',
+                startValue: 800,
+                endValue: 1000
+            });
+            const percentWindow = getAxisProxy().getDataPercentWindow();
+            expect(percentWindow[0]).toBeCloseTo(60, 10);
+            expect(percentWindow[1]).toBeCloseTo(100, 10);
+        });
+    });
+
+});
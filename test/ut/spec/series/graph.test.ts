@@ -0,0 +1,460 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { EChartsType } from '../../../../src/echarts';
+import { createChart, getECModel } from '../../core/utHelper';
+import GraphSeriesModel, { GraphSeriesOption } from '../../../../src/chart/graph/GraphSeries';
+import RoutedLine from '../../../../src/chart/helper/RoutedLine';
+import Line from '../../../../src/chart/helper/Line';
+import { getECData } from '../../../../src/util/innerStore';
+import {
+    createSyncForceExecutor,
+    createWorkerForceExecutor,
+    installForceWorker,
+    ForceLayoutExecutor,
+    ForceSimulationInput,
+    ForceWorkerLike
+} from '../../../../src/chart/graph/forceExecutor';
+import { HOVER_STATE_BLUR, HOVER_STATE_EMPHASIS } from '../../../../src/util/states';
+import { ECElement } from '../../../../src/util/types';
+import Element from 'zrender/src/Element';
+import * as graphic from '../../../../src/util/graphic';
+
+
+describe('graph_series', function () {
+
+    let chart: EChartsType;
+    beforeEach(function () {
+        chart = createChart();
+    });
+
+    afterEach(function () {
+        chart.dispose();
+    });
+
+    const nodes = [
+        {name: 'a1', x: 0, y: 0},
+        {name: 'a2', x: 100, y: 0},
+        {name: 'b1', x: 0, y: 10},
+        {name: 'b2', x: 100, y: 10},
+        {name: 'c1', x: 200, y: 0},
+        {name: 'c2', x: 200, y: 100}
+    ];
+    const links = [
+        {source: 'a1', target: 'a2'},
+        // Opposite direction.
+        {source: 'b2', target: 'b1'},
+        {source: 'c1', target: 'c2'}
+    ];
+
+    function getSeriesModel() {
+        return getECModel(chart).getSeriesByIndex(0) as GraphSeriesModel;
+    }
+
+    it('edgeBundling', function () {
+        chart.setOption({
+            series: {
+                type: 'graph',
+                animation: false,
+                data: nodes,
+                links: links,
+                emphasis: {focus: 'adjacency'},
+                edgeBundling: {enabled: true}
+            }
+        });
+
+        const graph = getSeriesModel().getGraph();
+        const layouts = [0, 1, 2].map(idx => graph.getEdgeByIndex(idx).getLayout() as number[][]);
+
+        // Polyline with the subdivision points of the last cycle.
+        expect(layouts[0].length).toEqual(34);
+        expect(layouts[0][0]).toEqual([0, 0]);
+        expect(layouts[0][33]).toEqual([100, 0]);
+        expect(layouts[1][0]).toEqual([100, 10]);
+
+        // Parallel edges are attracted to each other.
+        expect(layouts[0][16][1]).toBeGreaterThan(2);
+        expect(Math.abs(layouts[1][17][1] - layouts[0][16][1])).toBeLessThan(1);
+        // Incompatible edge is kept straight.
+        layouts[2].forEach(function (point) {
+            expect(point[0]).toBeCloseTo(200, 5);
+        });
+
+        const getEdgeEl = (idx: number) => graph.getEdgeByIndex(idx).getGraphicEl() as RoutedLine;
+        const el = getEdgeEl(0);
+        expect(el instanceof RoutedLine).toEqual(true);
+        expect(getECData(el).focus).toEqual({edge: [0], node: [0, 1]});
+
+        // Hover the bundled edge.
+        chart.getZr().trigger('mouseover', {target: el.childAt(0)});
+        const getHoverState = (el: Element) => (el as ECElement).hoverState;
+        expect(getHoverState(el.childAt(0))).toEqual(HOVER_STATE_EMPHASIS);
+        expect(getHoverState(getEdgeEl(1).childAt(0))).toEqual(HOVER_STATE_BLUR);
+        expect(getHoverState(graph.getNodeByIndex(0).getGraphicEl())).not.toEqual(HOVER_STATE_BLUR);
+        expect(getHoverState(graph.getNodeByIndex(2).getGraphicEl())).toEqual(HOVER_STATE_BLUR);
+
+        chart.setOption({
+            series: {
+                edgeBundling: {enabled: false}
+            }
+        });
+        const edge = getSeriesModel().getGraph().getEdgeByIndex(0);
+        expect(edge.getLayout().length).toEqual(2);
+        expect(edge.getGraphicEl() instanceof Line).toEqual(true);
+    });
+
+    it('edgeBundling in circular layout', function () {
+        chart.setOption({
+            series: {
+                type: 'graph',
+                layout: 'circular',
+                animation: false,
+                data: [{name: 'a'}, {name: 'b'}, {name: 'c'}, {name: 'd'}],
+                links: [{source: 'a', target: 'c'}, {source: 'b', target: 'd'}],
+                edgeBundling: {enabled: true}
+            }
+        });
+        const graph = getSeriesModel().getGraph();
+        graph.eachEdge(function (edge) {
+            const points = edge.getLayout() as number[][];
+            expect(points[0]).toEqual(edge.node1.getLayout());
+            expect(points[points.length - 1]).toEqual(edge.node2.getLayout());
+        });
+    });
+
+    describe('layered layout', function () {
+
+        function getLayouts(option: GraphSeriesOption) {
+            chart.setOption({
+                series: Object.assign({
+                    type: 'graph',
+                    layout: 'layered',
+                    animation: false,
+                    symbolSize: 10
+                }, option)
+            }, true);
+            const graph = getSeriesModel().getGraph();
+            const layouts: Record<string, number[]> = {};
+            graph.eachNode(function (node) {
+                layouts[node.id] = node.getLayout();
+            });
+            return {
+                nodes: layouts,
+                edges: graph.edges.map(edge => edge.getLayout() as number[][])
+            };
+        }
+
+        const dag = {
+            data: ['a', 'b', 'c', 'd'].map(name => ({name: name})),
+            links: [
+                {source: 'a', target: 'b'},
+                {source: 'a', target: 'c'},
+                {source: 'b', target: 'd'},
+                {source: 'c', target: 'd'},
+                {source: 'a', target: 'd'}
+            ],
+            layered: {nodeSep: 20, rankSep: 50}
+        };
+
+        it('ranks', function () {
+            const {nodes, edges} = getLayouts(dag);
+            expect(nodes.b[1] - nodes.a[1]).toEqual(60);
+            expect(nodes.d[1] - nodes.b[1]).toEqual(60);
+            expect(nodes.c[1]).toEqual(nodes.b[1]);
+            expect(Math.abs(nodes.c[0] - nodes.b[0])).toBeGreaterThanOrEqual(30);
+            // Centered in the view.
+            expect(nodes.a[1] - 5 + nodes.d[1] + 5).toEqual(chart.getHeight());
+
+            // From the border of the source to the border of the target.
+            const ab = edges[0];
+            expect(ab[0]).toEqual([nodes.a[0], nodes.a[1] + 5]);
+            expect(ab[ab.length - 1]).toEqual([nodes.b[0], nodes.b[1] - 5]);
+            // Long edge passes the middle rank without hitting the nodes.
+            const ad = edges[4];
+            const middle = ad.filter(point => point[1] === nodes.b[1]);
+            expect(middle.length).toEqual(1);
+            expect(Math.abs(middle[0][0] - nodes.b[0])).toBeGreaterThan(5);
+            expect(Math.abs(middle[0][0] - nodes.c[0])).toBeGreaterThan(5);
+        });
+
+        it('rankdir and orthogonal edges', function () {
+            const {nodes, edges} = getLayouts(Object.assign({}, dag, {
+                layered: {rankdir: 'RL', rankSep: 50, edgeRouting: 'orthogonal'}
+            }));
+            expect(nodes.a[0] - nodes.b[0]).toEqual(60);
+            expect(nodes.b[0]).toEqual(nodes.c[0]);
+            edges.forEach(function (points) {
+                for (let i = 1; i < points.length; i++) {
+                    expect(
+                        points[i][0] === points[i - 1][0] || points[i][1] === points[i - 1][1]
+                    ).toEqual(true);
+                }
+            });
+        });
+
+        it('crossing minimization', function () {
+            const {nodes} = getLayouts({
+                data: ['a1', 'a2', 'b1', 'b2'].map(name => ({name: name})),
+                links: [
+                    {source: 'a1', target: 'b2'},
+                    {source: 'a2', target: 'b1'}
+                ]
+            });
+            expect(nodes.a1[0] < nodes.a2[0]).toEqual(nodes.b2[0] < nodes.b1[0]);
+        });
+
+        it('cycles', function () {
+            const {nodes, edges} = getLayouts({
+                layout: 'dagre',
+                data: ['a', 'b', 'c'].map(name => ({name: name})),
+                links: [
+                    {source: 'a', target: 'b'},
+                    {source: 'b', target: 'c'},
+                    {source: 'c', target: 'a'},
+                    {source: 'c', target: 'c'}
+                ]
+            });
+            expect(nodes.a[1] < nodes.b[1] && nodes.b[1] < nodes.c[1]).toEqual(true);
+            // Reversed edge still starts from its source.
+            const ca = edges[2];
+            expect(ca[0]).toEqual([nodes.c[0], nodes.c[1] - 5]);
+            expect(ca[ca.length - 1]).toEqual([nodes.a[0], nodes.a[1] + 5]);
+        });
+
+        it('fit the view', function () {
+            const data = [{name: 'root'}];
+            const links = [];
+            for (let i = 0; i < 100; i++) {
+                data.push({name: 'n' + i});
+                links.push({source: 'root', target: 'n' + i});
+            }
+            const {nodes, edges} = getLayouts({data: data, links: links});
+            for (const name in nodes) {
+                expect(nodes[name][0]).toBeGreaterThanOrEqual(0);
+                expect(nodes[name][0]).toBeLessThanOrEqual(chart.getWidth());
+            }
+            // The symbols are not scaled.
+            const edge = edges[99];
+            expect(edge[0]).toEqual([nodes.root[0], nodes.root[1] + 5]);
+            expect(edge[edge.length - 1][1]).toBeCloseTo(nodes.n99[1] - 5, 10);
+        });
+
+        it('edge symbols and labels', function () {
+            const {edges} = getLayouts(Object.assign({}, dag, {
+                edgeSymbol: ['none', 'arrow'],
+                edgeLabel: {show: true, formatter: 'edge'}
+            }));
+            chart.getZr().refreshImmediately();
+
+            const el = getSeriesModel().getGraph().getEdgeByIndex(4).getGraphicEl() as RoutedLine;
+            expect(el instanceof RoutedLine).toEqual(true);
+            expect(el.childOfName('fromSymbol')).toBeFalsy();
+            const arrow = el.childOfName('toSymbol');
+            const ad = edges[4];
+            expect([arrow.x, arrow.y]).toEqual(ad[ad.length - 1]);
+            // Along the last segment.
+            const from = ad[ad.length - 2];
+            const to = ad[ad.length - 1];
+            const angle = Math.atan2(to[1] - from[1], to[0] - from[0]);
+            expect(arrow.rotation).toBeCloseTo(-Math.PI / 2 - angle, 5);
+            expect((el.getTextContent() as graphic.Text).style.text).toEqual('edge');
+        });
+    });
+
+    describe('force executor', function () {
+
+        const input: ForceSimulationInput = {
+            nodes: [
+                {p: [0, 0], w: 10, rep: 10, fixed: false},
+                {p: [10, 0], w: 10, rep: 10, fixed: false},
+                {p: [50, 50], w: 10, rep: 10, fixed: true}
+            ],
+            edges: [{n1: 0, n2: 1, d: 30, ignoreForceLayout: false}],
+            rect: {x: 0, y: 0, width: 100, height: 100},
+            gravity: 0.1,
+            // Finish in a few ticks.
+            friction: 0.02
+        };
+
+        function runUntilFinished(executor: ForceLayoutExecutor) {
+            return new Promise<Float64Array[]>(function (resolve) {
+                const ticks: Float64Array[] = [];
+                executor.start(input, function (positions, finished) {
+                    ticks.push(positions);
+                    finished && resolve(ticks);
+                });
+            });
+        }
+
+        type Listener = (e: any) => void;
+
+        // Pair of message ports like a worker and its global scope.
+        function createChannel() {
+            const listeners: Listener[][] = [[], []];
+            function createPort(self: number): ForceWorkerLike {
+                return {
+                    postMessage: function (message) {
+                        setTimeout(function () {
+                            listeners[1 - self].forEach(listener => listener({data: message}));
+                        });
+                    },
+                    addEventListener: function (type: string, listener: Listener) {
+                        type === 'message' && listeners[self].push(listener);
+                    }
+                };
+            }
+            return [createPort(0), createPort(1)];
+        }
+
+        it('sync executor', async function () {
+            const ticks = await runUntilFinished(createSyncForceExecutor());
+            expect(ticks.length).toBeGreaterThan(1);
+            const last = ticks[ticks.length - 1];
+            expect(last.length).toEqual(6);
+            // Edge length is approached.
+            expect(Math.hypot(last[2] - last[0], last[3] - last[1])).toBeGreaterThan(10);
+            // Fixed node is not moved.
+            expect([last[4], last[5]]).toEqual([50, 50]);
+        });
+
+        it('worker executor', async function () {
+            const [mainPort, workerPort] = createChannel();
+            installForceWorker(workerPort);
+            const ticks = await runUntilFinished(createWorkerForceExecutor(() => mainPort));
+            expect(ticks.length).toBeGreaterThan(1);
+            expect([ticks[0][4], ticks[0][5]]).toEqual([50, 50]);
+        });
+
+        it('fallback without worker', async function () {
+            const warn = console.warn;
+            const warnings: unknown[][] = [];
+            console.warn = function (...args: unknown[]) {
+                warnings.push(args);
+            };
+            let ticks: Float64Array[];
+            let failedTicks: Float64Array[];
+            let terminated = 0;
+            try {
+                ticks = await runUntilFinished(createWorkerForceExecutor(function (): ForceWorkerLike {
+                    throw new Error('Worker is not defined');
+                }));
+                // The script of worker fails to load.
+                failedTicks = await runUntilFinished(createWorkerForceExecutor(function (): ForceWorkerLike {
+                    return {
+                        postMessage: function () {},
+                        addEventListener: function (type: string, listener: Listener) {
+                            type === 'error' && setTimeout(function () {
+                                listener(new Error('Failed to load'));
+                            });
+                        },
+                        terminate: function () {
+                            terminated++;
+                        }
+                    };
+                }));
+            }
+            finally {
+                console.warn = warn;
+            }
+            expect(ticks.length).toBeGreaterThan(1);
+            expect(failedTicks.length).toBeGreaterThan(1);
+            expect(terminated).toEqual(1);
+            expect(warnings.length).toEqual(2);
+        });
+
+        it('stream positions to graph', function () {
+            let onTick: (positions: Float64Array, finished: boolean) => void;
+            let stopped = 0;
+            const executor: ForceLayoutExecutor = {
+                start: function (input, cb) {
+                    onTick = cb;
+                    return {
+                        setFixed: function () {},
+                        setUnfixed: function () {},
+                        warmUp: function () {},
+                        stop: function () {
+                            stopped++;
+                        }
+                    };
+                }
+            };
+            chart.setOption({
+                series: {
+                    type: 'graph',
+                    layout: 'force',
+                    animation: false,
+                    data: [{name: 'a', x: 0, y: 0}, {name: 'b', x: 10, y: 10}],
+                    links: [{source: 'a', target: 'b'}],
+                    force: {
+                        layoutAnimation: false,
+                        executor: executor
+                    }
+                }
+            });
+            const graph = getSeriesModel().getGraph();
+            onTick(new Float64Array([1, 2, 3, 4]), false);
+            expect(graph.getNodeByIndex(1).getLayout()).toEqual([3, 4]);
+            expect(graph.getEdgeByIndex(0).getLayout()[1]).toEqual([3, 4]);
+            // Rendered on each tick.
+            const el = graph.getNodeByIndex(1).getGraphicEl();
+            expect([el.x, el.y]).toEqual([3, 4]);
+
+            chart.dispose();
+            expect(stopped).toEqual(1);
+        });
+
+        it('stop when series model is replaced', function () {
+            let started = 0;
+            let stopped = 0;
+            const executor: ForceLayoutExecutor = {
+                start: function () {
+                    started++;
+                    return {
+                        setFixed: function () {},
+                        setUnfixed: function () {},
+                        warmUp: function () {},
+                        stop: function () {
+                            stopped++;
+                        }
+                    };
+                }
+            };
+            const option = {
+                series: {
+                    type: 'graph' as const,
+                    layout: 'force' as const,
+                    animation: false,
+                    data: [{name: 'a', x: 0, y: 0}, {name: 'b', x: 10, y: 10}],
+                    links: [{source: 'a', target: 'b'}],
+                    force: {
+                        layoutAnimation: false,
+                        executor: executor
+                    }
+                }
+            };
+            chart.setOption(option);
+            const model = getSeriesModel();
+            chart.setOption(option, true);
+            expect(getSeriesModel()).not.toBe(model);
+            expect(started).toEqual(2);
+            expect(stopped).toEqual(1);
+        });
+    });
+
+});
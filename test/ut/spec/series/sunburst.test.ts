@@ -0,0 +1,63 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { EChartsType } from '../../../../src/echarts';
+import { createChart, getECModel } from '../../core/utHelper';
+import SunburstSeriesModel from '../../../../src/chart/sunburst/SunburstSeries';
+
+
+describe('sunburst_series', function () {
+
+    let chart: EChartsType;
+    beforeEach(function () {
+        chart = createChart({width: 500, height: 400});
+    });
+
+    afterEach(function () {
+        chart.dispose();
+    });
+
+    // See the test of treemap for the common behaviors.
+    it('loadChildren', async function () {
+        const loading = Promise.resolve([
+            {name: 'b1', value: 2},
+            {name: 'b2', value: 3}
+        ]);
+        chart.setOption({
+            series: {
+                type: 'sunburst',
+                animation: false,
+                data: [{name: 'a', value: 10}, {name: 'b', value: 5}],
+                loadChildren: function () {
+                    return loading;
+                }
+            }
+        });
+        const seriesModel = getECModel(chart).getSeriesByIndex(0) as SunburstSeriesModel;
+
+        chart.dispatchAction({type: 'sunburstRootToNode', seriesIndex: 0, targetNode: 'b'});
+        await loading;
+
+        const b = seriesModel.getData().tree.root.getNodeById('b');
+        // Sorted by value.
+        expect(b.children.map(child => child.name)).toEqual(['b2', 'b1']);
+        expect(seriesModel.getViewRoot()).toBe(b);
+    });
+
+});
@@ -0,0 +1,139 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { EChartsType } from '../../../../src/echarts';
+import { createChart, getECModel } from '../../core/utHelper';
+import { TreeSeriesOption } from '../../../../src/chart/tree/TreeSeries';
+import { CallbackDataParams } from '../../../../src/util/types';
+
+
+describe('tree_series', function () {
+
+    let chart: EChartsType;
+    beforeEach(function () {
+        chart = createChart({width: 500, height: 400});
+    });
+
+    afterEach(function () {
+        chart.dispose();
+    });
+
+    const data: TreeSeriesOption['data'] = [{
+        name: 'root',
+        children: [{
+            name: 'a',
+            children: [{name: 'a1'}, {name: 'a2'}]
+        }, {
+            name: 'b',
+            symbolSize: 50
+        }]
+    }];
+
+    function getLayouts(option: TreeSeriesOption) {
+        chart.setOption({
+            series: Object.assign({
+                type: 'tree',
+                data: data,
+                left: 0,
+                top: 0,
+                right: 0,
+                bottom: 0,
+                animation: false
+            }, option)
+        });
+        const treeData = getECModel(chart).getSeriesByIndex(0).getData();
+        const layouts: Record<string, {x: number, y: number}> = {};
+        treeData.each(function (idx) {
+            layouts[treeData.getName(idx)] = treeData.getItemLayout(idx);
+        });
+        return layouts;
+    }
+
+    it('dendrogram', function () {
+        const layouts = getLayouts({layout: 'dendrogram'});
+        // Leaves are aligned at the same depth.
+        expect(layouts.b.x).toEqual(layouts.a1.x);
+        expect(layouts.a.x).toBeLessThan(layouts.b.x);
+        expect(layouts.a.y).toBeCloseTo((layouts.a1.y + layouts.a2.y) / 2, 5);
+    });
+
+    it('indented', function () {
+        const layouts = getLayouts({layout: 'indented', nodeGap: 10, levelGap: 20, symbolSize: 10});
+        expect([layouts.root.x, layouts.a.x, layouts.a1.x, layouts.a2.x, layouts.b.x]).toEqual([0, 20, 40, 40, 20]);
+        // Rows in preorder.
+        expect([layouts.root.y, layouts.a.y, layouts.a1.y, layouts.a2.y, layouts.b.y]).toEqual([5, 25, 45, 65, 105]);
+    });
+
+    it('compact', function () {
+        const layouts = getLayouts({layout: 'compact', nodeGap: 10, levelGap: 20, symbolSize: 10});
+        // Level is as thick as the largest node.
+        expect([layouts.root.x, layouts.a.x, layouts.a1.x]).toEqual([0, 50, 100]);
+        // Large node does not overlap the sibling.
+        expect(layouts.b.y - layouts.a.y).toEqual(40);
+        expect(layouts.root.y).toEqual((layouts.a.y + layouts.b.y) / 2);
+        // Centered in the view.
+        expect(layouts.a1.y - 5 + layouts.b.y + 25).toEqual(400);
+    });
+
+    it('loadChildren', async function () {
+        const loading = Promise.resolve([{name: 'b1'}, {name: 'b2', children: [{name: 'b21'}]}]);
+        const loadedParams: string[] = [];
+        chart.setOption({
+            series: {
+                type: 'tree',
+                data: data,
+                animation: false,
+                loadChildren: function (params: CallbackDataParams) {
+                    loadedParams.push(params.name);
+                    return loading;
+                }
+            }
+        });
+        const seriesModel = getECModel(chart).getSeriesByIndex(0);
+        const getNode = (name: string) => seriesModel.getData().tree.root.getNodeById(name);
+        const bIndex = getNode('b').dataIndex;
+        const loadedEvents: number[] = [];
+        chart.on('treeChildrenLoaded', function (event: {dataIndex: number}) {
+            loadedEvents.push(event.dataIndex);
+        });
+
+        chart.dispatchAction({type: 'treeExpandAndCollapse', seriesIndex: 0, dataIndex: bIndex});
+        chart.dispatchAction({type: 'treeExpandAndCollapse', seriesIndex: 0, dataIndex: bIndex});
+        // Not loaded twice.
+        expect(loadedParams).toEqual(['b']);
+        expect(getNode('b').isExpand).toEqual(false);
+
+        await loading;
+
+        const b = getNode('b');
+        expect(b.isExpand).toEqual(true);
+        expect(loadedEvents).toEqual([b.dataIndex]);
+        expect(b.children.map(child => child.name)).toEqual(['b1', 'b2']);
+        expect(getNode('b21').depth).toEqual(4);
+        const b1 = getNode('b1');
+        expect(seriesModel.getData().getName(b1.dataIndex)).toEqual('b1');
+        expect(seriesModel.getData().getItemLayout(b1.dataIndex)).toBeTruthy();
+
+        // Loaded children can be collapsed as usual.
+        chart.dispatchAction({type: 'treeExpandAndCollapse', seriesIndex: 0, dataIndex: b.dataIndex});
+        expect(loadedParams).toEqual(['b']);
+        expect(b.isExpand).toEqual(false);
+    });
+
+});
@@ -0,0 +1,80 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { EChartsType } from '../../../../src/echarts';
+import { createChart, getECModel } from '../../core/utHelper';
+import TreemapSeriesModel from '../../../../src/chart/treemap/TreemapSeries';
+import { CallbackDataParams } from '../../../../src/util/types';
+
+
+describe('treemap_series', function () {
+
+    let chart: EChartsType;
+    beforeEach(function () {
+        chart = createChart({width: 500, height: 400});
+    });
+
+    afterEach(function () {
+        chart.dispose();
+    });
+
+    it('loadChildren', async function () {
+        const loading = Promise.resolve([
+            {name: 'b1', value: 2},
+            {name: 'b2', children: [{name: 'b21', value: 3}]}
+        ]);
+        const loadedParams: string[] = [];
+        chart.setOption({
+            series: {
+                type: 'treemap',
+                animation: false,
+                data: [{name: 'a', value: 10}, {name: 'b', value: 5}],
+                loadChildren: function (params: CallbackDataParams) {
+                    loadedParams.push(params.name);
+                    return loading;
+                }
+            }
+        });
+        const seriesModel = getECModel(chart).getSeriesByIndex(0) as TreemapSeriesModel;
+        const getNode = (name: string) => seriesModel.getData().tree.root.getNodeById(name);
+
+        chart.dispatchAction({type: 'treemapRootToNode', seriesIndex: 0, targetNodeId: 'b'});
+        expect(loadedParams).toEqual(['b']);
+        // Drilled down after loaded.
+        expect(seriesModel.getViewRoot()).toBe(seriesModel.getData().tree.root);
+
+        await loading;
+
+        const data = seriesModel.getData();
+        const b = getNode('b');
+        expect(b.children.map(child => child.name)).toEqual(['b1', 'b2']);
+        // Values of the loaded children are completed.
+        expect(data.get('value', getNode('b2').dataIndex)).toEqual(3);
+        expect(data.get('value', getNode('b21').dataIndex)).toEqual(3);
+        expect(data.get('value', b.dataIndex)).toEqual(5);
+        expect(seriesModel.getViewRoot()).toBe(b);
+        expect(data.getItemLayout(getNode('b1').dataIndex)).toBeTruthy();
+
+        // "b" is not loaded again, while the leaf "a" is.
+        chart.dispatchAction({type: 'treemapRootToNode', seriesIndex: 0, targetNodeId: 'a'});
+        chart.dispatchAction({type: 'treemapRootToNode', seriesIndex: 0, targetNodeId: 'b'});
+        expect(loadedParams).toEqual(['b', 'a']);
+    });
+
+});
@@ -0,0 +1,128 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { createChart, getECModel } from '../../core/utHelper';
+import { EChartsType } from '../../../../src/echarts.all';
+import Path from 'zrender/src/graphic/Path';
+import Group from 'zrender/src/graphic/Group';
+import { isInAnyMorphing, isCombiningPath } from 'zrender/src/tool/morphPath';
+
+
+describe('universalTransition', function () {
+
+    let chart: EChartsType;
+    beforeEach(function () {
+        chart = createChart();
+    });
+
+    afterEach(function () {
+        chart.dispose();
+    });
+
+    function getItemPath(seriesIndex: number, dataIndex: number): Path {
+        const data = getECModel(chart).getSeriesByIndex(seriesIndex).getData();
+        return data.getItemGraphicEl(dataIndex) as Path;
+    }
+
+    const barOption = {
+        xAxis: { type: 'category' as const, data: ['a', 'b', 'c'] },
+        yAxis: {},
+        series: [{
+            type: 'bar' as const,
+            universalTransition: true,
+            data: [1, 2, 3]
+        }]
+    };
+
+    it('morph bar to pie', function () {
+        chart.setOption(barOption);
+        chart.setOption({
+            series: [{
+                type: 'pie',
+                universalTransition: true,
+                data: [1, 2, 3]
+            }]
+        }, { replaceMerge: ['xAxis', 'yAxis', 'series'] });
+
+        for (let i = 0; i < 3; i++) {
+            expect(isInAnyMorphing(getItemPath(0, i))).toEqual(true);
+        }
+    });
+
+    it('not morph if not enabled', function () {
+        chart.setOption(barOption);
+        chart.setOption({
+            series: [{
+                type: 'pie',
+                data: [1, 2, 3]
+            }]
+        }, { replaceMerge: ['xAxis', 'yAxis', 'series'] });
+
+        expect(isInAnyMorphing(getItemPath(0, 0))).toEqual(false);
+    });
+
+    it('merge items by groupId', function () {
+        chart.setOption({
+            xAxis: { type: 'category', data: ['a', 'b', 'c'] },
+            yAxis: {},
+            series: [{
+                type: 'bar',
+                universalTransition: true,
+                dataGroupId: 'all',
+                data: [1, 2, 3]
+            }]
+        });
+        chart.setOption({
+            xAxis: { type: 'category', data: ['all'] },
+            series: [{
+                type: 'bar',
+                universalTransition: true,
+                data: [{ id: 'all', value: 6 }]
+            }]
+        }, { replaceMerge: ['series'] });
+
+        expect(isCombiningPath(getItemPath(0, 0))).toEqual(true);
+    });
+
+    it('split item by groupId', function () {
+        chart.setOption({
+            xAxis: { type: 'category', data: ['all'] },
+            yAxis: {},
+            series: [{
+                type: 'bar',
+                universalTransition: true,
+                data: [{ id: 'all', value: 6 }]
+            }]
+        });
+        chart.setOption({
+            series: [{
+                type: 'scatter',
+                universalTransition: true,
+                dataGroupId: 'all',
+                data: [[0, 1], [0, 2], [0, 3]]
+            }]
+        }, { replaceMerge: ['series'] });
+
+        for (let i = 0; i < 3; i++) {
+            const symbolPath = (getItemPath(0, i) as unknown as Group).childAt(0) as Path;
+            expect(isInAnyMorphing(symbolPath)).toEqual(true);
+        }
+    });
+
+});
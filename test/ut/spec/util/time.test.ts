@@ -0,0 +1,88 @@
+/*
+* Licensed to the Apache Software Foundation (ASF) under one
+* or more contributor license agreements.  See the NOTICE file
+* distributed with this work for additional information
+* regarding copyright ownership.  The ASF licenses this file
+* to you under the Apache License, Version 2.0 (the
+* "License"); you may not use this file except in compliance
+* with the License.  You may obtain a copy of the License at
+*
+*   http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing,
+* software distributed under the License is distributed on an
+* "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+* KIND, either express or implied.  See the License for the
+* specific language governing permissions and limitations
+* under the License.
+*/
+
+import { format, ZonedDate, getTimezoneOffset, ONE_HOUR } from '../../../../src/util/time';
+import TimeScale from '../../../../src/scale/Time';
+
+
+describe('util/time', function () {
+
+    const CHICAGO = 'America/Chicago';
+
+    describe('timezone', function () {
+
+        it('getTimezoneOffset', function () {
+            expect(getTimezoneOffset(Date.UTC(2021, 0, 1), CHICAGO)).toEqual(-6 * ONE_HOUR);
+            expect(getTimezoneOffset(Date.UTC(2021, 6, 1), CHICAGO)).toEqual(-5 * ONE_HOUR);
+            expect(getTimezoneOffset(Date.UTC(2021, 6, 1), 'UTC')).toEqual(0);
+        });
+
+        it('format', function () {
+            const tpl = '{yyyy}-{MM}-{dd} {HH}:{mm}';
+            // DST starts at 2021-03-14 02:00 in Chicago.
+            expect(format(Date.UTC(2021, 2, 14, 7, 59), tpl, false, 'en', CHICAGO)).toEqual('2021-03-14 01:59');
+            expect(format(Date.UTC(2021, 2, 14, 8, 0), tpl, false, 'en', CHICAGO)).toEqual('2021-03-14 03:00');
+            // Timezone takes precedence over UTC.
+            expect(format(Date.UTC(2021, 0, 1, 3), tpl, true, 'en', CHICAGO)).toEqual('2020-12-31 21:00');
+        });
+
+        it('ZonedDate setters across DST', function () {
+            const date = new ZonedDate(Date.UTC(2021, 2, 13, 6), CHICAGO);
+            expect(date.getDate()).toEqual(13);
+            expect(date.getHours()).toEqual(0);
+
+            date.setDate(14);
+            expect(date.getTime()).toEqual(Date.UTC(2021, 2, 14, 6));
+            date.setDate(15);
+            expect(date.getTime()).toEqual(Date.UTC(2021, 2, 15, 5));
+
+            // 02:30 does not exist on 2021-03-14.
+            date.setDate(14);
+            date.setHours(2, 30);
+            expect(date.getHours()).toEqual(3);
+            expect(date.getMinutes()).toEqual(30);
+
+            // Omitted params are kept.
+            date.setFullYear(2022);
+            expect(date.getMonth()).toEqual(2);
+            expect(date.getDate()).toEqual(14);
+            expect(date.getHours()).toEqual(3);
+            expect(date.getMinutes()).toEqual(30);
+        });
+
+        it('day ticks on local midnight', function () {
+            const scale = new TimeScale({
+                locale: null,
+                useUTC: false,
+                timezone: CHICAGO
+            });
+            scale.setExtent(Date.UTC(2021, 2, 10), Date.UTC(2021, 2, 20));
+            scale.niceTicks(10, null, null);
+            const ticks = scale.getTicks();
+            // Except the extent.
+            const innerTicks = ticks.slice(1, ticks.length - 1);
+
+            expect(innerTicks.length).toBeGreaterThan(5);
+            for (let i = 0; i < innerTicks.length; i++) {
+                expect(format(innerTicks[i].value, '{HH}:{mm}', false, 'en', CHICAGO)).toEqual('00:00');
+            }
+        });
+    });
+
+});